@@ -1,16 +1,11 @@
 import express from "express";
 const app = express();
-import config from "./src/utils/config.js";
+import config from "./src/config/env.js";
 
 // --- environment variables ---
 const PORT = process.env.BACKEND_PORT || 3001;
-const FRONTEND_PORT = process.env.FRONTEND_PORT || 3000;
-const SESSION_SECRET = process.env.SESSION_SECRET;
 const RATE_LIMIT_WINDOW = process.env.RATE_LIMIT_WINDOW || 15;
 const RATE_LIMIT_LIMIT = process.env.RATE_LIMIT_LIMIT || 300;
-const ALLOWED_CLIENT_ORIGINS =
-   process.env.ALLOWED_CLIENT_ORIGINS ||
-   "http://localhost:5173,http://localhost:5174,http://localhost:4173";
 
 // --- middleware ---
 /*
@@ -26,51 +21,36 @@ app.use(express.json());
 
 /*
  * cors
- * - set origin to allow multiple frontends (Auth-server frontend + client applications)
- * - set credentials to true
+ * - allowed origins: auth-system frontend, ALLOWED_CLIENT_ORIGINS and the registered client servers (corsService)
+ * - credentialed for /api: the login proxy routes for the frontend and client servers,
+ *   every other /api route (owner, admin, users, ...) for the frontend only
+ * - without credentials for the OAuth endpoints a client calls itself (token, introspection, revocation, userinfo)
+ * - open for discovery and JWKS
  */
-import cors from "cors";
-
-// Define allowed origins for CORS
-const allowedOrigins = [
-   `http://localhost:${FRONTEND_PORT}`, // Auth-server frontend (default: 3000)
-   "http://localhost:3000", // Auth-server frontend (fallback)
-   ...ALLOWED_CLIENT_ORIGINS.split(",").map((origin) => origin.trim()), // Client applications from env
-];
-
-app.use(
-   cors({
-      origin: function (origin, callback) {
-         // Allow requests with no origin (like mobile apps or curl requests)
-         if (!origin) return callback(null, true);
-
-         if (allowedOrigins.indexOf(origin) !== -1) {
-            callback(null, true);
-         } else {
-            console.warn(`CORS blocked origin: ${origin}`);
-            callback(new Error("Not allowed by CORS"));
-         }
-      },
-      credentials: true,
-   })
-);
+import { corsPolicies } from "./src/services/corsService.js";
+app.use("/api", corsPolicies.api);
+app.use(["/oauth/token", "/oauth/introspect", "/oauth/revoke", "/oauth/userinfo"], corsPolicies.token);
+app.use(["/oauth/jwks.json", "/.well-known"], corsPolicies.public);
 
 /*
  * session
  * - set secret to session secret
- * - set resave to false
+ * - set store to postgres (auth_internal.session_store, shared by all instances)
+ * - set resave to false (the store's touch keeps active sessions alive)
  * - set saveUninitialized to false
  */
 import session from "express-session";
+import { createSessionStore } from "./src/repo/sessionStore.js";
 app.use(
    session({
-      secret: "" + SESSION_SECRET,
+      secret: "" + config.session.secret,
+      store: createSessionStore(),
       resave: false,
       saveUninitialized: false,
       cookie: {
          sameSite: "lax", // allow same origin different subdomains (fx. trade.devalek.dev and devalek.dev)
-         secure: false, // https only (true in production)
-         maxAge: 1000 * 60 * 60 * 24, // 1 day
+         secure: config.session.secureCookie, // https only (true in production)
+         maxAge: 1000 * 60 * 60 * config.session.maxAgeHours, // default 1 day
       },
    })
 );
@@ -132,6 +112,9 @@ app.use(generalLimiter);
 /** * Schema detection middleware - detects client schema from URL/token */
 import { detectSchema } from "./src/middleware/schemaDetection.js";
 app.use(detectSchema);
+/** * Session activity - last seen of the logged-in device */
+import { trackSessionActivity } from "./src/middleware/sessionActivity.js";
+app.use(trackSessionActivity);
 /** * clientServer - for host-application to connect to auth-system */
 import clientServerRoute from "./src/routes/clientServer.js";
 app.use("/api/clientServer", clientServerRoute);
@@ -146,6 +129,27 @@ app.use("/api/users", userRoute);
 import ownerRoute from "./src/routes/owner.js";
 app.use("/api/owner", ownerRoute);
 
+/** * admin - administration of the auth-system (signing keys) */
+import adminRoute from "./src/routes/admin.js";
+app.use("/api/admin", adminRoute);
+
+/** * oauth - authorization code flow with PKCE and OpenID Connect for client servers (browser redirects, token endpoint, discovery) */
+import oauthRoute, { wellKnownRouter } from "./src/routes/oauth.js";
+app.use("/oauth", oauthRoute);
+app.use("/.well-known", wellKnownRouter);
+
+// --- error handling ---
+
+/** * errors thrown by routes (AuthError, OAuthError, ...) as JSON responses */
+import { errorHandler } from "./src/middleware/errorHandler.js";
+app.use(errorHandler);
+
+// --- background jobs ---
+
+/** * JWT signing keys - scheduled rotation and removal of expired keys */
+import { startKeyRotation } from "./src/services/signingKeyService.js";
+startKeyRotation();
+
 app.listen(PORT, () => {
    // For production logging
    console.info(`Server running on port ${PORT}`);
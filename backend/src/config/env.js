@@ -7,8 +7,22 @@
  * - config for backend
  * - postgres
  * - schemas
+ * - app (public urls)
+ * - mail
+ * - passwordReset
+ * - emailVerification
+ * - encryption (secrets at rest)
+ * - mfa
+ * - webauthn (passkeys)
+ * - loginProtection (brute-force lockout defaults, overridable per client server)
+ * - session (express-session cookie and store)
+ * - oauth (authorization code flow, access / refresh tokens, OpenID Connect)
+ * - signingKeys (JWT signing keys, rotation)
+ * - cors (origins besides the registered client servers)
+ * - redirectUris (return URL lookup of schema detection)
  */
 import dotenv from "dotenv";
+import path from "path";
 import paths from "./paths.js";
 
 dotenv.config({ path: paths.ENV_PATH });
@@ -26,10 +40,132 @@ const schemas = {
    template: "client_template",
 };
 
+const isProd = process.env.NODE_ENV === "production";
+
+const app = {
+   // auth-system frontend, used to build links sent by mail
+   frontendUrl:
+      process.env.FRONTEND_URL ||
+      (isProd
+         ? `http://${process.env.PROD_FRONTEND_HOST || "localhost"}:${
+              process.env.PROD_FRONTEND_PORT || 3000
+           }`
+         : `http://${process.env.DEV_FRONTEND_HOST || "localhost"}:${
+              process.env.DEV_FRONTEND_PORT || 3000
+           }`),
+   // this backend, issuer of OAuth tokens and target of OAuth redirects
+   backendUrl:
+      process.env.BACKEND_URL ||
+      (isProd
+         ? `http://${process.env.PROD_BACKEND_HOST || "localhost"}:${
+              process.env.PROD_BACKEND_PORT || 3001
+           }`
+         : `http://${process.env.DEV_BACKEND_HOST || "localhost"}:${
+              process.env.DEV_BACKEND_PORT || 3001
+           }`),
+};
+
+const mail = {
+   transport: process.env.MAIL_TRANSPORT || "console", // 'console' | 'file'
+   from: process.env.MAIL_FROM || "Auth System <no-reply@localhost>",
+   outboxDir: process.env.MAIL_OUTBOX_DIR || path.resolve(paths.BACKEND_DIR, "outbox"),
+};
+
+const passwordReset = {
+   tokenTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+};
+
+const emailVerification = {
+   tokenTtlHours: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+};
+
+const encryption = {
+   // master key, per-tenant keys are derived from it (utils/encryption.js)
+   key: process.env.ENCRYPTION_KEY || process.env.SECRET_KEY,
+};
+
+const mfa = {
+   issuer: process.env.MFA_ISSUER || "Auth System", // otpauth issuer when the client has no app name
+   pendingTtlMinutes: Number(process.env.MFA_PENDING_TTL_MINUTES) || 5, // password ok, waiting for the code
+   maxAttempts: Number(process.env.MFA_MAX_ATTEMPTS) || 5, // wrong codes before the login starts over
+};
+
+const webauthn = {
+   rpName: process.env.WEBAUTHN_RP_NAME || "Auth System", // shown by the authenticator when the client has no app name
+   challengeTtlMinutes: Number(process.env.WEBAUTHN_CHALLENGE_TTL_MINUTES) || 5,
+   timeoutMs: Number(process.env.WEBAUTHN_TIMEOUT_MS) || 60000, // browser ceremony timeout
+   userVerification: process.env.WEBAUTHN_USER_VERIFICATION || "preferred", // 'required' | 'preferred' | 'discouraged'
+};
+
+const loginProtection = {
+   maxAttempts: Number(process.env.LOGIN_LOCKOUT_MAX_ATTEMPTS) || 5, // failures per email before the lockout
+   ipMaxAttempts: Number(process.env.LOGIN_LOCKOUT_IP_MAX_ATTEMPTS) || 20, // failures per IP before the lockout
+   durationMinutes: Number(process.env.LOGIN_LOCKOUT_DURATION_MINUTES) || 15, // lockout length, also the window failures are counted in
+   backoffBaseSeconds: Number(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1, // wait after the first failure, doubled per failure
+   backoffMaxSeconds: Number(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 30,
+};
+
+const session = {
+   secret: process.env.SESSION_SECRET || process.env.SECRET_KEY,
+   store: process.env.SESSION_STORE || "postgres", // 'postgres' (auth_internal.session_store) | 'memory' (single instance, dev only)
+   maxAgeHours: Number(process.env.SESSION_MAX_AGE_HOURS) || 24, // cookie max age, also the TTL of stored sessions
+   pruneIntervalMinutes: Number(process.env.SESSION_PRUNE_INTERVAL_MINUTES) || 15, // expired sessions are deleted this often
+   secureCookie: process.env.SESSION_SECURE_COOKIE === "true", // https only
+   activityIntervalSeconds: Number(process.env.SESSION_ACTIVITY_INTERVAL_SECONDS) || 60, // last seen of a device is updated at most this often
+};
+
+const oauth = {
+   issuer: process.env.OAUTH_ISSUER || app.backendUrl, // iss of issued tokens
+   authorizationRequestTtlMinutes: Number(process.env.OAUTH_REQUEST_TTL_MINUTES) || 10, // login time for a pending /oauth/authorize
+   authorizationCodeTtlSeconds: Number(process.env.OAUTH_CODE_TTL_SECONDS) || 60,
+   accessTokenTtlMinutes: Number(process.env.OAUTH_ACCESS_TOKEN_TTL_MINUTES) || 15, // per client server: access_token_ttl_minutes
+   apiTokenTtlMinutes: Number(process.env.OAUTH_API_TOKEN_TTL_MINUTES) || 24 * 60, // client server API tokens, per client server: access_token_ttl_minutes
+   refreshTokenTtlDays: Number(process.env.OAUTH_REFRESH_TOKEN_TTL_DAYS) || 30, // per client server: refresh_token_ttl_days
+   idTokenTtlMinutes: Number(process.env.OIDC_ID_TOKEN_TTL_MINUTES) || 60,
+};
+
+const signingKeys = {
+   algorithm: process.env.SIGNING_KEY_ALGORITHM || "RS256", // 'RS256' | 'ES256' | 'EdDSA', for new keys
+   rotationDays: Number(process.env.SIGNING_KEY_ROTATION_DAYS) || 30,
+   overlapHours: Number(process.env.SIGNING_KEY_OVERLAP_HOURS) || 48, // retired keys keep verifying, longer than any token lives (API tokens: 24h)
+   checkIntervalMinutes: Number(process.env.SIGNING_KEY_CHECK_INTERVAL_MINUTES) || 60, // scheduled rotation and cleanup
+   cacheSeconds: Number(process.env.SIGNING_KEY_CACHE_SECONDS) || 10, // keys rotated by another instance are picked up after this, also an emergency rotation
+};
+
+const cors = {
+   // allowed besides the auth-system frontend and the origins of the registered client servers
+   staticOrigins: (
+      process.env.ALLOWED_CLIENT_ORIGINS ||
+      "http://localhost:5173,http://localhost:5174,http://localhost:4173"
+   )
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+   cacheSeconds: Number(process.env.CORS_ORIGINS_CACHE_SECONDS) || 60, // client servers changed by another instance are picked up after this
+};
+
+const redirectUris = {
+   cacheEntries: Number(process.env.REDIRECT_URI_CACHE_ENTRIES) || 1000, // origins kept in the LRU cache
+   cacheSeconds: Number(process.env.REDIRECT_URI_CACHE_SECONDS) || 60, // client servers changed by another instance are picked up after this
+};
+
 const config = {
    // other than postgres
    postgres,
    schemas,
+   app,
+   mail,
+   passwordReset,
+   emailVerification,
+   encryption,
+   mfa,
+   webauthn,
+   loginProtection,
+   session,
+   oauth,
+   signingKeys,
+   cors,
+   redirectUris,
 };
 
 export default config;
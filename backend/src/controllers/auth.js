@@ -1,7 +1,15 @@
 // --- services ---
 import * as authService from "../services/auth.js";
+import * as passwordResetService from "../services/passwordResetService.js";
+import * as emailVerificationService from "../services/emailVerificationService.js";
+import * as mfaService from "../services/mfaService.js";
+import * as webauthnService from "../services/webauthnService.js";
+import * as sessionService from "../services/sessionService.js";
+import * as consentService from "../services/consentService.js";
+import * as oauthService from "../services/oauthService.js";
 
 // --- utils ---
+import { createSuccessResponse } from "../utils/authUtils.js";
 
 // --- controller ---
 /**
@@ -10,6 +18,16 @@ import * as authService from "../services/auth.js";
  *   - login
  *   - logout
  *   - getCurrentUser
+ *   - sessions: getSessions, revokeSession, revokeOtherSessions
+ *   - OAuth consent: getConsentRequest, submitConsent, getConsents, withdrawConsent
+ *   - forgotPassword
+ *   - resetPassword
+ *   - verifyEmail
+ *   - resendVerificationEmail
+ *   - verifyMfa, getMfaStatus, enrollTotp, confirmTotp, reenrollTotp, disableTotp
+ *   - regenerateRecoveryCodes
+ *   - passkeys: getPasskeyRegistrationOptions, verifyPasskeyRegistration,
+ *     getPasskeys, deletePasskey, getPasskeyLoginOptions, loginWithPasskey
  *
  * All functions now use schema from request context (session or API token)
  */
@@ -103,12 +121,38 @@ const logout = async (req, res, next) => {
 // --- session ---
 
 /**
- * @description Get all sessions for the current user
- * Calls authService.getSessions with schema from request
+ * @description Get the active sessions (devices) of the current user
+ * Calls sessionService.listSessions
  */
 const getSessions = async (req, res, next) => {
    try {
-      const result = await authService.getSessions(req);
+      const result = await sessionService.listSessions(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Revoke one session of the current user
+ * Calls sessionService.revokeSession
+ */
+const revokeSession = async (req, res, next) => {
+   try {
+      const result = await sessionService.revokeSession(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Sign out on every other device
+ * Calls sessionService.revokeOtherSessions
+ */
+const revokeOtherSessions = async (req, res, next) => {
+   try {
+      const result = await sessionService.revokeOtherSessions(req);
       res.status(200).json(result);
    } catch (error) {
       next(error);
@@ -142,5 +186,318 @@ const getCurrentUser = async (req, res, next) => {
    }
 };
 
+// --- password reset ---
+
+/**
+ * @description Request a password reset link by mail
+ * Calls passwordResetService.forgotPassword with schema from request
+ */
+const forgotPassword = async (req, res, next) => {
+   try {
+      const result = await passwordResetService.forgotPassword(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Set a new password with a reset token
+ * Calls passwordResetService.resetPassword with schema from request
+ */
+const resetPassword = async (req, res, next) => {
+   try {
+      const result = await passwordResetService.resetPassword(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+// --- email verification ---
+
+/**
+ * @description Verify an email address with the token from the mailed link
+ * Calls emailVerificationService.verifyEmail with schema from request
+ */
+const verifyEmail = async (req, res, next) => {
+   try {
+      const result = await emailVerificationService.verifyEmail(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Mail a new verification link
+ * Calls emailVerificationService.resendVerificationEmail with schema from request
+ */
+const resendVerificationEmail = async (req, res, next) => {
+   try {
+      const result = await emailVerificationService.resendVerificationEmail(
+         req
+      );
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+// --- MFA ---
+
+/**
+ * @description Second login step, completes the login with an authenticator code
+ * Calls authService.verifyMfa with schema from request
+ */
+const verifyMfa = async (req, res, next) => {
+   try {
+      const result = await authService.verifyMfa(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Get the second factors of the current user
+ * Calls mfaService.getMfaStatus with schema from request
+ */
+const getMfaStatus = async (req, res, next) => {
+   try {
+      const result = await mfaService.getMfaStatus(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Start TOTP enrollment (secret + otpauth URI)
+ * Calls mfaService.enrollTotp with schema from request
+ */
+const enrollTotp = async (req, res, next) => {
+   try {
+      const result = await mfaService.enrollTotp(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Enable TOTP with the first code from the authenticator app
+ * Calls mfaService.confirmTotp with schema from request
+ */
+const confirmTotp = async (req, res, next) => {
+   try {
+      const result = await mfaService.confirmTotp(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Replace the TOTP secret (password required)
+ * Calls mfaService.reenrollTotp with schema from request
+ */
+const reenrollTotp = async (req, res, next) => {
+   try {
+      const result = await mfaService.reenrollTotp(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Disable TOTP (password required)
+ * Calls mfaService.disableTotp with schema from request
+ */
+const disableTotp = async (req, res, next) => {
+   try {
+      const result = await mfaService.disableTotp(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Replace the MFA recovery codes (password required)
+ * Calls mfaService.regenerateRecoveryCodes with schema from request
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+   try {
+      const result = await mfaService.regenerateRecoveryCodes(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+// --- passkeys (WebAuthn) ---
+
+/**
+ * @description Options for registering a passkey (navigator.credentials.create)
+ * Calls webauthnService.getRegistrationOptions with schema from request
+ */
+const getPasskeyRegistrationOptions = async (req, res, next) => {
+   try {
+      const result = await webauthnService.getRegistrationOptions(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Store the passkey created by the browser
+ * Calls webauthnService.verifyRegistration with schema from request
+ */
+const verifyPasskeyRegistration = async (req, res, next) => {
+   try {
+      const result = await webauthnService.verifyRegistration(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description List the passkeys of the current user
+ * Calls webauthnService.listCredentials with schema from request
+ */
+const getPasskeys = async (req, res, next) => {
+   try {
+      const result = await webauthnService.listCredentials(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Remove a passkey of the current user
+ * Calls webauthnService.deleteCredential with schema from request
+ */
+const deletePasskey = async (req, res, next) => {
+   try {
+      const result = await webauthnService.deleteCredential(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Options for a passkey login (navigator.credentials.get)
+ * Calls webauthnService.getAuthenticationOptions with schema from request
+ */
+const getPasskeyLoginOptions = async (req, res, next) => {
+   try {
+      const result = await webauthnService.getAuthenticationOptions(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Passwordless login with a passkey assertion
+ * Calls authService.loginWithPasskey with schema from request
+ */
+const loginWithPasskey = async (req, res, next) => {
+   try {
+      const result = await authService.loginWithPasskey(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Pending OAuth authorization request waiting for the user's consent
+ * Calls oauthService.getConsentRequest
+ */
+const getConsentRequest = async (req, res, next) => {
+   try {
+      const result = await oauthService.getConsentRequest(req);
+      res.status(200).json(createSuccessResponse("Consent request retrieved successfully", result));
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Approve or deny the pending OAuth authorization request
+ * Calls oauthService.submitConsent - data.redirectUrl leads back to the client
+ */
+const submitConsent = async (req, res, next) => {
+   try {
+      const result = await oauthService.submitConsent(req);
+      res.status(200).json(createSuccessResponse("Consent answered", result));
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Client servers the current user granted access
+ * Calls consentService.listConsents
+ */
+const getConsents = async (req, res, next) => {
+   try {
+      const result = await consentService.listConsents(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Withdraw the consent for one client server
+ * Calls consentService.withdrawConsent
+ */
+const withdrawConsent = async (req, res, next) => {
+   try {
+      const result = await consentService.withdrawConsent(req);
+      res.status(200).json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
 // --- export ---
-export { register, login, logout, getCurrentUser, getSessions, getSession };
+export {
+   register,
+   login,
+   logout,
+   getCurrentUser,
+   getSessions,
+   getSession,
+   revokeSession,
+   revokeOtherSessions,
+   getConsentRequest,
+   submitConsent,
+   getConsents,
+   withdrawConsent,
+   forgotPassword,
+   resetPassword,
+   verifyEmail,
+   resendVerificationEmail,
+   verifyMfa,
+   getMfaStatus,
+   enrollTotp,
+   confirmTotp,
+   reenrollTotp,
+   disableTotp,
+   regenerateRecoveryCodes,
+   getPasskeyRegistrationOptions,
+   verifyPasskeyRegistration,
+   getPasskeys,
+   deletePasskey,
+   getPasskeyLoginOptions,
+   loginWithPasskey,
+};
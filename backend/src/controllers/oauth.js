@@ -0,0 +1,139 @@
+// --- services ---
+import * as oauthService from "../services/oauthService.js";
+import * as signingKeyService from "../services/signingKeyService.js";
+
+// --- controller ---
+/**
+ * OAuth controller
+ *   - authorization code flow: authorize, resumeAuthorization
+ *   - client server endpoints: exchangeToken, introspectToken, revokeToken
+ *   - OpenID Connect: getUserInfo, getJwks, getDiscoveryDocument
+ *
+ * token, introspection, revocation and userinfo answers carry credentials
+ * and are never cached (RFC 6749 section 5.1), the key set and the discovery
+ * document are public and cached for 5 minutes
+ */
+
+const NO_STORE = { "Cache-Control": "no-store", Pragma: "no-cache" };
+const PUBLIC_CACHE = "public, max-age=300";
+
+/**
+ * @description Start an authorization request
+ * Calls oauthService.authorize - redirects to the login page or back to the client
+ */
+const authorize = async (req, res, next) => {
+   try {
+      const { redirectUrl } = await oauthService.authorize(req);
+      res.redirect(redirectUrl);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Finish the pending authorization request after the login
+ * Calls oauthService.resumeAuthorization
+ */
+const resumeAuthorization = async (req, res, next) => {
+   try {
+      const { redirectUrl } = await oauthService.resumeAuthorization(req);
+      res.redirect(redirectUrl);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Exchange an authorization code, a refresh token or client credentials for tokens
+ * Calls oauthService.exchangeToken
+ */
+const exchangeToken = async (req, res, next) => {
+   try {
+      const result = await oauthService.exchangeToken(req);
+      res.set(NO_STORE);
+      res.json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description State and claims of a token issued to the client (RFC 7662)
+ * Calls oauthService.introspectToken
+ */
+const introspectToken = async (req, res, next) => {
+   try {
+      const result = await oauthService.introspectToken(req);
+      res.set(NO_STORE);
+      res.json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Revoke a token issued to the client (RFC 7009)
+ * Calls oauthService.revokeToken - 200 with an empty body, also for unknown tokens
+ */
+const revokeToken = async (req, res, next) => {
+   try {
+      await oauthService.revokeToken(req);
+      res.set(NO_STORE);
+      res.status(200).end();
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Claims of the access token's user
+ * Calls oauthService.getUserInfo
+ */
+const getUserInfo = async (req, res, next) => {
+   try {
+      const result = await oauthService.getUserInfo(req);
+      res.set(NO_STORE);
+      res.json(result);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description Public keys of the token signatures
+ * Calls signingKeyService.getJwks
+ */
+const getJwks = async (req, res, next) => {
+   try {
+      const jwks = await signingKeyService.getJwks();
+      res.set("Cache-Control", PUBLIC_CACHE);
+      res.json(jwks);
+   } catch (error) {
+      next(error);
+   }
+};
+
+/**
+ * @description OpenID Connect discovery document
+ * Calls oauthService.getDiscoveryDocument
+ */
+const getDiscoveryDocument = (req, res, next) => {
+   try {
+      res.set("Cache-Control", PUBLIC_CACHE);
+      res.json(oauthService.getDiscoveryDocument());
+   } catch (error) {
+      next(error);
+   }
+};
+
+// --- export ---
+export {
+   authorize,
+   resumeAuthorization,
+   exchangeToken,
+   introspectToken,
+   revokeToken,
+   getUserInfo,
+   getJwks,
+   getDiscoveryDocument,
+};
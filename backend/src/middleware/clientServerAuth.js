@@ -1,9 +1,10 @@
 import { AuthError } from "./errorHandler.js";
 import { verifyApiToken } from "../services/clientServerService.js";
+import { isAllowedReturnUrl } from "../../../shared/urlMatching.js";
 
 /**
  * Middleware to authenticate client server API requests
- * Verifies API token and sets client context
+ * Verifies API token (signature, expiry, revocation list) and sets client context
  */
 export const authenticateClientServer = async (req, res, next) => {
    try {
@@ -15,11 +16,12 @@ export const authenticateClientServer = async (req, res, next) => {
 
       const token = authHeader.substring(7); // Remove "Bearer " prefix
 
-      // Verify token and get client information
+      // Verify token and get client information (revoked tokens are refused)
       const clientInfo = await verifyApiToken(token);
 
       // Set client context in request
       req.isClientServer = true;
+      req.clientContext = clientInfo;
 
       next();
    } catch (error) {
@@ -35,10 +37,11 @@ export const validateReturnUrl = (req, res, next) => {
       const { return_url } = req.query;
       const { allowed_return_urls } = req.clientContext;
 
-      if (
-         return_url &&
-         !allowed_return_urls.some((url) => return_url.startsWith(url))
-      ) {
+      if (return_url && !isAllowedReturnUrl(return_url, allowed_return_urls)) {
+         console.warn("⚠️ Return URL rejected:", {
+            client_id: req.clientContext.client_id,
+            return_url,
+         });
          throw new AuthError("Return URL not allowed for this client");
       }
 
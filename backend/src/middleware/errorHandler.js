@@ -17,18 +17,85 @@ export function errorHandler(err, req, res, next) {
     });
   }
 
+  // OAuth endpoints answer in the RFC 6749 format, never cached
+  if (err.name === "OAuthError") {
+    res.set({ "Cache-Control": "no-store", Pragma: "no-cache" });
+    // invalid_token / insufficient_scope: bearer token of a resource request (RFC 6750), otherwise client authentication
+    if (err.error === "invalid_token" || err.error === "insufficient_scope") {
+      res.set("WWW-Authenticate", `Bearer error="${err.error}"`);
+    } else if (err.statusCode === 401) {
+      res.set("WWW-Authenticate", 'Basic realm="oauth"');
+    }
+    return res.status(status).json({
+      error: err.error,
+      ...(err.message && { error_description: err.message }),
+    });
+  }
+
+  // Locked (brute-force protection) - tell the client when to try again
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+  }
+
   // Standard error response
+  // - code lets clients tell apart errors sharing a status (fx. EMAIL_NOT_VERIFIED)
   return res.status(status).json({
     message,
+    ...(err.code && { code: err.code }),
+    ...(err.retryAfter && { retryAfter: err.retryAfter }),
   });
 }
 
 // Custom error class for authentication errors
 export class AuthError extends Error {
-  constructor(message = "Authentication required") {
+  constructor(message = "Authentication required", code = null) {
     super(message);
     this.name = "AuthError";
     this.statusCode = 401;
+    this.code = code;
+  }
+}
+
+// Custom error class for requests that can not be served as sent (fx. an unknown client_id)
+export class BadRequestError extends Error {
+  constructor(message = "Bad request", code = null) {
+    super(message);
+    this.name = "BadRequestError";
+    this.statusCode = 400;
+    this.code = code;
+  }
+}
+
+// Custom error class for authenticated but refused requests
+export class ForbiddenError extends Error {
+  constructor(message = "Forbidden", code = null) {
+    super(message);
+    this.name = "ForbiddenError";
+    this.statusCode = 403;
+    this.code = code;
+  }
+}
+
+// Custom error class for refused logins after too many failures
+// - retryAfter: seconds until the next attempt is accepted
+export class LockedError extends Error {
+  constructor(message = "Too many failed attempts", code = null, retryAfter = null) {
+    super(message);
+    this.name = "LockedError";
+    this.statusCode = 423;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Custom error class for OAuth 2.0 protocol errors (RFC 6749 section 5.2)
+// - error: invalid_request, invalid_client, invalid_grant, unsupported_grant_type, ...
+export class OAuthError extends Error {
+  constructor(error = "invalid_request", description = "", statusCode = 400) {
+    super(description);
+    this.name = "OAuthError";
+    this.statusCode = statusCode;
+    this.error = error;
   }
 }
 
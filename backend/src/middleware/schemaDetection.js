@@ -1,8 +1,14 @@
-import { verifyApiToken } from "../services/clientServerService.js";
+import {
+   verifyApiToken,
+   getClientServerByClientId,
+} from "../services/clientServerService.js";
+import { BadRequestError } from "./errorHandler.js";
 import * as clientServersRepo from "../repo/repositories/clientServersRepository.js";
-import config from "../utils/config.js";
 import getPool from "../repo/connection/pools/auth.js";
 import getPoolForSchema from "../repo/connection/pools/clientServers.js";
+import { isAllowedReturnUrl } from "../../../shared/urlMatching.js";
+import { findClientByReturnUrl } from "../services/clientRedirectUriService.js";
+import { getSessionSchema } from "../utils/authUtils.js";
 
 /**
  * Enhanced middleware to detect and set database schema + pool context in session
@@ -13,11 +19,14 @@ import getPoolForSchema from "../repo/connection/pools/clientServers.js";
  * 3. user - Tenant user (end-users of client applications)
  *
  * Pool Context Mapping:
- * 1. Frontend-Login-Proxy mode (return_url) → CLIENT_TENANT pool (tenant users)
+ * 1. Frontend-Login-Proxy mode (client_id / return_url) → CLIENT_TENANT pool
+ *    (tenant users), selected per request, in the session after the login
  * 2. API-Auth-Server mode (Bearer token) → API_CLIENT pool (server-to-server)
  * 3. Owner mode (user owns client_servers) → AUTH_INTERNAL pool (client management)
  * 4. Admin mode (system admin) → AUTH_INTERNAL pool (system management)
- * 5. Default mode → DEFAULT pool (fallback)
+ *
+ * there is no default tenant: a request without one of these has no schema,
+ * tenant lookups refuse it (NO_TENANT, INVALID_CLIENT)
  */
 
 /**
@@ -27,7 +36,6 @@ export const POOL_CONTEXTS = {
    AUTH_INTERNAL: "auth_internal", // For admin/client owners
    CLIENT_TENANT: "client_tenant", // For tenant users
    API_CLIENT: "api_client", // For API clients
-   DEFAULT: "default", // For default/fallback
 };
 
 /**
@@ -45,24 +53,14 @@ export const USER_ROLES = {
  * @returns {Object} Database pool
  */
 export const resolvePoolFromSession = async (req) => {
-   const poolContext = req.session?.poolContext || POOL_CONTEXTS.DEFAULT;
-   const schema =
-      req.session?.schema || process.env.SEED_SCHEMA || "client_template";
-
-   switch (poolContext) {
+   switch (req.session?.poolContext) {
       // admin or owner
       case POOL_CONTEXTS.AUTH_INTERNAL:
          return await getPool();
 
       // user (tenant) - call from 1) frontend redirect or 2) api server-server
-      case POOL_CONTEXTS.CLIENT_TENANT:
-      case POOL_CONTEXTS.API_CLIENT:
-         return await getPoolForSchema(schema); // Tenant-specific pool
-
-      // default
-      case POOL_CONTEXTS.DEFAULT:
       default:
-         return await getPoolForSchema(schema); // Default tenant pool
+         return await getPoolForSchema(getSessionSchema(req)); // Tenant-specific pool
    }
 };
 
@@ -71,7 +69,7 @@ export const resolvePoolFromSession = async (req) => {
  * @param {string} context - Pool context type
  * @param {Object} metadata - Additional context metadata
  */
-const setPoolContext = (req, context, schema, metadata = {}) => {
+export const setPoolContext = (req, context, schema, metadata = {}) => {
    /**
     * req:
     *  {
@@ -88,148 +86,104 @@ const setPoolContext = (req, context, schema, metadata = {}) => {
 };
 
 /**
- * Detect schema from return_url parameter for Frontend-Login-Proxy mode
- * Sets CLIENT_TENANT pool context (for tenant users)
+ * Set the tenant a login selected as the session's (after authentication)
+ * @param {Object} tenant - req.selectedTenant: { poolContext, schema, metadata }
  */
-export const detectSchemaFromReturnUrl = async (req, res, next) => {
-   try {
-      console.log(
-         "🔍 [SCHEMA DETECTION] Starting schema detection from return URL"
-      );
-      console.log("🔍 [SCHEMA DETECTION] req.method:", req.method);
-      console.log("🔍 [SCHEMA DETECTION] req.url:", req.url);
-      console.log(
-         "🔍 [SCHEMA DETECTION] req.body:",
-         JSON.stringify(req.body, null, 2)
-      );
-      console.log(
-         "🔍 [SCHEMA DETECTION] req.query:",
-         JSON.stringify(req.query, null, 2)
-      );
-
-      const returnUrl = req.body?.returnUrl;
-      console.log(
-         "🔍 [SCHEMA DETECTION] Extracted returnUrl from req.body:",
-         returnUrl
-      );
-
-      if (returnUrl !== null && returnUrl !== undefined) {
-         console.log(
-            "🔍 [SCHEMA DETECTION] Return URL found, proceeding with client lookup"
-         );
-
-         const authInternalPool = await getPool();
-         console.log("🔍 [SCHEMA DETECTION] Got auth internal pool");
-
-         // Get all client servers and find matching one
-         const { rows: clientServers } = await authInternalPool.query(
-            "SELECT * FROM auth_internal.client_servers UNION ALL SELECT * FROM public.client_servers"
-         );
-
-         console.log(
-            "🔍 [SCHEMA DETECTION] Found client servers:",
-            clientServers.length,
-            clientServers.map((c) => ({
-               client_id: c.client_id,
-               app_name: c.app_name,
-               assigned_schema_name: c.assigned_schema_name,
-               allowed_return_urls: c.allowed_return_urls,
-            }))
-         );
+export const setSessionTenant = (req, tenant) => {
+   setPoolContext(req, tenant.poolContext, tenant.schema, tenant.metadata);
+};
 
-         const matchingClient = clientServers.find((client) => {
-            console.log(
-               "🔍 [SCHEMA DETECTION] Checking client:",
-               client.client_id,
-               "app_name:",
-               client.app_name,
-               "allowed_return_urls:",
-               client.allowed_return_urls,
-               "type:",
-               typeof client.allowed_return_urls
+/**
+ * Explicit client selection for login, register, password reset and email
+ * verification (route middleware)
+ * - client_id: body field (API) or query param, the hosted login page and
+ *   the mailed links send the one of their ?client_id=
+ * - the returnUrl is only checked against that client's allowed_return_urls
+ * - fails closed: an unknown client_id or a returnUrl the client does not
+ *   allow is a 400, the request never falls back to the default schema
+ * - returnUrl without client_id (older client servers): it has to match a
+ *   client server, otherwise the same 400
+ * - neither: 400 INVALID_CLIENT - the tenant of an earlier request (the
+ *   session's) is never reused, /oauth/authorize sends the login page its
+ *   client_id
+ * - API token requests: the token names the client, client_id has to agree
+ * - only the request is changed: req.schema (getSelectedSchema) and
+ *   req.selectedTenant (getSelectedTenant), the session gets the tenant once
+ *   the login succeeded (setSessionTenant)
+ */
+export const selectClientTenant = async (req, res, next) => {
+   try {
+      const clientId = req.body?.client_id ?? req.query?.client_id ?? null;
+      const returnUrl = req.body?.returnUrl ?? req.query?.return_url ?? null;
+
+      if (req.clientContext) {
+         if (clientId !== null && clientId !== req.clientContext.client_id) {
+            throw new BadRequestError(
+               "client_id does not match the API token",
+               "CLIENT_MISMATCH"
             );
-
-            const isMatch = client.allowed_return_urls.some((allowedUrl) => {
-               console.log(
-                  "🔍 [SCHEMA DETECTION] Checking allowedUrl:",
-                  allowedUrl,
-                  "type:",
-                  typeof allowedUrl,
-                  "against returnUrl:",
-                  returnUrl
-               );
-
-               const matches =
-                  allowedUrl && returnUrl && returnUrl.startsWith(allowedUrl);
-               console.log("🔍 [SCHEMA DETECTION] URL match result:", matches);
-               return matches;
-            });
-
-            console.log("🔍 [SCHEMA DETECTION] Client match result:", isMatch);
-            return isMatch;
+         }
+         if (
+            returnUrl !== null &&
+            !isAllowedReturnUrl(returnUrl, req.clientContext.allowed_return_urls)
+         ) {
+            throw returnUrlNotAllowed(req, returnUrl, req.clientContext.client_id);
+         }
+         selectTenant(req, POOL_CONTEXTS.API_CLIENT, req.clientContext.schema, {
+            ...getApiClientMetadata(req.clientContext),
+            return_url: returnUrl,
          });
+         return next();
+      }
 
-         if (matchingClient) {
-            console.log("🔍 [SCHEMA DETECTION] ✅ Found matching client:", {
-               client_id: matchingClient.client_id,
-               app_name: matchingClient.app_name,
-               schema: matchingClient.assigned_schema_name,
-               client_mode: matchingClient.client_mode,
+      if (clientId !== null) {
+         const clientServer =
+            typeof clientId === "string"
+               ? await getClientServerByClientId(clientId)
+               : null;
+         if (!clientServer) {
+            console.warn("🔍 [SCHEMA DETECTION] ⚠️ Unknown client_id:", {
+               clientId,
+               ip: req.ip,
             });
+            throw new BadRequestError("Unknown client_id", "UNKNOWN_CLIENT");
+         }
 
-            // Set CLIENT_TENANT context - this is a tenant user, not admin/owner
-            setPoolContext(
-               req,
-               POOL_CONTEXTS.CLIENT_TENANT,
-               matchingClient.assigned_schema_name,
-               {
-                  client_id: matchingClient.client_id,
-                  app_name: matchingClient.app_name,
-                  client_mode: matchingClient.client_mode,
-                  return_url: returnUrl,
-                  allowed_return_urls: matchingClient.allowed_return_urls,
-                  user_role: USER_ROLES.USER,
-               }
-            );
-
-            console.log("🔍 [SCHEMA DETECTION] ✅ Set pool context:", {
-               poolContext: POOL_CONTEXTS.CLIENT_TENANT,
-               schema: matchingClient.assigned_schema_name,
-               metadata: {
-                  client_id: matchingClient.client_id,
-                  app_name: matchingClient.app_name,
-                  return_url: returnUrl,
-               },
-            });
-         } else {
-            console.log(
-               "🔍 [SCHEMA DETECTION] ❌ No matching client found for returnUrl:",
-               returnUrl
-            );
-            console.log(
-               "🔍 [SCHEMA DETECTION] Available clients:",
-               clientServers.map((c) => ({
-                  client_id: c.client_id,
-                  allowed_urls: c.allowed_return_urls,
-               }))
-            );
+         if (
+            returnUrl !== null &&
+            !isAllowedReturnUrl(returnUrl, clientServer.allowed_return_urls)
+         ) {
+            throw returnUrlNotAllowed(req, returnUrl, clientId);
          }
-      } else {
-         console.log(
-            "🔍 [SCHEMA DETECTION] No return URL found in request body, skipping client lookup"
+
+         selectClientServer(req, clientServer, returnUrl);
+         return next();
+      }
+
+      if (returnUrl === null) {
+         console.warn("🔍 [SCHEMA DETECTION] ⚠️ No client selected:", {
+            url: req.originalUrl,
+            ip: req.ip,
+         });
+         throw new BadRequestError(
+            "No client selected, pass client_id",
+            "INVALID_CLIENT"
          );
       }
 
+      const match = await findClientByReturnUrl(returnUrl);
+      if (!match) {
+         throw returnUrlNotAllowed(req, returnUrl, null);
+      }
+
       console.log(
-         "🔍 [SCHEMA DETECTION] Schema detection completed, calling next()"
+         "🔍 [SCHEMA DETECTION] ⚠️ Client selected by returnUrl, client_id is preferred:",
+         match.clientServer.client_id
       );
+      selectClientServer(req, match.clientServer, returnUrl);
       next();
    } catch (error) {
-      console.error(
-         "❌ [SCHEMA DETECTION] Error detecting schema from return_url:",
-         error
-      );
-      next();
+      next(error);
    }
 };
 
@@ -248,17 +202,16 @@ export const detectSchemaFromApiToken = async (req, res, next) => {
             const clientInfo = await verifyApiToken(token);
 
             // Set API_CLIENT context - this is a server-to-server API call
-            setPoolContext(req, POOL_CONTEXTS.API_CLIENT, clientInfo.schema, {
-               client_id: clientInfo.client_id,
-               app_name: clientInfo.app_name,
-               allowed_return_urls: clientInfo.allowed_return_urls,
-               token_type: "api_token",
-               user_role: "api_client",
-            });
+            setPoolContext(
+               req,
+               POOL_CONTEXTS.API_CLIENT,
+               clientInfo.schema,
+               getApiClientMetadata(clientInfo)
+            );
 
             req.clientContext = clientInfo; // Backward compatibility
          } catch (tokenError) {
-            console.log("⚠️ Invalid API token, using default schema");
+            console.log("⚠️ Invalid API token, no client context set");
          }
       }
 
@@ -305,19 +258,8 @@ export const detectUserRole = async (req, res, next) => {
                user_role: USER_ROLES.OWNER,
                owned_clients: userClients[0].client_count,
             });
-         } else {
-            // Regular user - will use default tenant pool
-            setPoolContext(
-               req,
-               POOL_CONTEXTS.DEFAULT,
-               process.env.SEED_SCHEMA || "client_template",
-               {
-                  user_id: req.session.userId,
-                  user_role: USER_ROLES.USER,
-                  reason: "regular_user",
-               }
-            );
          }
+         // Regular user - no tenant to guess, tenant lookups refuse the request
       }
 
       next();
@@ -327,27 +269,6 @@ export const detectUserRole = async (req, res, next) => {
    }
 };
 
-/**
- * Set default schema and pool context if none detected
- */
-export const setDefaultSchema = (req, res, next) => {
-   // If no pool context set yet, use default
-   if (!req.session?.poolContext) {
-      const defaultSchema = process.env.SEED_SCHEMA || "client_template";
-
-      setPoolContext(req, POOL_CONTEXTS.DEFAULT, defaultSchema, {
-         fallback: true,
-         reason: "no_specific_context",
-         user_role: USER_ROLES.USER,
-      });
-   } else if (req.session.schema && !req.schema) {
-      // Ensure req.schema is set from session
-      req.schema = req.session.schema;
-   }
-
-   next();
-};
-
 /**
  * Combined middleware that tries all detection methods in priority order
  */
@@ -356,34 +277,28 @@ export const detectSchema = async (req, res, next) => {
       // 1. Try API token first (highest priority - server-to-server)
       await detectSchemaFromApiToken(req, res, () => {});
 
-      // 2. If no API context, try return_url (frontend proxy mode - tenant users)
-      if (!req.session?.poolContext) {
-         await detectSchemaFromReturnUrl(req, res, () => {});
-      }
+      // 2. tenant users select their client per request (selectClientTenant),
+      //    the session only gets it with the login
 
       // 3. If no specific context, detect user role (admin/owner/user)
       if (!req.session?.poolContext) {
          await detectUserRole(req, res, () => {});
       }
 
-      // 4. Set default if still no context
-      setDefaultSchema(req, res, next);
+      // no default tenant when nothing matched
+      next();
    } catch (error) {
       console.error("❌ Error in schema detection:", error);
-      setDefaultSchema(req, res, next);
+      next();
    }
 };
 
 /**
- * Get schema from request (session or API context)
+ * Get schema from request (API context or session)
+ * @throws {AuthError} NO_TENANT if neither selected one
  */
 export const getSchemaFromRequest = (req) => {
-   return (
-      req.schema ||
-      req.session?.schema ||
-      process.env.SEED_SCHEMA ||
-      "client_template"
-   );
+   return req.schema || getSessionSchema(req);
 };
 
 /**
@@ -438,14 +353,58 @@ export const logPoolContext = (req, res, next) => {
    next();
 };
 
+// ---- helper functions ----
+
+// this request's tenant only - the session is written after the login (setSessionTenant)
+function selectTenant(req, poolContext, schema, metadata) {
+   req.schema = schema;
+   req.selectedTenant = { poolContext, schema, metadata };
+}
+
+function selectClientServer(req, clientServer, returnUrl) {
+   selectTenant(req, POOL_CONTEXTS.CLIENT_TENANT, clientServer.assigned_schema_name, {
+      client_id: clientServer.client_id,
+      app_name: clientServer.app_name,
+      client_mode: clientServer.client_mode,
+      return_url: returnUrl,
+      allowed_return_urls: clientServer.allowed_return_urls,
+      user_role: USER_ROLES.USER,
+   });
+}
+
+function getApiClientMetadata(clientInfo) {
+   return {
+      client_id: clientInfo.client_id,
+      app_name: clientInfo.app_name,
+      allowed_return_urls: clientInfo.allowed_return_urls,
+      token_type: "api_token",
+      user_role: "api_client",
+   };
+}
+
+function returnUrlNotAllowed(req, returnUrl, clientId) {
+   console.warn("🔍 [SCHEMA DETECTION] ⚠️ Return URL rejected:", {
+      returnUrl,
+      clientId,
+      ip: req.ip,
+   });
+   return new BadRequestError(
+      clientId
+         ? "returnUrl is not allowed for this client"
+         : "returnUrl does not belong to a registered client, pass client_id",
+      "RETURN_URL_NOT_ALLOWED"
+   );
+}
+
 export default {
-   detectSchemaFromReturnUrl,
+   selectClientTenant,
+   setSessionTenant,
    detectSchemaFromApiToken,
    detectUserRole,
-   setDefaultSchema,
    detectSchema,
    getSchemaFromRequest,
    resolvePoolFromSession,
+   setPoolContext,
    getPoolContextInfo,
    logPoolContext,
    getUserRole,
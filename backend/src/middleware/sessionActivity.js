@@ -0,0 +1,18 @@
+import { touchCurrentSession } from "../services/sessionService.js";
+
+/**
+ * @description middleware to keep the device session of a logged-in user current
+ * - updates last_seen_at and expires_at of the user's sessions row (throttled)
+ * - never fails the request, a failed update is only logged
+ */
+export async function trackSessionActivity(req, res, next) {
+   try {
+      await touchCurrentSession(req);
+   } catch (error) {
+      console.error("💻 [SESSION ACTIVITY] ❌ Updating last seen failed:", error.message);
+   }
+
+   next();
+}
+
+export default trackSessionActivity;
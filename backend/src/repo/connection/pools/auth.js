@@ -4,10 +4,14 @@
  * schema for orchestration of client servers
  *
  * - client_servers table
+ * - client_secrets table (references client_servers)
+ * - client_redirect_uris table (references client_servers)
  */
 import { Pool } from "pg";
 import config from "../../../utils/config.js";
 import { ddl } from "../../schemas/auth_internal/client_servers.js";
+import { ddl as clientSecretsDdl } from "../../schemas/auth_internal/client_secrets.js";
+import { ddl as clientRedirectUrisDdl } from "../../schemas/auth_internal/client_redirect_uris.js";
 
 // cache
 let pool;
@@ -23,7 +27,7 @@ const getPool = async () => {
 };
 
 async function initSchema() {
-   const statements = ddl();
+   const statements = [...ddl(), ...clientSecretsDdl(), ...clientRedirectUrisDdl()];
    for (const stmt of statements) {
       await pool.query(stmt);
    }
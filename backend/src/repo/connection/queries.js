@@ -2,8 +2,8 @@
 
 // Client Servers
 export const createClientServer = `
-  INSERT INTO client_servers (client_id, client_secret_hash, app_name, assigned_schema_name, allowed_return_urls, user_id, client_mode)
-  VALUES ($1, $2, $3, $4, $5, $6, $7)
+  INSERT INTO client_servers (client_id, client_secret_hash, app_name, assigned_schema_name, allowed_return_urls, user_id, client_mode, allowed_origins, public_client)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, '{}'), COALESCE($9, FALSE))
   RETURNING *;
 `;
 
@@ -11,6 +11,10 @@ export const getClientServer = `
   SELECT * FROM client_servers WHERE client_id = $1;
 `;
 
+export const getClientServerBySchemaName = `
+  SELECT * FROM client_servers WHERE assigned_schema_name = $1;
+`;
+
 export const getClientServerByClientSecretHash = `
   SELECT * FROM client_servers WHERE client_secret_hash = $1;
 `;
@@ -24,6 +28,11 @@ export const deleteClientServer = `
   DELETE FROM client_servers WHERE client_id = $1;
 `;
 
+// CORS allow-list (corsService)
+export const getClientServerOrigins = `
+  SELECT client_id, allowed_return_urls, allowed_origins FROM auth_internal.client_servers;
+`;
+
 // User-specific client server queries
 export const getClientServersByUserId = `
   SELECT * FROM client_servers WHERE user_id = $1 ORDER BY created_at DESC;
@@ -53,19 +62,49 @@ export const updateUser = `
   UPDATE users SET name = $1, role = $2, email = $3, password_hash = $4, updated_at = NOW()
   WHERE id = $5::uuid RETURNING *;
 `;
+export const updateUserPassword = `
+  UPDATE users SET password_hash = $1, updated_at = NOW()
+  WHERE id = $2::uuid RETURNING *;
+`;
+// keeps the first verification time if the user is already verified
+export const markUserEmailVerified = `
+  UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+  WHERE id = $1::uuid RETURNING *;
+`;
 export const deleteUser = `DELETE FROM users WHERE id = $1::uuid;`;
 
 // Sessions
 export const createSession = `
-  INSERT INTO sessions (id, user_id, session_id, ip_address, user_agent, expires_at)
-  VALUES ($1::uuid, $2::uuid, $3::uuid, $4, $5, $6)
+  INSERT INTO sessions (id, user_id, session_id, express_sid, ip_address, user_agent, device_type, browser, os, expires_at)
+  VALUES ($1::uuid, $2::uuid, $3::uuid, $4, $5, $6, $7, $8, $9, $10)
   RETURNING *;
 `;
 export const getSessions = `SELECT * FROM sessions;`;
 export const getSession = `SELECT * FROM sessions WHERE session_id = $1::uuid;`;
 export const getSessionByUserId = `SELECT * FROM sessions WHERE user_id = $1::uuid;`;
-export const deleteSessionByUserId = `DELETE FROM sessions WHERE user_id = $1::uuid;`;
+export const deleteSessionByUserId = `DELETE FROM sessions WHERE user_id = $1::uuid RETURNING *;`;
 export const deleteSessionBySessionId = `DELETE FROM sessions WHERE session_id = $1::uuid;`;
+export const deleteSessionById = `DELETE FROM sessions WHERE id = $1::uuid RETURNING *;`;
+export const getActiveSessionsByUserId = `
+  SELECT * FROM sessions
+  WHERE user_id = $1::uuid AND (expires_at IS NULL OR expires_at > NOW())
+  ORDER BY last_seen_at DESC;
+`;
+export const deleteUserSession = `DELETE FROM sessions WHERE id = $1::uuid AND user_id = $2::uuid RETURNING *;`;
+// all active sessions of a tenant, optionally of one user ($1 NULL = every user)
+export const getActiveTenantSessions = `
+  SELECT sessions.*, users.email, users.name FROM sessions
+  JOIN users ON users.id = sessions.user_id
+  WHERE (expires_at IS NULL OR expires_at > NOW()) AND ($1::uuid IS NULL OR sessions.user_id = $1::uuid)
+  ORDER BY last_seen_at DESC;
+`;
+export const deleteAllSessions = `DELETE FROM sessions RETURNING *;`;
+export const deleteOtherUserSessions = `DELETE FROM sessions WHERE user_id = $1::uuid AND id IS DISTINCT FROM $2::uuid RETURNING *;`;
+// activity of the logged-in device, moves the expiry along with the cookie
+export const touchSession = `
+  UPDATE sessions SET last_seen_at = NOW(), expires_at = $2
+  WHERE id = $1::uuid RETURNING id;
+`;
 
 export const getSessionBySessionId = `
   SELECT * FROM sessions WHERE session_id = $1 AND (expires_at IS NULL OR expires_at > NOW());
@@ -78,3 +117,399 @@ export const deleteSession = `
 export const deleteExpiredSessions = `
   DELETE FROM sessions WHERE expires_at IS NOT NULL AND expires_at <= NOW();
 `;
+
+// Password reset tokens
+export const createPasswordResetToken = `
+  INSERT INTO password_reset_tokens (id, user_id, token_hash, requested_ip, expires_at)
+  VALUES ($1::uuid, $2::uuid, $3, $4, $5)
+  RETURNING *;
+`;
+// single-use: only an unused, unexpired token is consumed
+export const consumePasswordResetToken = `
+  UPDATE password_reset_tokens SET used_at = NOW()
+  WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+  RETURNING *;
+`;
+export const invalidatePasswordResetTokensByUserId = `
+  UPDATE password_reset_tokens SET used_at = NOW()
+  WHERE user_id = $1::uuid AND used_at IS NULL;
+`;
+export const deleteExpiredPasswordResetTokens = `
+  DELETE FROM password_reset_tokens WHERE expires_at <= NOW() OR used_at IS NOT NULL;
+`;
+
+// Email verification tokens
+export const createEmailVerificationToken = `
+  INSERT INTO email_verification_tokens (id, user_id, token_hash, email, expires_at)
+  VALUES ($1::uuid, $2::uuid, $3, $4, $5)
+  RETURNING *;
+`;
+// single-use: only an unused, unexpired token is consumed
+export const consumeEmailVerificationToken = `
+  UPDATE email_verification_tokens SET used_at = NOW()
+  WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+  RETURNING *;
+`;
+export const invalidateEmailVerificationTokensByUserId = `
+  UPDATE email_verification_tokens SET used_at = NOW()
+  WHERE user_id = $1::uuid AND used_at IS NULL;
+`;
+export const deleteExpiredEmailVerificationTokens = `
+  DELETE FROM email_verification_tokens WHERE expires_at <= NOW() OR used_at IS NOT NULL;
+`;
+
+// TOTP (second factor)
+export const getUserTotp = `SELECT * FROM user_totp WHERE user_id = $1::uuid;`;
+// a new enrollment replaces an unconfirmed one, the active secret stays until confirmed
+export const setPendingUserTotp = `
+  INSERT INTO user_totp (user_id, pending_secret_encrypted, pending_created_at)
+  VALUES ($1::uuid, $2, NOW())
+  ON CONFLICT (user_id) DO UPDATE
+  SET pending_secret_encrypted = EXCLUDED.pending_secret_encrypted, pending_created_at = NOW(), updated_at = NOW()
+  RETURNING *;
+`;
+export const confirmUserTotp = `
+  UPDATE user_totp
+  SET secret_encrypted = pending_secret_encrypted, enabled_at = NOW(), last_used_step = $2,
+      pending_secret_encrypted = NULL, pending_created_at = NULL, updated_at = NOW()
+  WHERE user_id = $1::uuid AND pending_secret_encrypted IS NOT NULL
+  RETURNING *;
+`;
+// only moves forward, so two requests with the same code cannot both succeed
+export const updateUserTotpLastUsedStep = `
+  UPDATE user_totp SET last_used_step = $2, updated_at = NOW()
+  WHERE user_id = $1::uuid AND (last_used_step IS NULL OR last_used_step < $2)
+  RETURNING *;
+`;
+export const deleteUserTotp = `DELETE FROM user_totp WHERE user_id = $1::uuid;`;
+
+// MFA recovery codes
+// one statement, so the old set is never gone without the new one in place
+export const replaceRecoveryCodes = `
+  WITH deleted AS (DELETE FROM mfa_recovery_codes WHERE user_id = $2::uuid)
+  INSERT INTO mfa_recovery_codes (id, user_id, code_hash)
+  SELECT unnest($1::uuid[]), $2::uuid, unnest($3::text[])
+  RETURNING id;
+`;
+export const consumeRecoveryCode = `
+  UPDATE mfa_recovery_codes SET used_at = NOW()
+  WHERE user_id = $1::uuid AND code_hash = $2 AND used_at IS NULL
+  RETURNING *;
+`;
+export const countRemainingRecoveryCodes = `
+  SELECT COUNT(*)::int AS remaining FROM mfa_recovery_codes
+  WHERE user_id = $1::uuid AND used_at IS NULL;
+`;
+export const deleteRecoveryCodesByUserId = `DELETE FROM mfa_recovery_codes WHERE user_id = $1::uuid;`;
+
+// Passkeys (WebAuthn credentials)
+export const createWebauthnCredential = `
+  INSERT INTO webauthn_credentials (id, user_id, credential_id, public_key, algorithm, sign_count, transports, name, rp_id)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  RETURNING *;
+`;
+export const getWebauthnCredentialsByUserId = `SELECT * FROM webauthn_credentials WHERE user_id = $1::uuid ORDER BY created_at;`;
+export const getWebauthnCredentialByCredentialId = `SELECT * FROM webauthn_credentials WHERE credential_id = $1;`;
+// the counter only moves forward (authenticators without a counter always send 0)
+export const updateWebauthnCredentialSignCount = `
+  UPDATE webauthn_credentials SET sign_count = $2, last_used_at = NOW()
+  WHERE id = $1::uuid AND (sign_count < $2 OR (sign_count = 0 AND $2 = 0))
+  RETURNING *;
+`;
+export const deleteWebauthnCredential = `DELETE FROM webauthn_credentials WHERE id = $1::uuid AND user_id = $2::uuid RETURNING id;`;
+
+// Failed logins (brute-force protection)
+export const getLoginFailures = `
+  SELECT * FROM login_failures
+  WHERE (key_type = 'email' AND key_value = $1) OR (key_type = 'ip' AND key_value = $2);
+`;
+// a failure after the window ($3 minutes) or after an expired lockout starts a new count
+export const recordLoginFailure = `
+  INSERT INTO login_failures (key_type, key_value, failure_count)
+  VALUES ($1, $2, 1)
+  ON CONFLICT (key_type, key_value) DO UPDATE SET
+    failure_count = CASE
+      WHEN login_failures.last_failure_at < NOW() - make_interval(mins => $3::int)
+        OR login_failures.locked_until <= NOW() THEN 1
+      ELSE login_failures.failure_count + 1 END,
+    first_failure_at = CASE
+      WHEN login_failures.last_failure_at < NOW() - make_interval(mins => $3::int)
+        OR login_failures.locked_until <= NOW() THEN NOW()
+      ELSE login_failures.first_failure_at END,
+    locked_until = CASE
+      WHEN login_failures.locked_until <= NOW() THEN NULL
+      ELSE login_failures.locked_until END,
+    last_failure_at = NOW()
+  RETURNING *;
+`;
+export const lockLoginKey = `
+  UPDATE login_failures SET locked_until = NOW() + make_interval(mins => $3::int)
+  WHERE key_type = $1 AND key_value = $2
+  RETURNING *;
+`;
+export const clearLoginFailures = `DELETE FROM login_failures WHERE key_type = $1 AND key_value = $2;`;
+
+// express-session store (auth_internal, qualified: the store is used from every pool)
+export const getStoredSession = `
+  SELECT sess FROM auth_internal.session_store WHERE sid = $1 AND expires_at > NOW();
+`;
+export const setStoredSession = `
+  INSERT INTO auth_internal.session_store (sid, sess, expires_at)
+  VALUES ($1, $2::jsonb, $3)
+  ON CONFLICT (sid) DO UPDATE SET sess = EXCLUDED.sess, expires_at = EXCLUDED.expires_at, updated_at = NOW();
+`;
+export const touchStoredSession = `
+  UPDATE auth_internal.session_store SET expires_at = $2, updated_at = NOW()
+  WHERE sid = $1 AND expires_at > NOW();
+`;
+export const destroyStoredSession = `DELETE FROM auth_internal.session_store WHERE sid = $1;`;
+export const getStoredSessions = `
+  SELECT sid, sess FROM auth_internal.session_store WHERE expires_at > NOW();
+`;
+export const countStoredSessions = `
+  SELECT COUNT(*)::int AS count FROM auth_internal.session_store WHERE expires_at > NOW();
+`;
+export const clearStoredSessions = `DELETE FROM auth_internal.session_store;`;
+export const pruneStoredSessions = `DELETE FROM auth_internal.session_store WHERE expires_at <= NOW();`;
+
+// OAuth authorization codes
+export const createAuthorizationCode = `
+  INSERT INTO oauth_authorization_codes (id, code_hash, client_id, user_id, redirect_uri, code_challenge, code_challenge_method, scope, nonce, auth_time, expires_at)
+  VALUES ($1::uuid, $2, $3, $4::uuid, $5, $6, $7, $8, $9, $10, $11)
+  RETURNING id, client_id, user_id, expires_at;
+`;
+// single-use: only the first exchange of an unexpired code gets the row
+export const consumeAuthorizationCode = `
+  UPDATE oauth_authorization_codes SET used_at = NOW()
+  WHERE code_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+  RETURNING *;
+`;
+
+// OAuth refresh tokens
+export const createRefreshToken = `
+  INSERT INTO oauth_refresh_tokens (id, token_hash, family_id, client_id, user_id, scope, auth_time, expires_at)
+  VALUES ($1::uuid, $2, $3::uuid, $4, $5::uuid, $6, $7, $8)
+  RETURNING id, family_id, client_id, user_id, expires_at;
+`;
+// rotation: only the first use of an unexpired, unrevoked token gets the row
+export const consumeRefreshToken = `
+  UPDATE oauth_refresh_tokens SET used_at = NOW()
+  WHERE token_hash = $1 AND used_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+  RETURNING *;
+`;
+export const getRefreshTokenByHash = `SELECT * FROM oauth_refresh_tokens WHERE token_hash = $1;`;
+export const revokeRefreshTokenFamily = `
+  UPDATE oauth_refresh_tokens SET revoked_at = NOW()
+  WHERE family_id = $1 AND revoked_at IS NULL
+  RETURNING id;
+`;
+export const revokeUserRefreshTokens = `
+  UPDATE oauth_refresh_tokens SET revoked_at = NOW()
+  WHERE user_id = $1 AND revoked_at IS NULL
+  RETURNING id;
+`;
+export const revokeUserClientRefreshTokens = `
+  UPDATE oauth_refresh_tokens SET revoked_at = NOW()
+  WHERE user_id = $1 AND client_id = $2 AND revoked_at IS NULL
+  RETURNING id;
+`;
+
+// OAuth consents
+export const getConsent = `SELECT * FROM oauth_consents WHERE user_id = $1 AND client_id = $2;`;
+export const getUserConsents = `SELECT * FROM oauth_consents WHERE user_id = $1 ORDER BY updated_at DESC;`;
+// granting more scopes later adds to the remembered ones
+export const grantConsent = `
+  INSERT INTO oauth_consents (id, user_id, client_id, scopes)
+  VALUES ($1::uuid, $2::uuid, $3, $4)
+  ON CONFLICT (user_id, client_id) DO UPDATE
+  SET scopes = ARRAY(SELECT DISTINCT unnest(oauth_consents.scopes || EXCLUDED.scopes)), updated_at = NOW()
+  RETURNING *;
+`;
+export const deleteConsent = `DELETE FROM oauth_consents WHERE user_id = $1 AND client_id = $2 RETURNING *;`;
+
+// Roles and permissions (RBAC, defined per tenant by the owner)
+// roles with their permission names and the number of users holding them
+export const getRoles = `
+  SELECT roles.*,
+    COALESCE(array_agg(permissions.name ORDER BY permissions.name) FILTER (WHERE permissions.name IS NOT NULL), '{}') AS permissions,
+    (SELECT COUNT(*)::int FROM user_roles WHERE user_roles.role_id = roles.id) AS user_count
+  FROM roles
+  LEFT JOIN role_permissions ON role_permissions.role_id = roles.id
+  LEFT JOIN permissions ON permissions.id = role_permissions.permission_id
+  GROUP BY roles.id
+  ORDER BY roles.name;
+`;
+export const getRole = `
+  SELECT roles.*,
+    COALESCE(array_agg(permissions.name ORDER BY permissions.name) FILTER (WHERE permissions.name IS NOT NULL), '{}') AS permissions,
+    (SELECT COUNT(*)::int FROM user_roles WHERE user_roles.role_id = roles.id) AS user_count
+  FROM roles
+  LEFT JOIN role_permissions ON role_permissions.role_id = roles.id
+  LEFT JOIN permissions ON permissions.id = role_permissions.permission_id
+  WHERE roles.id = $1::uuid
+  GROUP BY roles.id;
+`;
+export const createRole = `
+  INSERT INTO roles (id, name, description)
+  VALUES ($1::uuid, $2, $3)
+  RETURNING *;
+`;
+export const updateRole = `
+  UPDATE roles SET name = $2, description = $3, updated_at = NOW()
+  WHERE id = $1::uuid
+  RETURNING *;
+`;
+export const deleteRole = `DELETE FROM roles WHERE id = $1::uuid RETURNING id;`;
+export const deleteRolePermissions = `DELETE FROM role_permissions WHERE role_id = $1::uuid;`;
+export const addRolePermissions = `
+  INSERT INTO role_permissions (role_id, permission_id)
+  SELECT $1::uuid, id FROM permissions WHERE name = ANY($2::text[])
+  ON CONFLICT DO NOTHING;
+`;
+// permissions with the names of the roles granting them
+export const getPermissions = `
+  SELECT permissions.*,
+    COALESCE(array_agg(roles.name ORDER BY roles.name) FILTER (WHERE roles.name IS NOT NULL), '{}') AS roles
+  FROM permissions
+  LEFT JOIN role_permissions ON role_permissions.permission_id = permissions.id
+  LEFT JOIN roles ON roles.id = role_permissions.role_id
+  GROUP BY permissions.id
+  ORDER BY permissions.name;
+`;
+export const createPermission = `
+  INSERT INTO permissions (id, name, description)
+  VALUES ($1::uuid, $2, $3)
+  RETURNING *;
+`;
+export const deletePermission = `DELETE FROM permissions WHERE id = $1::uuid RETURNING id;`;
+export const getUserRoles = `
+  SELECT roles.id, roles.name, roles.description FROM user_roles
+  JOIN roles ON roles.id = user_roles.role_id
+  WHERE user_roles.user_id = $1::uuid
+  ORDER BY roles.name;
+`;
+export const deleteUserRoles = `DELETE FROM user_roles WHERE user_id = $1::uuid;`;
+export const addUserRoles = `
+  INSERT INTO user_roles (user_id, role_id)
+  SELECT $1::uuid, id FROM roles WHERE name = ANY($2::text[])
+  ON CONFLICT DO NOTHING;
+`;
+// role and permission names of a user (token claims), one row also without roles
+export const getUserAuthorization = `
+  SELECT
+    COALESCE(array_agg(DISTINCT roles.name) FILTER (WHERE roles.name IS NOT NULL), '{}') AS roles,
+    COALESCE(array_agg(DISTINCT permissions.name) FILTER (WHERE permissions.name IS NOT NULL), '{}') AS permissions
+  FROM user_roles
+  JOIN roles ON roles.id = user_roles.role_id
+  LEFT JOIN role_permissions ON role_permissions.role_id = roles.id
+  LEFT JOIN permissions ON permissions.id = role_permissions.permission_id
+  WHERE user_roles.user_id = $1::uuid;
+`;
+
+// Signing keys (auth_internal, JWT signatures)
+// - verifiable: the active key and retired keys inside their overlap window
+export const getSigningKeys = `
+  SELECT * FROM auth_internal.signing_keys
+  WHERE verify_until IS NULL OR verify_until > NOW()
+  ORDER BY created_at DESC;
+`;
+export const listSigningKeys = `
+  SELECT kid, alg, created_at, rotated_at, verify_until, rotation_reason
+  FROM auth_internal.signing_keys
+  ORDER BY created_at DESC;
+`;
+// retire the active key (only when created before $7, if given) and insert the new one
+// - nothing is inserted when the active key is still young enough
+// - racing instances: the loser fails on idx_signing_keys_active (unique_violation)
+export const rotateSigningKey = `
+  WITH current AS (
+    SELECT kid, created_at FROM auth_internal.signing_keys WHERE rotated_at IS NULL FOR UPDATE
+  ), retired AS (
+    UPDATE auth_internal.signing_keys k
+    SET rotated_at = NOW(), verify_until = NOW() + make_interval(hours => $5), rotation_reason = $6
+    FROM current
+    WHERE k.kid = current.kid AND ($7::timestamptz IS NULL OR current.created_at <= $7)
+    RETURNING k.kid
+  )
+  INSERT INTO auth_internal.signing_keys (kid, alg, public_jwk, private_key_encrypted)
+  SELECT $1, $2, $3::jsonb, $4
+  WHERE EXISTS (SELECT 1 FROM retired) OR NOT EXISTS (SELECT 1 FROM current)
+  RETURNING kid, alg, created_at;
+`;
+export const deleteExpiredSigningKeys = `
+  DELETE FROM auth_internal.signing_keys
+  WHERE verify_until IS NOT NULL AND verify_until <= NOW()
+  RETURNING kid;
+`;
+
+// Revoked tokens (auth_internal, revocation list of JWTs by jti)
+export const revokeToken = `
+  INSERT INTO auth_internal.revoked_tokens (jti, client_id, token_type, subject, expires_at)
+  VALUES ($1, $2, $3, $4, $5)
+  ON CONFLICT (jti) DO NOTHING
+  RETURNING jti;
+`;
+export const isTokenRevoked = `SELECT 1 FROM auth_internal.revoked_tokens WHERE jti = $1;`;
+export const deleteExpiredRevokedTokens = `
+  DELETE FROM auth_internal.revoked_tokens WHERE expires_at <= NOW() - INTERVAL '1 minute'
+  RETURNING jti;
+`;
+
+// Client secrets (auth_internal, several active secrets per client server)
+export const createClientSecret = `
+  INSERT INTO auth_internal.client_secrets (id, client_id, secret_hash, label, expires_at)
+  VALUES ($1, $2, $3, $4, $5)
+  RETURNING id, client_id, label, created_at, last_used_at, expires_at, revoked_at;
+`;
+export const getClientSecrets = `
+  SELECT id, client_id, label, created_at, last_used_at, expires_at, revoked_at
+  FROM auth_internal.client_secrets
+  WHERE client_id = $1
+  ORDER BY created_at DESC;
+`;
+export const getActiveClientSecrets = `
+  SELECT * FROM auth_internal.client_secrets
+  WHERE client_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+  ORDER BY created_at DESC;
+`;
+export const touchClientSecret = `
+  UPDATE auth_internal.client_secrets SET last_used_at = NOW() WHERE id = $1;
+`;
+export const revokeClientSecret = `
+  UPDATE auth_internal.client_secrets SET revoked_at = NOW()
+  WHERE id = $1 AND client_id = $2 AND revoked_at IS NULL
+  RETURNING id, client_id, label, created_at, last_used_at, expires_at, revoked_at;
+`;
+export const expireClientSecret = `
+  UPDATE auth_internal.client_secrets
+  SET expires_at = LEAST(COALESCE(expires_at, 'infinity'::timestamptz), $3)
+  WHERE id = $1 AND client_id = $2 AND revoked_at IS NULL
+  RETURNING id, client_id, label, created_at, last_used_at, expires_at, revoked_at;
+`;
+
+// Client redirect URIs (auth_internal, allowed_return_urls by origin - schema detection)
+export const getClientRedirectUrisByOrigins = `
+  SELECT r.pattern, r.wildcard, c.client_id, c.app_name, c.assigned_schema_name, c.client_mode, c.allowed_return_urls
+  FROM auth_internal.client_redirect_uris r
+  JOIN auth_internal.client_servers c ON c.client_id = r.client_id
+  WHERE r.origin = ANY($1)
+  ORDER BY c.created_at, c.client_id, r.wildcard, r.exact_path DESC, length(r.path_prefix) DESC;
+`;
+export const getOtherClientRedirectUris = `
+  SELECT r.client_id, r.pattern
+  FROM auth_internal.client_redirect_uris r
+  WHERE r.client_id IS DISTINCT FROM $1 AND (r.origin = ANY($2) OR r.origin LIKE ANY($3));
+`;
+export const deleteClientRedirectUris = `
+  DELETE FROM auth_internal.client_redirect_uris WHERE client_id = $1;
+`;
+export const createClientRedirectUri = `
+  INSERT INTO auth_internal.client_redirect_uris (client_id, pattern, origin, path_prefix, exact_path, wildcard)
+  VALUES ($1, $2, $3, $4, $5, $6)
+  ON CONFLICT (client_id, pattern) DO NOTHING;
+`;
+export const getClientServersWithoutRedirectUris = `
+  SELECT c.client_id, c.allowed_return_urls
+  FROM auth_internal.client_servers c
+  WHERE NOT EXISTS (SELECT 1 FROM auth_internal.client_redirect_uris r WHERE r.client_id = c.client_id);
+`;
@@ -1,11 +1,14 @@
 // Simple DB bootstrap for development / CI
 // Usage:
-//   node src/db/setupDB.js        – ensures default schema & tables
+//   node src/db/setupDB.js        – ensures default schema & tables (incl. the session store, signing keys and revoked tokens)
 //   node src/db/setupDB.js --delete  – drops existing tables first then reseeds
 import config from "../../utils/config.js";
 import seedDB from "../seed/seedDB.js";
 import getPool from "./pools/auth.js";
 import { getPoolForSchema } from "./pools/clientServers.js";
+import { createSessionStoreTable } from "../sessionStore.js";
+import { createSigningKeysTable } from "../../services/signingKeyService.js";
+import { createRevokedTokensTable } from "../../services/tokenRevocationService.js";
 
 const deleteMode = process.argv.includes("--delete");
 
@@ -16,11 +19,23 @@ async function setupDB() {
 
    if (deleteMode) {
       console.log("dropping tables");
+      await pool.query("DROP TABLE IF EXISTS auth_internal.client_secrets;");
+      await pool.query("DROP TABLE IF EXISTS auth_internal.client_redirect_uris;");
       await pool.query("DROP TABLE IF EXISTS client_servers CASCADE;");
+      await pool.query("DROP TABLE IF EXISTS auth_internal.session_store;");
+      await pool.query("DROP TABLE IF EXISTS auth_internal.signing_keys;");
+      await pool.query("DROP TABLE IF EXISTS auth_internal.revoked_tokens;");
       await poolForSchema.query("DROP TABLE IF EXISTS sessions CASCADE;");
       await poolForSchema.query("DROP TABLE IF EXISTS users CASCADE;");
    }
 
+   // express-session store (auth_internal)
+   await createSessionStoreTable(pool);
+   // JWT signing keys (auth_internal), the first key is created on first use
+   await createSigningKeysTable(pool);
+   // revocation list of JWTs (auth_internal)
+   await createRevokedTokensTable(pool);
+
    // getPoolForSchema already (re)creates tables via template
    if (deleteMode) {
       console.log(" seeding");
@@ -0,0 +1,83 @@
+// CRUD operations for the client_redirect_uris table (auth_internal, allowed_return_urls by origin)
+
+import * as queries from "../connection/queries.js";
+
+/**
+ * Redirect URI patterns registered for any of the origins, by client server
+ * (registered first), then most specific first
+ * @param {Object} pool - Pool of the auth_internal database
+ * @param {string[]} origins - scheme://host[:port] and scheme://*.parent[:port]
+ * @returns {Array} [{ pattern, wildcard, client_id, app_name, assigned_schema_name, client_mode, allowed_return_urls }]
+ */
+export const getClientRedirectUrisByOrigins = async (pool, origins) => {
+   const { rows } = await pool.query(queries.getClientRedirectUrisByOrigins, [
+      origins,
+   ]);
+   return rows;
+};
+
+/**
+ * Redirect URI patterns of the other client servers on some origins
+ * @param {Object} pool - Pool of the auth_internal database
+ * @param {string|null} clientId - Client server to leave out (null for a new one)
+ * @param {string[]} origins - Origins compared exactly
+ * @param {string[]} likeOrigins - LIKE patterns of origins (hosts below a wildcard)
+ * @returns {Array} [{ client_id, pattern }]
+ */
+export const getOtherClientRedirectUris = async (pool, clientId, origins, likeOrigins) => {
+   const { rows } = await pool.query(queries.getOtherClientRedirectUris, [
+      clientId,
+      origins,
+      likeOrigins,
+   ]);
+   return rows;
+};
+
+/**
+ * Replace the redirect URIs of a client server (one transaction)
+ * @param {Object} pool - Pool of the auth_internal database
+ * @param {string} clientId - Client ID
+ * @param {Array} uris - [{ pattern, origin, path_prefix, exact_path, wildcard }]
+ */
+export const replaceClientRedirectUris = async (pool, clientId, uris) => {
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+      await client.query(queries.deleteClientRedirectUris, [clientId]);
+      for (const uri of uris) {
+         await client.query(queries.createClientRedirectUri, [
+            clientId,
+            uri.pattern,
+            uri.origin,
+            uri.path_prefix,
+            uri.exact_path,
+            uri.wildcard,
+         ]);
+      }
+      await client.query("COMMIT");
+   } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+   } finally {
+      client.release();
+   }
+};
+
+/**
+ * Client servers without any redirect URI row (registered before the table existed)
+ * @param {Object} pool - Pool of the auth_internal database
+ * @returns {Array} [{ client_id, allowed_return_urls }]
+ */
+export const getClientServersWithoutRedirectUris = async (pool) => {
+   const { rows } = await pool.query(
+      queries.getClientServersWithoutRedirectUris
+   );
+   return rows;
+};
+
+export default {
+   getClientRedirectUrisByOrigins,
+   getOtherClientRedirectUris,
+   replaceClientRedirectUris,
+   getClientServersWithoutRedirectUris,
+};
@@ -0,0 +1,45 @@
+// CRUD operations for the client_secrets table (auth_internal, client server secrets)
+
+import * as queries from "../connection/queries.js";
+
+export const createClientSecret = async (
+   pool,
+   { id, client_id, secret_hash, label, expires_at = null }
+) => {
+   const { rows } = await pool.query(queries.createClientSecret, [
+      id,
+      client_id,
+      secret_hash,
+      label,
+      expires_at,
+   ]);
+   return rows[0];
+};
+
+export const getClientSecrets = async (pool, clientId) => {
+   const { rows } = await pool.query(queries.getClientSecrets, [clientId]);
+   return rows;
+};
+
+export const getActiveClientSecrets = async (pool, clientId) => {
+   const { rows } = await pool.query(queries.getActiveClientSecrets, [clientId]);
+   return rows;
+};
+
+export const touchClientSecret = async (pool, id) => {
+   await pool.query(queries.touchClientSecret, [id]);
+};
+
+export const revokeClientSecret = async (pool, id, clientId) => {
+   const { rows } = await pool.query(queries.revokeClientSecret, [id, clientId]);
+   return rows[0];
+};
+
+export const expireClientSecret = async (pool, id, clientId, expiresAt) => {
+   const { rows } = await pool.query(queries.expireClientSecret, [
+      id,
+      clientId,
+      expiresAt,
+   ]);
+   return rows[0];
+};
@@ -140,6 +140,8 @@ export const createClientServerWithPool = async (pool, clientServer) => {
       clientServer.allowed_return_urls,
       clientServer.user_id,
       clientServer.client_mode,
+      clientServer.allowed_origins ?? null,
+      clientServer.public_client ?? null,
    ]);
    return rows[0];
 };
@@ -149,6 +151,13 @@ export const getClientServerWithPool = async (pool, clientId) => {
    return rows[0];
 };
 
+export const getClientServerBySchemaNameWithPool = async (pool, schemaName) => {
+   const { rows } = await pool.query(queries.getClientServerBySchemaName, [
+      schemaName,
+   ]);
+   return rows[0];
+};
+
 export const updateClientServerWithPool = async (pool, clientServer) => {
    const { rows } = await pool.query(queries.updateClientServer, [
       clientServer.client_id,
@@ -166,6 +175,16 @@ export const deleteClientServerWithPool = async (pool, clientId) => {
    return rows[0];
 };
 
+/**
+ * Return URLs and extra origins of every client server (CORS allow-list)
+ * @param {Object} pool - Pool of the auth_internal database
+ * @returns {Array} [{ client_id, allowed_return_urls, allowed_origins }]
+ */
+export const getClientServerOrigins = async (pool) => {
+   const { rows } = await pool.query(queries.getClientServerOrigins);
+   return rows;
+};
+
 export default {
    // New request-based methods (preferred)
    createClientServer,
@@ -176,9 +195,12 @@ export default {
    getClientServerByUserIdAndClientId,
    deleteClientServerByUserIdAndClientId,
 
+   getClientServerOrigins,
+
    // Legacy pool-based methods (for backward compatibility)
    createClientServerWithPool,
    getClientServerWithPool,
+   getClientServerBySchemaNameWithPool,
    updateClientServerWithPool,
    deleteClientServerWithPool,
 };
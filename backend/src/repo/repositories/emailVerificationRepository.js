@@ -0,0 +1,37 @@
+// CRUD operations for email_verification_tokens table (Postgres multi-tenant)
+
+import * as queries from "../connection/queries.js";
+
+export const createEmailVerificationToken = async (
+   pool,
+   { id, user_id, token_hash, email, expires_at }
+) => {
+   const { rows } = await pool.query(queries.createEmailVerificationToken, [
+      id,
+      user_id,
+      token_hash,
+      email,
+      expires_at,
+   ]);
+   return rows[0];
+};
+
+export const consumeEmailVerificationToken = async (pool, token_hash) => {
+   const { rows } = await pool.query(queries.consumeEmailVerificationToken, [
+      token_hash,
+   ]);
+   return rows[0];
+};
+
+export const invalidateEmailVerificationTokensByUserId = async (
+   pool,
+   user_id
+) => {
+   await pool.query(queries.invalidateEmailVerificationTokensByUserId, [
+      user_id,
+   ]);
+};
+
+export const deleteExpiredEmailVerificationTokens = async (pool) => {
+   await pool.query(queries.deleteExpiredEmailVerificationTokens);
+};
@@ -0,0 +1,36 @@
+// CRUD operations for the login_failures table (Postgres multi-tenant)
+
+import * as queries from "../connection/queries.js";
+
+export const getLoginFailures = async (pool, { email, ip }) => {
+   const { rows } = await pool.query(queries.getLoginFailures, [email, ip]);
+   return rows;
+};
+
+export const recordLoginFailure = async (
+   pool,
+   { key_type, key_value, window_minutes }
+) => {
+   const { rows } = await pool.query(queries.recordLoginFailure, [
+      key_type,
+      key_value,
+      window_minutes,
+   ]);
+   return rows[0];
+};
+
+export const lockLoginKey = async (
+   pool,
+   { key_type, key_value, duration_minutes }
+) => {
+   const { rows } = await pool.query(queries.lockLoginKey, [
+      key_type,
+      key_value,
+      duration_minutes,
+   ]);
+   return rows[0];
+};
+
+export const clearLoginFailures = async (pool, { key_type, key_value }) => {
+   await pool.query(queries.clearLoginFailures, [key_type, key_value]);
+};
@@ -0,0 +1,75 @@
+// CRUD operations for the user_totp and mfa_recovery_codes tables (Postgres multi-tenant)
+
+import * as queries from "../connection/queries.js";
+
+export const getUserTotp = async (pool, user_id) => {
+   const { rows } = await pool.query(queries.getUserTotp, [user_id]);
+   return rows[0];
+};
+
+export const setPendingUserTotp = async (
+   pool,
+   { user_id, pending_secret_encrypted }
+) => {
+   const { rows } = await pool.query(queries.setPendingUserTotp, [
+      user_id,
+      pending_secret_encrypted,
+   ]);
+   return rows[0];
+};
+
+export const confirmUserTotp = async (pool, { user_id, last_used_step }) => {
+   const { rows } = await pool.query(queries.confirmUserTotp, [
+      user_id,
+      last_used_step,
+   ]);
+   return rows[0];
+};
+
+export const updateUserTotpLastUsedStep = async (
+   pool,
+   { user_id, last_used_step }
+) => {
+   const { rows } = await pool.query(queries.updateUserTotpLastUsedStep, [
+      user_id,
+      last_used_step,
+   ]);
+   return rows[0];
+};
+
+export const deleteUserTotp = async (pool, user_id) => {
+   await pool.query(queries.deleteUserTotp, [user_id]);
+};
+
+// --- recovery codes ---
+
+export const replaceRecoveryCodes = async (
+   pool,
+   { ids, user_id, code_hashes }
+) => {
+   const { rows } = await pool.query(queries.replaceRecoveryCodes, [
+      ids,
+      user_id,
+      code_hashes,
+   ]);
+   return rows;
+};
+
+export const consumeRecoveryCode = async (pool, { user_id, code_hash }) => {
+   const { rows } = await pool.query(queries.consumeRecoveryCode, [
+      user_id,
+      code_hash,
+   ]);
+   return rows[0];
+};
+
+export const countRemainingRecoveryCodes = async (pool, user_id) => {
+   const { rows } = await pool.query(queries.countRemainingRecoveryCodes, [
+      user_id,
+   ]);
+   return rows[0].remaining;
+};
+
+export const deleteRecoveryCodesByUserId = async (pool, user_id) => {
+   await pool.query(queries.deleteRecoveryCodesByUserId, [user_id]);
+};
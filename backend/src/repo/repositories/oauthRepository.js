@@ -0,0 +1,127 @@
+// CRUD operations for the oauth_authorization_codes, oauth_refresh_tokens and oauth_consents tables (Postgres multi-tenant)
+
+import * as queries from "../connection/queries.js";
+
+export const createAuthorizationCode = async (
+   pool,
+   {
+      id,
+      code_hash,
+      client_id,
+      user_id,
+      redirect_uri,
+      code_challenge,
+      code_challenge_method,
+      scope = null,
+      nonce = null,
+      auth_time = null,
+      expires_at,
+   }
+) => {
+   const { rows } = await pool.query(queries.createAuthorizationCode, [
+      id,
+      code_hash,
+      client_id,
+      user_id,
+      redirect_uri,
+      code_challenge,
+      code_challenge_method,
+      scope,
+      nonce,
+      auth_time,
+      expires_at,
+   ]);
+   return rows[0];
+};
+
+export const consumeAuthorizationCode = async (pool, code_hash) => {
+   const { rows } = await pool.query(queries.consumeAuthorizationCode, [
+      code_hash,
+   ]);
+   return rows[0];
+};
+
+export const createRefreshToken = async (
+   pool,
+   {
+      id,
+      token_hash,
+      family_id,
+      client_id,
+      user_id = null,
+      scope = null,
+      auth_time = null,
+      expires_at,
+   }
+) => {
+   const { rows } = await pool.query(queries.createRefreshToken, [
+      id,
+      token_hash,
+      family_id,
+      client_id,
+      user_id,
+      scope,
+      auth_time,
+      expires_at,
+   ]);
+   return rows[0];
+};
+
+export const consumeRefreshToken = async (pool, token_hash) => {
+   const { rows } = await pool.query(queries.consumeRefreshToken, [token_hash]);
+   return rows[0];
+};
+
+export const getRefreshTokenByHash = async (pool, token_hash) => {
+   const { rows } = await pool.query(queries.getRefreshTokenByHash, [
+      token_hash,
+   ]);
+   return rows[0];
+};
+
+export const revokeRefreshTokenFamily = async (pool, family_id) => {
+   const { rows } = await pool.query(queries.revokeRefreshTokenFamily, [
+      family_id,
+   ]);
+   return rows;
+};
+
+export const revokeUserRefreshTokens = async (pool, user_id) => {
+   const { rows } = await pool.query(queries.revokeUserRefreshTokens, [
+      user_id,
+   ]);
+   return rows;
+};
+
+export const revokeUserClientRefreshTokens = async (pool, user_id, client_id) => {
+   const { rows } = await pool.query(queries.revokeUserClientRefreshTokens, [
+      user_id,
+      client_id,
+   ]);
+   return rows;
+};
+
+export const getConsent = async (pool, user_id, client_id) => {
+   const { rows } = await pool.query(queries.getConsent, [user_id, client_id]);
+   return rows[0];
+};
+
+export const getUserConsents = async (pool, user_id) => {
+   const { rows } = await pool.query(queries.getUserConsents, [user_id]);
+   return rows;
+};
+
+export const grantConsent = async (pool, { id, user_id, client_id, scopes }) => {
+   const { rows } = await pool.query(queries.grantConsent, [
+      id,
+      user_id,
+      client_id,
+      scopes,
+   ]);
+   return rows[0];
+};
+
+export const deleteConsent = async (pool, user_id, client_id) => {
+   const { rows } = await pool.query(queries.deleteConsent, [user_id, client_id]);
+   return rows[0];
+};
@@ -0,0 +1,32 @@
+// CRUD operations for password_reset_tokens table (Postgres multi-tenant)
+
+import * as queries from "../connection/queries.js";
+
+export const createPasswordResetToken = async (
+   pool,
+   { id, user_id, token_hash, requested_ip = null, expires_at }
+) => {
+   const { rows } = await pool.query(queries.createPasswordResetToken, [
+      id,
+      user_id,
+      token_hash,
+      requested_ip,
+      expires_at,
+   ]);
+   return rows[0];
+};
+
+export const consumePasswordResetToken = async (pool, token_hash) => {
+   const { rows } = await pool.query(queries.consumePasswordResetToken, [
+      token_hash,
+   ]);
+   return rows[0];
+};
+
+export const invalidatePasswordResetTokensByUserId = async (pool, user_id) => {
+   await pool.query(queries.invalidatePasswordResetTokensByUserId, [user_id]);
+};
+
+export const deleteExpiredPasswordResetTokens = async (pool) => {
+   await pool.query(queries.deleteExpiredPasswordResetTokens);
+};
@@ -0,0 +1,27 @@
+// CRUD operations for the revoked_tokens table (auth_internal, JWT revocation list)
+
+import * as queries from "../connection/queries.js";
+
+export const revokeToken = async (
+   pool,
+   { jti, client_id, token_type, subject = null, expires_at }
+) => {
+   const { rows } = await pool.query(queries.revokeToken, [
+      jti,
+      client_id,
+      token_type,
+      subject,
+      expires_at,
+   ]);
+   return rows[0];
+};
+
+export const isTokenRevoked = async (pool, jti) => {
+   const { rows } = await pool.query(queries.isTokenRevoked, [jti]);
+   return rows.length > 0;
+};
+
+export const deleteExpiredRevokedTokens = async (pool) => {
+   const { rows } = await pool.query(queries.deleteExpiredRevokedTokens);
+   return rows;
+};
@@ -0,0 +1,120 @@
+// CRUD operations for the roles, permissions, role_permissions and user_roles tables (Postgres multi-tenant)
+
+import * as queries from "../connection/queries.js";
+
+export const getRoles = async (pool) => {
+   const { rows } = await pool.query(queries.getRoles);
+   return rows;
+};
+
+export const getRole = async (pool, id) => {
+   const { rows } = await pool.query(queries.getRole, [id]);
+   return rows[0];
+};
+
+/**
+ * Create a role with its permissions (one transaction)
+ * @param {Object} pool - Pool of the tenant schema
+ * @param {Object} role - { id, name, description, permissionNames: names of existing permissions }
+ * @returns {Object} Created role row
+ */
+export const createRole = async (pool, { id, name, description, permissionNames = [] }) => {
+   return writeRole(pool, queries.createRole, { id, name, description, permissionNames });
+};
+
+/**
+ * Update a role, and replace its permissions unless permissionNames is null (one transaction)
+ * @param {Object} pool - Pool of the tenant schema
+ * @param {Object} role - { id, name, description, permissionNames }
+ * @returns {Object} Updated role row
+ */
+export const updateRole = async (pool, { id, name, description, permissionNames = null }) => {
+   return writeRole(pool, queries.updateRole, { id, name, description, permissionNames });
+};
+
+export const deleteRole = async (pool, id) => {
+   const { rows } = await pool.query(queries.deleteRole, [id]);
+   return rows[0];
+};
+
+// --- permissions ---
+
+export const getPermissions = async (pool) => {
+   const { rows } = await pool.query(queries.getPermissions);
+   return rows;
+};
+
+export const createPermission = async (pool, { id, name, description }) => {
+   const { rows } = await pool.query(queries.createPermission, [
+      id,
+      name,
+      description,
+   ]);
+   return rows[0];
+};
+
+export const deletePermission = async (pool, id) => {
+   const { rows } = await pool.query(queries.deletePermission, [id]);
+   return rows[0];
+};
+
+// --- user roles ---
+
+export const getUserRoles = async (pool, user_id) => {
+   const { rows } = await pool.query(queries.getUserRoles, [user_id]);
+   return rows;
+};
+
+/**
+ * Replace the roles of a user (one transaction)
+ * @param {Object} pool - Pool of the tenant schema
+ * @param {string} userId - User ID
+ * @param {string[]} roleNames - Names of existing roles
+ */
+export const replaceUserRoles = async (pool, userId, roleNames) => {
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+      await client.query(queries.deleteUserRoles, [userId]);
+      await client.query(queries.addUserRoles, [userId, roleNames]);
+      await client.query("COMMIT");
+   } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+   } finally {
+      client.release();
+   }
+};
+
+/**
+ * Role and permission names of a user
+ * @param {Object} pool - Pool of the tenant schema
+ * @param {string} user_id - User ID
+ * @returns {Object} { roles: string[], permissions: string[] }
+ */
+export const getUserAuthorization = async (pool, user_id) => {
+   const { rows } = await pool.query(queries.getUserAuthorization, [user_id]);
+   return rows[0];
+};
+
+// ---- helper functions ----
+
+// role row, then its permission list - a failing step leaves neither
+async function writeRole(pool, query, { id, name, description, permissionNames }) {
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+      const { rows } = await client.query(query, [id, name, description]);
+      if (permissionNames) {
+         await client.query(queries.deleteRolePermissions, [id]);
+         await client.query(queries.addRolePermissions, [id, permissionNames]);
+      }
+      await client.query("COMMIT");
+      return rows[0];
+   } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+   } finally {
+      client.release();
+   }
+}
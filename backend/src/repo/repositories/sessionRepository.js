@@ -8,8 +8,12 @@ export const createSession = async (
       id,
       user_id,
       session_id,
+      express_sid = null,
       ip_address = null,
       user_agent = null,
+      device_type = null,
+      browser = null,
+      os = null,
       expires_at = null,
    }
 ) => {
@@ -17,8 +21,12 @@ export const createSession = async (
       id,
       user_id,
       session_id,
+      express_sid,
       ip_address,
       user_agent,
+      device_type,
+      browser,
+      os,
       expires_at,
    ]);
    return rows[0];
@@ -35,9 +43,48 @@ export const getSession = async (pool, session_id) => {
 };
 
 export const deleteSessionByUserId = async (pool, user_id) => {
-   await pool.query(queries.deleteSessionByUserId, [user_id]);
+   const { rows } = await pool.query(queries.deleteSessionByUserId, [user_id]);
+   return rows;
 };
 
 export const deleteSessionBySessionId = async (pool, session_id) => {
    await pool.query(queries.deleteSessionBySessionId, [session_id]);
 };
+
+export const deleteSessionById = async (pool, id) => {
+   const { rows } = await pool.query(queries.deleteSessionById, [id]);
+   return rows[0];
+};
+
+export const touchSession = async (pool, { id, expires_at }) => {
+   const { rows } = await pool.query(queries.touchSession, [id, expires_at]);
+   return rows[0];
+};
+
+export const getActiveSessionsByUserId = async (pool, user_id) => {
+   const { rows } = await pool.query(queries.getActiveSessionsByUserId, [user_id]);
+   return rows;
+};
+
+export const deleteUserSession = async (pool, { id, user_id }) => {
+   const { rows } = await pool.query(queries.deleteUserSession, [id, user_id]);
+   return rows[0];
+};
+
+export const deleteOtherUserSessions = async (pool, { user_id, keep_id }) => {
+   const { rows } = await pool.query(queries.deleteOtherUserSessions, [
+      user_id,
+      keep_id,
+   ]);
+   return rows;
+};
+
+export const getActiveTenantSessions = async (pool, user_id = null) => {
+   const { rows } = await pool.query(queries.getActiveTenantSessions, [user_id]);
+   return rows;
+};
+
+export const deleteAllSessions = async (pool) => {
+   const { rows } = await pool.query(queries.deleteAllSessions);
+   return rows;
+};
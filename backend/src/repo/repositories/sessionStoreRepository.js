@@ -0,0 +1,43 @@
+// CRUD operations for the session_store table (auth_internal, express-session data)
+
+import * as queries from "../connection/queries.js";
+
+export const getStoredSession = async (pool, sid) => {
+   const { rows } = await pool.query(queries.getStoredSession, [sid]);
+   return rows[0] ? rows[0].sess : null;
+};
+
+export const setStoredSession = async (pool, { sid, sess, expires_at }) => {
+   await pool.query(queries.setStoredSession, [
+      sid,
+      JSON.stringify(sess),
+      expires_at,
+   ]);
+};
+
+export const touchStoredSession = async (pool, { sid, expires_at }) => {
+   await pool.query(queries.touchStoredSession, [sid, expires_at]);
+};
+
+export const destroyStoredSession = async (pool, sid) => {
+   await pool.query(queries.destroyStoredSession, [sid]);
+};
+
+export const getStoredSessions = async (pool) => {
+   const { rows } = await pool.query(queries.getStoredSessions);
+   return rows;
+};
+
+export const countStoredSessions = async (pool) => {
+   const { rows } = await pool.query(queries.countStoredSessions);
+   return rows[0].count;
+};
+
+export const clearStoredSessions = async (pool) => {
+   await pool.query(queries.clearStoredSessions);
+};
+
+export const pruneStoredSessions = async (pool) => {
+   const { rowCount } = await pool.query(queries.pruneStoredSessions);
+   return rowCount;
+};
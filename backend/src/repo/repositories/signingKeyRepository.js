@@ -0,0 +1,42 @@
+// CRUD operations for the signing_keys table (auth_internal, JWT signing keys)
+
+import * as queries from "../connection/queries.js";
+
+export const getSigningKeys = async (pool) => {
+   const { rows } = await pool.query(queries.getSigningKeys);
+   return rows;
+};
+
+export const listSigningKeys = async (pool) => {
+   const { rows } = await pool.query(queries.listSigningKeys);
+   return rows;
+};
+
+export const rotateSigningKey = async (
+   pool,
+   {
+      kid,
+      alg,
+      public_jwk,
+      private_key_encrypted,
+      overlap_hours,
+      rotation_reason,
+      rotate_before = null,
+   }
+) => {
+   const { rows } = await pool.query(queries.rotateSigningKey, [
+      kid,
+      alg,
+      JSON.stringify(public_jwk),
+      private_key_encrypted,
+      overlap_hours,
+      rotation_reason,
+      rotate_before,
+   ]);
+   return rows[0];
+};
+
+export const deleteExpiredSigningKeys = async (pool) => {
+   const { rows } = await pool.query(queries.deleteExpiredSigningKeys);
+   return rows;
+};
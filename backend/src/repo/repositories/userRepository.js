@@ -82,6 +82,31 @@ const updateUser = async (
    }
 };
 
+const updateUserPassword = async (pool, schemaName, { id, password_hash }) => {
+   const client = await pool.connect();
+   try {
+      await client.query(`SET search_path TO ${schemaName}, public;`);
+      const { rows } = await client.query(queries.updateUserPassword, [
+         password_hash,
+         id,
+      ]);
+      return rows[0];
+   } finally {
+      client.release();
+   }
+};
+
+const markUserEmailVerified = async (pool, schemaName, id) => {
+   const client = await pool.connect();
+   try {
+      await client.query(`SET search_path TO ${schemaName}, public;`);
+      const { rows } = await client.query(queries.markUserEmailVerified, [id]);
+      return rows[0];
+   } finally {
+      client.release();
+   }
+};
+
 const deleteUser = async (pool, schemaName, id) => {
    const client = await pool.connect();
    try {
@@ -92,4 +117,13 @@ const deleteUser = async (pool, schemaName, id) => {
    }
 };
 
-export { createUser, createUsers, getUsers, getUser, updateUser, deleteUser };
+export {
+   createUser,
+   createUsers,
+   getUsers,
+   getUser,
+   updateUser,
+   updateUserPassword,
+   markUserEmailVerified,
+   deleteUser,
+};
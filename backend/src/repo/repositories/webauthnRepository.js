@@ -0,0 +1,68 @@
+// CRUD operations for the webauthn_credentials table (Postgres multi-tenant)
+
+import * as queries from "../connection/queries.js";
+
+export const createWebauthnCredential = async (
+   pool,
+   {
+      id,
+      user_id,
+      credential_id,
+      public_key,
+      algorithm,
+      sign_count,
+      transports,
+      name,
+      rp_id,
+   }
+) => {
+   const { rows } = await pool.query(queries.createWebauthnCredential, [
+      id,
+      user_id,
+      credential_id,
+      public_key,
+      algorithm,
+      sign_count,
+      transports,
+      name,
+      rp_id,
+   ]);
+   return rows[0];
+};
+
+export const getWebauthnCredentialsByUserId = async (pool, user_id) => {
+   const { rows } = await pool.query(queries.getWebauthnCredentialsByUserId, [
+      user_id,
+   ]);
+   return rows;
+};
+
+export const getWebauthnCredentialByCredentialId = async (
+   pool,
+   credential_id
+) => {
+   const { rows } = await pool.query(
+      queries.getWebauthnCredentialByCredentialId,
+      [credential_id]
+   );
+   return rows[0];
+};
+
+export const updateWebauthnCredentialSignCount = async (
+   pool,
+   { id, sign_count }
+) => {
+   const { rows } = await pool.query(
+      queries.updateWebauthnCredentialSignCount,
+      [id, sign_count]
+   );
+   return rows[0];
+};
+
+export const deleteWebauthnCredential = async (pool, { id, user_id }) => {
+   const { rows } = await pool.query(queries.deleteWebauthnCredential, [
+      id,
+      user_id,
+   ]);
+   return rows[0];
+};
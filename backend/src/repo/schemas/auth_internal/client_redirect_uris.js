@@ -0,0 +1,27 @@
+// allowed_return_urls of the client servers, one row per pattern, looked up by origin
+// In schema: auth_internal
+import format from "pg-format";
+
+const ident = (s) => format.ident(s);
+
+export const ddl = (tenant = "auth_internal") => [
+   `begin;`,
+   `create schema if not exists ${ident(tenant)};`,
+   `create table if not exists ${ident(tenant)}.client_redirect_uris (
+        client_id VARCHAR(255) NOT NULL REFERENCES ${ident(
+           tenant
+        )}.client_servers(client_id) ON DELETE CASCADE,
+        pattern TEXT NOT NULL, -- the allowed_return_urls entry
+        origin TEXT NOT NULL, -- scheme://host[:port], scheme://*.host[:port] for wildcard patterns
+        path_prefix TEXT NOT NULL, -- path of the pattern
+        exact_path BOOLEAN NOT NULL, -- only path_prefix itself matches (no /* and not an origin)
+        wildcard BOOLEAN NOT NULL DEFAULT FALSE,
+        PRIMARY KEY (client_id, pattern)
+  );`,
+   `create index if not exists idx_client_redirect_uris_origin on ${ident(
+      tenant
+   )}.client_redirect_uris(origin, path_prefix text_pattern_ops);`,
+   // rows of client servers registered before this table are added by
+   // clientRedirectUriService (patterns are parsed by shared/urlMatching.js)
+   `commit;`,
+];
@@ -0,0 +1,33 @@
+// secrets of the client servers, several may be active at once (rotation)
+// In schema: auth_internal
+import format from "pg-format";
+
+const ident = (s) => format.ident(s);
+
+export const ddl = (tenant = "auth_internal") => [
+   `begin;`,
+   `create schema if not exists ${ident(tenant)};`,
+   `create table if not exists ${ident(tenant)}.client_secrets (
+        id UUID PRIMARY KEY,
+        client_id VARCHAR(255) NOT NULL REFERENCES ${ident(
+           tenant
+        )}.client_servers(client_id) ON DELETE CASCADE,
+        secret_hash VARCHAR(255) NOT NULL, -- bcrypt hash, the secret is shown once
+        label VARCHAR(100) NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_used_at TIMESTAMPTZ,
+        expires_at TIMESTAMPTZ, -- NULL = no expiry, also the end of a grace period
+        revoked_at TIMESTAMPTZ
+  );`,
+   `create index if not exists idx_client_secrets_client_id on ${ident(
+      tenant
+   )}.client_secrets(client_id);`,
+   // secrets of client servers registered before this table (client_servers.client_secret_hash)
+   `insert into ${ident(tenant)}.client_secrets (id, client_id, secret_hash, label, created_at)
+        select md5(c.client_id)::uuid, c.client_id, c.client_secret_hash, 'initial', coalesce(c.created_at, now())
+        from ${ident(tenant)}.client_servers c
+        where not exists (
+           select 1 from ${ident(tenant)}.client_secrets s where s.client_id = c.client_id
+        );`,
+   `commit;`,
+];
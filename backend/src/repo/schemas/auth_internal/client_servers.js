@@ -16,8 +16,49 @@ export const ddl = (tenant = "auth_internal") => [
         allowed_return_urls TEXT[] NOT NULL, -- Array of allowed URLs for redirection
         user_id UUID, -- Links to user who owns this client (nullable for public API)
         client_mode VARCHAR(50) DEFAULT 'frontend-login-proxy', -- 'frontend-login-proxy' or 'api-auth-server'
+        password_hash_algorithm VARCHAR(50) NOT NULL DEFAULT 'bcrypt', -- preferred algorithm for tenant user passwords
+        password_hash_params JSONB NOT NULL DEFAULT '{}'::jsonb, -- algorithm params, e.g. { "cost": 12 }
+        require_email_verification BOOLEAN NOT NULL DEFAULT FALSE, -- block login until the user verified their email
+        lockout_max_attempts INTEGER, -- failed logins per email before a lockout (NULL = server default)
+        lockout_ip_max_attempts INTEGER, -- failed logins per IP before a lockout (NULL = server default)
+        lockout_duration_minutes INTEGER, -- lockout length (NULL = server default)
+        access_token_ttl_minutes INTEGER, -- lifetime of access / API tokens (NULL = server default)
+        refresh_token_ttl_days INTEGER, -- lifetime of refresh tokens (NULL = server default)
+        client_credentials_scopes TEXT[] NOT NULL DEFAULT '{}', -- scopes the client may request for itself (client_credentials grant)
+        scopes JSONB NOT NULL DEFAULT '[{"name": "openid"}, {"name": "profile"}, {"name": "email"}]'::jsonb, -- user scopes the client may request, [{ name, description? }]
+        allowed_origins TEXT[] NOT NULL DEFAULT '{}', -- CORS origins besides the ones of allowed_return_urls
+        public_client BOOLEAN NOT NULL DEFAULT FALSE, -- may use the token endpoint without a client secret (PKCE only), fx. SPAs and native apps
         created_at TIMESTAMPTZ DEFAULT NOW(),
         updated_at TIMESTAMPTZ DEFAULT NOW()
   );`,
+   // columns added after the initial release (existing databases)
+   `alter table ${ident(tenant)}.client_servers
+        add column if not exists password_hash_algorithm VARCHAR(50) NOT NULL DEFAULT 'bcrypt',
+        add column if not exists password_hash_params JSONB NOT NULL DEFAULT '{}'::jsonb,
+        add column if not exists require_email_verification BOOLEAN NOT NULL DEFAULT FALSE,
+        add column if not exists lockout_max_attempts INTEGER,
+        add column if not exists lockout_ip_max_attempts INTEGER,
+        add column if not exists lockout_duration_minutes INTEGER,
+        add column if not exists access_token_ttl_minutes INTEGER,
+        add column if not exists refresh_token_ttl_days INTEGER,
+        add column if not exists client_credentials_scopes TEXT[] NOT NULL DEFAULT '{}',
+        add column if not exists scopes JSONB NOT NULL DEFAULT '[{"name": "openid"}, {"name": "profile"}, {"name": "email"}]'::jsonb,
+        add column if not exists allowed_origins TEXT[] NOT NULL DEFAULT '{}',
+        add column if not exists public_client BOOLEAN NOT NULL DEFAULT FALSE;`,
+   // client servers left in public.client_servers by early versions (schema detection used to read both)
+   ...(tenant === "public"
+      ? []
+      : [
+           `do $$
+        begin
+           if to_regclass('public.client_servers') is not null then
+              insert into ${ident(tenant)}.client_servers
+                 (client_id, client_secret_hash, app_name, assigned_schema_name, allowed_return_urls, user_id, client_mode, created_at, updated_at)
+              select client_id, client_secret_hash, app_name, assigned_schema_name, allowed_return_urls, user_id, client_mode, created_at, updated_at
+              from public.client_servers
+              on conflict do nothing;
+           end if;
+        end $$;`,
+        ]),
    `commit;`,
 ];
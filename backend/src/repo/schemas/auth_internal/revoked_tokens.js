@@ -0,0 +1,22 @@
+// revocation list of JWTs (API tokens, access tokens) revoked before their exp
+// In schema: auth_internal
+import format from "pg-format";
+
+const ident = (s) => format.ident(s);
+
+export const ddl = (tenant = "auth_internal") => [
+   `begin;`,
+   `create schema if not exists ${ident(tenant)};`,
+   `create table if not exists ${ident(tenant)}.revoked_tokens (
+        jti VARCHAR(64) PRIMARY KEY, -- jti claim of the revoked token
+        client_id VARCHAR(255) NOT NULL, -- client server the token was issued to
+        token_type VARCHAR(20) NOT NULL, -- 'api_token' or 'access_token'
+        subject VARCHAR(255), -- sub claim (tenant user), NULL for API tokens
+        expires_at TIMESTAMPTZ NOT NULL, -- exp claim, the entry can go after this
+        revoked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`,
+   `create index if not exists idx_revoked_tokens_expires_at on ${ident(
+      tenant
+   )}.revoked_tokens(expires_at);`,
+   `commit;`,
+];
@@ -0,0 +1,16 @@
+-- revocation list of JWTs (API tokens, access tokens) revoked before their exp
+-- In schema: auth_internal
+CREATE SCHEMA IF NOT EXISTS auth_internal;
+
+SET search_path TO auth_internal, public;
+
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    jti VARCHAR(64) PRIMARY KEY, -- jti claim of the revoked token
+    client_id VARCHAR(255) NOT NULL, -- client server the token was issued to
+    token_type VARCHAR(20) NOT NULL, -- 'api_token' or 'access_token'
+    subject VARCHAR(255), -- sub claim (tenant user), NULL for API tokens
+    expires_at TIMESTAMPTZ NOT NULL, -- exp claim, the entry can go after this
+    revoked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
@@ -0,0 +1,21 @@
+// express-session store (shared by all backend instances)
+// In schema: auth_internal
+import format from "pg-format";
+
+const ident = (s) => format.ident(s);
+
+export const ddl = (tenant = "auth_internal") => [
+   `begin;`,
+   `create schema if not exists ${ident(tenant)};`,
+   `create table if not exists ${ident(tenant)}.session_store (
+        sid VARCHAR(255) PRIMARY KEY, -- express-session id (req.sessionID)
+        sess JSONB NOT NULL, -- serialized req.session, including the cookie
+        expires_at TIMESTAMPTZ NOT NULL, -- cookie expiry, or now + default TTL
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+  );`,
+   `create index if not exists idx_session_store_expires_at on ${ident(
+      tenant
+   )}.session_store(expires_at);`,
+   `commit;`,
+];
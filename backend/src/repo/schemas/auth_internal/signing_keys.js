@@ -0,0 +1,25 @@
+// keys signing the JWTs issued by the auth-system (API tokens, access tokens, id_tokens)
+// In schema: auth_internal
+import format from "pg-format";
+
+const ident = (s) => format.ident(s);
+
+export const ddl = (tenant = "auth_internal") => [
+   `begin;`,
+   `create schema if not exists ${ident(tenant)};`,
+   `create table if not exists ${ident(tenant)}.signing_keys (
+        kid VARCHAR(64) PRIMARY KEY, -- RFC 7638 thumbprint of the public key, JWT kid header
+        alg VARCHAR(10) NOT NULL, -- 'RS256', 'ES256' or 'EdDSA'
+        public_jwk JSONB NOT NULL, -- published at /oauth/jwks.json
+        private_key_encrypted TEXT NOT NULL, -- PKCS#8 PEM, encrypted (utils/encryption.js)
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        rotated_at TIMESTAMPTZ, -- stopped signing (NULL = the active key)
+        verify_until TIMESTAMPTZ, -- end of the overlap window, tokens of the key stop verifying
+        rotation_reason VARCHAR(50) -- 'scheduled', 'manual' or 'emergency'
+  );`,
+   // only one key signs at a time
+   `create unique index if not exists idx_signing_keys_active on ${ident(
+      tenant
+   )}.signing_keys((rotated_at is null)) where rotated_at is null;`,
+   `commit;`,
+];
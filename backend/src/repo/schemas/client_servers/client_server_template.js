@@ -14,18 +14,182 @@ export const ddl = (tenant = DEFAULT_SCHEMA_NAME) => [
     role            VARCHAR(100) NOT NULL DEFAULT 'user',
     email           VARCHAR(255) UNIQUE NOT NULL,
     password_hash   VARCHAR(255) NOT NULL,
+    email_verified_at TIMESTAMPTZ, -- NULL until the user opened the verification link
     created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
     updated_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
 );`,
+   // columns added after the initial release (existing schemas)
+   `alter table ${ident(tenant)}.users
+    add column if not exists email_verified_at TIMESTAMPTZ;`,
    `create table if not exists ${ident(tenant)}.sessions (
     id              UUID PRIMARY KEY,
     user_id         UUID REFERENCES users(id) ON DELETE CASCADE,
     session_id      UUID UNIQUE NOT NULL,
+    express_sid     VARCHAR(255) UNIQUE, -- express-session id (auth_internal.session_store.sid)
     ip_address      INET,
     user_agent      TEXT,
+    device_type     VARCHAR(20), -- 'desktop' | 'mobile' | 'tablet' | 'bot' | 'unknown' (parsed from user_agent)
+    browser         VARCHAR(100),
+    os              VARCHAR(100),
     created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     expires_at      TIMESTAMPTZ
   );`,
+   // columns added after the initial release (existing schemas)
+   `alter table ${ident(tenant)}.sessions
+    add column if not exists express_sid VARCHAR(255) UNIQUE,
+    add column if not exists device_type VARCHAR(20),
+    add column if not exists browser VARCHAR(100),
+    add column if not exists os VARCHAR(100),
+    add column if not exists last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW();`,
+   `create index if not exists idx_sessions_user_id on ${ident(
+      tenant
+   )}.sessions(user_id);`,
+   `create table if not exists ${ident(tenant)}.password_reset_tokens (
+    id              UUID PRIMARY KEY,
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash      VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the token, the token itself is only mailed
+    requested_ip    INET,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at      TIMESTAMPTZ NOT NULL,
+    used_at         TIMESTAMPTZ
+  );`,
+   `create index if not exists idx_password_reset_tokens_user_id on ${ident(
+      tenant
+   )}.password_reset_tokens(user_id);`,
+   `create table if not exists ${ident(tenant)}.email_verification_tokens (
+    id              UUID PRIMARY KEY,
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash      VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the token, the token itself is only mailed
+    email           VARCHAR(255) NOT NULL, -- address the link was sent to
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at      TIMESTAMPTZ NOT NULL,
+    used_at         TIMESTAMPTZ
+  );`,
+   `create index if not exists idx_email_verification_tokens_user_id on ${ident(
+      tenant
+   )}.email_verification_tokens(user_id);`,
+   `create table if not exists ${ident(tenant)}.user_totp (
+    user_id                     UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted            TEXT, -- active secret, AES-256-GCM with the tenant key (utils/encryption.js)
+    enabled_at                  TIMESTAMPTZ,
+    pending_secret_encrypted    TEXT, -- enrollment waiting for the first code
+    pending_created_at          TIMESTAMPTZ,
+    last_used_step              BIGINT, -- last accepted time step, a code is accepted only once
+    updated_at                  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`,
+   `create table if not exists ${ident(tenant)}.mfa_recovery_codes (
+    id              UUID PRIMARY KEY,
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash       VARCHAR(64) NOT NULL, -- sha256 of the normalized code, the code is only shown once
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    used_at         TIMESTAMPTZ
+  );`,
+   `create index if not exists idx_mfa_recovery_codes_user_id on ${ident(
+      tenant
+   )}.mfa_recovery_codes(user_id);`,
+   `create table if not exists ${ident(tenant)}.webauthn_credentials (
+    id              UUID PRIMARY KEY,
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credential_id   TEXT NOT NULL UNIQUE, -- base64url, as sent by the authenticator
+    public_key      TEXT NOT NULL, -- COSE key, base64url
+    algorithm       INTEGER NOT NULL, -- COSE algorithm: -7 (ES256) or -257 (RS256)
+    sign_count      BIGINT NOT NULL DEFAULT 0, -- last signature counter, a lower value means a cloned authenticator
+    transports      TEXT[] NOT NULL DEFAULT '{}', -- hints for the browser, fx. {internal,hybrid}
+    name            VARCHAR(255), -- label chosen by the user
+    rp_id           VARCHAR(255) NOT NULL, -- relying party ID the credential is scoped to
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at    TIMESTAMPTZ
+  );`,
+   `create index if not exists idx_webauthn_credentials_user_id on ${ident(
+      tenant
+   )}.webauthn_credentials(user_id);`,
+   `create table if not exists ${ident(tenant)}.login_failures (
+    key_type            VARCHAR(10) NOT NULL, -- 'email' or 'ip'
+    key_value           VARCHAR(255) NOT NULL, -- lowercased email or client IP
+    failure_count       INTEGER NOT NULL DEFAULT 0, -- failures in the current window
+    first_failure_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_failure_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_until        TIMESTAMPTZ, -- no login for this key before then
+    PRIMARY KEY (key_type, key_value)
+  );`,
+   `create table if not exists ${ident(tenant)}.oauth_authorization_codes (
+    id              UUID PRIMARY KEY,
+    code_hash       VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the code, the code itself only travels in the redirect
+    client_id       VARCHAR(255) NOT NULL, -- auth_internal.client_servers.client_id
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    redirect_uri    TEXT NOT NULL, -- has to be repeated exactly at the token endpoint
+    code_challenge  VARCHAR(128) NOT NULL, -- PKCE, base64url(sha256(code_verifier))
+    code_challenge_method VARCHAR(10) NOT NULL DEFAULT 'S256',
+    scope           TEXT,
+    nonce           TEXT, -- OpenID Connect, repeated in the id_token
+    auth_time       TIMESTAMPTZ, -- when the user logged in (id_token auth_time)
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at      TIMESTAMPTZ NOT NULL,
+    used_at         TIMESTAMPTZ
+  );`,
+   // columns added after the initial release (existing schemas)
+   `alter table ${ident(tenant)}.oauth_authorization_codes
+    add column if not exists nonce TEXT,
+    add column if not exists auth_time TIMESTAMPTZ;`,
+   `create index if not exists idx_oauth_authorization_codes_user_id on ${ident(
+      tenant
+   )}.oauth_authorization_codes(user_id);`,
+   `create table if not exists ${ident(tenant)}.oauth_refresh_tokens (
+    id              UUID PRIMARY KEY,
+    token_hash      VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the opaque token
+    family_id       UUID NOT NULL, -- every token rotated from the same grant
+    client_id       VARCHAR(255) NOT NULL, -- auth_internal.client_servers.client_id
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scope           TEXT,
+    auth_time       TIMESTAMPTZ, -- login the family started with (id_token auth_time)
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at      TIMESTAMPTZ NOT NULL,
+    used_at         TIMESTAMPTZ, -- rotated, using it again revokes the family
+    revoked_at      TIMESTAMPTZ
+  );`,
+   `create index if not exists idx_oauth_refresh_tokens_family_id on ${ident(
+      tenant
+   )}.oauth_refresh_tokens(family_id);`,
+   `create index if not exists idx_oauth_refresh_tokens_user_id on ${ident(
+      tenant
+   )}.oauth_refresh_tokens(user_id);`,
+   `create table if not exists ${ident(tenant)}.oauth_consents (
+    id              UUID PRIMARY KEY,
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    client_id       VARCHAR(255) NOT NULL, -- auth_internal.client_servers.client_id
+    scopes          TEXT[] NOT NULL DEFAULT '{}', -- granted on the consent page, remembered for later authorizations
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, client_id)
+  );`,
+   `create table if not exists ${ident(tenant)}.roles (
+    id              UUID PRIMARY KEY,
+    name            VARCHAR(100) UNIQUE NOT NULL, -- defined by the owner, emitted in the roles claim
+    description     TEXT,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`,
+   `create table if not exists ${ident(tenant)}.permissions (
+    id              UUID PRIMARY KEY,
+    name            VARCHAR(100) UNIQUE NOT NULL, -- fx. orders:read, emitted in the permissions claim
+    description     TEXT,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`,
+   `create table if not exists ${ident(tenant)}.role_permissions (
+    role_id         UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission_id   UUID NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+    PRIMARY KEY (role_id, permission_id)
+  );`,
+   `create table if not exists ${ident(tenant)}.user_roles (
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role_id         UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, role_id)
+  );`,
+   `create index if not exists idx_user_roles_role_id on ${ident(
+      tenant
+   )}.user_roles(role_id);`,
    `commit;`,
 ];
 
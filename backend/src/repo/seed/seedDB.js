@@ -3,6 +3,7 @@ import * as userRepo from "../repositories/userRepository.js";
 import getPool from "../connection/pools/auth.js";
 import getPoolForSchema from "../connection/pools/clientServers.js";
 import { v4 as uuidv4 } from "uuid";
+import hashing from "../../utils/hashing.js";
 
 export const SEED_SCHEMA_NAME = seedData.assigned_schema_name || "client_template";
 
@@ -14,12 +15,15 @@ const initSeed = async () => {
 
    console.log("schema name", SEED_SCHEMA_NAME);
 
-   // seed users - need to add UUIDs to the user objects
-   const usersWithIds = seedData.seed_data.users.map((user) => ({
-      id: uuidv4(),
-      ...user
-   }));
-   
+   // seed users - need to add UUIDs and hash the plaintext seed passwords
+   const usersWithIds = await Promise.all(
+      seedData.seed_data.users.map(async ({ password, ...user }) => ({
+         id: uuidv4(),
+         ...user,
+         password_hash: await hashing.hash(password),
+      }))
+   );
+
    await userRepo.createUsers(schemaDB, SEED_SCHEMA_NAME, usersWithIds);
 };
 
@@ -0,0 +1,190 @@
+/**
+ * Postgres store for express-session
+ *
+ * - sessions live in auth_internal.session_store, shared by every backend
+ *   instance and kept across restarts
+ * - expiry: the cookie's expires date, the configured TTL for sessions without one
+ * - touch: moves the expiry on (resave: false still keeps active sessions alive)
+ * - expired rows are never returned, and pruned periodically
+ *
+ * config: config.session (store, maxAgeHours, pruneIntervalMinutes)
+ */
+import session from "express-session";
+import getPool from "./connection/pools/auth.js";
+import { ddl } from "./schemas/auth_internal/session_store.js";
+import * as sessionStoreRepo from "./repositories/sessionStoreRepository.js";
+import config from "../config/env.js";
+
+export class PgSessionStore extends session.Store {
+   /**
+    * @param {Object} options
+    * @param {number} options.ttlHours - Expiry of sessions without a cookie expiry
+    * @param {number} options.pruneIntervalMinutes - Delete expired rows this often (0 = never)
+    * @param {boolean} options.createTable - Create the table on first use (setupDB creates it too)
+    */
+   constructor({
+      ttlHours = config.session.maxAgeHours,
+      pruneIntervalMinutes = config.session.pruneIntervalMinutes,
+      createTable = true,
+   } = {}) {
+      super();
+      this.ttlMs = ttlHours * 60 * 60 * 1000;
+      this.createTable = createTable;
+      this.ready = null;
+      this.pruneTimer = null;
+
+      if (pruneIntervalMinutes > 0) {
+         this.pruneTimer = setInterval(
+            () => this.prune().catch(() => {}),
+            pruneIntervalMinutes * 60 * 1000
+         );
+         // pruning alone does not keep the process alive
+         this.pruneTimer.unref();
+      }
+   }
+
+   get(sid, callback) {
+      withCallback(
+         this.getPool().then((pool) => sessionStoreRepo.getStoredSession(pool, sid)),
+         callback
+      );
+   }
+
+   set(sid, sess, callback) {
+      withCallback(
+         this.getPool().then((pool) =>
+            sessionStoreRepo.setStoredSession(pool, {
+               sid,
+               sess,
+               expires_at: this.getExpiry(sess),
+            })
+         ),
+         callback
+      );
+   }
+
+   touch(sid, sess, callback) {
+      withCallback(
+         this.getPool().then((pool) =>
+            sessionStoreRepo.touchStoredSession(pool, {
+               sid,
+               expires_at: this.getExpiry(sess),
+            })
+         ),
+         callback
+      );
+   }
+
+   destroy(sid, callback) {
+      withCallback(
+         this.getPool().then((pool) => sessionStoreRepo.destroyStoredSession(pool, sid)),
+         callback
+      );
+   }
+
+   // sessions keyed by sid, like the MemoryStore
+   all(callback) {
+      withCallback(
+         this.getPool()
+            .then((pool) => sessionStoreRepo.getStoredSessions(pool))
+            .then((rows) =>
+               Object.fromEntries(rows.map((row) => [row.sid, row.sess]))
+            ),
+         callback
+      );
+   }
+
+   length(callback) {
+      withCallback(
+         this.getPool().then((pool) => sessionStoreRepo.countStoredSessions(pool)),
+         callback
+      );
+   }
+
+   clear(callback) {
+      withCallback(
+         this.getPool().then((pool) => sessionStoreRepo.clearStoredSessions(pool)),
+         callback
+      );
+   }
+
+   /**
+    * Delete expired sessions
+    * @returns {Promise<number>} Number of deleted sessions
+    */
+   async prune() {
+      try {
+         const pool = await this.getPool();
+         const pruned = await sessionStoreRepo.pruneStoredSessions(pool);
+         if (pruned > 0) {
+            console.log("🗄️ [SESSION STORE] Pruned expired sessions:", pruned);
+         }
+         return pruned;
+      } catch (error) {
+         console.error("🗄️ [SESSION STORE] ❌ Pruning failed:", error.message);
+         throw error;
+      }
+   }
+
+   /** Stop pruning (tests, graceful shutdown) */
+   close() {
+      if (this.pruneTimer) {
+         clearInterval(this.pruneTimer);
+         this.pruneTimer = null;
+      }
+   }
+
+   getPool() {
+      if (!this.ready) {
+         this.ready = getPool().then(async (pool) => {
+            if (this.createTable) {
+               await createSessionStoreTable(pool);
+            }
+            return pool;
+         });
+         // a failed start (database down) is retried by the next request
+         this.ready.catch(() => {
+            this.ready = null;
+         });
+      }
+      return this.ready;
+   }
+
+   getExpiry(sess) {
+      const expires = sess?.cookie?.expires;
+      return expires ? new Date(expires) : new Date(Date.now() + this.ttlMs);
+   }
+}
+
+/**
+ * Create auth_internal.session_store (idempotent)
+ * @param {Object} pool - Pool of the auth_internal database
+ */
+export async function createSessionStoreTable(pool) {
+   for (const stmt of ddl()) {
+      await pool.query(stmt);
+   }
+}
+
+/**
+ * Store for the express-session middleware, from config.session.store
+ * @returns {session.Store|undefined} undefined for 'memory' (express-session's MemoryStore, single instance only)
+ */
+export function createSessionStore() {
+   if (config.session.store === "memory") {
+      console.warn("🗄️ [SESSION STORE] Using the in-memory store, sessions are lost on restart");
+      return undefined;
+   }
+   return new PgSessionStore();
+}
+
+// ---- helper functions ----
+
+function withCallback(promise, callback) {
+   promise.then(
+      (result) => callback && callback(null, result),
+      (error) => callback && callback(error)
+   );
+}
+
+export default createSessionStore;
@@ -1,6 +1,13 @@
-// Main repository module that combines user and session repositories
+// Main repository module that combines user, session, password reset, email verification, MFA, passkey, login failure, OAuth (authorization codes, refresh tokens, consents) and role (RBAC) repositories
 import * as userRepo from "./repositories/userRepository.js";
 import * as sessionRepo from "./repositories/sessionRepository.js";
+import * as passwordResetRepo from "./repositories/passwordResetRepository.js";
+import * as emailVerificationRepo from "./repositories/emailVerificationRepository.js";
+import * as mfaRepo from "./repositories/mfaRepository.js";
+import * as webauthnRepo from "./repositories/webauthnRepository.js";
+import * as loginFailureRepo from "./repositories/loginFailureRepository.js";
+import * as oauthRepo from "./repositories/oauthRepository.js";
+import * as roleRepo from "./repositories/roleRepository.js";
 
 import { getPoolForSchema } from "./connection/pools/clientServers.js";
 import { v4 as uuidv4 } from "uuid";
@@ -71,7 +78,7 @@ const createUser = async (schema = DEFAULT_SCHEMA, paramsArray) => {
             email: email,
             schema: schema,
          });
-         return { lastID: user.id };
+         return user;
       })
       .catch((error) => {
          console.log("🗄️ [USER REPO] ❌ Failed to create user:", error.message);
@@ -166,6 +173,20 @@ const updateUser = async (schema = DEFAULT_SCHEMA, paramsArray) => {
    });
 };
 
+const updateUserPassword = async (
+   schema = DEFAULT_SCHEMA,
+   id,
+   password_hash
+) => {
+   const pool = await check(schema);
+   return userRepo.updateUserPassword(pool, schema, { id, password_hash });
+};
+
+const markUserEmailVerified = async (schema = DEFAULT_SCHEMA, id) => {
+   const pool = await check(schema);
+   return userRepo.markUserEmailVerified(pool, schema, id);
+};
+
 const deleteUser = async (schema = DEFAULT_SCHEMA, id) => {
    const pool = await check(schema);
    return userRepo.deleteUser(pool, schema, id);
@@ -173,15 +194,26 @@ const deleteUser = async (schema = DEFAULT_SCHEMA, id) => {
 
 // --- Session helpers ---
 
-const createSession = async (schema = DEFAULT_SCHEMA, paramsArray) => {
-   const [user_id] = paramsArray;
+/**
+ * @param {string} schema - Tenant schema
+ * @param {string} userId - Logged-in user
+ * @param {Object} device - { expressSid, ipAddress, userAgent, deviceType, browser, os, expiresAt }
+ */
+const createSession = async (schema = DEFAULT_SCHEMA, userId, device = {}) => {
    const pool = await check(schema);
    const id = uuidv4();
    const session_id = uuidv4();
    return sessionRepo.createSession(pool, {
       id,
-      user_id,
+      user_id: userId,
       session_id,
+      express_sid: device.expressSid,
+      ip_address: device.ipAddress,
+      user_agent: device.userAgent,
+      device_type: device.deviceType,
+      browser: device.browser,
+      os: device.os,
+      expires_at: device.expiresAt,
    });
 };
 
@@ -216,6 +248,474 @@ const deleteSessionBySessionId = async (schema = DEFAULT_SCHEMA, sessionId) => {
    return sessionRepo.deleteSessionBySessionId(pool, sessionId);
 };
 
+const deleteSessionById = async (schema = DEFAULT_SCHEMA, id) => {
+   const pool = await check(schema);
+   return sessionRepo.deleteSessionById(pool, id);
+};
+
+const touchSession = async (schema = DEFAULT_SCHEMA, id, expiresAt) => {
+   const pool = await check(schema);
+   return sessionRepo.touchSession(pool, { id, expires_at: expiresAt });
+};
+
+const getActiveSessions = async (schema = DEFAULT_SCHEMA, userId) => {
+   const pool = await check(schema);
+   return sessionRepo.getActiveSessionsByUserId(pool, userId);
+};
+
+const deleteUserSession = async (schema = DEFAULT_SCHEMA, userId, id) => {
+   const pool = await check(schema);
+   return sessionRepo.deleteUserSession(pool, { id, user_id: userId });
+};
+
+const getActiveTenantSessions = async (schema = DEFAULT_SCHEMA, userId = null) => {
+   const pool = await check(schema);
+   return sessionRepo.getActiveTenantSessions(pool, userId);
+};
+
+const deleteAllSessions = async (schema = DEFAULT_SCHEMA) => {
+   const pool = await check(schema);
+   return sessionRepo.deleteAllSessions(pool);
+};
+
+const deleteOtherUserSessions = async (schema = DEFAULT_SCHEMA, userId, keepId) => {
+   const pool = await check(schema);
+   return sessionRepo.deleteOtherUserSessions(pool, {
+      user_id: userId,
+      keep_id: keepId,
+   });
+};
+
+// --- Password reset helpers ---
+
+const createPasswordResetToken = async (schema = DEFAULT_SCHEMA, token) => {
+   const pool = await check(schema);
+   return passwordResetRepo.createPasswordResetToken(pool, {
+      id: uuidv4(),
+      ...token,
+   });
+};
+
+const consumePasswordResetToken = async (schema = DEFAULT_SCHEMA, tokenHash) => {
+   const pool = await check(schema);
+   return passwordResetRepo.consumePasswordResetToken(pool, tokenHash);
+};
+
+const invalidatePasswordResetTokens = async (schema = DEFAULT_SCHEMA, userId) => {
+   const pool = await check(schema);
+   return passwordResetRepo.invalidatePasswordResetTokensByUserId(pool, userId);
+};
+
+const deleteExpiredPasswordResetTokens = async (schema = DEFAULT_SCHEMA) => {
+   const pool = await check(schema);
+   return passwordResetRepo.deleteExpiredPasswordResetTokens(pool);
+};
+
+// --- Email verification helpers ---
+
+const createEmailVerificationToken = async (schema = DEFAULT_SCHEMA, token) => {
+   const pool = await check(schema);
+   return emailVerificationRepo.createEmailVerificationToken(pool, {
+      id: uuidv4(),
+      ...token,
+   });
+};
+
+const consumeEmailVerificationToken = async (
+   schema = DEFAULT_SCHEMA,
+   tokenHash
+) => {
+   const pool = await check(schema);
+   return emailVerificationRepo.consumeEmailVerificationToken(pool, tokenHash);
+};
+
+const invalidateEmailVerificationTokens = async (
+   schema = DEFAULT_SCHEMA,
+   userId
+) => {
+   const pool = await check(schema);
+   return emailVerificationRepo.invalidateEmailVerificationTokensByUserId(
+      pool,
+      userId
+   );
+};
+
+const deleteExpiredEmailVerificationTokens = async (schema = DEFAULT_SCHEMA) => {
+   const pool = await check(schema);
+   return emailVerificationRepo.deleteExpiredEmailVerificationTokens(pool);
+};
+
+// --- MFA (TOTP, recovery codes) helpers ---
+
+const getUserTotp = async (schema = DEFAULT_SCHEMA, userId) => {
+   const pool = await check(schema);
+   return mfaRepo.getUserTotp(pool, userId);
+};
+
+const setPendingUserTotp = async (
+   schema = DEFAULT_SCHEMA,
+   userId,
+   pendingSecretEncrypted
+) => {
+   const pool = await check(schema);
+   return mfaRepo.setPendingUserTotp(pool, {
+      user_id: userId,
+      pending_secret_encrypted: pendingSecretEncrypted,
+   });
+};
+
+const confirmUserTotp = async (schema = DEFAULT_SCHEMA, userId, step) => {
+   const pool = await check(schema);
+   return mfaRepo.confirmUserTotp(pool, {
+      user_id: userId,
+      last_used_step: step,
+   });
+};
+
+const updateUserTotpLastUsedStep = async (
+   schema = DEFAULT_SCHEMA,
+   userId,
+   step
+) => {
+   const pool = await check(schema);
+   return mfaRepo.updateUserTotpLastUsedStep(pool, {
+      user_id: userId,
+      last_used_step: step,
+   });
+};
+
+const deleteUserTotp = async (schema = DEFAULT_SCHEMA, userId) => {
+   const pool = await check(schema);
+   return mfaRepo.deleteUserTotp(pool, userId);
+};
+
+const replaceRecoveryCodes = async (
+   schema = DEFAULT_SCHEMA,
+   userId,
+   codeHashes
+) => {
+   const pool = await check(schema);
+   return mfaRepo.replaceRecoveryCodes(pool, {
+      ids: codeHashes.map(() => uuidv4()),
+      user_id: userId,
+      code_hashes: codeHashes,
+   });
+};
+
+const consumeRecoveryCode = async (
+   schema = DEFAULT_SCHEMA,
+   userId,
+   codeHash
+) => {
+   const pool = await check(schema);
+   return mfaRepo.consumeRecoveryCode(pool, {
+      user_id: userId,
+      code_hash: codeHash,
+   });
+};
+
+const countRemainingRecoveryCodes = async (
+   schema = DEFAULT_SCHEMA,
+   userId
+) => {
+   const pool = await check(schema);
+   return mfaRepo.countRemainingRecoveryCodes(pool, userId);
+};
+
+const deleteRecoveryCodes = async (schema = DEFAULT_SCHEMA, userId) => {
+   const pool = await check(schema);
+   return mfaRepo.deleteRecoveryCodesByUserId(pool, userId);
+};
+
+// --- Passkey (WebAuthn credential) helpers ---
+
+const createWebauthnCredential = async (
+   schema = DEFAULT_SCHEMA,
+   userId,
+   credential
+) => {
+   const pool = await check(schema);
+   return webauthnRepo.createWebauthnCredential(pool, {
+      id: uuidv4(),
+      user_id: userId,
+      credential_id: credential.credentialId,
+      public_key: credential.publicKey,
+      algorithm: credential.algorithm,
+      sign_count: credential.signCount,
+      transports: credential.transports,
+      name: credential.name,
+      rp_id: credential.rpId,
+   });
+};
+
+const getWebauthnCredentials = async (schema = DEFAULT_SCHEMA, userId) => {
+   const pool = await check(schema);
+   return webauthnRepo.getWebauthnCredentialsByUserId(pool, userId);
+};
+
+const getWebauthnCredentialByCredentialId = async (
+   schema = DEFAULT_SCHEMA,
+   credentialId
+) => {
+   const pool = await check(schema);
+   return webauthnRepo.getWebauthnCredentialByCredentialId(pool, credentialId);
+};
+
+const updateWebauthnCredentialSignCount = async (
+   schema = DEFAULT_SCHEMA,
+   id,
+   signCount
+) => {
+   const pool = await check(schema);
+   return webauthnRepo.updateWebauthnCredentialSignCount(pool, {
+      id,
+      sign_count: signCount,
+   });
+};
+
+const deleteWebauthnCredential = async (schema = DEFAULT_SCHEMA, userId, id) => {
+   const pool = await check(schema);
+   return webauthnRepo.deleteWebauthnCredential(pool, { id, user_id: userId });
+};
+
+// --- Login failure (brute-force protection) helpers ---
+
+const getLoginFailures = async (schema = DEFAULT_SCHEMA, email, ip) => {
+   const pool = await check(schema);
+   return loginFailureRepo.getLoginFailures(pool, { email, ip });
+};
+
+const recordLoginFailure = async (
+   schema = DEFAULT_SCHEMA,
+   keyType,
+   keyValue,
+   windowMinutes
+) => {
+   const pool = await check(schema);
+   return loginFailureRepo.recordLoginFailure(pool, {
+      key_type: keyType,
+      key_value: keyValue,
+      window_minutes: windowMinutes,
+   });
+};
+
+const lockLoginKey = async (
+   schema = DEFAULT_SCHEMA,
+   keyType,
+   keyValue,
+   durationMinutes
+) => {
+   const pool = await check(schema);
+   return loginFailureRepo.lockLoginKey(pool, {
+      key_type: keyType,
+      key_value: keyValue,
+      duration_minutes: durationMinutes,
+   });
+};
+
+const clearLoginFailures = async (schema = DEFAULT_SCHEMA, keyType, keyValue) => {
+   const pool = await check(schema);
+   return loginFailureRepo.clearLoginFailures(pool, {
+      key_type: keyType,
+      key_value: keyValue,
+   });
+};
+
+// --- OAuth authorization code helpers ---
+
+const createAuthorizationCode = async (
+   schema = DEFAULT_SCHEMA,
+   {
+      codeHash,
+      clientId,
+      userId,
+      redirectUri,
+      codeChallenge,
+      codeChallengeMethod,
+      scope,
+      nonce,
+      authTime,
+      expiresAt,
+   }
+) => {
+   const pool = await check(schema);
+   return oauthRepo.createAuthorizationCode(pool, {
+      id: uuidv4(),
+      code_hash: codeHash,
+      client_id: clientId,
+      user_id: userId,
+      redirect_uri: redirectUri,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+      scope,
+      nonce,
+      auth_time: authTime,
+      expires_at: expiresAt,
+   });
+};
+
+const consumeAuthorizationCode = async (schema = DEFAULT_SCHEMA, codeHash) => {
+   const pool = await check(schema);
+   return oauthRepo.consumeAuthorizationCode(pool, codeHash);
+};
+
+// --- OAuth refresh token helpers ---
+
+const createRefreshToken = async (
+   schema = DEFAULT_SCHEMA,
+   { tokenHash, familyId, clientId, userId, scope, authTime, expiresAt }
+) => {
+   const pool = await check(schema);
+   return oauthRepo.createRefreshToken(pool, {
+      id: uuidv4(),
+      token_hash: tokenHash,
+      family_id: familyId || uuidv4(), // new family unless rotated
+      client_id: clientId,
+      user_id: userId,
+      scope,
+      auth_time: authTime,
+      expires_at: expiresAt,
+   });
+};
+
+const consumeRefreshToken = async (schema = DEFAULT_SCHEMA, tokenHash) => {
+   const pool = await check(schema);
+   return oauthRepo.consumeRefreshToken(pool, tokenHash);
+};
+
+const getRefreshTokenByHash = async (schema = DEFAULT_SCHEMA, tokenHash) => {
+   const pool = await check(schema);
+   return oauthRepo.getRefreshTokenByHash(pool, tokenHash);
+};
+
+const revokeRefreshTokenFamily = async (schema = DEFAULT_SCHEMA, familyId) => {
+   const pool = await check(schema);
+   return oauthRepo.revokeRefreshTokenFamily(pool, familyId);
+};
+
+const revokeUserRefreshTokens = async (schema = DEFAULT_SCHEMA, userId) => {
+   const pool = await check(schema);
+   return oauthRepo.revokeUserRefreshTokens(pool, userId);
+};
+
+const revokeUserClientRefreshTokens = async (
+   schema = DEFAULT_SCHEMA,
+   userId,
+   clientId
+) => {
+   const pool = await check(schema);
+   return oauthRepo.revokeUserClientRefreshTokens(pool, userId, clientId);
+};
+
+// --- OAuth consent helpers ---
+
+const getConsent = async (schema = DEFAULT_SCHEMA, userId, clientId) => {
+   const pool = await check(schema);
+   return oauthRepo.getConsent(pool, userId, clientId);
+};
+
+const getUserConsents = async (schema = DEFAULT_SCHEMA, userId) => {
+   const pool = await check(schema);
+   return oauthRepo.getUserConsents(pool, userId);
+};
+
+const grantConsent = async (
+   schema = DEFAULT_SCHEMA,
+   { userId, clientId, scopes }
+) => {
+   const pool = await check(schema);
+   return oauthRepo.grantConsent(pool, {
+      id: uuidv4(),
+      user_id: userId,
+      client_id: clientId,
+      scopes,
+   });
+};
+
+const deleteConsent = async (schema = DEFAULT_SCHEMA, userId, clientId) => {
+   const pool = await check(schema);
+   return oauthRepo.deleteConsent(pool, userId, clientId);
+};
+
+// --- Role and permission (RBAC) helpers ---
+
+const getRoles = async (schema = DEFAULT_SCHEMA) => {
+   const pool = await check(schema);
+   return roleRepo.getRoles(pool);
+};
+
+const getRole = async (schema = DEFAULT_SCHEMA, roleId) => {
+   const pool = await check(schema);
+   return roleRepo.getRole(pool, roleId);
+};
+
+// role and its permissions in one transaction
+const createRole = async (
+   schema = DEFAULT_SCHEMA,
+   { name, description, permissionNames = [] }
+) => {
+   const pool = await check(schema);
+   return roleRepo.createRole(pool, {
+      id: uuidv4(),
+      name,
+      description,
+      permissionNames,
+   });
+};
+
+// permissionNames null keeps the role's permissions
+const updateRole = async (
+   schema = DEFAULT_SCHEMA,
+   roleId,
+   { name, description, permissionNames = null }
+) => {
+   const pool = await check(schema);
+   return roleRepo.updateRole(pool, {
+      id: roleId,
+      name,
+      description,
+      permissionNames,
+   });
+};
+
+const deleteRole = async (schema = DEFAULT_SCHEMA, roleId) => {
+   const pool = await check(schema);
+   return roleRepo.deleteRole(pool, roleId);
+};
+
+const getPermissions = async (schema = DEFAULT_SCHEMA) => {
+   const pool = await check(schema);
+   return roleRepo.getPermissions(pool);
+};
+
+const createPermission = async (
+   schema = DEFAULT_SCHEMA,
+   { name, description }
+) => {
+   const pool = await check(schema);
+   return roleRepo.createPermission(pool, { id: uuidv4(), name, description });
+};
+
+const deletePermission = async (schema = DEFAULT_SCHEMA, permissionId) => {
+   const pool = await check(schema);
+   return roleRepo.deletePermission(pool, permissionId);
+};
+
+const getUserRoles = async (schema = DEFAULT_SCHEMA, userId) => {
+   const pool = await check(schema);
+   return roleRepo.getUserRoles(pool, userId);
+};
+
+const setUserRoles = async (schema = DEFAULT_SCHEMA, userId, roleNames) => {
+   const pool = await check(schema);
+   return roleRepo.replaceUserRoles(pool, userId, roleNames);
+};
+
+const getUserAuthorization = async (schema = DEFAULT_SCHEMA, userId) => {
+   const pool = await check(schema);
+   return roleRepo.getUserAuthorization(pool, userId);
+};
+
 export default {
    // Users
    createUser,
@@ -224,6 +724,8 @@ export default {
    getUserByEmail,
    getUserByNameAndEmail,
    updateUser,
+   updateUserPassword,
+   markUserEmailVerified,
    deleteUser,
 
    // Sessions
@@ -233,4 +735,78 @@ export default {
    getSessionByUserId,
    deleteSessionByUserId,
    deleteSessionBySessionId,
+   deleteSessionById,
+   touchSession,
+   getActiveSessions,
+   deleteUserSession,
+   deleteOtherUserSessions,
+   getActiveTenantSessions,
+   deleteAllSessions,
+
+   // Password reset tokens
+   createPasswordResetToken,
+   consumePasswordResetToken,
+   invalidatePasswordResetTokens,
+   deleteExpiredPasswordResetTokens,
+
+   // Email verification tokens
+   createEmailVerificationToken,
+   consumeEmailVerificationToken,
+   invalidateEmailVerificationTokens,
+   deleteExpiredEmailVerificationTokens,
+
+   // MFA (TOTP, recovery codes)
+   getUserTotp,
+   setPendingUserTotp,
+   confirmUserTotp,
+   updateUserTotpLastUsedStep,
+   deleteUserTotp,
+   replaceRecoveryCodes,
+   consumeRecoveryCode,
+   countRemainingRecoveryCodes,
+   deleteRecoveryCodes,
+
+   // Passkeys (WebAuthn credentials)
+   createWebauthnCredential,
+   getWebauthnCredentials,
+   getWebauthnCredentialByCredentialId,
+   updateWebauthnCredentialSignCount,
+   deleteWebauthnCredential,
+
+   // Login failures (brute-force protection)
+   getLoginFailures,
+   recordLoginFailure,
+   lockLoginKey,
+   clearLoginFailures,
+
+   // OAuth authorization codes
+   createAuthorizationCode,
+   consumeAuthorizationCode,
+
+   // OAuth refresh tokens
+   createRefreshToken,
+   consumeRefreshToken,
+   getRefreshTokenByHash,
+   revokeRefreshTokenFamily,
+   revokeUserRefreshTokens,
+   revokeUserClientRefreshTokens,
+
+   // OAuth consents
+   getConsent,
+   getUserConsents,
+   grantConsent,
+   deleteConsent,
+
+   // Roles and permissions (RBAC)
+   getRoles,
+   getRole,
+   createRole,
+   updateRole,
+   deleteRole,
+   getPermissions,
+   createPermission,
+   deletePermission,
+   getUserRoles,
+   setUserRoles,
+   getUserAuthorization,
 };
@@ -0,0 +1,70 @@
+import express from "express";
+import { isAuthenticated, hasRole } from "../middleware/auth.js";
+import signingKeyService from "../services/signingKeyService.js";
+
+const router = express.Router();
+
+/**
+ * Admin Routes
+ *
+ * System administration of the auth-system itself.
+ * All routes require authentication and the admin role.
+ *
+ * Signing keys (JWT signatures):
+ * - GET /signing-keys - List the signing keys (no key material)
+ * - POST /signing-keys/rotate - Replace the active key now
+ *   - { emergency: true } - the old key stops verifying immediately (compromised key)
+ *   - { algorithm } - RS256, ES256 or EdDSA for the new key
+ */
+
+router.use(isAuthenticated, hasRole("admin"));
+
+// --- Signing Key Routes ---
+
+/**
+ * List signing keys
+ * GET /api/admin/signing-keys
+ */
+router.get("/signing-keys", async (req, res, next) => {
+   try {
+      const keys = await signingKeyService.listSigningKeys();
+      res.json({
+         success: true,
+         data: keys,
+      });
+   } catch (error) {
+      next(error);
+   }
+});
+
+/**
+ * Rotate the signing key
+ * POST /api/admin/signing-keys/rotate
+ */
+router.post("/signing-keys/rotate", async (req, res, next) => {
+   try {
+      const { emergency = false, algorithm } = req.body || {};
+      const key = await signingKeyService.rotateSigningKey({
+         emergency: emergency === true,
+         algorithm,
+      });
+
+      console.log(
+         "🔏 [ADMIN] Signing key rotated by user:",
+         req.session.userId,
+         emergency === true ? "(emergency)" : ""
+      );
+
+      res.json({
+         success: true,
+         data: key,
+         message: emergency === true
+            ? "Signing key rotated, tokens of the previous key are no longer accepted"
+            : "Signing key rotated",
+      });
+   } catch (error) {
+      next(error);
+   }
+});
+
+export default router;
@@ -8,7 +8,11 @@ const router = Router();
  *  - logout
  *  - register
  *  - getCurrentUser
- *  - getSessions
+ *  - sessions (list, revoke, sign out everywhere else)
+ *  - OAuth consent (consent page, connected apps)
+ *  - password reset (forgot / reset)
+ *  - email verification (verify / resend)
+ *  - MFA (second login step, TOTP enrollment)
  *
  * uses:
  *  - userService to interact with repository
@@ -21,18 +25,131 @@ import {
    logout,
    getCurrentUser,
    getSessions,
+   revokeSession,
+   revokeOtherSessions,
+   getConsentRequest,
+   submitConsent,
+   getConsents,
+   withdrawConsent,
+   forgotPassword,
+   resetPassword,
+   verifyEmail,
+   resendVerificationEmail,
+   verifyMfa,
+   getMfaStatus,
+   enrollTotp,
+   confirmTotp,
+   reenrollTotp,
+   disableTotp,
+   regenerateRecoveryCodes,
+   getPasskeyRegistrationOptions,
+   verifyPasskeyRegistration,
+   getPasskeys,
+   deletePasskey,
+   getPasskeyLoginOptions,
+   loginWithPasskey,
 } from "../controllers/auth.js";
 
 // --- middleware ---
 import { hasRole, isAuthenticated, isNotAdmin } from "../middleware/auth.js";
+import { selectClientTenant } from "../middleware/schemaDetection.js";
 // --- utils ---
 import validation from "../utils/validation.js"; // types and XSS
 
 // --- routes ---
-router.post("/register", validation.register, register);
-router.post("/login", validation.login, login);
+// client_id (or returnUrl) selects the tenant, unknown clients are refused
+router.post("/register", validation.register, selectClientTenant, register);
+router.post("/login", validation.login, selectClientTenant, login);
 router.post("/logout", validation.logout, isAuthenticated, logout);
 
+// --- password reset ---
+// the mailed links carry the client_id, the pages send it back
+router.post(
+   "/password/forgot",
+   validation.forgotPassword,
+   selectClientTenant,
+   forgotPassword
+);
+router.post(
+   "/password/reset",
+   validation.resetPassword,
+   selectClientTenant,
+   resetPassword
+);
+
+// --- email verification ---
+router.get("/verify-email", validation.verifyEmail, selectClientTenant, verifyEmail);
+router.post(
+   "/verify-email/resend",
+   validation.resendVerificationEmail,
+   selectClientTenant,
+   resendVerificationEmail
+);
+
+// --- MFA ---
+// second login step, the session only holds mfaPending (not authenticated yet)
+router.post("/mfa/verify", validation.mfaCode, verifyMfa);
+
+router.get("/mfa", isAuthenticated, getMfaStatus);
+router.post("/mfa/totp/enroll", isAuthenticated, enrollTotp);
+router.post(
+   "/mfa/totp/confirm",
+   isAuthenticated,
+   validation.mfaCode,
+   confirmTotp
+);
+router.post(
+   "/mfa/totp/reenroll",
+   isAuthenticated,
+   validation.currentPassword,
+   reenrollTotp
+);
+router.post(
+   "/mfa/totp/disable",
+   isAuthenticated,
+   validation.currentPassword,
+   disableTotp
+);
+router.post(
+   "/mfa/recovery-codes/regenerate",
+   isAuthenticated,
+   validation.currentPassword,
+   regenerateRecoveryCodes
+);
+
+// --- passkeys (WebAuthn) ---
+// passwordless login, the options set the challenge in the session
+router.post(
+   "/webauthn/login/options",
+   validation.passkeyLoginOptions,
+   selectClientTenant,
+   getPasskeyLoginOptions
+);
+router.post(
+   "/webauthn/login/verify",
+   validation.passkeyCredential,
+   loginWithPasskey
+);
+
+router.post(
+   "/webauthn/register/options",
+   isAuthenticated,
+   getPasskeyRegistrationOptions
+);
+router.post(
+   "/webauthn/register/verify",
+   isAuthenticated,
+   validation.passkeyCredential,
+   verifyPasskeyRegistration
+);
+router.get("/webauthn/credentials", isAuthenticated, getPasskeys);
+router.delete(
+   "/webauthn/credentials/:id",
+   isAuthenticated,
+   validation.passkeyId,
+   deletePasskey
+);
+
 /** very protected routes
  *   - only for current user (password protection)
  */
@@ -41,7 +158,25 @@ router.get("/admin", isAuthenticated, hasRole("admin"), getCurrentUser);
 
 // --- session ---
 router.get("/session", isAuthenticated, getCurrentUser);
-router.post("/sessions", isAuthenticated, getSessions);
+router.get("/sessions", isAuthenticated, getSessions);
+router.post("/sessions/revoke-others", isAuthenticated, revokeOtherSessions);
+router.delete(
+   "/sessions/:id",
+   isAuthenticated,
+   validation.sessionId,
+   revokeSession
+);
+
+// --- OAuth consent ---
+router.get("/consent", isAuthenticated, getConsentRequest);
+router.post("/consent", isAuthenticated, validation.consentAnswer, submitConsent);
+router.get("/consents", isAuthenticated, getConsents);
+router.delete(
+   "/consents/:clientId",
+   isAuthenticated,
+   validation.clientId,
+   withdrawConsent
+);
 
 // --- export ---
 export default router;
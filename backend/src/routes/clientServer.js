@@ -1,5 +1,6 @@
 import express from "express";
 import clientServerService from "../services/clientServerService.js";
+import clientSecretService from "../services/clientSecretService.js";
 import { authenticateClientServer } from "../middleware/clientServerAuth.js";
 import { isAuthenticated, hasRole } from "../middleware/auth.js";
 
@@ -11,6 +12,7 @@ const router = express.Router();
  * Public routes:
  * - POST /register - Register a new client server
  * - POST /handshake - Authenticate client server and get API token
+ *   (deprecated: POST /oauth/token with grant_type=client_credentials)
  *
  * Protected routes (require API token):
  * - GET /me - Get current client server info
@@ -22,6 +24,9 @@ const router = express.Router();
  * - GET /user/clients/:client_id - Get specific client server for user
  * - PUT /user/clients/:client_id - Update client server for user
  * - DELETE /user/clients/:client_id - Delete client server for user
+ * - GET /user/clients/:client_id/secrets - List the client secrets (without the secrets)
+ * - POST /user/clients/:client_id/secrets - Create an additional client secret (shown once)
+ * - DELETE /user/clients/:client_id/secrets/:secret_id?grace_hours= - Revoke a client secret
  *
  * Admin routes (require admin role):
  * - GET /:client_id - Get client server by ID
@@ -46,12 +51,18 @@ router.post("/register", async (req, res, next) => {
 /**
  * Client server handshake - authenticate and get API token
  * POST /api/clientServer/handshake
+ * @deprecated alias of POST /oauth/token (grant_type=client_credentials), same token
  */
 router.post("/handshake", async (req, res, next) => {
    try {
       const result = await clientServerService.authenticateClientServer(
          req
       );
+      res.set({
+         Deprecation: "true",
+         Link: '</oauth/token>; rel="successor-version"',
+         "Cache-Control": "no-store",
+      });
       res.json(result);
    } catch (error) {
       next(error);
@@ -181,6 +192,68 @@ router.delete(
    }
 );
 
+/**
+ * List the secrets of a client server of the authenticated user
+ * GET /api/clientServer/user/clients/:client_id/secrets
+ */
+router.get(
+   "/user/clients/:client_id/secrets",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const result = await clientSecretService.getUserClientSecrets(
+            req,
+            req.params.client_id
+         );
+         res.json(result);
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Create an additional secret (rotation) - the secret is only in this response
+ * POST /api/clientServer/user/clients/:client_id/secrets
+ */
+router.post(
+   "/user/clients/:client_id/secrets",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const result = await clientSecretService.createUserClientSecret(
+            req,
+            req.params.client_id
+         );
+         res.set("Cache-Control", "no-store");
+         res.status(201).json(result);
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Revoke a secret, at once or after ?grace_hours=
+ * DELETE /api/clientServer/user/clients/:client_id/secrets/:secret_id
+ */
+router.delete(
+   "/user/clients/:client_id/secrets/:secret_id",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const result = await clientSecretService.revokeUserClientSecret(
+            req,
+            req.params.client_id,
+            req.params.secret_id
+         );
+         res.json(result);
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
 // --- Admin Routes (require admin role) ---
 
 /**
@@ -0,0 +1,62 @@
+import express from "express";
+
+const router = express.Router();
+
+/**
+ * OAuth 2.0 Routes (authorization code flow with PKCE)
+ *
+ * Browser routes (redirects):
+ * - GET /authorize - Start an authorization request, redirects to the login page or back to the client
+ * - GET /authorize/resume - Finish the pending request after the login page logged the user in
+ *
+ * Client server routes (application/x-www-form-urlencoded):
+ * - POST /token - Exchange an authorization code (or a refresh token) for an access token, refresh token (and id_token)
+ * - POST /introspect - State and claims of a token issued to the client (RFC 7662)
+ * - POST /revoke - Revoke a token issued to the client (RFC 7009)
+ *
+ * OpenID Connect routes:
+ * - GET|POST /userinfo - Claims of the access token's user (Bearer token)
+ * - GET /jwks.json - Public keys of the token signatures (active key and keys in their overlap window)
+ * - GET /.well-known/openid-configuration - Discovery document (wellKnownRouter, mounted at the root)
+ */
+
+// token requests are form encoded (RFC 6749 section 4.1.3)
+router.use(express.urlencoded({ extended: false }));
+
+// --- controllers ---
+import {
+   authorize,
+   resumeAuthorization,
+   exchangeToken,
+   introspectToken,
+   revokeToken,
+   getUserInfo,
+   getJwks,
+   getDiscoveryDocument,
+} from "../controllers/oauth.js";
+
+// --- routes ---
+// GET /oauth/authorize?response_type=code&client_id=...&redirect_uri=...&code_challenge=...&code_challenge_method=S256&state=...
+router.get("/authorize", authorize);
+router.get("/authorize/resume", resumeAuthorization);
+
+// --- client server endpoints ---
+router.post("/token", exchangeToken);
+router.post("/introspect", introspectToken);
+// 200 with an empty body, also for unknown tokens
+router.post("/revoke", revokeToken);
+
+// --- OpenID Connect ---
+router.get("/userinfo", getUserInfo);
+router.post("/userinfo", getUserInfo);
+router.get("/jwks.json", getJwks);
+
+/**
+ * OpenID Connect discovery, at the root of the issuer
+ * GET /.well-known/openid-configuration
+ */
+export const wellKnownRouter = express.Router();
+
+wellKnownRouter.get("/openid-configuration", getDiscoveryDocument);
+
+export default router;
@@ -127,6 +127,34 @@ router.put(
    }
 );
 
+/**
+ * Unlock a user locked out after failed logins
+ * POST /api/owner/clients/:clientId/users/:userId/unlock
+ */
+router.post(
+   "/clients/:clientId/users/:userId/unlock",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId, userId } = req.params;
+
+         const user = await ownerService.unlockClientUser(
+            req,
+            clientId,
+            userId
+         );
+
+         res.json({
+            success: true,
+            data: user,
+            message: "User unlocked successfully",
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
 /**
  * Delete a user from a specific client server schema
  * DELETE /api/owner/clients/:clientId/users/:userId
@@ -173,6 +201,326 @@ router.get(
    }
 );
 
+// --- Client Server Session Routes ---
+
+/**
+ * Get the active sessions of a client server
+ * GET /api/owner/clients/:clientId/sessions?userId=
+ */
+router.get(
+   "/clients/:clientId/sessions",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId } = req.params;
+
+         const sessions = await ownerService.getClientSessions(
+            req,
+            clientId,
+            req.query.userId || null
+         );
+
+         res.json({
+            success: true,
+            data: sessions,
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Sign out every session of a client server (fx. after a breach)
+ * DELETE /api/owner/clients/:clientId/sessions
+ */
+router.delete(
+   "/clients/:clientId/sessions",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId } = req.params;
+
+         const revoked = await ownerService.revokeClientSessions(req, clientId);
+
+         res.json({
+            success: true,
+            data: { revoked },
+            message: "All sessions revoked successfully",
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Sign out one session of a client server
+ * DELETE /api/owner/clients/:clientId/sessions/:sessionId
+ */
+router.delete(
+   "/clients/:clientId/sessions/:sessionId",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId, sessionId } = req.params;
+
+         await ownerService.revokeClientSession(req, clientId, sessionId);
+
+         res.json({
+            success: true,
+            message: "Session revoked successfully",
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Sign out every session of a user
+ * DELETE /api/owner/clients/:clientId/users/:userId/sessions
+ */
+router.delete(
+   "/clients/:clientId/users/:userId/sessions",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId, userId } = req.params;
+
+         const revoked = await ownerService.revokeClientSessions(
+            req,
+            clientId,
+            userId
+         );
+
+         res.json({
+            success: true,
+            data: { revoked },
+            message: "User sessions revoked successfully",
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+// --- Role and Permission Routes (RBAC) ---
+
+/**
+ * Get the roles and permissions of a client server
+ * GET /api/owner/clients/:clientId/roles
+ */
+router.get(
+   "/clients/:clientId/roles",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId } = req.params;
+
+         const roles = await ownerService.getClientRoles(req, clientId);
+
+         res.json({
+            success: true,
+            data: roles,
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Create a role in a client server
+ * POST /api/owner/clients/:clientId/roles
+ * - body: { name, description?, permissions?: string[] }
+ */
+router.post(
+   "/clients/:clientId/roles",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId } = req.params;
+
+         const role = await ownerService.createClientRole(
+            req,
+            clientId,
+            req.body
+         );
+
+         res.status(201).json({
+            success: true,
+            data: role,
+            message: "Role created successfully",
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Update a role of a client server
+ * PUT /api/owner/clients/:clientId/roles/:roleId
+ * - body: { name?, description?, permissions?: string[] } - permissions replaces the list
+ */
+router.put(
+   "/clients/:clientId/roles/:roleId",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId, roleId } = req.params;
+
+         const role = await ownerService.updateClientRole(
+            req,
+            clientId,
+            roleId,
+            req.body
+         );
+
+         res.json({
+            success: true,
+            data: role,
+            message: "Role updated successfully",
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Delete a role of a client server
+ * DELETE /api/owner/clients/:clientId/roles/:roleId
+ */
+router.delete(
+   "/clients/:clientId/roles/:roleId",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId, roleId } = req.params;
+
+         await ownerService.deleteClientRole(req, clientId, roleId);
+
+         res.json({
+            success: true,
+            message: "Role deleted successfully",
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Create a permission in a client server
+ * POST /api/owner/clients/:clientId/permissions
+ * - body: { name, description? }
+ */
+router.post(
+   "/clients/:clientId/permissions",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId } = req.params;
+
+         const permission = await ownerService.createClientPermission(
+            req,
+            clientId,
+            req.body
+         );
+
+         res.status(201).json({
+            success: true,
+            data: permission,
+            message: "Permission created successfully",
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Delete a permission of a client server
+ * DELETE /api/owner/clients/:clientId/permissions/:permissionId
+ */
+router.delete(
+   "/clients/:clientId/permissions/:permissionId",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId, permissionId } = req.params;
+
+         await ownerService.deleteClientPermission(req, clientId, permissionId);
+
+         res.json({
+            success: true,
+            message: "Permission deleted successfully",
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Get the roles of a user
+ * GET /api/owner/clients/:clientId/users/:userId/roles
+ */
+router.get(
+   "/clients/:clientId/users/:userId/roles",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId, userId } = req.params;
+
+         const roles = await ownerService.getClientUserRoles(
+            req,
+            clientId,
+            userId
+         );
+
+         res.json({
+            success: true,
+            data: roles,
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
+/**
+ * Replace the roles of a user
+ * PUT /api/owner/clients/:clientId/users/:userId/roles
+ * - body: { roles: string[] } - role names, [] removes every role
+ */
+router.put(
+   "/clients/:clientId/users/:userId/roles",
+   isAuthenticated,
+   async (req, res, next) => {
+      try {
+         const { clientId, userId } = req.params;
+
+         const roles = await ownerService.setClientUserRoles(
+            req,
+            clientId,
+            userId,
+            req.body?.roles
+         );
+
+         res.json({
+            success: true,
+            data: roles,
+            message: "User roles updated successfully",
+         });
+      } catch (error) {
+         next(error);
+      }
+   }
+);
+
 // --- Client Server Analytics Routes ---
 
 /**
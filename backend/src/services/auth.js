@@ -1,11 +1,47 @@
-import { AuthError, ValidationError } from "../middleware/errorHandler.js";
-import { v4 as uuidv4 } from "uuid";
+import {
+   AuthError,
+   ForbiddenError,
+   ValidationError,
+} from "../middleware/errorHandler.js";
 import repo from "../repo/userRepository.js"; // Import the repository
+import hashing from "../utils/hashing.js";
+import { getSelectedTenant, getSessionLogin } from "../utils/authUtils.js";
+import {
+   getClientServerBySchema,
+   getPasswordPolicy,
+} from "./clientServerService.js";
+import {
+   isEmailVerificationRequired,
+   sendVerificationEmail,
+} from "./emailVerificationService.js";
+import { getEnabledMethods, verifyLoginCode } from "./mfaService.js";
+import {
+   getPendingAuthentication as getPendingPasskeyLogin,
+   verifyAuthentication as verifyPasskey,
+} from "./webauthnService.js";
+import {
+   assertLoginAllowed,
+   clearLoginFailures,
+   getClientIp,
+   getLockoutPolicy,
+   recordLoginFailure,
+} from "./loginProtectionService.js";
+import {
+   endCurrentSession,
+   recordLoginSession,
+   startLoginSession,
+} from "./sessionService.js";
+import { hasPendingAuthorization } from "./oauthService.js";
+import { setSessionTenant } from "../middleware/schemaDetection.js";
+import { getUserAuthorization } from "./roleService.js";
+import config from "../config/env.js";
 
 /** ------- auth service ------- */
 
 /**
  * - login
+ * - verifyMfa (second login step)
+ * - loginWithPasskey (passwordless login)
  * - logout
  * - register
  * - getCurrentUser
@@ -13,8 +49,15 @@ import repo from "../repo/userRepository.js"; // Import the repository
  * uses
  * - repository to interact with the database
  * - errorHandler to handle errors
- * - uuid to generate unique identifiers
- * - schema from request context (session or API token)
+ * - hashing to hash and verify passwords
+ * - emailVerificationService to mail verification links and gate login
+ * - mfaService for the second login step
+ * - webauthnService to verify passkey assertions
+ * - loginProtectionService for failed-login backoff and lockouts
+ * - sessionService to record the device of a login
+ * - login / register: schema of the client the request selected
+ *   (client_id, returnUrl or API token - selectClientTenant), the session
+ *   gets the tenant only with a successful login
  */
 
 /**
@@ -57,8 +100,9 @@ export async function login(req) {
       });
 
       const { credentials } = req.body;
-      const schema =
-         req.session?.schema || process.env.SEED_SCHEMA || "client_template";
+      // the client selected by this request (selectClientTenant), never a default
+      const tenant = getSelectedTenant(req);
+      const schema = tenant.schema;
 
       console.log("🔐 [AUTH SERVICE] Login attempt details:", {
          schema: schema,
@@ -72,11 +116,18 @@ export async function login(req) {
          throw new ValidationError("Email and password are required");
       }
 
+      // Brute-force protection - refused before the password is even checked
+      const clientServer = await getClientServerBySchema(schema);
+      const lockoutPolicy = getLockoutPolicy(clientServer);
+      const attempt = { email: credentials.email, ip: getClientIp(req) };
+      await assertLoginAllowed(schema, attempt, lockoutPolicy);
+
       console.log("🔐 [AUTH SERVICE] Looking up user in schema:", schema);
       const user = await repo.getUserByEmail(schema, credentials.email);
 
       if (!user) {
          console.log("🔐 [AUTH SERVICE] ❌ User not found in schema:", schema);
+         await recordLoginFailure(schema, attempt, lockoutPolicy);
          throw new AuthError("Invalid credentials");
       }
 
@@ -88,12 +139,20 @@ export async function login(req) {
          schema: schema,
       });
 
-      // Verify password (using hash comparison in a real implementation)
-      if (user.password_hash !== credentials.password) {
+      // Verify password (any registered algorithm, or plaintext for legacy rows)
+      const passwordPolicy = getPasswordPolicy(clientServer);
+      const { valid, needsRehash } = await hashing.verify(
+         credentials.password,
+         user.password_hash,
+         passwordPolicy
+      );
+
+      if (!valid) {
          console.log(
             "🔐 [AUTH SERVICE] ❌ Password mismatch for user:",
             user.email
          );
+         await recordLoginFailure(schema, attempt, lockoutPolicy);
          throw new AuthError("Invalid credentials");
       }
 
@@ -102,43 +161,185 @@ export async function login(req) {
          user.email
       );
 
-      // Set session data
-      req.session.userId = user.id;
-      req.session.role = user.role;
-      // Schema is already in session from middleware
+      // Legacy plaintext row or outdated algorithm/cost - rehash to the tenant policy
+      if (needsRehash) {
+         console.log(
+            "🔐 [AUTH SERVICE] Rehashing password with",
+            passwordPolicy.algorithm,
+            "for user:",
+            user.email
+         );
+         const passwordHash = await hashing.hash(
+            credentials.password,
+            passwordPolicy
+         );
+         await repo.updateUserPassword(schema, user.id, passwordHash);
+      }
+
+      // Checked after the password, so the response does not reveal
+      // the verification state of an account to someone without it
+      assertEmailVerified(clientServer, user);
 
-      console.log("🔐 [AUTH SERVICE] Setting session data:", {
-         userId: user.id,
-         role: user.role,
-         schema: req.session.schema,
-      });
+      // Second factor enrolled - password step done, the session is
+      // only created after verifyMfa() accepted a code
+      const mfaMethods = await getEnabledMethods(schema, user.id);
+      if (mfaMethods.length > 0) {
+         startMfaChallenge(req, user, tenant);
+
+         console.log("🔐 [AUTH SERVICE] MFA required for user:", user.email);
+
+         return createSuccessResponse("Two-factor authentication required", {
+            mfaRequired: true,
+            methods: mfaMethods,
+            expiresAt: req.session.mfaPending.expiresAt,
+         });
+      }
+
+      return await completeLogin(req, user, tenant);
+   } catch (error) {
+      console.log("🔐 [AUTH SERVICE] ❌ Login failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Passwordless login with a passkey
+ * - req.body: { credential } - assertion for the options from webauthnService.getAuthenticationOptions
+ * - a user-verified passkey (PIN, biometrics) counts as both factors, otherwise
+ *   users with MFA enabled continue with verifyMfa() as after a password
+ * - the lockout of the passkey's owner and the IP applies as for passwords,
+ *   rejected assertions count as failed logins
+ * @returns {Object} Same responses as login()
+ */
+export async function loginWithPasskey(req) {
+   try {
+      // Brute-force protection - refused before the assertion is even checked
+      const pending = await getPendingPasskeyLogin(req);
+      const clientServer = await getClientServerBySchema(pending.tenant.schema);
+      const lockoutPolicy = getLockoutPolicy(clientServer);
+      const attempt = { email: pending.user?.email ?? null, ip: getClientIp(req) };
+      await assertLoginAllowed(pending.tenant.schema, attempt, lockoutPolicy);
+
+      let verified;
+      try {
+         verified = await verifyPasskey(req);
+      } catch (error) {
+         if (error instanceof AuthError) {
+            await recordLoginFailure(pending.tenant.schema, attempt, lockoutPolicy);
+         }
+         throw error;
+      }
+      const { user, tenant, userVerified } = verified;
+      const schema = tenant.schema;
+
+      console.log("🔐 [AUTH SERVICE] ✅ Passkey verified for user:", user.email);
+
+      assertEmailVerified(clientServer, user);
+
+      if (!userVerified) {
+         const mfaMethods = await getEnabledMethods(schema, user.id);
+         if (mfaMethods.length > 0) {
+            startMfaChallenge(req, user, tenant);
+
+            console.log("🔐 [AUTH SERVICE] MFA required for user:", user.email);
+
+            return createSuccessResponse("Two-factor authentication required", {
+               mfaRequired: true,
+               methods: mfaMethods,
+               expiresAt: req.session.mfaPending.expiresAt,
+            });
+         }
+      }
+
+      return await completeLogin(req, user, tenant);
+   } catch (error) {
+      console.log("🔐 [AUTH SERVICE] ❌ Passkey login failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Second login step for users with MFA enabled
+ * - req.body: { code } - authenticator code or recovery code
+ * - req.session.mfaPending: set by login() after the password was verified
+ * @returns {Object} Same success response as login()
+ */
+export async function verifyMfa(req) {
+   try {
+      const pending = req.session?.mfaPending;
+
+      if (!pending || pending.expiresAt < Date.now()) {
+         if (req.session) {
+            delete req.session.mfaPending;
+         }
+         throw new AuthError(
+            "Two-factor authentication expired, please log in again",
+            "MFA_EXPIRED"
+         );
+      }
+
+      const { code } = req.body;
+      if (!code) {
+         throw new ValidationError("Authentication code is required");
+      }
+
+      const user = await repo.getUser(pending.schema, pending.userId);
+      if (!user) {
+         delete req.session.mfaPending;
+         throw new AuthError("Invalid credentials");
+      }
+
+      // wrong codes count as failed logins of the account as well
+      const clientServer = await getClientServerBySchema(pending.schema);
+      const lockoutPolicy = getLockoutPolicy(clientServer);
+      const attempt = { email: user.email, ip: getClientIp(req) };
+      await assertLoginAllowed(pending.schema, attempt, lockoutPolicy);
+
+      const { valid, method, remainingRecoveryCodes } = await verifyLoginCode(
+         pending.schema,
+         user.id,
+         code
+      );
+
+      if (!valid) {
+         await recordLoginFailure(pending.schema, attempt, lockoutPolicy);
+         pending.attempts += 1;
+         console.log(
+            "🔐 [AUTH SERVICE] ❌ Invalid MFA code for user:",
+            user.email,
+            "attempt:",
+            pending.attempts
+         );
+
+         if (pending.attempts >= config.mfa.maxAttempts) {
+            delete req.session.mfaPending;
+            throw new AuthError(
+               "Too many invalid codes, please log in again",
+               "MFA_EXPIRED"
+            );
+         }
+         throw new AuthError("Invalid authentication code");
+      }
+
+      delete req.session.mfaPending;
 
-      // session creation
-      const sessionId = uuidv4();
       console.log(
-         "🔐 [AUTH SERVICE] Creating session in schema:",
-         schema,
-         "sessionId:",
-         sessionId
+         "🔐 [AUTH SERVICE] ✅ MFA code verified for user:",
+         user.email,
+         "method:",
+         method
       );
-      await repo.createSession(schema, [user.id, sessionId]);
 
-      const userResponseData = removePasswordFromUser(user);
-      const response = createSuccessResponse("Login successful", {
-         ...userResponseData,
-         poolMetadata: req.session.poolMetadata || null,
-      });
+      const response = await completeLogin(req, user, pending.tenant);
 
-      console.log("🔐 [AUTH SERVICE] ✅ Login successful for user:", {
-         userId: user.id,
-         email: user.email,
-         schema: schema,
-         poolMetadata: req.session.poolMetadata,
-      });
+      // the user should know how many recovery codes are left
+      if (method === "recovery_code") {
+         response.data.remainingRecoveryCodes = remainingRecoveryCodes;
+      }
 
       return response;
    } catch (error) {
-      console.log("🔐 [AUTH SERVICE] ❌ Login failed:", error.message);
+      console.log("🔐 [AUTH SERVICE] ❌ MFA verification failed:", error.message);
       throw error;
    }
 }
@@ -158,8 +359,8 @@ export async function logout(req) {
          throw new AuthError("No active session");
       }
 
-      // Delete session from database
-      await repo.deleteSessionByUserId(req.schema, req.session.userId);
+      // Delete this device's session from database (other devices stay logged in)
+      await endCurrentSession(req);
 
       // Destroy session
       req.session.destroy();
@@ -185,8 +386,9 @@ export async function register(req) {
       });
       
       const userData = req.body;
-      const schema =
-         req.session?.schema || process.env.SEED_SCHEMA || "client_template";
+      // the client selected by this request (selectClientTenant), never a default
+      const tenant = getSelectedTenant(req);
+      const schema = tenant.schema;
 
       console.log("📝 [AUTH SERVICE] Registration attempt details:", {
          schema: schema,
@@ -216,23 +418,42 @@ export async function register(req) {
       const role = userData.role || "user";
       console.log("📝 [AUTH SERVICE] Creating user in schema:", schema, "with role:", role);
       
+      const clientServer = await getClientServerBySchema(schema);
+      const passwordPolicy = getPasswordPolicy(clientServer);
+      const passwordHash = await hashing.hash(userData.password, passwordPolicy);
       const result = await repo.createUser(schema, [
          userData.name,
          role,
          userData.email,
-         userData.password, // In a real app, hash the password
+         passwordHash,
       ]);
 
       console.log("📝 [AUTH SERVICE] ✅ User created successfully:", {
-         userId: result.lastID,
+         userId: result.id,
          email: userData.email,
          name: userData.name,
          role: role,
          schema: schema
       });
 
+      // A failing mail transport must not fail the registration,
+      // the user can request a new link from the login page
+      try {
+         await sendVerificationEmail(
+            schema,
+            { id: result.id, name: userData.name, email: userData.email },
+            tenant.metadata
+         );
+      } catch (mailError) {
+         console.log(
+            "📝 [AUTH SERVICE] ❌ Sending verification email failed:",
+            mailError.message
+         );
+      }
+
       return createSuccessResponse("Registration successful", {
-         userId: result.lastID,
+         userId: result.id,
+         emailVerificationRequired: isEmailVerificationRequired(clientServer),
       });
    } catch (error) {
       console.log("📝 [AUTH SERVICE] ❌ Registration failed:", error.message);
@@ -285,26 +506,25 @@ export async function getSession(session, sessionId, schema) {
 /**
  * Get current user information
  * @param {Object} req - Express request object
- * @returns {Object} User information
+ * @returns {Object} User information with the roles and permissions of the tenant
  */
 export async function getCurrentUser(req) {
    try {
-      if (!req.session || !req.session.userId) {
-         throw new AuthError("Authentication required");
-      }
-
-      const schema =
-         req.session?.schema || process.env.SEED_SCHEMA || "client_template";
-      const user = await repo.getUser(schema, req.session.userId);
+      const { schema, userId } = getSessionLogin(req);
+      const user = await repo.getUser(schema, userId);
 
       if (!user) {
          throw new AuthError("User not found");
       }
 
-      return createSuccessResponse(
-         "User retrieved successfully",
-         removePasswordFromUser(user)
-      );
+      // roles and permissions the owner assigned in this tenant
+      const { roles, permissions } = await getUserAuthorization(schema, user.id);
+
+      return createSuccessResponse("User retrieved successfully", {
+         ...removePasswordFromUser(user),
+         roles,
+         permissions,
+      });
    } catch (error) {
       throw error;
    }
@@ -312,6 +532,82 @@ export async function getCurrentUser(req) {
 
 // ---- helper functions ----
 
+// Login is refused until the email is verified, if the client server requires it
+function assertEmailVerified(clientServer, user) {
+   if (isEmailVerificationRequired(clientServer) && !user.email_verified_at) {
+      console.log(
+         "🔐 [AUTH SERVICE] ❌ Email not verified for user:",
+         user.email
+      );
+      throw new ForbiddenError(
+         "Please verify your email address before logging in",
+         "EMAIL_NOT_VERIFIED"
+      );
+   }
+}
+
+// Password verified, second factor outstanding - no userId in the session yet,
+// the selected tenant waits with the challenge
+function startMfaChallenge(req, user, tenant) {
+   delete req.session.userId;
+   delete req.session.role;
+
+   req.session.mfaPending = {
+      userId: user.id,
+      schema: tenant.schema,
+      tenant,
+      expiresAt: Date.now() + config.mfa.pendingTtlMinutes * 60 * 1000,
+      attempts: 0,
+   };
+}
+
+// All login steps passed - create the session
+async function completeLogin(req, user, tenant) {
+   const schema = tenant.schema;
+   await clearLoginFailures(schema, user.email);
+
+   // new session id, also when the browser was logged in already (re-login,
+   // OAuth prompt=login / max_age) - a pending OAuth request stays
+   await startLoginSession(req, ["oauthRequest"]);
+
+   // Set session data - the tenant of this login, not the one of an earlier request
+   setSessionTenant(req, tenant);
+   req.session.userId = user.id;
+   req.session.role = user.role;
+   req.session.authTime = Date.now(); // OpenID Connect auth_time
+
+   console.log("🔐 [AUTH SERVICE] Setting session data:", {
+      userId: user.id,
+      role: user.role,
+      schema: req.session.schema,
+   });
+
+   // device session (IP, user agent, expiry), linked to the express session
+   await recordLoginSession(req, user, schema);
+
+   const userResponseData = removePasswordFromUser(user);
+   const response = createSuccessResponse("Login successful", {
+      ...userResponseData,
+      poolMetadata: req.session.poolMetadata || null,
+   });
+
+   // login page opened by /oauth/authorize - the browser goes back there for the code
+   if (hasPendingAuthorization(req, schema)) {
+      response.data.oauth = {
+         resumeUrl: `${config.app.backendUrl}/oauth/authorize/resume`,
+      };
+   }
+
+   console.log("🔐 [AUTH SERVICE] ✅ Login successful for user:", {
+      userId: user.id,
+      email: user.email,
+      schema: schema,
+      poolMetadata: req.session.poolMetadata,
+   });
+
+   return response;
+}
+
 // Helper function to create standardized success responses
 function createSuccessResponse(message, data = null) {
    const response = { message };
@@ -0,0 +1,226 @@
+import getPool from "../repo/connection/pools/auth.js";
+import * as redirectUriRepo from "../repo/repositories/clientRedirectUriRepository.js";
+import {
+   parseReturnUrl,
+   parseUrlPattern,
+   matchesUrlPattern,
+   urlPatternsOverlap,
+} from "../../../shared/urlMatching.js";
+import { createLruCache } from "../utils/lruCache.js";
+import config from "../config/env.js";
+
+/** ------- client redirect uri service ------- */
+
+/**
+ * Which client server a return URL belongs to (schema detection)
+ *
+ * - every allowed_return_urls pattern is a row of auth_internal.client_redirect_uris
+ *   (origin, path prefix), written when a client server is registered or updated
+ * - a lookup only reads the rows of the return URL's origin and of its
+ *   wildcard origin (https://a.example.com -> https://*.example.com), the
+ *   path is then matched by shared/urlMatching.js
+ * - patterns of different client servers never overlap (checked on register
+ *   and update); of overlaps registered before that check, the client server
+ *   registered first keeps the URL, within a client the most specific
+ *   pattern wins: exact host before wildcard, exact path before prefix,
+ *   longer prefix first
+ * - origin -> rows is kept in an LRU cache (config.redirectUris), cleared
+ *   when a client server changes on this instance
+ * - client servers registered before the table existed get their rows on the
+ *   first lookup
+ */
+
+const cache = createLruCache({
+   maxEntries: config.redirectUris.cacheEntries,
+   maxAgeMs: config.redirectUris.cacheSeconds * 1000,
+});
+// bumped on every change, a lookup that started before is not cached
+let generation = 0;
+let backfill = null;
+
+/**
+ * Find the client server a return URL is allowed for
+ * @param {string} returnUrl - Return URL of the login request
+ * @returns {Promise<Object|null>} { clientServer, pattern } or null
+ * - clientServer: { client_id, app_name, assigned_schema_name, client_mode, allowed_return_urls }
+ */
+export async function findClientByReturnUrl(returnUrl) {
+   const url = parseReturnUrl(returnUrl);
+   if (!url) {
+      return null;
+   }
+
+   const rows = await getRedirectUrisForOrigin(url);
+   const match = rows.find((row) => matchesUrlPattern(returnUrl, row.pattern));
+   if (!match) {
+      return null;
+   }
+
+   const { pattern, wildcard, ...clientServer } = match;
+   return { clientServer, pattern };
+}
+
+/**
+ * Store the allowed_return_urls of a client server as redirect URI rows
+ * @param {string} clientId - Client ID
+ * @param {string[]} patterns - allowed_return_urls (invalid patterns are skipped, they never match)
+ */
+export async function syncClientRedirectUris(clientId, patterns) {
+   const pool = await getPool();
+   await redirectUriRepo.replaceClientRedirectUris(
+      pool,
+      clientId,
+      toRedirectUris(patterns)
+   );
+   invalidateRedirectUriCache();
+}
+
+/**
+ * Patterns that overlap a redirect URI of another client server
+ * @param {string|null} clientId - Client ID (null for a new client server)
+ * @param {string[]} patterns - allowed_return_urls to register
+ * @returns {Promise<string[]>} The overlapping patterns, empty if there are none
+ */
+export async function findConflictingRedirectUris(clientId, patterns) {
+   const origins = [];
+   const likeOrigins = [];
+   for (const value of patterns || []) {
+      const { pattern } = parseUrlPattern(value);
+      if (!pattern) {
+         continue;
+      }
+
+      const port = pattern.port ? `:${pattern.port}` : "";
+      if (pattern.wildcard) {
+         origins.push(`${pattern.protocol}//*.${pattern.host}${port}`);
+         // hosts below the wildcard, urlPatternsOverlap drops the deeper ones
+         likeOrigins.push(`${pattern.protocol}//%.${escapeLike(pattern.host)}${port}`);
+      } else {
+         origins.push(...getLookupOrigins({ ...pattern, hostname: pattern.host }));
+      }
+   }
+   if (origins.length === 0) {
+      return [];
+   }
+
+   await backfillRedirectUris();
+
+   const pool = await getPool();
+   const rows = await redirectUriRepo.getOtherClientRedirectUris(
+      pool,
+      clientId,
+      [...new Set(origins)],
+      likeOrigins
+   );
+   return patterns.filter((value) =>
+      rows.some((row) => urlPatternsOverlap(value, row.pattern))
+   );
+}
+
+/**
+ * Drop the cached lookups (a client server was registered, updated or deleted)
+ */
+export function invalidateRedirectUriCache() {
+   generation++;
+   cache.clear();
+}
+
+// ---- helper functions ----
+
+async function getRedirectUrisForOrigin(url) {
+   const cached = cache.get(url.origin);
+   if (cached) {
+      return cached;
+   }
+
+   await backfillRedirectUris();
+
+   const started = generation;
+   const pool = await getPool();
+   const rows = await redirectUriRepo.getClientRedirectUrisByOrigins(
+      pool,
+      getLookupOrigins(url)
+   );
+
+   // unknown origins are cached too, a flood of them only costs one query each
+   if (started === generation) {
+      cache.set(url.origin, rows);
+   }
+   return rows;
+}
+
+async function backfillRedirectUris() {
+   if (!backfill) {
+      backfill = (async () => {
+         const pool = await getPool();
+         const clientServers =
+            await redirectUriRepo.getClientServersWithoutRedirectUris(pool);
+
+         for (const clientServer of clientServers) {
+            await redirectUriRepo.replaceClientRedirectUris(
+               pool,
+               clientServer.client_id,
+               toRedirectUris(clientServer.allowed_return_urls)
+            );
+         }
+
+         if (clientServers.length > 0) {
+            console.log("↩️ [CLIENT REDIRECT URI SERVICE] ✅ Redirect URIs indexed:", {
+               clientServers: clientServers.length,
+            });
+         }
+      })().catch((error) => {
+         // tried again on the next lookup
+         backfill = null;
+         throw error;
+      });
+   }
+
+   await backfill;
+}
+
+function toRedirectUris(patterns) {
+   const uris = [];
+   for (const value of patterns || []) {
+      const { pattern } = parseUrlPattern(value);
+      if (!pattern) {
+         continue;
+      }
+
+      const port = pattern.port ? `:${pattern.port}` : "";
+      uris.push({
+         pattern: value,
+         origin: `${pattern.protocol}//${pattern.wildcard ? "*." : ""}${pattern.host}${port}`,
+         path_prefix: pattern.path,
+         exact_path: !pattern.prefix,
+         wildcard: pattern.wildcard,
+      });
+   }
+   return uris;
+}
+
+// url: a URL or the protocol, hostname and port of a pattern
+function getLookupOrigins({ protocol, hostname, port }) {
+   const suffix = port ? `:${port}` : "";
+   const origins = [`${protocol}//${hostname}${suffix}`];
+
+   // a.example.com may match a https://*.example.com pattern (never an IP address)
+   const labels = hostname.split(".");
+   if (labels.length >= 3 && !/^\d+$/.test(labels[labels.length - 1])) {
+      origins.push(`${protocol}//*.${labels.slice(1).join(".")}${suffix}`);
+   }
+   return origins;
+}
+
+function escapeLike(value) {
+   return value.replace(/[\\%_]/g, "\\$&");
+}
+
+export const clientRedirectUriService = {
+   findClientByReturnUrl,
+   syncClientRedirectUris,
+   findConflictingRedirectUris,
+   invalidateRedirectUriCache,
+};
+
+export default clientRedirectUriService;
@@ -0,0 +1,268 @@
+import { v4 as uuidv4 } from "uuid";
+import bcrypt from "bcrypt";
+import { ValidationError, NotFoundError } from "../middleware/errorHandler.js";
+import * as clientSecretRepo from "../repo/repositories/clientSecretRepository.js";
+import getPool from "../repo/connection/pools/auth.js";
+import { generateToken } from "../utils/tokens.js";
+
+/** ------- client secret service ------- */
+
+/**
+ * Secrets of the client servers (auth_internal.client_secrets)
+ *
+ * - a client server may have several active secrets, each with a label, an
+ *   optional expiry and the time it was last used
+ * - rotation: create a new secret, deploy it, then revoke the old one - at once
+ *   or after a grace period (the old secret keeps working until then)
+ * - the secret is returned once, only its bcrypt hash is stored
+ * - client authentication (/handshake, /oauth/token, introspection, revocation)
+ *   tries every active secret
+ */
+
+// active secrets per client server, rotation needs two
+const MAX_ACTIVE_SECRETS = 5;
+const MAX_LABEL_LENGTH = 100;
+const MAX_EXPIRES_IN_DAYS = 3650;
+const MAX_GRACE_HOURS = 30 * 24;
+
+/**
+ * Create a secret for a client server
+ * @param {string} clientId - Client ID
+ * @param {Object} [options] - { label?, expiresAt? }
+ * @returns {Promise<Object>} { clientSecret, secret } - the plain secret and the secret row
+ */
+export async function issueClientSecret(clientId, { label = "initial", expiresAt = null } = {}) {
+   const clientSecret = generateToken();
+   const secret = await storeClientSecret(clientId, await bcrypt.hash(clientSecret, 12), {
+      label,
+      expiresAt,
+   });
+
+   return { clientSecret, secret };
+}
+
+/**
+ * Store an already hashed secret (registration hashes the secret itself)
+ * @param {string} clientId - Client ID
+ * @param {string} secretHash - bcrypt hash of the secret
+ * @param {Object} [options] - { label?, expiresAt? }
+ * @returns {Promise<Object>} The secret row (without the hash)
+ */
+export async function storeClientSecret(
+   clientId,
+   secretHash,
+   { label = "initial", expiresAt = null } = {}
+) {
+   const pool = await getPool();
+   return clientSecretRepo.createClientSecret(pool, {
+      id: uuidv4(),
+      client_id: clientId,
+      secret_hash: secretHash,
+      label,
+      expires_at: expiresAt,
+   });
+}
+
+/**
+ * Verify a client secret against every active secret of the client server
+ * @param {string} clientId - Client ID
+ * @param {string} clientSecret - Presented secret
+ * @returns {Promise<boolean>}
+ */
+export async function verifyClientSecret(clientId, clientSecret) {
+   if (!clientId || typeof clientSecret !== "string" || !clientSecret) {
+      return false;
+   }
+
+   const pool = await getPool();
+   const secrets = await clientSecretRepo.getActiveClientSecrets(pool, clientId);
+
+   for (const secret of secrets) {
+      if (await bcrypt.compare(clientSecret, secret.secret_hash)) {
+         await clientSecretRepo.touchClientSecret(pool, secret.id);
+         return true;
+      }
+   }
+   return false;
+}
+
+/**
+ * Secrets of a client server of the current user (without the secrets themselves)
+ * @param {Object} req - Express request object with session
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Object>} Response with data: { secrets }
+ */
+export async function getUserClientSecrets(req, clientId) {
+   const pool = await getOwnedClientPool(req, clientId);
+   const secrets = await clientSecretRepo.getClientSecrets(pool, clientId);
+
+   return {
+      message: "Client secrets retrieved successfully",
+      data: { secrets: secrets.map(withStatus) },
+   };
+}
+
+/**
+ * Create an additional secret for a client server of the current user
+ * @param {Object} req - Express request object with session
+ * - req.body: { label?, expires_in_days? }
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Object>} Response with data: { secret, client_secret } - client_secret is shown once
+ */
+export async function createUserClientSecret(req, clientId) {
+   try {
+      const pool = await getOwnedClientPool(req, clientId);
+      const { label, expires_in_days } = req.body || {};
+
+      const secretLabel = String(label ?? "").trim() || `secret ${new Date().toISOString().slice(0, 10)}`;
+      if (secretLabel.length > MAX_LABEL_LENGTH) {
+         throw new ValidationError(`label must be at most ${MAX_LABEL_LENGTH} characters`);
+      }
+
+      let expiresAt = null;
+      if (expires_in_days !== undefined && expires_in_days !== null && expires_in_days !== "") {
+         const days = Number(expires_in_days);
+         if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRES_IN_DAYS) {
+            throw new ValidationError(
+               `expires_in_days must be an integer between 1 and ${MAX_EXPIRES_IN_DAYS}`
+            );
+         }
+         expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      }
+
+      const active = await clientSecretRepo.getActiveClientSecrets(pool, clientId);
+      if (active.length >= MAX_ACTIVE_SECRETS) {
+         throw new ValidationError(
+            `A client server can have at most ${MAX_ACTIVE_SECRETS} active secrets, revoke one first`
+         );
+      }
+
+      const { clientSecret, secret } = await issueClientSecret(clientId, {
+         label: secretLabel,
+         expiresAt,
+      });
+
+      console.log("🗝️ [CLIENT SECRET SERVICE] ✅ Client secret created:", {
+         clientId,
+         secretId: secret.id,
+      });
+
+      return {
+         message: "Client secret created - it is only shown once",
+         data: {
+            secret: withStatus(secret),
+            client_secret: clientSecret,
+         },
+      };
+   } catch (error) {
+      console.log("🗝️ [CLIENT SECRET SERVICE] ❌ Creating client secret failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Revoke a secret of a client server of the current user
+ * - grace_hours: the secret keeps working for that long (rotation without downtime)
+ * - the last active secret cannot be revoked, the client server could not authenticate
+ * @param {Object} req - Express request object with session
+ * - req.query: { grace_hours? }
+ * @param {string} clientId - Client ID
+ * @param {string} secretId - Secret ID
+ * @returns {Promise<Object>} Response with data: { secret }
+ */
+export async function revokeUserClientSecret(req, clientId, secretId) {
+   try {
+      const pool = await getOwnedClientPool(req, clientId);
+
+      const graceHours = Number(req.query?.grace_hours ?? 0);
+      if (!Number.isInteger(graceHours) || graceHours < 0 || graceHours > MAX_GRACE_HOURS) {
+         throw new ValidationError(
+            `grace_hours must be an integer between 0 and ${MAX_GRACE_HOURS}`
+         );
+      }
+
+      const active = await clientSecretRepo.getActiveClientSecrets(pool, clientId);
+      if (!active.some((secret) => secret.id === secretId)) {
+         throw new NotFoundError("Client secret not found or no longer active");
+      }
+
+      // another secret has to outlive this one (also one in its own grace period)
+      const endsAt = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+      const remaining = active.filter(
+         (secret) =>
+            secret.id !== secretId &&
+            (secret.expires_at === null || new Date(secret.expires_at) > endsAt)
+      );
+      if (remaining.length === 0) {
+         throw new ValidationError(
+            "The last active secret cannot be revoked, create a new one first"
+         );
+      }
+
+      const secret =
+         graceHours > 0
+            ? await clientSecretRepo.expireClientSecret(pool, secretId, clientId, endsAt)
+            : await clientSecretRepo.revokeClientSecret(pool, secretId, clientId);
+
+      if (!secret) {
+         throw new NotFoundError("Client secret not found or no longer active");
+      }
+
+      console.log("🗝️ [CLIENT SECRET SERVICE] ✅ Client secret revoked:", {
+         clientId,
+         secretId,
+         graceHours,
+      });
+
+      return {
+         message:
+            graceHours > 0
+               ? `Client secret revoked, it keeps working for ${graceHours} hours`
+               : "Client secret revoked",
+         data: { secret: withStatus(secret) },
+      };
+   } catch (error) {
+      console.log("🗝️ [CLIENT SECRET SERVICE] ❌ Revoking client secret failed:", error.message);
+      throw error;
+   }
+}
+
+// ---- helper functions ----
+
+async function getOwnedClientPool(req, clientId) {
+   const userId = req.session?.userId;
+   if (!userId || !clientId) {
+      throw new ValidationError("User ID and Client ID are required");
+   }
+
+   const pool = await getPool();
+   const { rows } = await pool.query(
+      "SELECT client_id FROM client_servers WHERE user_id = $1 AND client_id = $2",
+      [userId, clientId]
+   );
+   if (rows.length === 0) {
+      throw new NotFoundError("Client server not found or access denied");
+   }
+
+   return pool;
+}
+
+function withStatus(secret) {
+   const expired =
+      secret.expires_at !== null && new Date(secret.expires_at).getTime() <= Date.now();
+   return {
+      ...secret,
+      status: secret.revoked_at ? "revoked" : expired ? "expired" : "active",
+   };
+}
+
+export const clientSecretService = {
+   issueClientSecret,
+   storeClientSecret,
+   verifyClientSecret,
+   getUserClientSecrets,
+   createUserClientSecret,
+   revokeUserClientSecret,
+};
+
+export default clientSecretService;
@@ -1,15 +1,41 @@
 import { v4 as uuidv4 } from "uuid";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import {
    AuthError,
    ValidationError,
    NotFoundError,
+   OAuthError,
 } from "../middleware/errorHandler.js";
 import * as repo from "../repo/adminRepository.js";
+import * as clientServersRepo from "../repo/repositories/clientServersRepository.js";
+import hashing from "../utils/hashing.js";
+import { SCOPE_TOKEN_PATTERN, parseScope } from "../utils/scopes.js";
+import { validateUrlPatterns, parseUrlPattern } from "../../../shared/urlMatching.js";
 import config from "../utils/config.js";
 import getPool from "../repo/connection/pools/auth.js";
 import getPoolForSchema from "../repo/connection/pools/clientServers.js";
+import tokenService from "./tokenService.js";
+import clientSecretService from "./clientSecretService.js";
+import { invalidateAllowedOrigins } from "./corsService.js";
+import {
+   syncClientRedirectUris,
+   findConflictingRedirectUris,
+   invalidateRedirectUriCache,
+} from "./clientRedirectUriService.js";
+
+// per client brute-force thresholds (see loginProtectionService)
+const LOCKOUT_FIELDS = [
+   "lockout_max_attempts",
+   "lockout_ip_max_attempts",
+   "lockout_duration_minutes",
+];
+
+// per client token lifetimes (see tokenService, refreshTokenService)
+// - API / access tokens at most a day, signing keys overlap only config.signingKeys.overlapHours
+const TOKEN_LIFETIME_LIMITS = {
+   access_token_ttl_minutes: 24 * 60,
+   refresh_token_ttl_days: 365,
+};
 
 // Helper function to get auth internal pool
 const getAuthInternalPool = async () => {
@@ -45,6 +71,8 @@ export async function registerClientServer(req) {
          );
       }
 
+      await assertValidReturnUrls(allowed_return_urls);
+
       // Generate client credentials
       const client_id = `client_${uuidv4().replace(/-/g, "")}`;
       const client_secret = uuidv4();
@@ -58,7 +86,7 @@ export async function registerClientServer(req) {
       const pool = await getAuthInternalPool();
 
       // Create client server record (no user_id for public API)
-      const clientServer = await repo.createClientServer(pool, {
+      await clientServersRepo.createClientServerWithPool(pool, {
          client_id,
          client_secret_hash,
          app_name,
@@ -68,6 +96,10 @@ export async function registerClientServer(req) {
          client_mode: "api-auth-server", // Default for public API
       });
 
+      // first of the client's secrets (more can be added for rotation)
+      await clientSecretService.storeClientSecret(client_id, client_secret_hash);
+      await clientServerChanged(client_id, allowed_return_urls);
+
       // Initialize the client's schema
       await getPoolForSchema(assigned_schema_name);
 
@@ -97,7 +129,9 @@ export async function registerClientServerForUser(clientData, req) {
       const {
          app_name,
          allowed_return_urls,
+         allowed_origins = [],
          client_mode = "frontend-login-proxy",
+         public_client = false,
       } = clientData;
 
       const userId = req.session?.userId;
@@ -115,12 +149,19 @@ export async function registerClientServerForUser(clientData, req) {
          );
       }
 
+      await assertValidReturnUrls(allowed_return_urls);
+      const origins = parseAllowedOrigins(allowed_origins);
+
       if (!["frontend-login-proxy", "api-auth-server"].includes(client_mode)) {
          throw new ValidationError(
             "client_mode must be 'frontend-login-proxy' or 'api-auth-server'"
          );
       }
 
+      if (typeof public_client !== "boolean") {
+         throw new ValidationError("public_client must be a boolean");
+      }
+
       // Generate client credentials
       const client_id = `client_${uuidv4().replace(/-/g, "")}`;
       const client_secret = uuidv4();
@@ -134,16 +175,22 @@ export async function registerClientServerForUser(clientData, req) {
       const pool = await getAuthInternalPool();
 
       // Create client server record with user ownership
-      const clientServer = await repo.createClientServer(pool, {
+      await clientServersRepo.createClientServerWithPool(pool, {
          client_id,
          client_secret_hash,
          app_name,
          assigned_schema_name,
          allowed_return_urls,
+         allowed_origins: origins,
+         public_client,
          user_id: userId,
          client_mode,
       });
 
+      // first of the client's secrets (more can be added for rotation)
+      await clientSecretService.storeClientSecret(client_id, client_secret_hash);
+      await clientServerChanged(client_id, allowed_return_urls);
+
       // Initialize the client's schema
       await getPoolForSchema(assigned_schema_name);
 
@@ -155,6 +202,8 @@ export async function registerClientServerForUser(clientData, req) {
             app_name,
             assigned_schema_name,
             allowed_return_urls,
+            allowed_origins: origins,
+            public_client,
             client_mode,
          },
       };
@@ -177,7 +226,7 @@ export async function getUserClientServers(req) {
 
       const pool = await getAuthInternalPool();
       const { rows: clientServers } = await pool.query(
-         "SELECT client_id, app_name, assigned_schema_name, allowed_return_urls, client_mode, created_at, updated_at FROM client_servers WHERE user_id = $1 ORDER BY created_at DESC",
+         "SELECT client_id, app_name, assigned_schema_name, allowed_return_urls, allowed_origins, public_client, client_mode, password_hash_algorithm, password_hash_params, require_email_verification, lockout_max_attempts, lockout_ip_max_attempts, lockout_duration_minutes, access_token_ttl_minutes, refresh_token_ttl_days, client_credentials_scopes, scopes, created_at, updated_at FROM client_servers WHERE user_id = $1 ORDER BY created_at DESC",
          [userId]
       );
 
@@ -205,7 +254,7 @@ export async function getUserClientServer(req, clientId) {
 
       const pool = await getAuthInternalPool();
       const { rows } = await pool.query(
-         "SELECT client_id, app_name, assigned_schema_name, allowed_return_urls, client_mode, created_at, updated_at FROM client_servers WHERE user_id = $1 AND client_id = $2",
+         "SELECT client_id, app_name, assigned_schema_name, allowed_return_urls, allowed_origins, public_client, client_mode, password_hash_algorithm, password_hash_params, require_email_verification, lockout_max_attempts, lockout_ip_max_attempts, lockout_duration_minutes, access_token_ttl_minutes, refresh_token_ttl_days, client_credentials_scopes, scopes, created_at, updated_at FROM client_servers WHERE user_id = $1 AND client_id = $2",
          [userId, clientId]
       );
 
@@ -250,6 +299,10 @@ export async function updateUserClientServer(req, clientId, updateData) {
 
       const existingClient = existing[0];
 
+      if (updateData.allowed_return_urls) {
+         await assertValidReturnUrls(updateData.allowed_return_urls, clientId);
+      }
+
       // Prepare update data (only allow certain fields to be updated)
       const updatedData = {
          client_id: clientId,
@@ -260,18 +313,116 @@ export async function updateUserClientServer(req, clientId, updateData) {
             updateData.allowed_return_urls ||
             existingClient.allowed_return_urls,
          client_mode: updateData.client_mode || existingClient.client_mode,
+         password_hash_algorithm:
+            updateData.password_hash_algorithm ||
+            existingClient.password_hash_algorithm,
+         // params of another algorithm do not carry over, omitted ones take the defaults
+         password_hash_params:
+            updateData.password_hash_params ||
+            (updateData.password_hash_algorithm &&
+            updateData.password_hash_algorithm !== existingClient.password_hash_algorithm
+               ? {}
+               : existingClient.password_hash_params),
+         require_email_verification:
+            updateData.require_email_verification ??
+            existingClient.require_email_verification,
+         // token requests without a client secret (PKCE only)
+         public_client: updateData.public_client ?? existingClient.public_client,
       };
 
+      // lockout thresholds and token lifetimes - null (or empty) falls back to the server defaults
+      for (const field of [...LOCKOUT_FIELDS, ...Object.keys(TOKEN_LIFETIME_LIMITS)]) {
+         updatedData[field] =
+            field in updateData
+               ? updateData[field] === "" ? null : updateData[field]
+               : existingClient[field];
+
+         if (
+            updatedData[field] !== null &&
+            !(Number.isInteger(updatedData[field]) && updatedData[field] > 0)
+         ) {
+            throw new ValidationError(`${field} must be a positive integer or null`);
+         }
+      }
+
+      for (const [field, max] of Object.entries(TOKEN_LIFETIME_LIMITS)) {
+         if (updatedData[field] !== null && updatedData[field] > max) {
+            throw new ValidationError(`${field} must be at most ${max}`);
+         }
+      }
+
+      // scopes the client may request with the client_credentials grant
+      updatedData.client_credentials_scopes =
+         "client_credentials_scopes" in updateData
+            ? parseScopes(updateData.client_credentials_scopes)
+            : existingClient.client_credentials_scopes;
+
+      // user scopes the client may request at /oauth/authorize (consent page)
+      updatedData.scopes =
+         "scopes" in updateData
+            ? parseScopeDefinitions(updateData.scopes)
+            : existingClient.scopes;
+
+      // CORS origins besides the ones of allowed_return_urls (fx. an SPA calling /oauth/token)
+      updatedData.allowed_origins =
+         "allowed_origins" in updateData
+            ? parseAllowedOrigins(updateData.allowed_origins)
+            : existingClient.allowed_origins;
+
+      if (
+         !hashing.algorithms().includes(updatedData.password_hash_algorithm)
+      ) {
+         throw new ValidationError(
+            `password_hash_algorithm must be one of: ${hashing
+               .algorithms()
+               .join(", ")}`
+         );
+      }
+
+      // bounded cost - a huge one would stall every login of the process
+      const hashParamErrors = hashing.validateParams(
+         updatedData.password_hash_algorithm,
+         updatedData.password_hash_params ?? {}
+      );
+      if (hashParamErrors.length > 0) {
+         throw new ValidationError(
+            `Invalid password_hash_params: ${hashParamErrors.join("; ")}`
+         );
+      }
+
+      if (typeof updatedData.require_email_verification !== "boolean") {
+         throw new ValidationError(
+            "require_email_verification must be a boolean"
+         );
+      }
+
+      if (typeof updatedData.public_client !== "boolean") {
+         throw new ValidationError("public_client must be a boolean");
+      }
+
       const { rows } = await pool.query(
-         "UPDATE client_servers SET app_name = $2, allowed_return_urls = $3, client_mode = $4, updated_at = NOW() WHERE user_id = $5 AND client_id = $1 RETURNING client_id, app_name, assigned_schema_name, allowed_return_urls, client_mode, created_at, updated_at",
+         "UPDATE client_servers SET app_name = $2, allowed_return_urls = $3, client_mode = $4, password_hash_algorithm = $6, password_hash_params = $7, require_email_verification = $8, lockout_max_attempts = $9, lockout_ip_max_attempts = $10, lockout_duration_minutes = $11, access_token_ttl_minutes = $12, refresh_token_ttl_days = $13, client_credentials_scopes = $14, scopes = $15, allowed_origins = $16, public_client = $17, updated_at = NOW() WHERE user_id = $5 AND client_id = $1 RETURNING client_id, app_name, assigned_schema_name, allowed_return_urls, allowed_origins, public_client, client_mode, password_hash_algorithm, password_hash_params, require_email_verification, lockout_max_attempts, lockout_ip_max_attempts, lockout_duration_minutes, access_token_ttl_minutes, refresh_token_ttl_days, client_credentials_scopes, scopes, created_at, updated_at",
          [
             clientId,
             updatedData.app_name,
             updatedData.allowed_return_urls,
             updatedData.client_mode,
             userId,
+            updatedData.password_hash_algorithm,
+            updatedData.password_hash_params,
+            updatedData.require_email_verification,
+            updatedData.lockout_max_attempts,
+            updatedData.lockout_ip_max_attempts,
+            updatedData.lockout_duration_minutes,
+            updatedData.access_token_ttl_minutes,
+            updatedData.refresh_token_ttl_days,
+            updatedData.client_credentials_scopes,
+            JSON.stringify(updatedData.scopes),
+            updatedData.allowed_origins,
+            updatedData.public_client,
          ]
       );
+      await clientServerChanged(clientId, updatedData.allowed_return_urls);
 
       return {
          message: "Client server updated successfully",
@@ -306,6 +457,7 @@ export async function deleteUserClientServer(req, clientId) {
       if (rows.length === 0) {
          throw new NotFoundError("Client server not found or access denied");
       }
+      await clientServerChanged();
 
       return {
          message: "Client server deleted successfully",
@@ -318,12 +470,14 @@ export async function deleteUserClientServer(req, clientId) {
 
 /**
  * Authenticate client server and return API token
+ * @deprecated POST /oauth/token with grant_type=client_credentials - same token
  * @param {Object} req - Express request object
+ * - req.body: { client_id, client_secret, scope? }
  * @returns {Object} Authentication response with API token
  */
 export async function authenticateClientServer(req) {
    try {
-      const { client_id, client_secret } = req.body;
+      const { client_id, client_secret, scope } = req.body;
 
       if (!client_id || !client_secret) {
          throw new ValidationError("client_id and client_secret are required");
@@ -336,31 +490,24 @@ export async function authenticateClientServer(req) {
          throw new AuthError("Invalid client credentials");
       }
 
-      // Verify client secret
-      const isValidSecret = await bcrypt.compare(
-         client_secret,
-         clientServer.client_secret_hash
+      // Verify client secret (any active secret of the client)
+      const isValidSecret = await clientSecretService.verifyClientSecret(
+         client_id,
+         String(client_secret)
       );
       if (!isValidSecret) {
          throw new AuthError("Invalid client credentials");
       }
 
-      // Generate API token
-      const token = jwt.sign(
-         {
-            client_id,
-            schema: clientServer.assigned_schema_name,
-            type: "api_token",
-         },
-         process.env.JWT_SECRET || "your-jwt-secret",
-         { expiresIn: "24h" }
-      );
+      console.log("⚠️ Deprecated /handshake used by client:", client_id);
+
+      const tokenResponse = await issueClientCredentialsToken(clientServer, scope);
 
       return {
          message: "Authentication successful",
          data: {
-            token,
-            expires_in: 86400, // 24 hours
+            ...tokenResponse,
+            token: tokenResponse.access_token, // pre client_credentials name
             schema: clientServer.assigned_schema_name,
          },
       };
@@ -369,6 +516,44 @@ export async function authenticateClientServer(req) {
    }
 }
 
+/**
+ * Issue an API token to an authenticated client server (client_credentials grant)
+ * @param {Object} clientServer - Client server row, its secret already verified
+ * @param {string} [scope] - Requested scopes (space separated), all of the
+ *   client's client_credentials_scopes when omitted
+ * @returns {Promise<Object>} { access_token, token_type, expires_in, scope? }
+ * @throws {OAuthError} invalid_scope - a scope the client server is not allowed
+ */
+export async function issueClientCredentialsToken(clientServer, scope) {
+   const allowed = clientServer.client_credentials_scopes || [];
+   const requested =
+      scope === undefined || scope === null || scope === ""
+         ? allowed
+         : String(scope).split(" ").filter(Boolean);
+
+   const denied = requested.filter((value) => !allowed.includes(value));
+   if (denied.length > 0) {
+      throw new OAuthError(
+         "invalid_scope",
+         `Scope not allowed for this client: ${denied.join(" ")}`
+      );
+   }
+
+   const grantedScope = [...new Set(requested)].join(" ") || null;
+
+   // Generate API token (signed with the active signing key, see tokenService)
+   const { token, expiresIn } = await tokenService.signApiToken(clientServer, {
+      scope: grantedScope,
+   });
+
+   return {
+      access_token: token,
+      token_type: "Bearer",
+      expires_in: expiresIn,
+      ...(grantedScope && { scope: grantedScope }),
+   };
+}
+
 /**
  * Verify API token and return client information
  * @param {string} token - API token
@@ -380,14 +565,8 @@ export async function verifyApiToken(token) {
          throw new AuthError("API token is required");
       }
 
-      const decoded = jwt.verify(
-         token,
-         process.env.JWT_SECRET || "your-jwt-secret"
-      );
-
-      if (decoded.type !== "api_token") {
-         throw new AuthError("Invalid token type");
-      }
+      // signing key looked up by the kid header
+      const decoded = await tokenService.verifyApiToken(token);
 
       const pool = await getAuthInternalPool();
       const clientServer = await repo.getClientServer(pool, decoded.client_id);
@@ -399,16 +578,11 @@ export async function verifyApiToken(token) {
       return {
          client_id: decoded.client_id,
          schema: decoded.schema,
+         scope: decoded.scope ?? null,
          app_name: clientServer.app_name,
          allowed_return_urls: clientServer.allowed_return_urls,
       };
    } catch (error) {
-      if (
-         error.name === "JsonWebTokenError" ||
-         error.name === "TokenExpiredError"
-      ) {
-         throw new AuthError("Invalid or expired token");
-      }
       throw error;
    }
 }
@@ -462,6 +636,10 @@ export async function updateClientServer(client_id, updateData) {
          throw new NotFoundError("Client server not found");
       }
 
+      if (updateData.allowed_return_urls) {
+         await assertValidReturnUrls(updateData.allowed_return_urls, client_id);
+      }
+
       // Prepare update data
       const updatedClient = {
          client_id,
@@ -475,6 +653,7 @@ export async function updateClientServer(client_id, updateData) {
       };
 
       const result = await repo.updateClientServer(pool, updatedClient);
+      await clientServerChanged(client_id, updatedClient.allowed_return_urls);
 
       // Remove sensitive data
       const { client_secret_hash, ...clientInfo } = result;
@@ -507,6 +686,7 @@ export async function deleteClientServer(client_id) {
       }
 
       await repo.deleteClientServer(pool, client_id);
+      await clientServerChanged();
 
       return {
          message: "Client server deleted successfully",
@@ -516,6 +696,154 @@ export async function deleteClientServer(client_id) {
    }
 }
 
+/**
+ * Get a client server by its client_id
+ * @param {string} clientId - Client ID
+ * @returns {Object|undefined} Client server
+ */
+export async function getClientServerByClientId(clientId) {
+   const pool = await getAuthInternalPool();
+   return clientServersRepo.getClientServerWithPool(pool, clientId);
+}
+
+/**
+ * Get the client server that owns a tenant schema
+ * @param {string} schema - Tenant schema name (assigned_schema_name)
+ * @returns {Object|undefined} Client server, or undefined for schemas without one (fx. SEED_SCHEMA)
+ */
+export async function getClientServerBySchema(schema) {
+   const pool = await getAuthInternalPool();
+   return clientServersRepo.getClientServerBySchemaNameWithPool(pool, schema);
+}
+
+/**
+ * Get the preferred password hashing policy of a client server
+ * @param {Object} clientServer - Client server row (may be undefined)
+ * @returns {Object} { algorithm, params } for utils/hashing.js
+ */
+export function getPasswordPolicy(clientServer) {
+   if (!clientServer) {
+      return hashing.DEFAULT_POLICY;
+   }
+
+   return {
+      algorithm: clientServer.password_hash_algorithm,
+      params: clientServer.password_hash_params || {},
+   };
+}
+
+/**
+ * Get the preferred password hashing policy for a tenant schema
+ * @param {string} schema - Tenant schema name
+ * @returns {Object} { algorithm, params } for utils/hashing.js
+ */
+export async function getPasswordPolicyForSchema(schema) {
+   const clientServer = await getClientServerBySchema(schema);
+   return getPasswordPolicy(clientServer);
+}
+
+// ---- helper functions ----
+
+function parseScopes(value) {
+   const parsed = parseScope(value);
+   const invalid = parsed.filter((scope) => !SCOPE_TOKEN_PATTERN.test(scope));
+   if (invalid.length > 0) {
+      throw new ValidationError(`Invalid scope: ${invalid.join(", ")}`);
+   }
+   return parsed;
+}
+
+// schema detection and CORS read client servers through caches
+async function clientServerChanged(clientId = null, allowedReturnUrls = null) {
+   if (clientId && allowedReturnUrls) {
+      await syncClientRedirectUris(clientId, allowedReturnUrls);
+   } else {
+      // deleted: the redirect URIs went with it (on delete cascade)
+      invalidateRedirectUriCache();
+   }
+   invalidateAllowedOrigins();
+}
+
+async function assertValidReturnUrls(urls, clientId = null) {
+   // patterns are matched by shared/urlMatching.js, a broken one would never match
+   const errors = validateUrlPatterns(urls);
+   if (errors.length > 0) {
+      throw new ValidationError(
+         `Invalid allowed_return_urls: ${errors.join("; ")}`,
+         errors.map((message) => ({ field: "allowed_return_urls", message }))
+      );
+   }
+
+   // a return URL selects the client server of a login, it must belong to one only
+   const conflicts = await findConflictingRedirectUris(clientId, urls);
+   if (conflicts.length > 0) {
+      throw new ValidationError(
+         `Return URLs already registered by another client server: ${conflicts.join(", ")}`,
+         conflicts.map((pattern) => ({
+            field: "allowed_return_urls",
+            message: `${pattern} overlaps a return URL of another client server`,
+         }))
+      );
+   }
+}
+
+
+// origins only (scheme, host, port), https://*.example.com allows one subdomain label
+function parseAllowedOrigins(value) {
+   if (!Array.isArray(value)) {
+      throw new ValidationError("allowed_origins must be an array");
+   }
+
+   const origins = [];
+   const errors = [];
+   for (const entry of value) {
+      const origin = String(entry ?? "").trim().replace(/\/$/, "");
+      if (!origin) {
+         continue;
+      }
+
+      const { pattern, error } = parseUrlPattern(origin);
+      if (error || pattern.path !== "/") {
+         errors.push(error || `Allowed origin must not contain a path: ${origin}`);
+      } else if (!origins.includes(origin)) {
+         origins.push(origin);
+      }
+   }
+
+   if (errors.length > 0) {
+      throw new ValidationError(
+         `Invalid allowed_origins: ${errors.join("; ")}`,
+         errors.map((message) => ({ field: "allowed_origins", message }))
+      );
+   }
+   return origins;
+}
+
+// [{ name, description? }] (or scope names), descriptions are shown on the consent page
+function parseScopeDefinitions(value) {
+   if (!Array.isArray(value)) {
+      throw new ValidationError("scopes must be an array");
+   }
+
+   const definitions = [];
+   for (const entry of value) {
+      const definition = typeof entry === "string" ? { name: entry } : entry || {};
+      const name = String(definition.name ?? "").trim();
+      const description = String(definition.description ?? "").trim();
+
+      if (!SCOPE_TOKEN_PATTERN.test(name)) {
+         throw new ValidationError(`Invalid scope: ${name}`);
+      }
+      if (description.length > 200) {
+         throw new ValidationError(`Description of scope ${name} is too long (200 characters at most)`);
+      }
+      if (!definitions.some((existing) => existing.name === name)) {
+         definitions.push({ name, ...(description && { description }) });
+      }
+   }
+   return definitions;
+}
+
 export const clientServerService = {
    registerClientServer,
    registerClientServerForUser,
@@ -524,10 +852,15 @@ export const clientServerService = {
    updateUserClientServer,
    deleteUserClientServer,
    authenticateClientServer,
+   issueClientCredentialsToken,
    verifyApiToken,
    getClientServerInfo,
    updateClientServer,
    deleteClientServer,
+   getClientServerByClientId,
+   getClientServerBySchema,
+   getPasswordPolicy,
+   getPasswordPolicyForSchema,
 };
 
 export default clientServerService;
@@ -0,0 +1,163 @@
+import { AuthError, NotFoundError } from "../middleware/errorHandler.js";
+import repo from "../repo/userRepository.js";
+import { createSuccessResponse } from "../utils/authUtils.js";
+import { getScopeDefinitions, intersect, isSubset } from "../utils/scopes.js";
+import { getClientServerByClientId } from "./clientServerService.js";
+
+/** ------- consent service ------- */
+
+/**
+ * Scopes a user granted a client server - one row per user + client in the
+ * tenant's oauth_consents table
+ *
+ * - needsConsent / grantConsent: consent page of an authorization request (oauth service)
+ * - getGrantedScopes: enforcement at userinfo and introspection, a token only
+ *   carries the scopes that are still granted and still defined by the client
+ * - listConsents / withdrawConsent: "connected apps" of the current user,
+ *   withdrawing also revokes the client's refresh tokens of the user
+ */
+
+/**
+ * Whether a user still has to approve scopes for a client
+ * @param {string} schema - Tenant schema
+ * @param {string} userId - User ID
+ * @param {string} clientId - Client ID
+ * @param {string|null} scope - Requested scopes
+ * @returns {Promise<boolean>}
+ */
+export async function needsConsent(schema, userId, clientId, scope) {
+   if (!scope) {
+      return false;
+   }
+
+   const consent = await repo.getConsent(schema, userId, clientId);
+   return !consent || !isSubset(scope, consent.scopes);
+}
+
+/**
+ * Remember approved scopes (added to the ones granted before)
+ * @param {string} schema - Tenant schema
+ * @param {string} userId - User ID
+ * @param {string} clientId - Client ID
+ * @param {string[]} scopes - Approved scopes
+ * @returns {Promise<Object>} Consent row
+ */
+export async function grantConsent(schema, userId, clientId, scopes) {
+   return repo.grantConsent(schema, { userId, clientId, scopes });
+}
+
+/**
+ * Scopes of a token that are still in effect
+ * @param {Object} clientServer - Client server row
+ * @param {string} userId - User ID (sub)
+ * @param {string|null} scope - Scopes of the token
+ * @returns {Promise<string[]|null>} null when the user withdrew the consent
+ */
+export async function getGrantedScopes(clientServer, userId, scope) {
+   const consent = await repo.getConsent(
+      clientServer.assigned_schema_name,
+      userId,
+      clientServer.client_id
+   );
+   if (!consent) {
+      return scope ? null : [];
+   }
+
+   const defined = getScopeDefinitions(clientServer).map((definition) => definition.name);
+   return intersect(intersect(scope, consent.scopes), defined);
+}
+
+/**
+ * Client servers the current user granted access
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Success response with data: { consents }
+ */
+export async function listConsents(req) {
+   try {
+      const { schema, userId } = getCurrentLogin(req);
+      const rows = await repo.getUserConsents(schema, userId);
+
+      const consents = [];
+      for (const row of rows) {
+         const clientServer = await getClientServerByClientId(row.client_id);
+         const definitions = getScopeDefinitions(clientServer);
+
+         consents.push({
+            clientId: row.client_id,
+            appName: clientServer?.app_name || row.client_id,
+            scopes: row.scopes.map(
+               (name) =>
+                  definitions.find((definition) => definition.name === name) || {
+                     name,
+                     description: name,
+                  }
+            ),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+         });
+      }
+
+      return createSuccessResponse("Consents retrieved successfully", { consents });
+   } catch (error) {
+      console.log("🤝 [CONSENT SERVICE] ❌ Listing consents failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Withdraw the consent of the current user for a client server
+ * - the client's refresh tokens of the user are revoked, its access tokens
+ *   no longer release any claims
+ * @param {Object} req - Express request object (req.params.clientId)
+ * @returns {Promise<Object>} Success response with data: { clientId, revokedRefreshTokens }
+ * @throws {NotFoundError} If there is no consent for the client
+ */
+export async function withdrawConsent(req) {
+   try {
+      const { schema, userId } = getCurrentLogin(req);
+      const { clientId } = req.params;
+
+      const consent = await repo.deleteConsent(schema, userId, clientId);
+      if (!consent) {
+         throw new NotFoundError("No consent for this app");
+      }
+
+      const revoked = await repo.revokeUserClientRefreshTokens(schema, userId, clientId);
+
+      console.log("🤝 [CONSENT SERVICE] ✅ Consent withdrawn:", {
+         userId,
+         clientId,
+         revokedRefreshTokens: revoked.length,
+      });
+
+      return createSuccessResponse("Consent withdrawn", {
+         clientId,
+         revokedRefreshTokens: revoked.length,
+      });
+   } catch (error) {
+      console.log("🤝 [CONSENT SERVICE] ❌ Withdrawing consent failed:", error.message);
+      throw error;
+   }
+}
+
+// ---- helper functions ----
+
+function getCurrentLogin(req) {
+   // consents live in the tenant the user logged in to
+   const schema = req.session?.deviceSession?.schema || req.session?.schema;
+   if (!req.session?.userId || !schema) {
+      throw new AuthError("Authentication required");
+   }
+
+   return { schema, userId: req.session.userId };
+}
+
+export const consentService = {
+   needsConsent,
+   grantConsent,
+   getGrantedScopes,
+   listConsents,
+   withdrawConsent,
+};
+
+export default consentService;
@@ -0,0 +1,233 @@
+import cors from "cors";
+import getPool from "../repo/connection/pools/auth.js";
+import * as clientServersRepo from "../repo/repositories/clientServersRepository.js";
+import {
+   parseReturnUrl,
+   parseUrlPattern,
+   matchesUrlPattern,
+} from "../../../shared/urlMatching.js";
+import config from "../config/env.js";
+
+/** ------- cors service ------- */
+
+/**
+ * CORS allow-list of the auth-system, derived from the registered client servers
+ *
+ * - allowed: the auth-system frontend, config.cors.staticOrigins and the origins
+ *   of every client server's allowed_return_urls and allowed_origins
+ *   (https://*.example.com patterns allow one subdomain label, like return URLs)
+ * - cached per instance for config.cors.cacheSeconds, registering, updating or
+ *   deleting a client server invalidates the cache of this instance
+ * - policies per route group (server.js):
+ *   - api: /api, with the session cookie
+ *     - login proxy routes (LOGIN_PROXY_ROUTES: login, register, logout, MFA and
+ *       passkey login, password reset, email verification, the own session):
+ *       the frontend and the registered client servers
+ *     - everything else (owner, admin, users, consent, session management):
+ *       the frontend and config.cors.staticOrigins only - client server origins
+ *       come from self-registration and are never trusted with those
+ *   - token: OAuth endpoints authenticated by the request itself (client secret,
+ *     code_verifier, bearer token) - cookies are never sent
+ *   - public: discovery and JWKS, readable from anywhere
+ * - a rejected origin gets no CORS headers, the browser blocks the response
+ */
+
+let cache = { origins: new Set(), wildcards: [], loadedAt: 0 };
+let loading = null;
+// bumped by invalidateAllowedOrigins, a load that started before is not cached
+let generation = 0;
+
+/**
+ * Whether a browser origin may call the auth-system
+ * @param {string} origin - Origin header (scheme://host[:port])
+ * @returns {Promise<boolean>}
+ */
+export async function isAllowedOrigin(origin) {
+   const normalized = normalizeOrigin(origin);
+   if (!normalized) {
+      return false;
+   }
+
+   if (getStaticOrigins().has(normalized)) {
+      return true;
+   }
+
+   try {
+      await loadOrigins();
+   } catch (error) {
+      // client server origins are unavailable until the database answers again
+      console.log("🌐 [CORS SERVICE] ❌ Loading client server origins failed:", error.message);
+      return false;
+   }
+
+   return (
+      cache.origins.has(normalized) ||
+      cache.wildcards.some((pattern) => matchesUrlPattern(`${normalized}/`, pattern))
+   );
+}
+
+/**
+ * Drop the cached origins (a client server was registered, updated or deleted)
+ */
+export function invalidateAllowedOrigins() {
+   generation++;
+   cache = { ...cache, loadedAt: 0 };
+}
+
+/**
+ * /api routes a client server's frontend calls with the user's session cookie
+ * (paths below /api)
+ */
+export const LOGIN_PROXY_ROUTES = [
+   "/auth/login",
+   "/auth/register",
+   "/auth/logout",
+   "/auth/mfa/verify",
+   "/auth/webauthn/login/options",
+   "/auth/webauthn/login/verify",
+   "/auth/password/forgot",
+   "/auth/password/reset",
+   "/auth/verify-email",
+   "/auth/verify-email/resend",
+   "/auth/session",
+   "/auth/me",
+];
+
+const loginProxyPolicy = cors({
+   origin: resolveOrigin,
+   credentials: true,
+});
+
+const frontendPolicy = cors({
+   origin: resolveFrontendOrigin,
+   credentials: true,
+});
+
+/**
+ * CORS middleware per route group, see the module comment
+ */
+export const corsPolicies = {
+   api: (req, res, next) => {
+      const path = req.path.replace(/\/+$/, "");
+      const policy = LOGIN_PROXY_ROUTES.includes(path) ? loginProxyPolicy : frontendPolicy;
+      policy(req, res, next);
+   },
+   token: cors({
+      origin: resolveOrigin,
+      credentials: false,
+      methods: ["GET", "POST"],
+      exposedHeaders: ["WWW-Authenticate"],
+   }),
+   public: cors({
+      origin: "*",
+      methods: ["GET"],
+   }),
+};
+
+// ---- helper functions ----
+
+function resolveOrigin(origin, callback) {
+   // requests without an Origin header (server to server, curl) are not CORS requests
+   if (!origin) {
+      return callback(null, true);
+   }
+
+   isAllowedOrigin(origin).then((allowed) => {
+      if (!allowed) {
+         console.warn(`CORS blocked origin: ${origin}`);
+      }
+      callback(null, allowed);
+   }, callback);
+}
+
+function resolveFrontendOrigin(origin, callback) {
+   if (!origin) {
+      return callback(null, true);
+   }
+
+   const allowed = getStaticOrigins().has(normalizeOrigin(origin));
+   if (!allowed) {
+      console.warn(`CORS blocked origin: ${origin}`);
+   }
+   callback(null, allowed);
+}
+
+async function loadOrigins() {
+   const fresh = Date.now() - cache.loadedAt < config.cors.cacheSeconds * 1000;
+   if (fresh) {
+      return;
+   }
+
+   if (!loading) {
+      const started = generation;
+      loading = (async () => {
+         const pool = await getPool();
+         const clientServers = await clientServersRepo.getClientServerOrigins(pool);
+
+         const origins = new Set();
+         const wildcards = new Set();
+         for (const clientServer of clientServers) {
+            for (const url of [
+               ...(clientServer.allowed_return_urls || []),
+               ...(clientServer.allowed_origins || []),
+            ]) {
+               const origin = toOriginPattern(url);
+               if (!origin) {
+                  continue;
+               }
+               (origin.wildcard ? wildcards : origins).add(origin.value);
+            }
+         }
+
+         cache = {
+            origins,
+            wildcards: [...wildcards],
+            // invalidated while loading: the next request loads again
+            loadedAt: started === generation ? Date.now() : 0,
+         };
+      })().finally(() => {
+         loading = null;
+      });
+   }
+
+   await loading;
+}
+
+function toOriginPattern(url) {
+   const { pattern } = parseUrlPattern(url);
+   if (!pattern) {
+      return null;
+   }
+
+   const port = pattern.port ? `:${pattern.port}` : "";
+   return {
+      wildcard: pattern.wildcard,
+      value: `${pattern.protocol}//${pattern.wildcard ? "*." : ""}${pattern.host}${port}`,
+   };
+}
+
+function normalizeOrigin(origin) {
+   const url = parseReturnUrl(origin);
+   // an Origin header is only scheme, host and port
+   if (!url || url.pathname !== "/" || origin.replace(/\/$/, "") !== url.origin) {
+      return null;
+   }
+   return url.origin;
+}
+
+function getStaticOrigins() {
+   return new Set(
+      [config.app.frontendUrl, ...config.cors.staticOrigins]
+         .map(normalizeOrigin)
+         .filter(Boolean)
+   );
+}
+
+export const corsService = {
+   LOGIN_PROXY_ROUTES,
+   isAllowedOrigin,
+   invalidateAllowedOrigins,
+   corsPolicies,
+};
+
+export default corsService;
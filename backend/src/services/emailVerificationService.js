@@ -0,0 +1,187 @@
+import { ValidationError } from "../middleware/errorHandler.js";
+import repo from "../repo/userRepository.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import {
+   createSuccessResponse,
+   getSelectedSchema,
+   getSelectedTenant,
+} from "../utils/authUtils.js";
+import { sendMail } from "./mailService.js";
+import config from "../config/env.js";
+
+/** ------- email verification service ------- */
+
+/**
+ * - sendVerificationEmail: create a verification token and mail the link (register, resend)
+ * - verifyEmail: consume the token and mark the user's email verified
+ * - resendVerificationEmail: mail a new link to an unverified user
+ * - isEmailVerificationRequired: per client server login gate
+ *
+ * tokens:
+ * - stored hashed (sha256) in the tenant's email_verification_tokens table
+ * - single-use, expire after config.emailVerification.tokenTtlHours
+ * - bound to the address they were sent to, a changed email needs a new link
+ * - sending a new link invalidates the user's previous ones
+ *
+ * tenant resolution:
+ * - schema of the client the request selected (client_id / returnUrl -
+ *   selectClientTenant), the session's tenant never counts
+ * - the mailed link carries the client_id and return_url, so the verify page
+ *   sends them back and the token is looked up in the same tenant
+ */
+
+// same response whether or not the email exists (no user enumeration)
+const RESEND_VERIFICATION_MESSAGE =
+   "If an unverified account with that email exists, a verification link has been sent";
+
+/**
+ * Mail a verification link to a user
+ * @param {string} schema - Tenant schema the user belongs to
+ * @param {Object} user - User row ({ id, name, email })
+ * @param {Object} client - Client carried by the link ({ client_id, return_url },
+ *   metadata of the selected tenant)
+ */
+export async function sendVerificationEmail(schema, user, client = {}) {
+   // only the newest link stays valid
+   await repo.invalidateEmailVerificationTokens(schema, user.id);
+
+   const token = generateToken();
+   const expiresAt = new Date(
+      Date.now() + config.emailVerification.tokenTtlHours * 60 * 60 * 1000
+   );
+
+   await repo.createEmailVerificationToken(schema, {
+      user_id: user.id,
+      token_hash: hashToken(token),
+      email: user.email,
+      expires_at: expiresAt,
+   });
+
+   const verifyLink = buildVerifyLink(token, client);
+
+   await sendMail({
+      to: user.email,
+      subject: "Verify your email address",
+      text: [
+         `Hi ${user.name},`,
+         "",
+         "Please confirm your email address by opening the link below:",
+         verifyLink,
+         "",
+         `The link expires in ${config.emailVerification.tokenTtlHours} hours and can only be used once.`,
+         "If you did not create an account, you can ignore this mail.",
+      ].join("\n"),
+   });
+
+   console.log("📨 [EMAIL VERIFICATION] Verification link sent to:", user.email);
+}
+
+/**
+ * Verify an email address
+ * @param {Object} req - Express request object
+ * - req.query: { token, client_id, return_url }
+ * @returns {Object} Success response with { email, returnUrl }
+ */
+export async function verifyEmail(req) {
+   try {
+      const { token } = req.query;
+      const schema = getSelectedSchema(req);
+
+      if (!token) {
+         throw new ValidationError("Token is required");
+      }
+
+      const verificationToken = await repo.consumeEmailVerificationToken(
+         schema,
+         hashToken(token)
+      );
+
+      if (!verificationToken) {
+         throw new ValidationError("Invalid or expired verification link");
+      }
+
+      const user = await repo.getUser(schema, verificationToken.user_id);
+
+      // the email was changed after the link was sent
+      if (!user || user.email !== verificationToken.email) {
+         throw new ValidationError("Invalid or expired verification link");
+      }
+
+      await repo.markUserEmailVerified(schema, user.id);
+      await repo.invalidateEmailVerificationTokens(schema, user.id);
+
+      console.log("📨 [EMAIL VERIFICATION] ✅ Email verified for user:", user.email);
+
+      return createSuccessResponse("Email address verified", {
+         email: user.email,
+         returnUrl: getReturnUrl(req),
+      });
+   } catch (error) {
+      console.log("📨 [EMAIL VERIFICATION] ❌ Verify email failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Resend the verification link
+ * @param {Object} req - Express request object
+ * - req.body: { email, client_id, returnUrl }
+ * @returns {Object} Success response (also when the email is unknown or already verified)
+ */
+export async function resendVerificationEmail(req) {
+   try {
+      const { email } = req.body;
+      const schema = getSelectedSchema(req);
+
+      if (!email) {
+         throw new ValidationError("Email is required");
+      }
+
+      const user = await repo.getUserByEmail(schema, email);
+      if (user && !user.email_verified_at) {
+         await sendVerificationEmail(schema, user, getSelectedTenant(req).metadata);
+      }
+
+      return createSuccessResponse(RESEND_VERIFICATION_MESSAGE);
+   } catch (error) {
+      console.log("📨 [EMAIL VERIFICATION] ❌ Resend failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Check if a client server blocks login for unverified users
+ * @param {Object} clientServer - Client server row (may be undefined)
+ * @returns {boolean} - Whether an unverified user is refused at login
+ */
+export function isEmailVerificationRequired(clientServer) {
+   return Boolean(clientServer?.require_email_verification);
+}
+
+// ---- helper functions ----
+
+// return_url that selectClientTenant matched against the client's allowed urls
+function getReturnUrl(req) {
+   return getSelectedTenant(req).metadata.return_url || null;
+}
+
+function buildVerifyLink(token, client) {
+   const url = new URL("/verify-email", config.app.frontendUrl);
+   url.searchParams.set("token", token);
+   if (client.client_id) {
+      url.searchParams.set("client_id", client.client_id);
+   }
+   if (client.return_url) {
+      url.searchParams.set("return_url", client.return_url);
+   }
+   return url.toString();
+}
+
+export const emailVerificationService = {
+   sendVerificationEmail,
+   verifyEmail,
+   resendVerificationEmail,
+   isEmailVerificationRequired,
+};
+
+export default emailVerificationService;
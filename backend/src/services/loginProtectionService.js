@@ -0,0 +1,166 @@
+import { LockedError } from "../middleware/errorHandler.js";
+import repo from "../repo/userRepository.js";
+import config from "../config/env.js";
+
+/** ------- login protection service ------- */
+
+/**
+ * Brute-force protection for tenant logins
+ *
+ * - failures are counted per email and per client IP (login_failures, tenant schema)
+ * - backoff: after n failures the next attempt waits base * 2^(n-1) seconds (capped)
+ * - lockout: maxAttempts (email) / ipMaxAttempts (IP) failures within the window
+ *   lock the key for durationMinutes
+ * - emails are counted whether or not an account exists, so a lockout does not
+ *   reveal which emails are registered
+ * - a completed login clears the email counter, IP counters only expire
+ *
+ * thresholds: config.loginProtection, overridden per client server
+ * (lockout_max_attempts, lockout_ip_max_attempts, lockout_duration_minutes)
+ */
+
+/**
+ * Get the lockout thresholds of a client server
+ * @param {Object} clientServer - Client server row (may be undefined)
+ * @returns {Object} { maxAttempts, ipMaxAttempts, durationMinutes, backoffBaseSeconds, backoffMaxSeconds }
+ */
+export function getLockoutPolicy(clientServer) {
+   const defaults = config.loginProtection;
+
+   return {
+      maxAttempts: clientServer?.lockout_max_attempts || defaults.maxAttempts,
+      ipMaxAttempts:
+         clientServer?.lockout_ip_max_attempts || defaults.ipMaxAttempts,
+      durationMinutes:
+         clientServer?.lockout_duration_minutes || defaults.durationMinutes,
+      backoffBaseSeconds: defaults.backoffBaseSeconds,
+      backoffMaxSeconds: defaults.backoffMaxSeconds,
+   };
+}
+
+/**
+ * Client IP of a request (as seen by express, see "trust proxy")
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+export function getClientIp(req) {
+   return req.ip || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Refuse the attempt while the email or IP is locked or backing off
+ * @param {string} schema - Tenant schema
+ * @param {Object} attempt - { email, ip }
+ * @param {Object} policy - From getLockoutPolicy()
+ * @throws {LockedError} ACCOUNT_LOCKED or LOGIN_THROTTLED, with retryAfter in seconds
+ */
+export async function assertLoginAllowed(schema, { email, ip }, policy) {
+   const rows = await repo.getLoginFailures(schema, normalizeEmail(email), ip);
+   const now = Date.now();
+   const windowStart = now - policy.durationMinutes * 60 * 1000;
+
+   let lockedFor = 0;
+   let backoffFor = 0;
+
+   for (const row of rows) {
+      const lockedUntil = row.locked_until ? new Date(row.locked_until).getTime() : 0;
+      if (lockedUntil > now) {
+         lockedFor = Math.max(lockedFor, Math.ceil((lockedUntil - now) / 1000));
+         continue;
+      }
+
+      const lastFailure = new Date(row.last_failure_at).getTime();
+      if (lastFailure > windowStart) {
+         const waitUntil = lastFailure + backoffSeconds(row.failure_count, policy) * 1000;
+         if (waitUntil > now) {
+            backoffFor = Math.max(backoffFor, Math.ceil((waitUntil - now) / 1000));
+         }
+      }
+   }
+
+   if (lockedFor > 0) {
+      console.log("🛡️ [LOGIN PROTECTION] ❌ Locked login attempt:", { schema, email, ip });
+      throw new LockedError(
+         `Too many failed login attempts. Try again in ${formatWait(lockedFor)}.`,
+         "ACCOUNT_LOCKED",
+         lockedFor
+      );
+   }
+
+   if (backoffFor > 0) {
+      throw new LockedError(
+         `Too many failed login attempts. Wait ${formatWait(backoffFor)} before trying again.`,
+         "LOGIN_THROTTLED",
+         backoffFor
+      );
+   }
+}
+
+/**
+ * Count a failed attempt, and lock the email / IP when it reached its threshold
+ * @param {string} schema - Tenant schema
+ * @param {Object} attempt - { email, ip }
+ * @param {Object} policy - From getLockoutPolicy()
+ */
+export async function recordLoginFailure(schema, { email, ip }, policy) {
+   const keys = [
+      ["email", normalizeEmail(email), policy.maxAttempts],
+      ["ip", ip, policy.ipMaxAttempts],
+   ];
+
+   for (const [keyType, keyValue, maxAttempts] of keys) {
+      if (!keyValue) {
+         continue;
+      }
+
+      const row = await repo.recordLoginFailure(
+         schema,
+         keyType,
+         keyValue,
+         policy.durationMinutes
+      );
+
+      if (row.failure_count >= maxAttempts && !row.locked_until) {
+         await repo.lockLoginKey(schema, keyType, keyValue, policy.durationMinutes);
+         console.log("🛡️ [LOGIN PROTECTION] 🔒 Locked", keyType, keyValue, "in schema:", schema);
+      }
+   }
+}
+
+/**
+ * Reset the failures of an email (completed login, or unlocked by the owner)
+ * @param {string} schema - Tenant schema
+ * @param {string} email - Email of the account
+ */
+export async function clearLoginFailures(schema, email) {
+   await repo.clearLoginFailures(schema, "email", normalizeEmail(email));
+}
+
+// ---- helper functions ----
+
+function normalizeEmail(email) {
+   return email ? String(email).trim().toLowerCase() : null;
+}
+
+function formatWait(seconds) {
+   if (seconds < 60) {
+      return seconds === 1 ? "1 second" : `${seconds} seconds`;
+   }
+   const minutes = Math.ceil(seconds / 60);
+   return minutes === 1 ? "1 minute" : `${minutes} minutes`;
+}
+
+function backoffSeconds(failureCount, policy) {
+   const seconds = policy.backoffBaseSeconds * 2 ** Math.max(failureCount - 1, 0);
+   return Math.min(seconds, policy.backoffMaxSeconds);
+}
+
+export const loginProtectionService = {
+   getLockoutPolicy,
+   getClientIp,
+   assertLoginAllowed,
+   recordLoginFailure,
+   clearLoginFailures,
+};
+
+export default loginProtectionService;
@@ -0,0 +1,86 @@
+import fs from "fs/promises";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import config from "../config/env.js";
+
+/**
+ * Mail Service
+ * Delivers transactional mails (password reset, ...) through a pluggable transport
+ *
+ * transports:
+ * - console: logs the mail (local development)
+ * - file: writes the mail as JSON to config.mail.outboxDir (local development / e2e tests)
+ *
+ * Other transports (SMTP, provider APIs) are added with registerTransport()
+ * and selected with MAIL_TRANSPORT.
+ *
+ * transport interface:
+ *   async send({ from, to, subject, text, html }) => { messageId }
+ */
+
+const transports = new Map();
+
+const consoleTransport = {
+   send: async (message) => {
+      const messageId = uuidv4();
+      console.log("📧 [MAIL SERVICE] Outgoing mail:", {
+         messageId,
+         ...message,
+      });
+      return { messageId };
+   },
+};
+
+const fileTransport = {
+   send: async (message) => {
+      const messageId = uuidv4();
+      await fs.mkdir(config.mail.outboxDir, { recursive: true });
+
+      const file = path.join(
+         config.mail.outboxDir,
+         `${Date.now()}-${messageId}.json`
+      );
+      await fs.writeFile(
+         file,
+         JSON.stringify({ messageId, date: new Date(), ...message }, null, 2)
+      );
+
+      console.log("📧 [MAIL SERVICE] Mail written to:", file);
+      return { messageId };
+   },
+};
+
+/**
+ * Register a mail transport
+ * @param {string} name - Transport name (value of MAIL_TRANSPORT)
+ * @param {Object} transport - Transport implementation with send(message)
+ */
+export function registerTransport(name, transport) {
+   transports.set(name, transport);
+}
+
+registerTransport("console", consoleTransport);
+registerTransport("file", fileTransport);
+
+/**
+ * Send a mail through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Object} { messageId }
+ * @throws {Error} If the configured transport is not registered
+ */
+export async function sendMail(message) {
+   const transport = transports.get(config.mail.transport);
+
+   if (!transport) {
+      throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+   }
+
+   return transport.send({ from: config.mail.from, ...message });
+}
+
+export const mailService = {
+   registerTransport,
+   sendMail,
+};
+
+export default mailService;
@@ -0,0 +1,391 @@
+import crypto from "crypto";
+import { AuthError, ValidationError } from "../middleware/errorHandler.js";
+import repo from "../repo/userRepository.js";
+import hashing from "../utils/hashing.js";
+import totp from "../utils/totp.js";
+import { encrypt, decrypt } from "../utils/encryption.js";
+import { hashToken } from "../utils/tokens.js";
+import { createSuccessResponse, getSessionLogin } from "../utils/authUtils.js";
+import {
+   getClientServerBySchema,
+   getPasswordPolicy,
+} from "./clientServerService.js";
+import config from "../config/env.js";
+
+/** ------- MFA service ------- */
+
+/**
+ * - getMfaStatus: second factors of the current user
+ * - enrollTotp: new secret + otpauth URI, waits for a first code
+ * - confirmTotp: first code enables the secret
+ * - reenrollTotp: new secret for a user with TOTP enabled (password required)
+ * - disableTotp: remove the second factor (password required)
+ * - regenerateRecoveryCodes: new set of recovery codes (password required)
+ * - getEnabledMethods / verifyLoginCode: used by the login step (auth service)
+ * - resetMfa: remove all second factors of a user (owner action)
+ *
+ * secrets:
+ * - encrypted with the tenant key (utils/encryption.js, context = schema)
+ * - an enrollment is pending until confirmed, a re-enrollment keeps the old
+ *   secret active until the new one is confirmed
+ * - every accepted code moves last_used_step forward, a code works once
+ *
+ * recovery codes:
+ * - RECOVERY_CODE_COUNT single-use codes, issued when TOTP is first enabled
+ * - stored as sha256 of the normalized code (80 random bits, no salt needed)
+ * - regeneration replaces the whole set, disabling MFA removes it
+ */
+
+const RECOVERY_CODE_COUNT = 10;
+// 16 base32 characters (80 bits), shown as XXXX-XXXX-XXXX-XXXX
+const RECOVERY_CODE_LENGTH = 16;
+
+/**
+ * Get the second factors of the current user
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Object} Success response with { totp: { enabled, enabledAt, pendingEnrollment }, recoveryCodes: { remaining } }
+ */
+export async function getMfaStatus(req) {
+   try {
+      const { schema, user } = await getCurrentUser(req);
+      const userTotp = await repo.getUserTotp(schema, user.id);
+      const enabled = Boolean(userTotp?.enabled_at);
+
+      return createSuccessResponse("MFA status retrieved successfully", {
+         totp: {
+            enabled,
+            enabledAt: userTotp?.enabled_at || null,
+            pendingEnrollment: Boolean(userTotp?.pending_secret_encrypted),
+         },
+         recoveryCodes: {
+            remaining: enabled
+               ? await repo.countRemainingRecoveryCodes(schema, user.id)
+               : 0,
+         },
+      });
+   } catch (error) {
+      throw error;
+   }
+}
+
+/**
+ * Start TOTP enrollment
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Object} Success response with { secret, otpauthUri, qrPayload, ... }
+ * - qrPayload is the content for the QR code the authenticator app scans
+ */
+export async function enrollTotp(req) {
+   try {
+      const { schema, user } = await getCurrentUser(req);
+      const userTotp = await repo.getUserTotp(schema, user.id);
+
+      if (userTotp?.enabled_at) {
+         throw new ValidationError(
+            "Two-factor authentication is already enabled, use re-enroll to replace it"
+         );
+      }
+
+      console.log("🔢 [MFA SERVICE] TOTP enrollment started for user:", user.email);
+
+      return startEnrollment(schema, user);
+   } catch (error) {
+      console.log("🔢 [MFA SERVICE] ❌ TOTP enrollment failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Start a new TOTP enrollment for a user with TOTP enabled (fx. new phone)
+ * @param {Object} req - Express request object (authenticated)
+ * - req.body: { password }
+ * @returns {Object} Success response, same as enrollTotp
+ */
+export async function reenrollTotp(req) {
+   try {
+      const { schema, user } = await getCurrentUser(req);
+      const userTotp = await repo.getUserTotp(schema, user.id);
+
+      if (!userTotp?.enabled_at) {
+         throw new ValidationError("Two-factor authentication is not enabled");
+      }
+
+      await verifyCurrentPassword(schema, user, req.body?.password);
+
+      console.log("🔢 [MFA SERVICE] TOTP re-enrollment started for user:", user.email);
+
+      return startEnrollment(schema, user);
+   } catch (error) {
+      console.log("🔢 [MFA SERVICE] ❌ TOTP re-enrollment failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Confirm a (re-)enrollment with the first code from the authenticator app
+ * @param {Object} req - Express request object (authenticated)
+ * - req.body: { code }
+ * @returns {Object} Success response, with the recovery codes on the first enrollment
+ */
+export async function confirmTotp(req) {
+   try {
+      const { schema, user } = await getCurrentUser(req);
+      const userTotp = await repo.getUserTotp(schema, user.id);
+
+      if (!userTotp?.pending_secret_encrypted) {
+         throw new ValidationError("No pending two-factor enrollment");
+      }
+
+      const secret = decrypt(userTotp.pending_secret_encrypted, schema);
+      const step = totp.verify(secret, req.body?.code);
+
+      if (step === null) {
+         throw new ValidationError("Invalid authentication code");
+      }
+
+      await repo.confirmUserTotp(schema, user.id, step);
+
+      console.log("🔢 [MFA SERVICE] ✅ TOTP enabled for user:", user.email);
+
+      // first enrollment - a re-enrollment keeps the existing recovery codes
+      const recoveryCodes = userTotp.enabled_at
+         ? null
+         : await issueRecoveryCodes(schema, user.id);
+
+      return createSuccessResponse("Two-factor authentication enabled", {
+         totp: { enabled: true },
+         ...(recoveryCodes && { recoveryCodes }),
+      });
+   } catch (error) {
+      console.log("🔢 [MFA SERVICE] ❌ TOTP confirmation failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Disable TOTP
+ * @param {Object} req - Express request object (authenticated)
+ * - req.body: { password }
+ * @returns {Object} Success response
+ */
+export async function disableTotp(req) {
+   try {
+      const { schema, user } = await getCurrentUser(req);
+
+      await verifyCurrentPassword(schema, user, req.body?.password);
+      await resetMfa(schema, user.id);
+
+      console.log("🔢 [MFA SERVICE] ✅ TOTP disabled for user:", user.email);
+
+      return createSuccessResponse("Two-factor authentication disabled", {
+         totp: { enabled: false },
+      });
+   } catch (error) {
+      console.log("🔢 [MFA SERVICE] ❌ Disabling TOTP failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Replace the recovery codes (the old set stops working)
+ * @param {Object} req - Express request object (authenticated)
+ * - req.body: { password }
+ * @returns {Object} Success response with { recoveryCodes } (shown once)
+ */
+export async function regenerateRecoveryCodes(req) {
+   try {
+      const { schema, user } = await getCurrentUser(req);
+      const userTotp = await repo.getUserTotp(schema, user.id);
+
+      if (!userTotp?.enabled_at) {
+         throw new ValidationError("Two-factor authentication is not enabled");
+      }
+
+      await verifyCurrentPassword(schema, user, req.body?.password);
+      const recoveryCodes = await issueRecoveryCodes(schema, user.id);
+
+      console.log("🔢 [MFA SERVICE] ✅ Recovery codes regenerated for user:", user.email);
+
+      return createSuccessResponse("Recovery codes regenerated", {
+         recoveryCodes,
+      });
+   } catch (error) {
+      console.log("🔢 [MFA SERVICE] ❌ Regenerating recovery codes failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Get the enabled second factors of a user
+ * @param {string} schema - Tenant schema
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} - Enabled methods, fx. ["totp", "recovery_code"] (empty without MFA)
+ */
+export async function getEnabledMethods(schema, userId) {
+   const userTotp = await repo.getUserTotp(schema, userId);
+   if (!userTotp?.enabled_at) {
+      return [];
+   }
+
+   const remaining = await repo.countRemainingRecoveryCodes(schema, userId);
+   return remaining > 0 ? ["totp", "recovery_code"] : ["totp"];
+}
+
+/**
+ * Verify a code at the second login step
+ * - an authenticator code, or one of the user's recovery codes
+ * @param {string} schema - Tenant schema
+ * @param {string} userId - User ID
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<{ valid: boolean, method: string|null, remainingRecoveryCodes?: number }>}
+ */
+export async function verifyLoginCode(schema, userId, code) {
+   const userTotp = await repo.getUserTotp(schema, userId);
+
+   if (!userTotp?.enabled_at) {
+      return { valid: false, method: null };
+   }
+
+   const secret = decrypt(userTotp.secret_encrypted, schema);
+   const lastUsedStep =
+      userTotp.last_used_step === null ? null : Number(userTotp.last_used_step);
+   const step = totp.verify(secret, code, { afterStep: lastUsedStep });
+
+   if (step !== null) {
+      // no row when a parallel request already used this step
+      const updated = await repo.updateUserTotpLastUsedStep(
+         schema,
+         userId,
+         step
+      );
+      return { valid: Boolean(updated), method: "totp" };
+   }
+
+   const normalized = normalizeRecoveryCode(code);
+   if (normalized.length !== RECOVERY_CODE_LENGTH) {
+      return { valid: false, method: null };
+   }
+
+   const used = await repo.consumeRecoveryCode(
+      schema,
+      userId,
+      hashToken(normalized)
+   );
+   if (!used) {
+      return { valid: false, method: null };
+   }
+
+   return {
+      valid: true,
+      method: "recovery_code",
+      remainingRecoveryCodes: await repo.countRemainingRecoveryCodes(
+         schema,
+         userId
+      ),
+   };
+}
+
+/**
+ * Remove all second factors of a user (TOTP and recovery codes)
+ * - used when disabling MFA, and by owners for users who lost access
+ * @param {string} schema - Tenant schema
+ * @param {string} userId - User ID
+ */
+export async function resetMfa(schema, userId) {
+   await repo.deleteUserTotp(schema, userId);
+   await repo.deleteRecoveryCodes(schema, userId);
+}
+
+// ---- helper functions ----
+
+async function getCurrentUser(req) {
+   const { schema, userId } = getSessionLogin(req);
+   const user = await repo.getUser(schema, userId);
+
+   if (!user) {
+      throw new AuthError("User not found");
+   }
+
+   return { schema, user };
+}
+
+// removing or replacing a second factor needs the password again
+async function verifyCurrentPassword(schema, user, password) {
+   if (!password) {
+      throw new ValidationError("Password is required");
+   }
+
+   const clientServer = await getClientServerBySchema(schema);
+   const { valid } = await hashing.verify(
+      password,
+      user.password_hash,
+      getPasswordPolicy(clientServer)
+   );
+
+   if (!valid) {
+      throw new AuthError("Invalid password");
+   }
+}
+
+function generateRecoveryCode() {
+   return totp
+      .base32Encode(crypto.randomBytes((RECOVERY_CODE_LENGTH * 5) / 8))
+      .match(/.{4}/g)
+      .join("-");
+}
+
+// case, dashes and spaces do not matter when the user types the code
+function normalizeRecoveryCode(code) {
+   return String(code || "")
+      .toUpperCase()
+      .replace(/[^A-Z2-7]/g, "");
+}
+
+async function issueRecoveryCodes(schema, userId) {
+   const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+   await repo.replaceRecoveryCodes(
+      schema,
+      userId,
+      codes.map((code) => hashToken(normalizeRecoveryCode(code)))
+   );
+   return codes;
+}
+
+async function startEnrollment(schema, user) {
+   const clientServer = await getClientServerBySchema(schema);
+   const issuer = clientServer?.app_name || config.mfa.issuer;
+
+   const secret = totp.generateSecret();
+   await repo.setPendingUserTotp(schema, user.id, encrypt(secret, schema));
+
+   const otpauthUri = totp.buildOtpauthUri({
+      secret,
+      issuer,
+      accountName: user.email,
+   });
+
+   return createSuccessResponse(
+      "Scan the QR code and confirm with the first code",
+      {
+         secret,
+         otpauthUri,
+         qrPayload: otpauthUri,
+         issuer,
+         accountName: user.email,
+         ...totp.TOTP_DEFAULTS,
+      }
+   );
+}
+
+export const mfaService = {
+   getMfaStatus,
+   enrollTotp,
+   reenrollTotp,
+   confirmTotp,
+   disableTotp,
+   regenerateRecoveryCodes,
+   getEnabledMethods,
+   verifyLoginCode,
+   resetMfa,
+};
+
+export default mfaService;
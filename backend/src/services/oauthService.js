@@ -0,0 +1,838 @@
+import { AuthError, OAuthError } from "../middleware/errorHandler.js";
+import {
+   POOL_CONTEXTS,
+   USER_ROLES,
+   setPoolContext,
+} from "../middleware/schemaDetection.js";
+import repo from "../repo/userRepository.js";
+import pkce from "../utils/pkce.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import {
+   filterClaims,
+   formatScope,
+   getScopeDefinitions,
+   parseScope,
+} from "../utils/scopes.js";
+import {
+   getClientServerByClientId,
+   issueClientCredentialsToken,
+} from "./clientServerService.js";
+import { getGrantedScopes, grantConsent, needsConsent } from "./consentService.js";
+import {
+   getActiveRefreshToken,
+   issueRefreshToken,
+   revokeRefreshToken,
+   rotateRefreshToken,
+} from "./refreshTokenService.js";
+import { verifyClientSecret } from "./clientSecretService.js";
+import { endCurrentSession } from "./sessionService.js";
+import { revokeToken as addToRevocationList } from "./tokenRevocationService.js";
+import { SIGNING_ALGORITHMS } from "./signingKeyService.js";
+import { getUserAuthorization } from "./roleService.js";
+import {
+   signAccessToken,
+   signIdToken,
+   verifyAccessToken,
+   verifyBearerToken,
+} from "./tokenService.js";
+import { parseReturnUrl } from "../../../shared/urlMatching.js";
+import config from "../config/env.js";
+
+/** ------- OAuth 2.0 service ------- */
+
+/**
+ * Authorization code flow with PKCE (RFC 6749, RFC 7636) for client servers
+ *
+ * - authorize: GET /oauth/authorize, validates the request and either issues a
+ *   code right away (already logged in to the client's tenant) or sends the
+ *   browser to the login page
+ * - resumeAuthorization: GET /oauth/authorize/resume, after the login page
+ *   completed the login (see auth service, completeLogin)
+ * - getConsentRequest / submitConsent: consent page of the frontend, shown when
+ *   the user has not granted every requested scope before (see consentService)
+ * - exchangeToken: POST /oauth/token, code + code_verifier for an access token
+ *   (and an id_token for scope "openid") and a refresh token, a refresh
+ *   token for new tokens (see refreshTokenService), or the client secret for
+ *   an API token (client_credentials)
+ * - getUserInfo: GET /oauth/userinfo, claims of the access token's user
+ * - introspectToken / revokeToken: POST /oauth/introspect, /oauth/revoke
+ *   (RFC 7662, RFC 7009), confidential clients, only for their own tokens
+ * - getDiscoveryDocument: OpenID Connect discovery (keys: signingKeyService)
+ *
+ * rules:
+ * - redirect_uri has to be one of the client's allowed_return_urls exactly,
+ *   path-prefix and wildcard patterns are not redirect URIs
+ * - errors before the redirect_uri is trusted are answered, never redirected
+ * - PKCE S256 is required, for confidential clients as well
+ * - scope has to be made of the client's defined scopes (client_servers.scopes),
+ *   claims are released per scope and only while the user's consent lasts
+ * - codes are random, stored hashed, single-use and live
+ *   config.oauth.authorizationCodeTtlSeconds
+ * - access tokens are scoped to the client's assigned_schema_name
+ * - refresh tokens rotate on every use, a reused one revokes its family
+ *
+ * pending request: req.session.oauthRequest, lives config.oauth.authorizationRequestTtlMinutes
+ */
+
+/**
+ * Start an authorization request
+ * @param {Object} req - Express request object
+ * - req.query: { response_type, client_id, redirect_uri, code_challenge, code_challenge_method?, state?, scope?, nonce? }
+ * @returns {Promise<{ redirectUrl: string }>} Where to send the browser
+ * @throws {OAuthError} If the client or redirect_uri can not be trusted
+ */
+export async function authorize(req) {
+   try {
+      const {
+         response_type,
+         client_id,
+         redirect_uri,
+         code_challenge,
+         code_challenge_method = "S256",
+         state,
+         scope,
+         nonce,
+      } = req.query;
+
+      const clientServer = client_id
+         ? await getClientServerByClientId(String(client_id))
+         : null;
+      if (!clientServer) {
+         throw new OAuthError("invalid_request", "Unknown client_id");
+      }
+
+      if (!isRegisteredRedirectUri(clientServer, redirect_uri)) {
+         console.log("🎫 [OAUTH SERVICE] ❌ Unregistered redirect_uri:", {
+            client_id,
+            redirect_uri,
+         });
+         throw new OAuthError("invalid_request", "redirect_uri is not registered for this client");
+      }
+
+      // from here on errors go back to the client
+      if (response_type !== "code") {
+         return errorRedirect(redirect_uri, state, "unsupported_response_type", "Only response_type=code is supported");
+      }
+      if (!pkce.CODE_CHALLENGE_METHODS.includes(code_challenge_method)) {
+         return errorRedirect(redirect_uri, state, "invalid_request", "code_challenge_method must be S256");
+      }
+      if (!pkce.isValidCodeChallenge(code_challenge)) {
+         return errorRedirect(redirect_uri, state, "invalid_request", "code_challenge is required");
+      }
+
+      const requestedScopes = parseScope(scope);
+      const definedScopes = getScopeDefinitions(clientServer).map((definition) => definition.name);
+      const unknownScopes = requestedScopes.filter((value) => !definedScopes.includes(value));
+      if (unknownScopes.length > 0) {
+         return errorRedirect(redirect_uri, state, "invalid_scope", `Unknown scope: ${unknownScopes.join(" ")}`);
+      }
+
+      const schema = clientServer.assigned_schema_name;
+
+      // a login to another tenant (or the owner panel) does not count for this client
+      if (req.session.userId && req.session.schema !== schema) {
+         await endCurrentSession(req);
+         delete req.session.userId;
+         delete req.session.role;
+      }
+
+      req.session.oauthRequest = {
+         clientId: clientServer.client_id,
+         schema,
+         redirectUri: redirect_uri,
+         codeChallenge: code_challenge,
+         codeChallengeMethod: code_challenge_method,
+         state: state ?? null,
+         scope: formatScope(requestedScopes),
+         nonce: nonce ?? null,
+         expiresAt: Date.now() + config.oauth.authorizationRequestTtlMinutes * 60 * 1000,
+      };
+
+      // the login page logs in to the client's tenant
+      setPoolContext(req, POOL_CONTEXTS.CLIENT_TENANT, schema, {
+         client_id: clientServer.client_id,
+         app_name: clientServer.app_name,
+         client_mode: clientServer.client_mode,
+         return_url: redirect_uri,
+         allowed_return_urls: clientServer.allowed_return_urls,
+         user_role: USER_ROLES.USER,
+      });
+
+      console.log("🎫 [OAUTH SERVICE] Authorization request for client:", clientServer.client_id);
+
+      return await continueAuthorization(req);
+   } catch (error) {
+      console.log("🎫 [OAUTH SERVICE] ❌ Authorization request failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Continue the pending authorization request after the login
+ * @param {Object} req - Express request object
+ * @returns {Promise<{ redirectUrl: string }>} Where to send the browser
+ * @throws {OAuthError} If there is no pending request
+ */
+export async function resumeAuthorization(req) {
+   try {
+      return await continueAuthorization(req);
+   } catch (error) {
+      console.log("🎫 [OAUTH SERVICE] ❌ Resuming authorization failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Whether the session waits for a login to finish an authorization request
+ * @param {Object} req - Express request object
+ * @param {string} schema - Tenant schema of the login
+ * @returns {boolean}
+ */
+export function hasPendingAuthorization(req, schema) {
+   const pending = req.session?.oauthRequest;
+   return Boolean(pending && pending.schema === schema && pending.expiresAt > Date.now());
+}
+
+/**
+ * Pending authorization request waiting for the user's consent
+ * @param {Object} req - Express request object (logged in to the client's tenant)
+ * @returns {Promise<Object>} { clientId, appName, scopes: [{ name, description, granted }] }
+ * @throws {OAuthError} If there is no pending request for the logged in user
+ */
+export async function getConsentRequest(req) {
+   try {
+      const { pending, clientServer } = await getPendingConsent(req);
+      const definitions = getScopeDefinitions(clientServer);
+      const consentScopes = await getGrantedScopes(clientServer, req.session.userId, pending.scope);
+
+      return {
+         clientId: clientServer.client_id,
+         appName: clientServer.app_name,
+         scopes: parseScope(pending.scope).map((name) => ({
+            ...definitions.find((definition) => definition.name === name),
+            granted: Boolean(consentScopes?.includes(name)),
+         })),
+      };
+   } catch (error) {
+      console.log("🎫 [OAUTH SERVICE] ❌ Loading consent request failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Answer the consent page
+ * @param {Object} req - Express request object
+ * - req.body: { approve: boolean }
+ * @returns {Promise<{ redirectUrl: string }>} Back to the client, with a code or access_denied
+ * @throws {OAuthError} If there is no pending request for the logged in user
+ */
+export async function submitConsent(req) {
+   try {
+      const { pending, clientServer } = await getPendingConsent(req);
+
+      if (req.body?.approve !== true) {
+         delete req.session.oauthRequest;
+         console.log("🎫 [OAUTH SERVICE] Consent denied for client:", clientServer.client_id);
+         return errorRedirect(pending.redirectUri, pending.state, "access_denied", "The user denied the request");
+      }
+
+      await grantConsent(pending.schema, req.session.userId, clientServer.client_id, parseScope(pending.scope));
+      console.log("🎫 [OAUTH SERVICE] ✅ Consent granted for client:", clientServer.client_id);
+
+      return await continueAuthorization(req);
+   } catch (error) {
+      console.log("🎫 [OAUTH SERVICE] ❌ Consent failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Token endpoint
+ * @param {Object} req - Express request object
+ * - req.body: { grant_type, client_id?, client_secret?, ... }
+ *   - authorization_code: { code, redirect_uri, code_verifier }
+ *   - refresh_token: { refresh_token, scope? }
+ *   - client_credentials: { scope? } - API token of the client server itself
+ * - client authentication: HTTP Basic or client_id / client_secret in the body,
+ *   clients registered as public (public_client) may send only client_id and
+ *   rely on PKCE (and refresh token rotation)
+ * @returns {Object} { access_token, token_type, expires_in, refresh_token?, scope?, id_token? }
+ * @throws {OAuthError}
+ */
+export async function exchangeToken(req) {
+   try {
+      const { grant_type } = req.body || {};
+
+      const { clientServer, authenticated } = await authenticateClient(req);
+
+      if (grant_type === "authorization_code") {
+         return await exchangeAuthorizationCode(req, clientServer);
+      }
+      if (grant_type === "refresh_token") {
+         return await exchangeRefreshToken(req, clientServer, authenticated);
+      }
+      if (grant_type === "client_credentials") {
+         // the client acts on its own behalf, a secret is required
+         if (!authenticated) {
+            throw new OAuthError("invalid_client", "Client authentication failed", 401);
+         }
+         return await issueClientCredentialsToken(clientServer, req.body.scope);
+      }
+
+      throw new OAuthError(
+         "unsupported_grant_type",
+         "grant_type must be authorization_code, refresh_token or client_credentials"
+      );
+   } catch (error) {
+      console.log("🎫 [OAUTH SERVICE] ❌ Token request failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * UserInfo endpoint (OpenID Connect Core section 5.3)
+ * @param {Object} req - Express request object
+ * - Authorization: Bearer <access token> (or access_token in a form body)
+ * - claims are released per scope (email: email, email_verified; profile: name;
+ *   roles: roles, permissions), only scopes the user still grants count
+ * @returns {Object} { sub, email?, email_verified?, name?, roles?, permissions? }
+ * @throws {OAuthError} invalid_token (401), insufficient_scope (403) without "openid"
+ */
+export async function getUserInfo(req) {
+   try {
+      const token = getBearerToken(req);
+
+      let claims;
+      try {
+         claims = await verifyAccessToken(token);
+      } catch (error) {
+         throw new OAuthError("invalid_token", error.message, 401);
+      }
+
+      const clientServer = await getClientServerByClientId(claims.client_id);
+      const scopes = clientServer
+         ? await getGrantedScopes(clientServer, claims.sub, claims.scope)
+         : null;
+      if (!scopes) {
+         throw new OAuthError("invalid_token", "The user withdrew the consent", 401);
+      }
+      if (!scopes.includes("openid")) {
+         throw new OAuthError("insufficient_scope", "The openid scope is required", 403);
+      }
+
+      // the users table of the tenant the token was issued for
+      const user = await repo.getUser(claims.schema, claims.sub);
+      if (!user) {
+         throw new OAuthError("invalid_token", "User not found", 401);
+      }
+
+      const authorization = scopes.includes("roles")
+         ? await getUserAuthorization(claims.schema, user.id)
+         : {};
+
+      return filterClaims(
+         {
+            sub: String(user.id),
+            email: user.email,
+            email_verified: Boolean(user.email_verified_at),
+            name: user.name,
+            ...authorization,
+         },
+         scopes
+      );
+   } catch (error) {
+      console.log("🎫 [OAUTH SERVICE] ❌ UserInfo request failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Introspection endpoint (RFC 7662)
+ * @param {Object} req - Express request object
+ * - req.body: { token, token_type_hint? } - hint ignored, JWTs and refresh tokens are told apart by their form
+ * - client authentication with the client secret (HTTP Basic or the body)
+ * @returns {Promise<Object>} { active: false } or { active: true, client_id, scope?, sub?, exp, iat, ... }
+ * - tokens of other clients are reported inactive
+ * - user tokens: scope is what the user still grants, inactive after the consent was withdrawn
+ * @throws {OAuthError} invalid_client, invalid_request
+ */
+export async function introspectToken(req) {
+   try {
+      const clientServer = await authenticateConfidentialClient(req);
+      const { token } = req.body || {};
+      if (!token) {
+         throw new OAuthError("invalid_request", "token is required");
+      }
+
+      if (isJwt(token)) {
+         let claims;
+         try {
+            claims = await verifyBearerToken(token, { clientId: clientServer.client_id });
+         } catch {
+            return { active: false };
+         }
+
+         // API tokens (client_credentials) carry the client's own scopes
+         const scope = claims.sub
+            ? await getEffectiveScope(clientServer, claims.sub, claims.scope)
+            : claims.scope;
+         if (scope === undefined) {
+            return { active: false };
+         }
+
+         return {
+            active: true,
+            token_type: "Bearer",
+            client_id: claims.client_id,
+            ...(scope && { scope }),
+            ...(claims.sub && { sub: claims.sub }),
+            ...(claims.roles && { roles: claims.roles, permissions: claims.permissions }),
+            aud: claims.aud,
+            iss: claims.iss,
+            exp: claims.exp,
+            iat: claims.iat,
+            jti: claims.jti,
+         };
+      }
+
+      const refreshToken = await getActiveRefreshToken({ clientServer, refreshToken: token });
+      const scope = refreshToken
+         ? await getEffectiveScope(clientServer, refreshToken.user_id, refreshToken.scope)
+         : undefined;
+      if (scope === undefined) {
+         return { active: false };
+      }
+
+      return {
+         active: true,
+         token_type: "refresh_token",
+         client_id: refreshToken.client_id,
+         ...(scope && { scope }),
+         sub: String(refreshToken.user_id),
+         iss: config.oauth.issuer,
+         exp: Math.floor(new Date(refreshToken.expires_at).getTime() / 1000),
+         iat: Math.floor(new Date(refreshToken.created_at).getTime() / 1000),
+      };
+   } catch (error) {
+      console.log("🎫 [OAUTH SERVICE] ❌ Introspection request failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Revocation endpoint (RFC 7009)
+ * @param {Object} req - Express request object
+ * - req.body: { token, token_type_hint? }
+ * - client authentication with the client secret (HTTP Basic or the body)
+ * - API / access tokens go on the revocation list (jti), a refresh token is
+ *   revoked with its family
+ * - unknown, invalid and other clients' tokens are answered the same (RFC 7009 section 2.2)
+ * @returns {Promise<void>}
+ * @throws {OAuthError} invalid_client, invalid_request
+ */
+export async function revokeToken(req) {
+   try {
+      const clientServer = await authenticateConfidentialClient(req);
+      const { token } = req.body || {};
+      if (!token) {
+         throw new OAuthError("invalid_request", "token is required");
+      }
+
+      if (isJwt(token)) {
+         let claims;
+         try {
+            claims = await verifyBearerToken(token, { clientId: clientServer.client_id });
+         } catch {
+            return;
+         }
+
+         await addToRevocationList(claims);
+         console.log("🎫 [OAUTH SERVICE] ✅ Token revoked:", {
+            client_id: clientServer.client_id,
+            type: claims.type,
+            jti: claims.jti,
+         });
+         return;
+      }
+
+      if (await revokeRefreshToken({ clientServer, refreshToken: token })) {
+         console.log("🎫 [OAUTH SERVICE] ✅ Refresh token family revoked for client:", clientServer.client_id);
+      }
+   } catch (error) {
+      console.log("🎫 [OAUTH SERVICE] ❌ Revocation request failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * OpenID Provider metadata (OpenID Connect Discovery 1.0)
+ * - served at /.well-known/openid-configuration of the issuer
+ * @returns {Object} Discovery document
+ */
+export function getDiscoveryDocument() {
+   const issuer = config.oauth.issuer;
+
+   return {
+      issuer,
+      authorization_endpoint: `${issuer}/oauth/authorize`,
+      token_endpoint: `${issuer}/oauth/token`,
+      userinfo_endpoint: `${issuer}/oauth/userinfo`,
+      jwks_uri: `${issuer}/oauth/jwks.json`,
+      introspection_endpoint: `${issuer}/oauth/introspect`,
+      revocation_endpoint: `${issuer}/oauth/revoke`,
+      response_types_supported: ["code"],
+      response_modes_supported: ["query"],
+      grant_types_supported: ["authorization_code", "refresh_token", "client_credentials"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: SIGNING_ALGORITHMS,
+      scopes_supported: ["openid", "profile", "email", "roles"],
+      token_endpoint_auth_methods_supported: [
+         "client_secret_basic",
+         "client_secret_post",
+         "none",
+      ],
+      introspection_endpoint_auth_methods_supported: [
+         "client_secret_basic",
+         "client_secret_post",
+      ],
+      revocation_endpoint_auth_methods_supported: [
+         "client_secret_basic",
+         "client_secret_post",
+      ],
+      code_challenge_methods_supported: pkce.CODE_CHALLENGE_METHODS,
+      claims_supported: [
+         "sub",
+         "iss",
+         "aud",
+         "exp",
+         "iat",
+         "auth_time",
+         "nonce",
+         "email",
+         "email_verified",
+         "name",
+         "roles",
+         "permissions",
+      ],
+   };
+}
+
+// ---- helper functions ----
+
+function isRegisteredRedirectUri(clientServer, redirectUri) {
+   return (
+      Boolean(parseReturnUrl(redirectUri)) &&
+      !redirectUri.includes("*") &&
+      clientServer.allowed_return_urls.includes(redirectUri)
+   );
+}
+
+async function exchangeAuthorizationCode(req, clientServer) {
+   const { code, redirect_uri, code_verifier } = req.body;
+   if (!code || !redirect_uri || !code_verifier) {
+      throw new OAuthError("invalid_request", "code, redirect_uri and code_verifier are required");
+   }
+
+   // consumed before the checks, a wrong verifier burns the code
+   const schema = clientServer.assigned_schema_name;
+   const grant = await repo.consumeAuthorizationCode(schema, hashToken(code));
+
+   if (
+      !grant ||
+      grant.client_id !== clientServer.client_id ||
+      grant.redirect_uri !== redirect_uri ||
+      !pkce.verifyCodeChallenge(code_verifier, grant.code_challenge, grant.code_challenge_method)
+   ) {
+      throw new OAuthError("invalid_grant", "Invalid, expired or already used authorization code");
+   }
+
+   const user = await repo.getUser(schema, grant.user_id);
+   if (!user) {
+      throw new OAuthError("invalid_grant", "Invalid, expired or already used authorization code");
+   }
+
+   const { refreshToken } = await issueRefreshToken({
+      clientServer,
+      userId: user.id,
+      scope: grant.scope,
+      authTime: grant.auth_time,
+   });
+
+   console.log("🎫 [OAUTH SERVICE] ✅ Access token issued:", {
+      client_id: clientServer.client_id,
+      userId: user.id,
+   });
+
+   return createUserTokenResponse({
+      user,
+      clientServer,
+      scope: grant.scope,
+      nonce: grant.nonce,
+      authTime: grant.auth_time,
+      refreshToken,
+   });
+}
+
+async function exchangeRefreshToken(req, clientServer, authenticated) {
+   const { refresh_token, scope } = req.body;
+
+   // checked before the token is consumed: a stolen refresh token of a
+   // confidential client is useless without the client secret
+   if (!authenticated && !clientServer.public_client) {
+      throw new OAuthError("invalid_client", "Client authentication failed", 401);
+   }
+
+   const rotated = await rotateRefreshToken({
+      clientServer,
+      refreshToken: refresh_token,
+      scope: scope || null,
+   });
+
+   const user = await repo.getUser(clientServer.assigned_schema_name, rotated.grant.user_id);
+   if (!user) {
+      throw new OAuthError("invalid_grant", "Invalid, expired or revoked refresh token");
+   }
+
+   console.log("🎫 [OAUTH SERVICE] ✅ Access token refreshed:", {
+      client_id: clientServer.client_id,
+      userId: user.id,
+   });
+
+   return createUserTokenResponse({
+      user,
+      clientServer,
+      scope: rotated.scope,
+      authTime: rotated.grant.auth_time,
+      refreshToken: rotated.refreshToken,
+   });
+}
+
+async function createUserTokenResponse({
+   user,
+   clientServer,
+   scope,
+   nonce = null,
+   authTime = null,
+   refreshToken,
+}) {
+   // roles at the time of issuing, changes apply to the next token
+   const authorization = await getUserAuthorization(clientServer.assigned_schema_name, user.id);
+
+   const { token, expiresIn } = await signAccessToken({
+      user,
+      clientServer,
+      scope,
+      authorization,
+   });
+
+   const idToken = hasScope(scope, "openid")
+      ? await signIdToken({ user, clientServer, scope, nonce, authTime, authorization })
+      : null;
+
+   return {
+      access_token: token,
+      token_type: "Bearer",
+      expires_in: expiresIn,
+      refresh_token: refreshToken,
+      ...(scope && { scope }),
+      ...(idToken && { id_token: idToken }),
+   };
+}
+
+// undefined when the user withdrew the consent
+async function getEffectiveScope(clientServer, userId, scope) {
+   const scopes = await getGrantedScopes(clientServer, userId, scope);
+   return scopes ? formatScope(scopes) : undefined;
+}
+
+function hasScope(scope, value) {
+   return Boolean(scope) && scope.split(" ").includes(value);
+}
+
+// compact JWS (API / access tokens) - refresh tokens are opaque
+function isJwt(token) {
+   return typeof token === "string" && token.split(".").length === 3;
+}
+
+function getBearerToken(req) {
+   const header = req.get("authorization") || "";
+   if (header.startsWith("Bearer ")) {
+      return header.slice(7).trim();
+   }
+   if (req.body?.access_token) {
+      return req.body.access_token;
+   }
+   throw new OAuthError("invalid_token", "Access token is required", 401);
+}
+
+async function continueAuthorization(req) {
+   const pending = req.session?.oauthRequest;
+   if (!pending) {
+      throw new OAuthError("invalid_request", "No pending authorization request");
+   }
+
+   if (pending.expiresAt < Date.now()) {
+      delete req.session.oauthRequest;
+      return errorRedirect(pending.redirectUri, pending.state, "access_denied", "Authorization request expired");
+   }
+
+   if (!req.session.userId || req.session.schema !== pending.schema) {
+      // the login page sends the client_id back, the login selects this client explicitly
+      return {
+         redirectUrl: `${config.app.frontendUrl}/login?client_id=${encodeURIComponent(pending.clientId)}`,
+      };
+   }
+
+   // scopes not granted before are approved on the consent page first
+   if (await needsConsent(pending.schema, req.session.userId, pending.clientId, pending.scope)) {
+      return { redirectUrl: `${config.app.frontendUrl}/consent` };
+   }
+
+   const code = generateToken();
+   await repo.createAuthorizationCode(pending.schema, {
+      codeHash: hashToken(code),
+      clientId: pending.clientId,
+      userId: req.session.userId,
+      redirectUri: pending.redirectUri,
+      codeChallenge: pending.codeChallenge,
+      codeChallengeMethod: pending.codeChallengeMethod,
+      scope: pending.scope,
+      nonce: pending.nonce,
+      authTime: req.session.authTime ? new Date(req.session.authTime) : null,
+      expiresAt: new Date(Date.now() + config.oauth.authorizationCodeTtlSeconds * 1000),
+   });
+   delete req.session.oauthRequest;
+
+   console.log("🎫 [OAUTH SERVICE] ✅ Authorization code issued for client:", pending.clientId);
+
+   return {
+      redirectUrl: buildRedirectUrl(pending.redirectUri, {
+         code,
+         state: pending.state,
+      }),
+   };
+}
+
+async function getPendingConsent(req) {
+   const pending = req.session?.oauthRequest;
+   if (!req.session?.userId) {
+      throw new AuthError("Authentication required");
+   }
+   if (!pending || pending.expiresAt < Date.now() || req.session.schema !== pending.schema) {
+      throw new OAuthError("invalid_request", "No pending authorization request");
+   }
+
+   const clientServer = await getClientServerByClientId(pending.clientId);
+   if (!clientServer) {
+      throw new OAuthError("invalid_request", "Unknown client_id");
+   }
+
+   return { pending, clientServer };
+}
+
+async function authenticateClient(req) {
+   const { clientId, clientSecret } = getClientCredentials(req);
+   if (!clientId) {
+      throw new OAuthError("invalid_client", "Client authentication failed", 401);
+   }
+
+   const clientServer = await getClientServerByClientId(clientId);
+   if (!clientServer) {
+      throw new OAuthError("invalid_client", "Client authentication failed", 401);
+   }
+
+   // a missing secret is only accepted from clients registered as public
+   // (client_servers.public_client), they are bound to the code by PKCE alone -
+   // a confidential client never falls back to that
+   if (clientSecret === undefined) {
+      if (!clientServer.public_client) {
+         throw new OAuthError("invalid_client", "Client authentication failed", 401);
+      }
+      return { clientServer, authenticated: false };
+   }
+
+   // any active secret of the client (rotation)
+   if (!(await verifyClientSecret(clientServer.client_id, String(clientSecret)))) {
+      throw new OAuthError("invalid_client", "Client authentication failed", 401);
+   }
+
+   return { clientServer, authenticated: true };
+}
+
+async function authenticateConfidentialClient(req) {
+   const { clientServer, authenticated } = await authenticateClient(req);
+   if (!authenticated) {
+      throw new OAuthError("invalid_client", "Client authentication failed", 401);
+   }
+   return clientServer;
+}
+
+function getClientCredentials(req) {
+   const header = req.get("authorization") || "";
+   const body = req.body || {};
+
+   if (header.startsWith("Basic ")) {
+      if (body.client_secret !== undefined) {
+         throw new OAuthError("invalid_request", "Use only one client authentication method");
+      }
+
+      const decoded = Buffer.from(header.slice(6), "base64").toString("utf8");
+      const separator = decoded.indexOf(":");
+      if (separator < 0) {
+         throw new OAuthError("invalid_client", "Client authentication failed", 401);
+      }
+
+      // both parts are form-urlencoded (RFC 6749 section 2.3.1)
+      let clientId;
+      let clientSecret;
+      try {
+         clientId = decodeURIComponent(decoded.slice(0, separator));
+         clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+      } catch {
+         throw new OAuthError("invalid_client", "Client authentication failed", 401);
+      }
+
+      if (body.client_id && body.client_id !== clientId) {
+         throw new OAuthError("invalid_request", "client_id does not match the authenticated client");
+      }
+
+      return { clientId, clientSecret };
+   }
+
+   return { clientId: body.client_id, clientSecret: body.client_secret };
+}
+
+function errorRedirect(redirectUri, state, error, description) {
+   return {
+      redirectUrl: buildRedirectUrl(redirectUri, {
+         error,
+         error_description: description,
+         state,
+      }),
+   };
+}
+
+function buildRedirectUrl(redirectUri, params) {
+   const url = new URL(redirectUri);
+   for (const [key, value] of Object.entries(params)) {
+      if (value !== null && value !== undefined) {
+         url.searchParams.set(key, value);
+      }
+   }
+   return url.toString();
+}
+
+export const oauthService = {
+   authorize,
+   resumeAuthorization,
+   hasPendingAuthorization,
+   getConsentRequest,
+   submitConsent,
+   exchangeToken,
+   getUserInfo,
+   introspectToken,
+   revokeToken,
+   getDiscoveryDocument,
+};
+
+export default oauthService;
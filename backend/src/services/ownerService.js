@@ -14,8 +14,36 @@ import {
 } from "../middleware/schemaDetection.js";
 import getPool from "../repo/connection/pools/auth.js";
 import getPoolForSchema from "../repo/connection/pools/clientServers.js";
-import bcrypt from "bcrypt";
-import { v4 as uuidv4 } from "uuid";
+import hashing from "../utils/hashing.js";
+import { getPasswordPolicy } from "./clientServerService.js";
+import { resetMfa } from "./mfaService.js";
+import { clearLoginFailures } from "./loginProtectionService.js";
+import roleService from "./roleService.js";
+import {
+   getTenantSessions,
+   revokeTenantSession,
+   revokeTenantSessions,
+   revokeUserSessions,
+} from "./sessionService.js";
+import { v4 as uuidv4, validate as isUuid } from "uuid";
+import { NotFoundError, ValidationError } from "../middleware/errorHandler.js";
+
+// mfa_enabled column for the user listings (owners can reset a user's MFA)
+const MFA_ENABLED_COLUMN =
+   "EXISTS (SELECT 1 FROM user_totp WHERE user_totp.user_id = users.id AND user_totp.enabled_at IS NOT NULL) AS mfa_enabled";
+// locked_until column, set while the email is locked out (owners can unlock it)
+const LOCKED_UNTIL_COLUMN =
+   "(SELECT locked_until FROM login_failures WHERE login_failures.key_type = 'email' AND login_failures.key_value = lower(users.email) AND login_failures.locked_until > NOW()) AS locked_until";
+// active_sessions column, logged-in devices (owners can sign them out)
+const ACTIVE_SESSIONS_COLUMN =
+   "(SELECT COUNT(*)::int FROM sessions WHERE sessions.user_id = users.id AND (sessions.expires_at IS NULL OR sessions.expires_at > NOW())) AS active_sessions";
+
+// user ID filter of the session routes, a malformed one is a 400 and not a SQL error
+function assertUserId(userId) {
+   if (userId !== null && !isUuid(userId)) {
+      throw new ValidationError("userId must be a user ID");
+   }
+}
 
 /**
  * Verify that user owns the specified client server
@@ -213,7 +241,7 @@ export async function getClientUsers(req, clientId) {
       );
 
       const { rows: users } = await clientPool.query(
-         "SELECT user_id, name, email, role, created_at FROM users ORDER BY created_at DESC"
+         `SELECT user_id, name, email, role, email_verified_at, ${MFA_ENABLED_COLUMN}, ${LOCKED_UNTIL_COLUMN}, ${ACTIVE_SESSIONS_COLUMN}, created_at FROM users ORDER BY created_at DESC`
       );
 
       return users;
@@ -238,7 +266,7 @@ export async function getClientUser(req, clientId, userId) {
       );
 
       const { rows: users } = await clientPool.query(
-         "SELECT user_id, name, email, role, created_at FROM users WHERE user_id = $1",
+         `SELECT user_id, name, email, role, email_verified_at, ${MFA_ENABLED_COLUMN}, ${LOCKED_UNTIL_COLUMN}, ${ACTIVE_SESSIONS_COLUMN}, created_at FROM users WHERE user_id = $1`,
          [userId]
       );
 
@@ -290,12 +318,15 @@ export async function createClientUser(req, clientId, userData) {
       }
 
       // Hash password
-      const passwordHash = await bcrypt.hash(password, 12);
+      const passwordHash = await hashing.hash(
+         password,
+         getPasswordPolicy(clientServer)
+      );
       const userId = uuidv4();
 
       // Create user
       const { rows: newUsers } = await clientPool.query(
-         "INSERT INTO users (user_id, name, email, password_hash, role, created_at) VALUES ($1, $2, $3, $4, $5, NOW()) RETURNING user_id, name, email, role, created_at",
+         "INSERT INTO users (user_id, name, email, password_hash, role, created_at) VALUES ($1, $2, $3, $4, $5, NOW()) RETURNING user_id, name, email, role, email_verified_at, created_at",
          [userId, name, email, passwordHash, role]
       );
 
@@ -316,7 +347,8 @@ export async function createClientUser(req, clientId, userData) {
  */
 export async function updateClientUser(req, clientId, userId, updateData) {
    try {
-      const { name, email, password, role } = updateData;
+      const { name, email, password, role, email_verified, reset_mfa } =
+         updateData;
 
       const clientServer = await verifyClientOwnership(req, clientId);
       const clientPool = await getPoolForSchema(
@@ -368,7 +400,10 @@ export async function updateClientUser(req, clientId, userId, updateData) {
       }
 
       if (password) {
-         const passwordHash = await bcrypt.hash(password, 12);
+         const passwordHash = await hashing.hash(
+            password,
+            getPasswordPolicy(clientServer)
+         );
          updateFields.push(`password_hash = $${paramIndex++}`);
          updateValues.push(passwordHash);
       }
@@ -378,7 +413,28 @@ export async function updateClientUser(req, clientId, userId, updateData) {
          updateValues.push(role);
       }
 
+      // email_verified: true marks the email verified by the owner (manual verification),
+      // a changed email is unverified again unless the owner says otherwise
+      if (email_verified === true) {
+         updateFields.push(
+            "email_verified_at = COALESCE(email_verified_at, NOW())"
+         );
+      } else if (
+         email_verified === false ||
+         (email && email !== existingUser.email)
+      ) {
+         updateFields.push("email_verified_at = NULL");
+      }
+
+      // reset_mfa: true removes the user's second factors (lost device, no recovery codes)
+      if (reset_mfa === true) {
+         await resetMfa(clientServer.assigned_schema_name, userId);
+      }
+
       if (updateFields.length === 0) {
+         if (reset_mfa === true) {
+            return getClientUser(req, clientId, userId);
+         }
          throw new Error("No valid fields to update");
       }
 
@@ -389,7 +445,7 @@ export async function updateClientUser(req, clientId, userId, updateData) {
       UPDATE users 
       SET ${updateFields.join(", ")} 
       WHERE user_id = $${paramIndex} 
-      RETURNING user_id, name, email, role, created_at
+      RETURNING user_id, name, email, role, email_verified_at, ${MFA_ENABLED_COLUMN}, ${LOCKED_UNTIL_COLUMN}, ${ACTIVE_SESSIONS_COLUMN}, created_at
     `;
 
       const { rows: updatedUsers } = await clientPool.query(
@@ -404,6 +460,265 @@ export async function updateClientUser(req, clientId, userId, updateData) {
    }
 }
 
+/**
+ * Unlock a user locked out after failed logins
+ * - clears the failures of the user's email, IP lockouts expire on their own
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @param {string} userId - User ID
+ * @returns {Object} User data
+ */
+export async function unlockClientUser(req, clientId, userId) {
+   try {
+      const clientServer = await verifyClientOwnership(req, clientId);
+      const user = await getClientUser(req, clientId, userId);
+
+      await clearLoginFailures(clientServer.assigned_schema_name, user.email);
+
+      console.log(
+         `🛡️ [OWNER SERVICE] Unlocked user ${user.email} in ${clientServer.assigned_schema_name}`
+      );
+
+      return { ...user, locked_until: null };
+   } catch (error) {
+      console.error("Error unlocking client user:", error);
+      throw error;
+   }
+}
+
+/**
+ * Get the active sessions of a client server
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @param {string|null} userId - Only the sessions of this user
+ * @returns {Array} Sessions with device, IP, last seen and user
+ */
+export async function getClientSessions(req, clientId, userId = null) {
+   try {
+      assertUserId(userId);
+      const clientServer = await verifyClientOwnership(req, clientId);
+      return await getTenantSessions(clientServer.assigned_schema_name, userId);
+   } catch (error) {
+      console.error("Error getting client sessions:", error);
+      throw error;
+   }
+}
+
+/**
+ * Sign out one session of a client server
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @param {string} sessionId - Session ID
+ */
+export async function revokeClientSession(req, clientId, sessionId) {
+   try {
+      const clientServer = await verifyClientOwnership(req, clientId);
+      const session = isUuid(sessionId)
+         ? await revokeTenantSession(req, clientServer.assigned_schema_name, sessionId)
+         : null;
+
+      if (!session) {
+         throw new NotFoundError("Session not found");
+      }
+
+      console.log(
+         `💻 [OWNER SERVICE] Revoked session ${sessionId} in ${clientServer.assigned_schema_name}`
+      );
+   } catch (error) {
+      console.error("Error revoking client session:", error);
+      throw error;
+   }
+}
+
+/**
+ * Sign out every session of a user, or of the whole client server (fx. after a breach)
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @param {string|null} userId - User ID, null for every user
+ * @returns {number} Number of ended sessions
+ */
+export async function revokeClientSessions(req, clientId, userId = null) {
+   try {
+      assertUserId(userId);
+      const clientServer = await verifyClientOwnership(req, clientId);
+      const schema = clientServer.assigned_schema_name;
+
+      const revoked = userId
+         ? await revokeUserSessions(req, schema, userId)
+         : await revokeTenantSessions(req, schema);
+
+      console.log(
+         `💻 [OWNER SERVICE] Revoked ${revoked} session(s) in ${schema}`,
+         userId ? `for user ${userId}` : "for all users"
+      );
+
+      return revoked;
+   } catch (error) {
+      console.error("Error revoking client sessions:", error);
+      throw error;
+   }
+}
+
+/**
+ * Get the roles of a client server, with their permissions
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @returns {Object} { roles, permissions }
+ */
+export async function getClientRoles(req, clientId) {
+   try {
+      const clientServer = await verifyClientOwnership(req, clientId);
+      const schema = clientServer.assigned_schema_name;
+
+      return {
+         roles: await roleService.getRoles(schema),
+         permissions: await roleService.getPermissions(schema),
+      };
+   } catch (error) {
+      console.error("Error getting client roles:", error);
+      throw error;
+   }
+}
+
+/**
+ * Create a role in a client server
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @param {Object} roleData - { name, description?, permissions? }
+ * @returns {Object} Created role
+ */
+export async function createClientRole(req, clientId, roleData) {
+   try {
+      const clientServer = await verifyClientOwnership(req, clientId);
+      return await roleService.createRole(
+         clientServer.assigned_schema_name,
+         roleData
+      );
+   } catch (error) {
+      console.error("Error creating client role:", error);
+      throw error;
+   }
+}
+
+/**
+ * Update a role of a client server
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @param {string} roleId - Role ID
+ * @param {Object} roleData - { name?, description?, permissions? }
+ * @returns {Object} Updated role
+ */
+export async function updateClientRole(req, clientId, roleId, roleData) {
+   try {
+      const clientServer = await verifyClientOwnership(req, clientId);
+      return await roleService.updateRole(
+         clientServer.assigned_schema_name,
+         roleId,
+         roleData
+      );
+   } catch (error) {
+      console.error("Error updating client role:", error);
+      throw error;
+   }
+}
+
+/**
+ * Delete a role of a client server
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @param {string} roleId - Role ID
+ */
+export async function deleteClientRole(req, clientId, roleId) {
+   try {
+      const clientServer = await verifyClientOwnership(req, clientId);
+      await roleService.deleteRole(clientServer.assigned_schema_name, roleId);
+   } catch (error) {
+      console.error("Error deleting client role:", error);
+      throw error;
+   }
+}
+
+/**
+ * Create a permission in a client server
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @param {Object} permissionData - { name, description? }
+ * @returns {Object} Created permission
+ */
+export async function createClientPermission(req, clientId, permissionData) {
+   try {
+      const clientServer = await verifyClientOwnership(req, clientId);
+      return await roleService.createPermission(
+         clientServer.assigned_schema_name,
+         permissionData
+      );
+   } catch (error) {
+      console.error("Error creating client permission:", error);
+      throw error;
+   }
+}
+
+/**
+ * Delete a permission of a client server
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @param {string} permissionId - Permission ID
+ */
+export async function deleteClientPermission(req, clientId, permissionId) {
+   try {
+      const clientServer = await verifyClientOwnership(req, clientId);
+      await roleService.deletePermission(
+         clientServer.assigned_schema_name,
+         permissionId
+      );
+   } catch (error) {
+      console.error("Error deleting client permission:", error);
+      throw error;
+   }
+}
+
+/**
+ * Get the roles of a user in a client server
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @param {string} userId - User ID
+ * @returns {Array} Roles of the user
+ */
+export async function getClientUserRoles(req, clientId, userId) {
+   try {
+      const clientServer = await verifyClientOwnership(req, clientId);
+      return await roleService.getUserRoles(
+         clientServer.assigned_schema_name,
+         userId
+      );
+   } catch (error) {
+      console.error("Error getting client user roles:", error);
+      throw error;
+   }
+}
+
+/**
+ * Replace the roles of a user in a client server
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client server ID
+ * @param {string} userId - User ID
+ * @param {string[]} roleNames - Role names, [] removes every role
+ * @returns {Array} Roles of the user
+ */
+export async function setClientUserRoles(req, clientId, userId, roleNames) {
+   try {
+      const clientServer = await verifyClientOwnership(req, clientId);
+      return await roleService.setUserRoles(
+         clientServer.assigned_schema_name,
+         userId,
+         roleNames
+      );
+   } catch (error) {
+      console.error("Error setting client user roles:", error);
+      throw error;
+   }
+}
+
 /**
  * Delete a user from a specific client server schema
  * @param {Object} req - Express request object
@@ -427,11 +742,9 @@ export async function deleteClientUser(req, clientId, userId) {
          throw new Error("User not found");
       }
 
-      // Delete user sessions first (if sessions table exists)
+      // End user sessions first, also in the session store (if sessions table exists)
       try {
-         await clientPool.query("DELETE FROM sessions WHERE user_id = $1", [
-            userId,
-         ]);
+         await revokeUserSessions(req, clientServer.assigned_schema_name, userId);
       } catch (sessionError) {
          // Sessions table might not exist, continue
          console.log(
@@ -0,0 +1,178 @@
+import { ValidationError } from "../middleware/errorHandler.js";
+import repo from "../repo/userRepository.js";
+import hashing from "../utils/hashing.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import {
+   createSuccessResponse,
+   getSelectedSchema,
+   getSelectedTenant,
+} from "../utils/authUtils.js";
+import { getPasswordPolicyForSchema } from "./clientServerService.js";
+import { sendMail } from "./mailService.js";
+import { revokeUserSessions } from "./sessionService.js";
+import { revokeUserRefreshTokens } from "./refreshTokenService.js";
+import config from "../config/env.js";
+
+/** ------- password reset service ------- */
+
+/**
+ * - forgotPassword: create a reset token and mail the reset link
+ * - resetPassword: consume the token, set the new password, end all sessions
+ *
+ * tokens:
+ * - stored hashed (sha256) in the tenant's password_reset_tokens table
+ * - single-use, expire after config.passwordReset.tokenTtlMinutes
+ * - requesting a new token invalidates the user's previous ones
+ *
+ * tenant resolution:
+ * - schema of the client the request selected (client_id / returnUrl -
+ *   selectClientTenant), the session's tenant never counts
+ * - the mailed link carries the client_id and return_url, so the reset page
+ *   posts them back and the reset runs against the same tenant
+ */
+
+// same response whether or not the email exists (no user enumeration)
+const FORGOT_PASSWORD_MESSAGE =
+   "If an account with that email exists, a password reset link has been sent";
+
+/**
+ * Start a password reset
+ * @param {Object} req - Express request object
+ * - req.body: { email, client_id, returnUrl }
+ * @returns {Object} Success response (also when the email is unknown)
+ */
+export async function forgotPassword(req) {
+   try {
+      const { email } = req.body;
+      const schema = getSelectedSchema(req);
+
+      if (!email) {
+         throw new ValidationError("Email is required");
+      }
+
+      console.log("🔑 [PASSWORD RESET] Reset requested in schema:", schema);
+
+      const user = await repo.getUserByEmail(schema, email);
+      if (!user) {
+         return createSuccessResponse(FORGOT_PASSWORD_MESSAGE);
+      }
+
+      // only the newest link stays valid
+      await repo.invalidatePasswordResetTokens(schema, user.id);
+
+      const token = generateToken();
+      const expiresAt = new Date(
+         Date.now() + config.passwordReset.tokenTtlMinutes * 60 * 1000
+      );
+
+      await repo.createPasswordResetToken(schema, {
+         user_id: user.id,
+         token_hash: hashToken(token),
+         requested_ip: req.ip || null,
+         expires_at: expiresAt,
+      });
+
+      const resetLink = buildResetLink(token, getSelectedTenant(req).metadata);
+
+      await sendMail({
+         to: user.email,
+         subject: "Reset your password",
+         text: [
+            `Hi ${user.name},`,
+            "",
+            "We received a request to reset your password. Open the link below to choose a new one:",
+            resetLink,
+            "",
+            `The link expires in ${config.passwordReset.tokenTtlMinutes} minutes and can only be used once.`,
+            "If you did not request a password reset, you can ignore this mail.",
+         ].join("\n"),
+      });
+
+      return createSuccessResponse(FORGOT_PASSWORD_MESSAGE);
+   } catch (error) {
+      console.log("🔑 [PASSWORD RESET] ❌ Forgot password failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Complete a password reset
+ * @param {Object} req - Express request object
+ * - req.body: { token, password, client_id, returnUrl }
+ * @returns {Object} Success response
+ */
+export async function resetPassword(req) {
+   try {
+      const { token, password } = req.body;
+      const schema = getSelectedSchema(req);
+
+      if (!token || !password) {
+         throw new ValidationError("Token and password are required");
+      }
+
+      const resetToken = await repo.consumePasswordResetToken(
+         schema,
+         hashToken(token)
+      );
+
+      if (!resetToken) {
+         throw new ValidationError("Invalid or expired password reset token");
+      }
+
+      const user = await repo.getUser(schema, resetToken.user_id);
+      if (!user) {
+         throw new ValidationError("Invalid or expired password reset token");
+      }
+
+      const passwordPolicy = await getPasswordPolicyForSchema(schema);
+      const passwordHash = await hashing.hash(password, passwordPolicy);
+      await repo.updateUserPassword(schema, user.id, passwordHash);
+
+      // the old password may be known to someone else - end every session
+      // and every refresh token issued to client servers
+      await repo.invalidatePasswordResetTokens(schema, user.id);
+      await revokeUserSessions(req, schema, user.id);
+      await revokeUserRefreshTokens(schema, user.id);
+
+      if (req.session?.userId === user.id) {
+         delete req.session.userId;
+         delete req.session.role;
+      }
+
+      console.log("🔑 [PASSWORD RESET] ✅ Password reset for user:", user.email);
+
+      return createSuccessResponse("Password has been reset", {
+         returnUrl: getReturnUrl(req),
+      });
+   } catch (error) {
+      console.log("🔑 [PASSWORD RESET] ❌ Reset password failed:", error.message);
+      throw error;
+   }
+}
+
+// ---- helper functions ----
+
+// return_url that selectClientTenant matched against the client's allowed urls
+function getReturnUrl(req) {
+   return getSelectedTenant(req).metadata.return_url || null;
+}
+
+// client: metadata of the selected tenant ({ client_id, return_url })
+function buildResetLink(token, client) {
+   const url = new URL("/reset-password", config.app.frontendUrl);
+   url.searchParams.set("token", token);
+   if (client.client_id) {
+      url.searchParams.set("client_id", client.client_id);
+   }
+   if (client.return_url) {
+      url.searchParams.set("return_url", client.return_url);
+   }
+   return url.toString();
+}
+
+export const passwordResetService = {
+   forgotPassword,
+   resetPassword,
+};
+
+export default passwordResetService;
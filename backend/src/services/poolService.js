@@ -39,10 +39,9 @@ export const getPoolForRequest = async (req) => {
    try {
       return await resolvePoolFromSession(req);
    } catch (error) {
+      // no fallback tenant, a request without one is refused
       console.error("❌ Error resolving pool from session:", error);
-      // Fallback to default schema pool
-      const defaultSchema = process.env.SEED_SCHEMA || "client_template";
-      return await getPoolForSchema(defaultSchema);
+      throw error;
    }
 };
 
@@ -0,0 +1,191 @@
+import { OAuthError } from "../middleware/errorHandler.js";
+import repo from "../repo/userRepository.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import { isSubset } from "../utils/scopes.js";
+import config from "../config/env.js";
+
+/** ------- refresh token service ------- */
+
+/**
+ * Opaque refresh tokens (RFC 6749 section 6), rotated on every use
+ *
+ * - random, stored hashed in the client's tenant schema (oauth_refresh_tokens)
+ * - issued with the authorization code grant, never for client_credentials
+ *   (the client can authenticate again)
+ * - every use consumes the token and issues the next one of the same family
+ * - reuse detection: a consumed token presented again means it was copied,
+ *   the whole family is revoked - attacker and legitimate client both have to
+ *   start over
+ * - lifetime: the client server's refresh_token_ttl_days,
+ *   config.oauth.refreshTokenTtlDays when not set
+ * - introspection / revocation (RFC 7662, RFC 7009): only by the client the
+ *   token was issued to, revoking one token revokes its family
+ */
+
+/**
+ * Issue a refresh token
+ * @param {Object} grant - { clientServer, userId, scope?, authTime?, familyId? }
+ * - familyId: family of the rotated token, a new family when omitted
+ * @returns {Promise<{ refreshToken: string, familyId: string, expiresAt: Date }>}
+ */
+export async function issueRefreshToken({
+   clientServer,
+   userId,
+   scope = null,
+   authTime = null,
+   familyId = null,
+}) {
+   const refreshToken = generateToken();
+   const expiresAt = new Date(
+      Date.now() + getRefreshTokenTtlDays(clientServer) * 24 * 60 * 60 * 1000
+   );
+
+   const row = await repo.createRefreshToken(clientServer.assigned_schema_name, {
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      clientId: clientServer.client_id,
+      userId,
+      scope,
+      authTime,
+      expiresAt,
+   });
+
+   return { refreshToken, familyId: row.family_id, expiresAt };
+}
+
+/**
+ * Use a refresh token: consume it and issue the next one of its family
+ * @param {Object} options - { clientServer, refreshToken, scope? }
+ * - scope: narrower scope for the new access token, the family keeps the original
+ * @returns {Promise<Object>} { grant, scope, refreshToken }
+ * - grant: the consumed row (user_id, scope, auth_time, family_id)
+ * - scope: scope of the new access token
+ * - refreshToken: the replacement
+ * @throws {OAuthError} invalid_grant - unknown, expired, revoked or reused token
+ */
+export async function rotateRefreshToken({ clientServer, refreshToken, scope = null }) {
+   if (!refreshToken || typeof refreshToken !== "string") {
+      throw new OAuthError("invalid_request", "refresh_token is required");
+   }
+
+   const schema = clientServer.assigned_schema_name;
+   const tokenHash = hashToken(refreshToken);
+
+   // another client's token is rejected without touching it
+   const existing = await repo.getRefreshTokenByHash(schema, tokenHash);
+   if (!existing || existing.client_id !== clientServer.client_id) {
+      throw invalidGrant();
+   }
+
+   // checked before consuming, a bad request does not burn the token
+   if (scope && !isSubset(scope, existing.scope)) {
+      throw new OAuthError("invalid_scope", "scope must not exceed the original grant");
+   }
+
+   const grant = await repo.consumeRefreshToken(schema, tokenHash);
+   if (!grant) {
+      // not revoked and not expired: consumed before (or by a concurrent request)
+      if (!existing.revoked_at && new Date(existing.expires_at).getTime() > Date.now()) {
+         await revokeFamily(schema, existing);
+      }
+      throw invalidGrant();
+   }
+
+   const next = await issueRefreshToken({
+      clientServer,
+      userId: grant.user_id,
+      scope: grant.scope,
+      authTime: grant.auth_time,
+      familyId: grant.family_id,
+   });
+
+   return { grant, scope: scope || grant.scope, refreshToken: next.refreshToken };
+}
+
+/**
+ * Look up a refresh token of a client (introspection)
+ * @param {Object} options - { clientServer, refreshToken }
+ * @returns {Promise<Object|null>} The token row if it is active, null otherwise
+ */
+export async function getActiveRefreshToken({ clientServer, refreshToken }) {
+   const token = await findClientRefreshToken(clientServer, refreshToken);
+   if (
+      !token ||
+      token.used_at ||
+      token.revoked_at ||
+      new Date(token.expires_at).getTime() <= Date.now()
+   ) {
+      return null;
+   }
+   return token;
+}
+
+/**
+ * Revoke a refresh token of a client and the rest of its family
+ * @param {Object} options - { clientServer, refreshToken }
+ * @returns {Promise<boolean>} false for unknown tokens and tokens of other clients
+ */
+export async function revokeRefreshToken({ clientServer, refreshToken }) {
+   const token = await findClientRefreshToken(clientServer, refreshToken);
+   if (!token) {
+      return false;
+   }
+
+   await repo.revokeRefreshTokenFamily(clientServer.assigned_schema_name, token.family_id);
+   return true;
+}
+
+/**
+ * Revoke every refresh token of a user (fx. after a password reset)
+ * @param {string} schema - Tenant schema
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+export async function revokeUserRefreshTokens(schema, userId) {
+   const revoked = await repo.revokeUserRefreshTokens(schema, userId);
+   return revoked.length;
+}
+
+// ---- helper functions ----
+
+async function findClientRefreshToken(clientServer, refreshToken) {
+   if (!refreshToken || typeof refreshToken !== "string") {
+      return null;
+   }
+
+   const token = await repo.getRefreshTokenByHash(
+      clientServer.assigned_schema_name,
+      hashToken(refreshToken)
+   );
+   return token && token.client_id === clientServer.client_id ? token : null;
+}
+
+function getRefreshTokenTtlDays(clientServer) {
+   return clientServer.refresh_token_ttl_days || config.oauth.refreshTokenTtlDays;
+}
+
+async function revokeFamily(schema, token) {
+   const revoked = await repo.revokeRefreshTokenFamily(schema, token.family_id);
+   if (revoked.length > 0) {
+      console.log("🎫 [REFRESH TOKEN SERVICE] ⚠️ Refresh token reuse detected, family revoked:", {
+         client_id: token.client_id,
+         userId: token.user_id,
+         familyId: token.family_id,
+         revoked: revoked.length,
+      });
+   }
+}
+
+function invalidGrant() {
+   return new OAuthError("invalid_grant", "Invalid, expired or revoked refresh token");
+}
+
+export const refreshTokenService = {
+   issueRefreshToken,
+   rotateRefreshToken,
+   getActiveRefreshToken,
+   revokeRefreshToken,
+   revokeUserRefreshTokens,
+};
+
+export default refreshTokenService;
@@ -0,0 +1,287 @@
+import { validate as isUuid } from "uuid";
+import { ValidationError, NotFoundError } from "../middleware/errorHandler.js";
+import repo from "../repo/userRepository.js";
+
+/** ------- role service ------- */
+
+/**
+ * Roles and permissions of tenant users (RBAC), defined per client server by its owner
+ *
+ * - permissions: names the client server checks itself, fx. orders:read
+ * - roles: named sets of permissions, a user can have several roles
+ * - emitted as the roles / permissions claims: always in access tokens, in the
+ *   id_token and at userinfo with the "roles" scope, and by /api/auth/me
+ * - changes apply to tokens issued afterwards, issued access tokens keep their
+ *   claims until they expire
+ * - independent of the users.role column (user / admin)
+ */
+
+// letters, digits and : . _ - (fx. orders:read, billing-admin)
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9:._-]*$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Role and permission names of a user (token claims)
+ * @param {string} schema - Tenant schema
+ * @param {string} userId - User ID
+ * @returns {Promise<{ roles: string[], permissions: string[] }>}
+ */
+export async function getUserAuthorization(schema, userId) {
+   const { roles, permissions } = await repo.getUserAuthorization(schema, userId);
+   return { roles, permissions };
+}
+
+/**
+ * Roles of a tenant
+ * @param {string} schema - Tenant schema
+ * @returns {Promise<Array>} [{ id, name, description, permissions: string[], user_count }]
+ */
+export async function getRoles(schema) {
+   return repo.getRoles(schema);
+}
+
+/**
+ * Create a role
+ * @param {string} schema - Tenant schema
+ * @param {Object} data - { name, description?, permissions?: string[] }
+ * @returns {Promise<Object>} The role with its permissions
+ */
+export async function createRole(schema, { name, description = null, permissions = [] } = {}) {
+   const role = {
+      name: parseName(name, "Role name"),
+      description: parseDescription(description),
+   };
+   const permissionNames = await parsePermissionNames(schema, permissions);
+
+   const created = await withUniqueName(
+      () => repo.createRole(schema, { ...role, permissionNames }),
+      `A role named "${role.name}" already exists`
+   );
+
+   console.log("🏷️ [ROLE SERVICE] ✅ Role created:", { schema, role: role.name });
+
+   return findRole(schema, created.id);
+}
+
+/**
+ * Update a role - omitted fields are kept, permissions replaces the whole list
+ * @param {string} schema - Tenant schema
+ * @param {string} roleId - Role ID
+ * @param {Object} data - { name?, description?, permissions?: string[] }
+ * @returns {Promise<Object>} The role with its permissions
+ */
+export async function updateRole(schema, roleId, { name, description, permissions } = {}) {
+   const current = await findRole(schema, roleId);
+
+   const role = {
+      name: name === undefined ? current.name : parseName(name, "Role name"),
+      description:
+         description === undefined ? current.description : parseDescription(description),
+   };
+   const permissionNames =
+      permissions === undefined ? null : await parsePermissionNames(schema, permissions);
+
+   await withUniqueName(
+      () => repo.updateRole(schema, roleId, { ...role, permissionNames }),
+      `A role named "${role.name}" already exists`
+   );
+
+   console.log("🏷️ [ROLE SERVICE] ✅ Role updated:", { schema, role: role.name });
+
+   return findRole(schema, roleId);
+}
+
+/**
+ * Delete a role, users holding it lose it
+ * @param {string} schema - Tenant schema
+ * @param {string} roleId - Role ID
+ */
+export async function deleteRole(schema, roleId) {
+   const deleted = isUuid(roleId) ? await repo.deleteRole(schema, roleId) : null;
+   if (!deleted) {
+      throw new NotFoundError("Role not found");
+   }
+
+   console.log("🏷️ [ROLE SERVICE] ✅ Role deleted:", { schema, roleId });
+}
+
+/**
+ * Permissions of a tenant
+ * @param {string} schema - Tenant schema
+ * @returns {Promise<Array>} [{ id, name, description, roles: string[] }]
+ */
+export async function getPermissions(schema) {
+   return repo.getPermissions(schema);
+}
+
+/**
+ * Create a permission
+ * @param {string} schema - Tenant schema
+ * @param {Object} data - { name, description? }
+ * @returns {Promise<Object>} The permission
+ */
+export async function createPermission(schema, { name, description = null } = {}) {
+   const permission = {
+      name: parseName(name, "Permission name"),
+      description: parseDescription(description),
+   };
+
+   const created = await withUniqueName(
+      () => repo.createPermission(schema, permission),
+      `A permission named "${permission.name}" already exists`
+   );
+
+   console.log("🏷️ [ROLE SERVICE] ✅ Permission created:", {
+      schema,
+      permission: permission.name,
+   });
+
+   return { ...created, roles: [] };
+}
+
+/**
+ * Delete a permission, roles granting it lose it
+ * @param {string} schema - Tenant schema
+ * @param {string} permissionId - Permission ID
+ */
+export async function deletePermission(schema, permissionId) {
+   const deleted = isUuid(permissionId)
+      ? await repo.deletePermission(schema, permissionId)
+      : null;
+   if (!deleted) {
+      throw new NotFoundError("Permission not found");
+   }
+
+   console.log("🏷️ [ROLE SERVICE] ✅ Permission deleted:", { schema, permissionId });
+}
+
+/**
+ * Roles of a user
+ * @param {string} schema - Tenant schema
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} [{ id, name, description }]
+ */
+export async function getUserRoles(schema, userId) {
+   await findUser(schema, userId);
+   return repo.getUserRoles(schema, userId);
+}
+
+/**
+ * Replace the roles of a user
+ * @param {string} schema - Tenant schema
+ * @param {string} userId - User ID
+ * @param {string[]} roleNames - Names of existing roles, [] removes every role
+ * @returns {Promise<Array>} The user's roles [{ id, name, description }]
+ */
+export async function setUserRoles(schema, userId, roleNames) {
+   await findUser(schema, userId);
+
+   const names = parseNameList(roleNames, "roles", "Role name");
+   const known = new Set((await repo.getRoles(schema)).map((role) => role.name));
+   const unknown = names.filter((name) => !known.has(name));
+   if (unknown.length > 0) {
+      throw new ValidationError(`Unknown roles: ${unknown.join(", ")}`);
+   }
+
+   await repo.setUserRoles(schema, userId, names);
+
+   console.log("🏷️ [ROLE SERVICE] ✅ User roles set:", { schema, userId, roles: names });
+
+   return repo.getUserRoles(schema, userId);
+}
+
+// ---- helper functions ----
+
+async function findRole(schema, roleId) {
+   const role = isUuid(roleId) ? await repo.getRole(schema, roleId) : null;
+   if (!role) {
+      throw new NotFoundError("Role not found");
+   }
+   return role;
+}
+
+async function findUser(schema, userId) {
+   const user = isUuid(userId) ? await repo.getUser(schema, userId) : null;
+   if (!user) {
+      throw new NotFoundError("User not found");
+   }
+   return user;
+}
+
+function parseName(name, label) {
+   const value = typeof name === "string" ? name.trim() : "";
+   if (!value) {
+      throw new ValidationError(`${label} is required`);
+   }
+   if (value.length > MAX_NAME_LENGTH) {
+      throw new ValidationError(`${label} must be at most ${MAX_NAME_LENGTH} characters`);
+   }
+   if (!NAME_PATTERN.test(value)) {
+      throw new ValidationError(
+         `${label} may only contain letters, digits and : . _ - (fx. orders:read): ${value}`
+      );
+   }
+   return value;
+}
+
+function parseDescription(description) {
+   if (description === null || description === undefined) {
+      return null;
+   }
+   const value = String(description).trim();
+   if (value.length > MAX_DESCRIPTION_LENGTH) {
+      throw new ValidationError(
+         `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`
+      );
+   }
+   return value || null;
+}
+
+function parseNameList(names, field, label) {
+   if (!Array.isArray(names)) {
+      throw new ValidationError(`${field} must be an array of names`);
+   }
+   return [...new Set(names.map((name) => parseName(name, label)))];
+}
+
+async function parsePermissionNames(schema, permissions) {
+   const names = parseNameList(permissions ?? [], "permissions", "Permission name");
+   if (names.length === 0) {
+      return names;
+   }
+
+   const known = new Set((await repo.getPermissions(schema)).map((permission) => permission.name));
+   const unknown = names.filter((name) => !known.has(name));
+   if (unknown.length > 0) {
+      throw new ValidationError(`Unknown permissions: ${unknown.join(", ")}`);
+   }
+   return names;
+}
+
+// unique_violation on the name
+async function withUniqueName(write, message) {
+   try {
+      return await write();
+   } catch (error) {
+      if (error.code === "23505") {
+         throw new ValidationError(message);
+      }
+      throw error;
+   }
+}
+
+export const roleService = {
+   getUserAuthorization,
+   getRoles,
+   createRole,
+   updateRole,
+   deleteRole,
+   getPermissions,
+   createPermission,
+   deletePermission,
+   getUserRoles,
+   setUserRoles,
+};
+
+export default roleService;
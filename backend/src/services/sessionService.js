@@ -0,0 +1,343 @@
+import { NotFoundError } from "../middleware/errorHandler.js";
+import repo from "../repo/userRepository.js";
+import { createSuccessResponse, getSessionLogin } from "../utils/authUtils.js";
+import { parseUserAgent } from "../utils/userAgent.js";
+import { getClientIp } from "./loginProtectionService.js";
+import config from "../config/env.js";
+
+/** ------- session service ------- */
+
+/**
+ * Device sessions - one row in the tenant's sessions table per login
+ *
+ * - startLoginSession: new express session id for a login (session fixation),
+ *   ends the device session of an earlier login in the same browser
+ * - recordLoginSession: after a completed login (auth service)
+ * - touchCurrentSession: last seen / expiry of the current device (middleware)
+ * - endCurrentSession: logout, removes only this device's row
+ * - listSessions / revokeSession / revokeOtherSessions: "active sessions" of the current user
+ * - revokeUserSessions: end every session of a user (password reset, owner)
+ * - getTenantSessions / revokeTenantSession / revokeTenantSessions: owner administration
+ *   of a client server's sessions (ownership is checked by the owner service)
+ *
+ * linking:
+ * - req.session.deviceSession = { id, schema } points to the row
+ * - sessions.express_sid points back to the express session (session store)
+ *
+ * revoking removes the row and destroys the express session in the store,
+ * a session whose row is gone is logged out on its next request
+ */
+
+/**
+ * Start a fresh express session for a login
+ * - the session id changes, an id planted before the login is worthless
+ *   and sessions.express_sid (unique) gets a new value on every login
+ * - the device session of an earlier login in this browser is removed
+ * @param {Object} req - Express request object
+ * @param {string[]} keep - Session values carried over (fx. a pending OAuth request)
+ * @returns {Promise<void>}
+ */
+export async function startLoginSession(req, keep = []) {
+   await endCurrentSession(req);
+
+   const kept = Object.fromEntries(
+      keep.filter((key) => req.session[key] !== undefined).map((key) => [key, req.session[key]])
+   );
+
+   await new Promise((resolve, reject) =>
+      req.session.regenerate((error) => (error ? reject(error) : resolve()))
+   );
+
+   Object.assign(req.session, kept);
+}
+
+/**
+ * Record the device of a completed login
+ * @param {Object} req - Express request object (user already set in the session)
+ * @param {Object} user - Logged-in user
+ * @param {string} schema - Tenant schema
+ * @returns {Object} Created session row
+ */
+export async function recordLoginSession(req, user, schema) {
+   const userAgent = req.get("user-agent") || null;
+   const { deviceType, browser, os } = parseUserAgent(userAgent);
+
+   const row = await repo.createSession(schema, user.id, {
+      expressSid: req.sessionID,
+      ipAddress: getClientIp(req),
+      userAgent,
+      deviceType,
+      browser,
+      os,
+      expiresAt: getExpiry(req),
+   });
+
+   req.session.deviceSession = { id: row.id, schema };
+   req.session.lastSeenAt = Date.now();
+
+   console.log("💻 [SESSION SERVICE] Session recorded:", {
+      schema,
+      userId: user.id,
+      deviceType,
+      browser,
+      os,
+   });
+
+   return row;
+}
+
+/**
+ * Update last seen and expiry of the current device session
+ * - at most once per config.session.activityIntervalSeconds
+ * @param {Object} req - Express request object
+ */
+export async function touchCurrentSession(req) {
+   const deviceSession = req.session?.deviceSession;
+   if (!deviceSession || !req.session.userId) {
+      return;
+   }
+
+   const now = Date.now();
+   const interval = config.session.activityIntervalSeconds * 1000;
+   if (req.session.lastSeenAt && now - req.session.lastSeenAt < interval) {
+      return;
+   }
+
+   req.session.lastSeenAt = now;
+   const touched = await repo.touchSession(
+      deviceSession.schema,
+      deviceSession.id,
+      getExpiry(req)
+   );
+
+   // row revoked (fx. the store entry could not be destroyed) - log this device out
+   if (!touched) {
+      console.log("💻 [SESSION SERVICE] Session was revoked, logging out:", deviceSession.id);
+      clearLogin(req);
+   }
+}
+
+/**
+ * Remove the current device's session row (logout)
+ * @param {Object} req - Express request object
+ */
+export async function endCurrentSession(req) {
+   const deviceSession = req.session?.deviceSession;
+   if (!deviceSession) {
+      return;
+   }
+
+   await repo.deleteSessionById(deviceSession.schema, deviceSession.id);
+   delete req.session.deviceSession;
+   delete req.session.lastSeenAt;
+}
+
+/**
+ * List the active sessions of the current user
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Object} Success response with { sessions } (most recently seen first)
+ */
+export async function listSessions(req) {
+   try {
+      const { schema, userId } = getCurrentLogin(req);
+      const rows = await repo.getActiveSessions(schema, userId);
+
+      return createSuccessResponse("Sessions retrieved successfully", {
+         sessions: rows.map((row) => toSessionSummary(row, req)),
+      });
+   } catch (error) {
+      throw error;
+   }
+}
+
+/**
+ * Revoke one session of the current user
+ * - revoking the current session is a logout
+ * @param {Object} req - Express request object (authenticated)
+ * - req.params.id: session ID
+ * @returns {Object} Success response with { current } - whether this device was logged out
+ */
+export async function revokeSession(req) {
+   try {
+      const { schema, userId } = getCurrentLogin(req);
+      const row = await repo.deleteUserSession(schema, userId, req.params.id);
+
+      if (!row) {
+         throw new NotFoundError("Session not found");
+      }
+
+      const current = row.id === req.session.deviceSession?.id;
+      if (current) {
+         await destroyCurrentSession(req);
+      } else {
+         await destroyStoredSessions(req, [row]);
+      }
+
+      console.log("💻 [SESSION SERVICE] ✅ Session revoked:", { schema, userId, current });
+
+      return createSuccessResponse("Session revoked", { current });
+   } catch (error) {
+      console.log("💻 [SESSION SERVICE] ❌ Revoking session failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Sign out everywhere else - revoke all sessions of the current user except this one
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Object} Success response with { revoked } - number of ended sessions
+ */
+export async function revokeOtherSessions(req) {
+   try {
+      const { schema, userId } = getCurrentLogin(req);
+      const rows = await repo.deleteOtherUserSessions(
+         schema,
+         userId,
+         req.session.deviceSession?.id || null
+      );
+
+      await destroyStoredSessions(req, rows);
+
+      console.log("💻 [SESSION SERVICE] ✅ Other sessions revoked:", {
+         schema,
+         userId,
+         revoked: rows.length,
+      });
+
+      return createSuccessResponse("Signed out on all other devices", {
+         revoked: rows.length,
+      });
+   } catch (error) {
+      console.log("💻 [SESSION SERVICE] ❌ Revoking sessions failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * End every session of a user, including the current request's
+ * @param {Object} req - Express request object (gives access to the session store)
+ * @param {string} schema - Tenant schema
+ * @param {string} userId - User whose sessions end
+ * @returns {Promise<number>} Number of ended sessions
+ */
+export async function revokeUserSessions(req, schema, userId) {
+   const rows = await repo.deleteSessionByUserId(schema, userId);
+   await destroyStoredSessions(req, rows);
+   return rows.length;
+}
+
+/**
+ * Active sessions of a tenant
+ * @param {string} schema - Tenant schema
+ * @param {string|null} userId - Only this user's sessions
+ * @returns {Promise<Array>} Session summaries with { userId, email, name }
+ */
+export async function getTenantSessions(schema, userId = null) {
+   const rows = await repo.getActiveTenantSessions(schema, userId);
+   return rows.map((row) => ({
+      ...toSessionSummary(row),
+      userId: row.user_id,
+      email: row.email,
+      name: row.name,
+   }));
+}
+
+/**
+ * End one session of a tenant
+ * @param {Object} req - Express request object (gives access to the session store)
+ * @param {string} schema - Tenant schema
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|undefined>} Removed session row, undefined if not found
+ */
+export async function revokeTenantSession(req, schema, id) {
+   const row = await repo.deleteSessionById(schema, id);
+   if (row) {
+      await destroyStoredSessions(req, [row]);
+   }
+   return row;
+}
+
+/**
+ * End every session of a tenant (fx. after a breach)
+ * @param {Object} req - Express request object (gives access to the session store)
+ * @param {string} schema - Tenant schema
+ * @returns {Promise<number>} Number of ended sessions
+ */
+export async function revokeTenantSessions(req, schema) {
+   const rows = await repo.deleteAllSessions(schema);
+   await destroyStoredSessions(req, rows);
+   return rows.length;
+}
+
+// ---- helper functions ----
+
+function getCurrentLogin(req) {
+   const { schema, userId } = getSessionLogin(req);
+   return { schema: req.session.deviceSession?.schema || schema, userId };
+}
+
+function clearLogin(req) {
+   delete req.session.userId;
+   delete req.session.role;
+   delete req.session.deviceSession;
+   delete req.session.lastSeenAt;
+}
+
+function destroyCurrentSession(req) {
+   return new Promise((resolve, reject) => {
+      req.session.destroy((error) => (error ? reject(error) : resolve()));
+   });
+}
+
+// the current request's session is saved again after the response, it is only logged out
+async function destroyStoredSessions(req, rows) {
+   for (const row of rows) {
+      if (!row.express_sid) {
+         continue;
+      }
+      if (row.express_sid === req.sessionID) {
+         clearLogin(req);
+         continue;
+      }
+      await new Promise((resolve, reject) => {
+         req.sessionStore.destroy(row.express_sid, (error) =>
+            error ? reject(error) : resolve()
+         );
+      });
+   }
+}
+
+function toSessionSummary(row, req = null) {
+   return {
+      id: row.id,
+      deviceType: row.device_type,
+      browser: row.browser,
+      os: row.os,
+      ipAddress: row.ip_address,
+      createdAt: row.created_at,
+      lastSeenAt: row.last_seen_at,
+      expiresAt: row.expires_at,
+      current: Boolean(req) && row.id === req.session.deviceSession?.id,
+   };
+}
+
+function getExpiry(req) {
+   const expires = req.session?.cookie?.expires;
+   return expires ? new Date(expires) : null;
+}
+
+export const sessionService = {
+   startLoginSession,
+   recordLoginSession,
+   touchCurrentSession,
+   endCurrentSession,
+   listSessions,
+   revokeSession,
+   revokeOtherSessions,
+   revokeUserSessions,
+   getTenantSessions,
+   revokeTenantSession,
+   revokeTenantSessions,
+};
+
+export default sessionService;
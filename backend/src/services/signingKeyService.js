@@ -0,0 +1,338 @@
+import crypto from "crypto";
+import { ValidationError } from "../middleware/errorHandler.js";
+import getPool from "../repo/connection/pools/auth.js";
+import { ddl } from "../repo/schemas/auth_internal/signing_keys.js";
+import * as signingKeyRepo from "../repo/repositories/signingKeyRepository.js";
+import { encrypt, decrypt } from "../utils/encryption.js";
+import jws from "../utils/jws.js";
+import config from "../config/env.js";
+
+/** ------- signing key service ------- */
+
+/**
+ * Asymmetric keys signing every JWT of the auth-system
+ * (client server API tokens, OAuth access tokens, id_tokens)
+ *
+ * - stored in auth_internal.signing_keys, shared by all backend instances,
+ *   private keys encrypted at rest (utils/encryption.js)
+ * - algorithms: RS256, ES256, EdDSA (config.signingKeys.algorithm for new keys)
+ * - one active key signs, the kid header names it
+ * - rotation: the active key is replaced after config.signingKeys.rotationDays,
+ *   the old key keeps verifying for config.signingKeys.overlapHours
+ * - emergency rotation (admin): the old key stops verifying right away on the
+ *   instance that rotated, every token it signed is rejected
+ * - keys are cached per instance for config.signingKeys.cacheSeconds, an
+ *   unknown kid reloads them earlier - other instances keep accepting an
+ *   emergency-rotated key until their cache expires, so that delay bounds how
+ *   long a compromised key stays usable (default 10 seconds)
+ */
+
+export const SIGNING_ALGORITHMS = Object.keys(jws.ALGORITHMS);
+
+// encryption context of the private keys
+const ENCRYPTION_CONTEXT = "auth_internal.signing_keys";
+
+// an unknown kid reloads the keys at most this often
+const RELOAD_THROTTLE_MS = 5 * 1000;
+
+let cache = { keys: new Map(), loadedAt: 0 };
+let loading = null;
+let ready = null;
+let rotationTimer = null;
+
+/**
+ * Get the key that signs new tokens (creates or rotates it when due)
+ * @returns {Promise<{ kid: string, alg: string, privateKey: crypto.KeyObject }>}
+ */
+export async function getSigningKey() {
+   await loadKeys();
+
+   let active = getActiveKey();
+   if (!active || isRotationDue(active)) {
+      await rotateKey({ reason: "scheduled", rotateBefore: getRotationThreshold() });
+      active = getActiveKey();
+   }
+
+   if (!active) {
+      throw new Error("No active signing key");
+   }
+
+   if (!active.privateKey) {
+      active.privateKey = crypto.createPrivateKey(
+         decrypt(active.row.private_key_encrypted, ENCRYPTION_CONTEXT)
+      );
+   }
+
+   return { kid: active.kid, alg: active.alg, privateKey: active.privateKey };
+}
+
+/**
+ * Get the verification key for a kid
+ * @param {string} kid - kid header of a token
+ * @returns {Promise<{ kid: string, alg: string, publicKey: crypto.KeyObject }|null>}
+ * null for unknown, expired and emergency-rotated keys
+ */
+export async function getVerificationKey(kid) {
+   if (!kid || typeof kid !== "string") {
+      return null;
+   }
+
+   await loadKeys();
+
+   // fx. rotated by another instance since the last load
+   if (!cache.keys.has(kid) && Date.now() - cache.loadedAt > RELOAD_THROTTLE_MS) {
+      await loadKeys({ force: true });
+   }
+
+   const key = cache.keys.get(kid);
+   if (!key || (key.verifyUntil && key.verifyUntil <= Date.now())) {
+      return null;
+   }
+
+   return { kid: key.kid, alg: key.alg, publicKey: key.publicKey };
+}
+
+/**
+ * JSON Web Key Set with every key that still verifies
+ * @returns {Promise<{ keys: Object[] }>}
+ */
+export async function getJwks() {
+   await getSigningKey();
+
+   return {
+      keys: [...cache.keys.values()]
+         .filter((key) => !key.verifyUntil || key.verifyUntil > Date.now())
+         .map((key) => key.row.public_jwk),
+   };
+}
+
+/**
+ * Signing keys for administration (no key material)
+ * @returns {Promise<Object[]>} Newest first
+ */
+export async function listSigningKeys() {
+   const pool = await getKeyPool();
+   const rows = await signingKeyRepo.listSigningKeys(pool);
+   const now = Date.now();
+
+   return rows.map((row) => ({
+      kid: row.kid,
+      alg: row.alg,
+      status: !row.rotated_at
+         ? "active"
+         : row.verify_until && new Date(row.verify_until).getTime() > now
+         ? "verifying"
+         : "expired",
+      createdAt: row.created_at,
+      rotatedAt: row.rotated_at,
+      verifyUntil: row.verify_until,
+      rotationReason: row.rotation_reason,
+   }));
+}
+
+/**
+ * Replace the active key now
+ * @param {Object} options - { emergency?, algorithm? }
+ * - emergency: the old key stops verifying immediately (compromised key)
+ * - algorithm: of the new key, config.signingKeys.algorithm by default
+ * @returns {Promise<Object>} { kid, alg, createdAt, emergency }
+ */
+export async function rotateSigningKey({ emergency = false, algorithm } = {}) {
+   const alg = algorithm || config.signingKeys.algorithm;
+   if (!SIGNING_ALGORITHMS.includes(alg)) {
+      throw new ValidationError(
+         `algorithm must be one of: ${SIGNING_ALGORITHMS.join(", ")}`
+      );
+   }
+
+   const created = await rotateKey({
+      reason: emergency ? "emergency" : "manual",
+      alg,
+      overlapHours: emergency ? 0 : config.signingKeys.overlapHours,
+   });
+
+   if (!created) {
+      throw new Error("Signing key rotation already in progress, try again");
+   }
+
+   console.log(
+      "🔏 [SIGNING KEY SERVICE] ✅ Signing key rotated:",
+      created.kid,
+      emergency ? "(emergency, old key revoked)" : ""
+   );
+
+   return {
+      kid: created.kid,
+      alg: created.alg,
+      createdAt: created.created_at,
+      emergency,
+   };
+}
+
+/**
+ * Start the scheduled rotation and the removal of expired keys
+ * - the timer does not keep the process alive
+ */
+export function startKeyRotation() {
+   if (rotationTimer) {
+      return;
+   }
+
+   const run = () =>
+      checkKeys().catch((error) =>
+         console.error("🔏 [SIGNING KEY SERVICE] ❌ Key rotation check failed:", error.message)
+      );
+
+   run();
+   rotationTimer = setInterval(run, config.signingKeys.checkIntervalMinutes * 60 * 1000);
+   rotationTimer.unref();
+}
+
+/**
+ * Stop the scheduled rotation
+ */
+export function stopKeyRotation() {
+   clearInterval(rotationTimer);
+   rotationTimer = null;
+}
+
+/**
+ * Create auth_internal.signing_keys (idempotent)
+ * @param {Object} pool - Pool of the auth_internal database
+ */
+export async function createSigningKeysTable(pool) {
+   for (const stmt of ddl()) {
+      await pool.query(stmt);
+   }
+}
+
+// ---- helper functions ----
+
+async function getKeyPool() {
+   const pool = await getPool();
+   if (!ready) {
+      ready = createSigningKeysTable(pool).catch((error) => {
+         ready = null;
+         throw error;
+      });
+   }
+   await ready;
+   return pool;
+}
+
+async function loadKeys({ force = false } = {}) {
+   const fresh = Date.now() - cache.loadedAt < config.signingKeys.cacheSeconds * 1000;
+   if (fresh && !force) {
+      return;
+   }
+
+   // a load that started before the caller's change may miss it
+   if (force && loading) {
+      await loading.catch(() => {});
+   }
+
+   if (!loading) {
+      loading = (async () => {
+         const pool = await getKeyPool();
+         const rows = await signingKeyRepo.getSigningKeys(pool);
+
+         // keep decrypted private keys of keys that did not change
+         const keys = new Map();
+         for (const row of rows) {
+            const previous = cache.keys.get(row.kid);
+            keys.set(row.kid, {
+               kid: row.kid,
+               alg: row.alg,
+               row,
+               active: !row.rotated_at,
+               createdAt: new Date(row.created_at).getTime(),
+               verifyUntil: row.verify_until ? new Date(row.verify_until).getTime() : null,
+               publicKey: previous?.publicKey || crypto.createPublicKey({ key: row.public_jwk, format: "jwk" }),
+               privateKey: !row.rotated_at ? previous?.privateKey : null,
+            });
+         }
+
+         cache = { keys, loadedAt: Date.now() };
+      })().finally(() => {
+         loading = null;
+      });
+   }
+
+   await loading;
+}
+
+async function rotateKey({
+   reason,
+   alg = config.signingKeys.algorithm,
+   overlapHours = config.signingKeys.overlapHours,
+   rotateBefore = null,
+}) {
+   // off the event loop, an RSA key pair takes a noticeable while
+   const { privateKey } = await jws.generateKeyPair(alg);
+   const publicJwk = await jws.toPublicJwk(privateKey, alg);
+   const pool = await getKeyPool();
+
+   let created;
+   try {
+      created = await signingKeyRepo.rotateSigningKey(pool, {
+         kid: publicJwk.kid,
+         alg,
+         public_jwk: publicJwk,
+         private_key_encrypted: encrypt(
+            privateKey.export({ type: "pkcs8", format: "pem" }),
+            ENCRYPTION_CONTEXT
+         ),
+         overlap_hours: overlapHours,
+         rotation_reason: reason,
+         rotate_before: rotateBefore,
+      });
+   } catch (error) {
+      // unique_violation on idx_signing_keys_active - another instance rotated first
+      if (error.code !== "23505") {
+         throw error;
+      }
+   }
+
+   if (created && reason === "scheduled") {
+      console.log("🔏 [SIGNING KEY SERVICE] Signing key created:", created.kid, alg);
+   }
+
+   await loadKeys({ force: true });
+   return created;
+}
+
+async function checkKeys() {
+   await getSigningKey();
+
+   const pool = await getKeyPool();
+   const deleted = await signingKeyRepo.deleteExpiredSigningKeys(pool);
+   if (deleted.length > 0) {
+      console.log("🔏 [SIGNING KEY SERVICE] Expired signing keys removed:", deleted.length);
+      await loadKeys({ force: true });
+   }
+}
+
+function getActiveKey() {
+   return [...cache.keys.values()].find((key) => key.active) || null;
+}
+
+function getRotationThreshold() {
+   return new Date(Date.now() - config.signingKeys.rotationDays * 24 * 60 * 60 * 1000);
+}
+
+function isRotationDue(key) {
+   return key.createdAt <= getRotationThreshold().getTime();
+}
+
+export const signingKeyService = {
+   getSigningKey,
+   getVerificationKey,
+   getJwks,
+   listSigningKeys,
+   rotateSigningKey,
+   startKeyRotation,
+   stopKeyRotation,
+   createSigningKeysTable,
+};
+
+export default signingKeyService;
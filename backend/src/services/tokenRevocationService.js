@@ -0,0 +1,80 @@
+import getPool from "../repo/connection/pools/auth.js";
+import { ddl } from "../repo/schemas/auth_internal/revoked_tokens.js";
+import * as revokedTokenRepo from "../repo/repositories/revokedTokenRepository.js";
+
+/** ------- token revocation service ------- */
+
+/**
+ * Revocation list of JWTs (client server API tokens, OAuth access tokens)
+ *
+ * - keyed by the jti claim, stored in auth_internal.revoked_tokens and shared by
+ *   all backend instances (no cache, a revocation counts on the next request)
+ * - checked by tokenService on every verification
+ * - an entry is kept until the token's exp, expired tokens fail verification anyway
+ */
+
+let ready = null;
+
+/**
+ * Revoke a verified token
+ * @param {Object} claims - Verified claims (jti, client_id, type, sub, exp)
+ * @returns {Promise<boolean>} false if it was revoked already
+ */
+export async function revokeToken(claims) {
+   const pool = await getRevocationPool();
+
+   const revoked = await revokedTokenRepo.revokeToken(pool, {
+      jti: claims.jti,
+      client_id: claims.client_id,
+      token_type: claims.type,
+      subject: claims.sub ?? null,
+      expires_at: new Date(claims.exp * 1000),
+   });
+
+   // entries past their token's exp are of no use anymore
+   await revokedTokenRepo.deleteExpiredRevokedTokens(pool);
+
+   return Boolean(revoked);
+}
+
+/**
+ * Whether a token is on the revocation list
+ * @param {string} jti - jti claim
+ * @returns {Promise<boolean>}
+ */
+export async function isTokenRevoked(jti) {
+   const pool = await getRevocationPool();
+   return revokedTokenRepo.isTokenRevoked(pool, jti);
+}
+
+/**
+ * Create auth_internal.revoked_tokens (idempotent)
+ * @param {Object} pool - Pool of the auth_internal database
+ */
+export async function createRevokedTokensTable(pool) {
+   for (const stmt of ddl()) {
+      await pool.query(stmt);
+   }
+}
+
+// ---- helper functions ----
+
+async function getRevocationPool() {
+   const pool = await getPool();
+   if (!ready) {
+      ready = createRevokedTokensTable(pool).catch((error) => {
+         ready = null;
+         throw error;
+      });
+   }
+   await ready;
+   return pool;
+}
+
+export const tokenRevocationService = {
+   revokeToken,
+   isTokenRevoked,
+   createRevokedTokensTable,
+};
+
+export default tokenRevocationService;
@@ -0,0 +1,267 @@
+import { v4 as uuidv4 } from "uuid";
+import { AuthError } from "../middleware/errorHandler.js";
+import { getSigningKey, getVerificationKey } from "./signingKeyService.js";
+import { isTokenRevoked } from "./tokenRevocationService.js";
+import jws from "../utils/jws.js";
+import { filterClaims } from "../utils/scopes.js";
+import config from "../config/env.js";
+
+/** ------- token service ------- */
+
+/**
+ * Every JWT of the auth-system is signed here
+ *
+ * - asymmetric keys from signingKeyService (RS256, ES256 or EdDSA), the kid
+ *   header names the key, verification looks the key up by kid
+ * - iss is config.oauth.issuer, exp / iat / jti are always set
+ * - verification rejects tokens on the revocation list (tokenRevocationService)
+ *
+ * API tokens (client_credentials grant and the deprecated handshake, type "api_token")
+ * - aud / client_id the client server, schema its assigned_schema_name
+ * - scope: granted from the client server's client_credentials_scopes
+ * - lifetime: the client server's access_token_ttl_minutes,
+ *   config.oauth.apiTokenTtlMinutes when not set
+ *
+ * Access tokens (OAuth endpoints, type "access_token")
+ * - scoped to one tenant: schema is the client server's assigned_schema_name
+ * - sub is the tenant user, aud and client_id the client server it was issued to
+ * - roles / permissions: the user's roles in the tenant (roleService), always set
+ * - lifetime: the client server's access_token_ttl_minutes,
+ *   config.oauth.accessTokenTtlMinutes when not set
+ *
+ * ID tokens (OpenID Connect, scope "openid")
+ * - claims released per scope like at the userinfo endpoint (utils/scopes.js),
+ *   roles / permissions with the "roles" scope
+ * - lifetime config.oauth.idTokenTtlMinutes
+ * - verifiable by the client with the keys at /oauth/jwks.json
+ */
+
+export const API_TOKEN_TYPE = "api_token";
+export const ACCESS_TOKEN_TYPE = "access_token";
+
+// accepted clock difference between backend instances
+const CLOCK_TOLERANCE_SECONDS = 30;
+// a user without roles
+const NO_AUTHORIZATION = { roles: [], permissions: [] };
+
+/**
+ * Sign an API token for a client server
+ * @param {Object} clientServer - Client server row
+ * @param {Object} options - { scope? } - granted scopes, space separated
+ * @returns {Promise<{ token: string, expiresIn: number, jti: string }>}
+ */
+export async function signApiToken(clientServer, { scope = null } = {}) {
+   return signJwt(
+      {
+         type: API_TOKEN_TYPE,
+         client_id: clientServer.client_id,
+         schema: clientServer.assigned_schema_name,
+         ...(scope && { scope }),
+      },
+      {
+         expiresIn: getTokenTtlMinutes(clientServer, config.oauth.apiTokenTtlMinutes) * 60,
+         audience: clientServer.client_id,
+      }
+   );
+}
+
+/**
+ * Sign an access token for a tenant user
+ * @param {Object} grant - { user, clientServer, scope, authorization? }
+ * - authorization: { roles, permissions } of the user (roleService.getUserAuthorization)
+ * @returns {Promise<{ token: string, expiresIn: number, jti: string }>}
+ */
+export async function signAccessToken({
+   user,
+   clientServer,
+   scope = null,
+   authorization = NO_AUTHORIZATION,
+}) {
+   return signJwt(
+      {
+         type: ACCESS_TOKEN_TYPE,
+         client_id: clientServer.client_id,
+         schema: clientServer.assigned_schema_name,
+         ...(scope && { scope }),
+         roles: authorization.roles,
+         permissions: authorization.permissions,
+      },
+      {
+         expiresIn: getTokenTtlMinutes(clientServer, config.oauth.accessTokenTtlMinutes) * 60,
+         subject: String(user.id),
+         audience: clientServer.client_id,
+      }
+   );
+}
+
+/**
+ * Sign an ID token for a tenant user
+ * @param {Object} grant - { user, clientServer, scope?, nonce?, authTime?, authorization? }
+ * - scope: granted scopes, select the user claims
+ * - authTime: Date of the login the token is based on
+ * - authorization: { roles, permissions } of the user, released with the "roles" scope
+ * @returns {Promise<string>} ID token
+ */
+export async function signIdToken({
+   user,
+   clientServer,
+   scope = null,
+   nonce = null,
+   authTime = null,
+   authorization = NO_AUTHORIZATION,
+}) {
+   const { token } = await signJwt(
+      {
+         ...filterClaims(
+            {
+               email: user.email,
+               email_verified: Boolean(user.email_verified_at),
+               name: user.name,
+               roles: authorization.roles,
+               permissions: authorization.permissions,
+            },
+            scope
+         ),
+         ...(nonce && { nonce }),
+         ...(authTime && {
+            auth_time: Math.floor(new Date(authTime).getTime() / 1000),
+         }),
+      },
+      {
+         expiresIn: config.oauth.idTokenTtlMinutes * 60,
+         subject: String(user.id),
+         audience: clientServer.client_id,
+      }
+   );
+
+   return token;
+}
+
+/**
+ * Verify an API token
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} Decoded claims
+ * @throws {AuthError} If the token is invalid, expired, revoked or not an API token
+ */
+export async function verifyApiToken(token) {
+   return verifyJwt(token, { type: API_TOKEN_TYPE });
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - Bearer token
+ * @param {Object} options - { clientId } - expected audience, any client when omitted
+ * @returns {Promise<Object>} Decoded claims
+ * @throws {AuthError} If the token is invalid, expired, revoked or not an access token
+ */
+export async function verifyAccessToken(token, { clientId } = {}) {
+   return verifyJwt(token, { type: ACCESS_TOKEN_TYPE, audience: clientId });
+}
+
+/**
+ * Verify an API or access token (introspection, revocation)
+ * @param {string} token - Bearer token
+ * @param {Object} options - { clientId } - expected audience, any client when omitted
+ * @returns {Promise<Object>} Decoded claims
+ * @throws {AuthError} If the token is invalid, expired, revoked or an ID token
+ */
+export async function verifyBearerToken(token, { clientId } = {}) {
+   const claims = await verifyJwt(token, { audience: clientId });
+   if (![API_TOKEN_TYPE, ACCESS_TOKEN_TYPE].includes(claims.type)) {
+      throw new AuthError("Invalid token type");
+   }
+   return claims;
+}
+
+/**
+ * Verify an ID token issued by this server
+ * @param {string} token - ID token
+ * @param {Object} options - { clientId } - expected audience
+ * @returns {Promise<Object>} Decoded claims
+ * @throws {AuthError} If the token is invalid, expired or an API / access token
+ */
+export async function verifyIdToken(token, { clientId } = {}) {
+   const claims = await verifyJwt(token, { audience: clientId });
+   // ID tokens carry no type claim, API and access tokens do
+   if (claims.type !== undefined || !claims.sub) {
+      throw new AuthError("Invalid token type");
+   }
+   return claims;
+}
+
+// ---- helper functions ----
+
+function getTokenTtlMinutes(clientServer, defaultMinutes) {
+   return clientServer.access_token_ttl_minutes || defaultMinutes;
+}
+
+async function signJwt(claims, { expiresIn, subject = null, audience = null }) {
+   const key = await getSigningKey();
+   const now = Math.floor(Date.now() / 1000);
+   const jti = uuidv4();
+
+   const payload = {
+      ...claims,
+      iss: config.oauth.issuer,
+      ...(subject && { sub: subject }),
+      ...(audience && { aud: audience }),
+      iat: now,
+      exp: now + expiresIn,
+      jti,
+   };
+
+   return { token: await jws.sign(payload, key), expiresIn, jti };
+}
+
+async function verifyJwt(token, { type, audience } = {}) {
+   if (!token) {
+      throw new AuthError("Token is required");
+   }
+
+   let header;
+   try {
+      header = jws.decodeHeader(token);
+   } catch {
+      throw new AuthError("Invalid or expired token");
+   }
+
+   // unknown, expired and emergency-rotated keys have no verification key
+   const key = await getVerificationKey(header.kid);
+   if (!key) {
+      throw new AuthError("Invalid or expired token");
+   }
+
+   // signature with the key's algorithm, exp / nbf (with tolerance), iss and aud
+   let claims;
+   try {
+      claims = await jws.verify(token, key, {
+         issuer: config.oauth.issuer,
+         audience: audience || undefined,
+         clockTolerance: CLOCK_TOLERANCE_SECONDS,
+      });
+   } catch {
+      throw new AuthError("Invalid or expired token");
+   }
+
+   if (type && claims.type !== type) {
+      throw new AuthError("Invalid token type");
+   }
+
+   if (claims.jti && (await isTokenRevoked(claims.jti))) {
+      throw new AuthError("Token has been revoked");
+   }
+
+   return claims;
+}
+
+export const tokenService = {
+   signApiToken,
+   signAccessToken,
+   signIdToken,
+   verifyApiToken,
+   verifyAccessToken,
+   verifyBearerToken,
+   verifyIdToken,
+};
+
+export default tokenService;
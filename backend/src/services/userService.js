@@ -1,5 +1,7 @@
 import repo from "../repo/userRepository.js";
 import { NotFoundError, ValidationError } from "../middleware/errorHandler.js";
+import hashing from "../utils/hashing.js";
+import { getPasswordPolicyForSchema } from "./clientServerService.js";
 
 // ---- utils ----
 import { removePasswordFromUser } from "../utils/authUtils.js";
@@ -88,16 +90,20 @@ export async function createUser(user, schema) {
          role: user.role || "user",
       };
 
+      const passwordHash = await hashing.hash(
+         userWithRole.password,
+         await getPasswordPolicyForSchema(schema)
+      );
       const result = await repo.createUser(schema, [
          userWithRole.name,
          userWithRole.role,
          userWithRole.email,
-         userWithRole.password,
+         passwordHash,
       ]);
 
       // Filter sensitive data
       const newUser = {
-         id: result.lastID,
+         id: result.id,
          name: userWithRole.name,
          role: userWithRole.role,
          email: userWithRole.email,
@@ -126,19 +132,24 @@ export async function updateUser(id, userData, schema) {
          throw new NotFoundError(`User with ID ${id} not found`);
       }
 
-      // Update only provided fields
+      // Update only provided fields (hash a new password, keep the old hash otherwise)
       const updatedUser = {
          name: userData.name || existingUser.name,
          role: userData.role || existingUser.role,
          email: userData.email || existingUser.email,
-         password: userData.password || existingUser.password,
+         password_hash: userData.password
+            ? await hashing.hash(
+                 userData.password,
+                 await getPasswordPolicyForSchema(schema)
+              )
+            : existingUser.password_hash,
       };
 
       await repo.updateUser(schema, [
          updatedUser.name,
          updatedUser.role,
          updatedUser.email,
-         updatedUser.password,
+         updatedUser.password_hash,
          id,
       ]);
 
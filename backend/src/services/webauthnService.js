@@ -0,0 +1,447 @@
+import {
+   AuthError,
+   NotFoundError,
+   ValidationError,
+} from "../middleware/errorHandler.js";
+import repo from "../repo/userRepository.js";
+import webauthn from "../utils/webauthn.js";
+import {
+   createSuccessResponse,
+   getSelectedTenant,
+   getSessionLogin,
+} from "../utils/authUtils.js";
+import { getClientServerBySchema } from "./clientServerService.js";
+import {
+   findMatchingUrlPattern,
+   parseUrlPattern,
+} from "../../../shared/urlMatching.js";
+import config from "../config/env.js";
+
+/** ------- WebAuthn (passkey) service ------- */
+
+/**
+ * - getRegistrationOptions / verifyRegistration: add a passkey (authenticated)
+ * - listCredentials / deleteCredential: manage the passkeys of the current user
+ * - getAuthenticationOptions / verifyAuthentication: passwordless login,
+ *   the session itself is created by the auth service (loginWithPasskey)
+ * - getPendingAuthentication: user of an assertion before it is verified (lockout check)
+ *
+ * relying party:
+ * - the RP ID is the host of the client server's allowed return URL the
+ *   login came from (first allowed URL otherwise), the auth-system frontend
+ *   when no client server is involved
+ * - accepted origins: allowed return URLs and the auth-system frontend,
+ *   as far as they are on the RP ID's domain
+ *
+ * challenges:
+ * - one pending ceremony per session (req.session.webauthnChallenge)
+ * - consumed by the first verify call, successful or not
+ */
+
+/**
+ * Options for navigator.credentials.create()
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Object} Success response with { publicKey } (binary values as base64url)
+ */
+export async function getRegistrationOptions(req) {
+   try {
+      const { schema, user } = await getCurrentUser(req);
+      const rp = await getRelyingParty(schema, req.session?.poolMetadata?.return_url);
+      const credentials = await repo.getWebauthnCredentials(schema, user.id);
+
+      const challenge = startCeremony(req, "registration", {
+         schema,
+         rp,
+         userId: user.id,
+      });
+
+      console.log("🔑 [WEBAUTHN SERVICE] Registration started for user:", user.email, "rpId:", rp.id);
+
+      return createSuccessResponse("Passkey registration options", {
+         publicKey: {
+            challenge,
+            rp: { id: rp.id, name: rp.name },
+            user: {
+               id: webauthn.toBase64Url(Buffer.from(user.id)),
+               name: user.email,
+               displayName: user.name || user.email,
+            },
+            pubKeyCredParams: [
+               { type: "public-key", alg: webauthn.COSE_ALGORITHMS.ES256 },
+               { type: "public-key", alg: webauthn.COSE_ALGORITHMS.RS256 },
+            ],
+            timeout: config.webauthn.timeoutMs,
+            attestation: "none",
+            excludeCredentials: credentials
+               .filter((credential) => credential.rp_id === rp.id)
+               .map(toCredentialDescriptor),
+            authenticatorSelection: {
+               residentKey: "preferred",
+               userVerification: config.webauthn.userVerification,
+            },
+         },
+      });
+   } catch (error) {
+      console.log("🔑 [WEBAUTHN SERVICE] ❌ Registration options failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Store a new passkey
+ * @param {Object} req - Express request object (authenticated)
+ * - req.body: { credential, name? } - credential as returned by the browser (base64url)
+ * @returns {Object} Success response with the stored passkey
+ */
+export async function verifyRegistration(req) {
+   try {
+      const { schema, user } = await getCurrentUser(req);
+      const ceremony = takeCeremony(req, "registration");
+
+      if (ceremony.schema !== schema || ceremony.userId !== user.id) {
+         throw new ValidationError("Passkey registration expired, please try again");
+      }
+
+      let verified;
+      try {
+         verified = webauthn.verifyRegistration({
+            credential: req.body?.credential,
+            expectedChallenge: ceremony.challenge,
+            expectedOrigins: ceremony.origins,
+            rpId: ceremony.rpId,
+            requireUserVerification: isUserVerificationRequired(),
+         });
+      } catch (error) {
+         throw new ValidationError(`Passkey registration failed: ${error.message}`);
+      }
+
+      let stored;
+      try {
+         stored = await repo.createWebauthnCredential(schema, user.id, {
+            ...verified,
+            name: req.body?.name || null,
+            rpId: ceremony.rpId,
+         });
+      } catch (error) {
+         // unique_violation on credential_id
+         if (error.code === "23505") {
+            throw new ValidationError("This passkey is already registered");
+         }
+         throw error;
+      }
+
+      console.log("🔑 [WEBAUTHN SERVICE] ✅ Passkey registered for user:", user.email);
+
+      return createSuccessResponse("Passkey registered", toCredentialSummary(stored));
+   } catch (error) {
+      console.log("🔑 [WEBAUTHN SERVICE] ❌ Passkey registration failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * List the passkeys of the current user
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Object} Success response with { credentials }
+ */
+export async function listCredentials(req) {
+   try {
+      const { schema, user } = await getCurrentUser(req);
+      const credentials = await repo.getWebauthnCredentials(schema, user.id);
+
+      return createSuccessResponse("Passkeys retrieved successfully", {
+         credentials: credentials.map(toCredentialSummary),
+      });
+   } catch (error) {
+      throw error;
+   }
+}
+
+/**
+ * Remove a passkey of the current user
+ * @param {Object} req - Express request object (authenticated)
+ * - req.params.id: passkey ID (not the credential ID)
+ * @returns {Object} Success response
+ */
+export async function deleteCredential(req) {
+   try {
+      const { schema, user } = await getCurrentUser(req);
+      const deleted = await repo.deleteWebauthnCredential(
+         schema,
+         user.id,
+         req.params.id
+      );
+
+      if (!deleted) {
+         throw new NotFoundError("Passkey not found");
+      }
+
+      console.log("🔑 [WEBAUTHN SERVICE] ✅ Passkey removed for user:", user.email);
+
+      return createSuccessResponse("Passkey removed");
+   } catch (error) {
+      console.log("🔑 [WEBAUTHN SERVICE] ❌ Removing passkey failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Options for navigator.credentials.get()
+ * @param {Object} req - Express request object
+ * - req.body: { email?, client_id?, returnUrl? } - without email the browser offers its discoverable passkeys
+ * - the tenant is the client this request selected (selectClientTenant)
+ * @returns {Object} Success response with { publicKey } (binary values as base64url)
+ */
+export async function getAuthenticationOptions(req) {
+   try {
+      const tenant = getSelectedTenant(req);
+      const schema = tenant.schema;
+      const rp = await getRelyingParty(schema, tenant.metadata.return_url);
+
+      // unknown emails get the same answer as discoverable logins (no user enumeration)
+      let allowCredentials = [];
+      if (req.body?.email) {
+         const user = await repo.getUserByEmail(schema, req.body.email);
+         if (user) {
+            const credentials = await repo.getWebauthnCredentials(schema, user.id);
+            allowCredentials = credentials
+               .filter((credential) => credential.rp_id === rp.id)
+               .map(toCredentialDescriptor);
+         }
+      }
+
+      // the session gets the tenant with the login, the ceremony keeps it until then
+      const challenge = startCeremony(req, "authentication", { schema, rp, tenant });
+
+      return createSuccessResponse("Passkey authentication options", {
+         publicKey: {
+            challenge,
+            rpId: rp.id,
+            timeout: config.webauthn.timeoutMs,
+            userVerification: config.webauthn.userVerification,
+            allowCredentials,
+         },
+      });
+   } catch (error) {
+      console.log("🔑 [WEBAUTHN SERVICE] ❌ Authentication options failed:", error.message);
+      throw error;
+   }
+}
+
+/**
+ * Login attempt of a passkey assertion, before it is verified
+ * - the user is the owner of the presented credential (null for unknown
+ *   ones), so the auth service can check the lockout of the account first
+ * - the pending ceremony stays in the session for verifyAuthentication()
+ * @param {Object} req - Express request object
+ * - req.body: { credential } - assertion as returned by the browser (base64url)
+ * @returns {Promise<{ tenant: Object, user: Object|null }>}
+ * @throws {ValidationError} If no passkey login is pending
+ */
+export async function getPendingAuthentication(req) {
+   const ceremony = peekCeremony(req, "authentication");
+
+   const stored = await repo.getWebauthnCredentialByCredentialId(
+      ceremony.schema,
+      String(req.body?.credential?.id || "")
+   );
+   const user = stored ? await repo.getUser(ceremony.schema, stored.user_id) : null;
+
+   return { tenant: ceremony.tenant, user: user || null };
+}
+
+/**
+ * Verify a passkey assertion
+ * @param {Object} req - Express request object
+ * - req.body: { credential } - assertion as returned by the browser (base64url)
+ * @returns {Promise<{ user: Object, schema: string, tenant: Object, userVerified: boolean }>}
+ * @throws {AuthError} If the passkey is unknown or the assertion does not verify
+ */
+export async function verifyAuthentication(req) {
+   const ceremony = takeCeremony(req, "authentication");
+   const credential = req.body?.credential;
+   const schema = ceremony.schema;
+
+   const stored = await repo.getWebauthnCredentialByCredentialId(
+      schema,
+      String(credential?.id || "")
+   );
+
+   if (!stored || stored.rp_id !== ceremony.rpId) {
+      throw new AuthError("Invalid passkey");
+   }
+
+   // discoverable credentials name their user, it has to be the owner of the key
+   const userHandle = credential.response?.userHandle;
+   if (userHandle && userHandle !== webauthn.toBase64Url(Buffer.from(stored.user_id))) {
+      throw new AuthError("Invalid passkey");
+   }
+
+   let verified;
+   try {
+      verified = webauthn.verifyAuthentication({
+         credential,
+         expectedChallenge: ceremony.challenge,
+         expectedOrigins: ceremony.origins,
+         rpId: ceremony.rpId,
+         publicKey: stored.public_key,
+         storedSignCount: stored.sign_count,
+         requireUserVerification: isUserVerificationRequired(),
+      });
+   } catch (error) {
+      console.log("🔑 [WEBAUTHN SERVICE] ❌ Assertion rejected:", error.message);
+      throw new AuthError("Invalid passkey");
+   }
+
+   // no row when a parallel request already used this counter value
+   const updated = await repo.updateWebauthnCredentialSignCount(
+      schema,
+      stored.id,
+      verified.signCount
+   );
+   if (!updated) {
+      throw new AuthError("Invalid passkey");
+   }
+
+   const user = await repo.getUser(schema, stored.user_id);
+   if (!user) {
+      throw new AuthError("Invalid passkey");
+   }
+
+   return { user, schema, tenant: ceremony.tenant, userVerified: verified.userVerified };
+}
+
+// ---- helper functions ----
+
+async function getCurrentUser(req) {
+   const { schema, userId } = getSessionLogin(req);
+   const user = await repo.getUser(schema, userId);
+
+   if (!user) {
+      throw new AuthError("User not found");
+   }
+
+   return { schema, user };
+}
+
+function isUserVerificationRequired() {
+   return config.webauthn.userVerification === "required";
+}
+
+function toOrigin(url) {
+   try {
+      return new URL(url).origin;
+   } catch {
+      return null;
+   }
+}
+
+function isOnDomain(origin, rpId) {
+   const { hostname } = new URL(origin);
+   return hostname === rpId || hostname.endsWith(`.${rpId}`);
+}
+
+async function getRelyingParty(schema, returnUrl) {
+   const clientServer = await getClientServerBySchema(schema);
+   const patterns = clientServer?.allowed_return_urls || [];
+   // wildcard patterns (https://*.example.com) name no origin of their own
+   const allowedUrls = patterns.filter(
+      (url) => parseUrlPattern(url).pattern?.wildcard === false
+   );
+   const returnUrlAllowed = Boolean(
+      returnUrl && findMatchingUrlPattern(returnUrl, patterns)
+   );
+
+   const baseUrl =
+      (returnUrlAllowed && returnUrl) ||
+      allowedUrls[0] ||
+      config.app.frontendUrl;
+   const rpId = new URL(baseUrl).hostname;
+
+   const origins = [
+      ...new Set(
+         [
+            ...allowedUrls,
+            ...(returnUrlAllowed ? [returnUrl] : []),
+            config.app.frontendUrl,
+         ]
+            .map(toOrigin)
+            .filter((origin) => origin && isOnDomain(origin, rpId))
+      ),
+   ];
+
+   return {
+      id: rpId,
+      name: clientServer?.app_name || config.webauthn.rpName,
+      origins,
+   };
+}
+
+function startCeremony(req, type, { schema, rp, userId = null, tenant = null }) {
+   const challenge = webauthn.generateChallenge();
+
+   req.session.webauthnChallenge = {
+      type,
+      challenge,
+      schema,
+      userId,
+      tenant,
+      rpId: rp.id,
+      origins: rp.origins,
+      expiresAt: Date.now() + config.webauthn.challengeTtlMinutes * 60 * 1000,
+   };
+
+   return challenge;
+}
+
+function peekCeremony(req, type) {
+   const ceremony = req.session?.webauthnChallenge;
+
+   if (!ceremony || ceremony.type !== type || ceremony.expiresAt < Date.now()) {
+      throw new ValidationError("Passkey request expired, please try again");
+   }
+
+   return ceremony;
+}
+
+// a challenge is used once, also when the ceremony fails
+function takeCeremony(req, type) {
+   try {
+      return peekCeremony(req, type);
+   } finally {
+      if (req.session) {
+         delete req.session.webauthnChallenge;
+      }
+   }
+}
+
+function toCredentialDescriptor(credential) {
+   return {
+      type: "public-key",
+      id: credential.credential_id,
+      transports: credential.transports || [],
+   };
+}
+
+function toCredentialSummary(credential) {
+   return {
+      id: credential.id,
+      name: credential.name,
+      rpId: credential.rp_id,
+      transports: credential.transports || [],
+      createdAt: credential.created_at,
+      lastUsedAt: credential.last_used_at,
+   };
+}
+
+export const webauthnService = {
+   getRegistrationOptions,
+   verifyRegistration,
+   listCredentials,
+   deleteCredential,
+   getAuthenticationOptions,
+   getPendingAuthentication,
+   verifyAuthentication,
+};
+
+export default webauthnService;
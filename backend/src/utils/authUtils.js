@@ -2,15 +2,17 @@
  * Utility functions for authentication
  */
 
+import { AuthError, BadRequestError } from "../middleware/errorHandler.js";
+
 /**
- * Removes password from user object
+ * Removes password and password hash from user object
  * @param {Object} user - User object
  * @returns {Object} User object without password
  */
 export function removePasswordFromUser(user) {
   if (!user) return null;
 
-  const { password, ...filteredUser } = user;
+  const { password, password_hash, ...filteredUser } = user;
   return filteredUser;
 }
 
@@ -43,3 +45,58 @@ export function createSuccessResponse(message, data = null) {
 
   return response;
 }
+
+/**
+ * Tenant schema of the session
+ * - set by schema detection from the selected client, there is no default
+ *   tenant to fall back to
+ * @param {Object} req - Express request object
+ * @returns {String} Tenant schema
+ * @throws {AuthError} If no client (tenant) was selected for the session
+ */
+export function getSessionSchema(req) {
+  const schema = req.session?.schema;
+  if (!schema) {
+    throw new AuthError("No client selected for this session", "NO_TENANT");
+  }
+  return schema;
+}
+
+/**
+ * Tenant schema the request selected (login, register, passkey login,
+ * password reset, email verification)
+ * - set by selectClientTenant from the request's client_id / returnUrl, the
+ *   session's tenant of an earlier request never counts
+ * @param {Object} req - Express request object
+ * @returns {String} Tenant schema
+ * @throws {BadRequestError} If the request did not select a client
+ */
+export function getSelectedSchema(req) {
+  return getSelectedTenant(req).schema;
+}
+
+/**
+ * Tenant the request selected, written to the session once the login succeeded
+ * @param {Object} req - Express request object
+ * @returns {Object} { poolContext, schema, metadata } (metadata: client_id, return_url, ...)
+ * @throws {BadRequestError} If the request did not select a client
+ */
+export function getSelectedTenant(req) {
+  if (!req.selectedTenant) {
+    throw new BadRequestError("No client selected, pass client_id", "INVALID_CLIENT");
+  }
+  return req.selectedTenant;
+}
+
+/**
+ * Logged in user of the session
+ * @param {Object} req - Express request object
+ * @returns {Object} { schema, userId }
+ * @throws {AuthError} If the session is not logged in or has no tenant
+ */
+export function getSessionLogin(req) {
+  if (!req.session?.userId) {
+    throw new AuthError("Authentication required");
+  }
+  return { schema: getSessionSchema(req), userId: req.session.userId };
+}
@@ -0,0 +1,125 @@
+/**
+ * Minimal CBOR decoder (RFC 8949)
+ *
+ * - enough for WebAuthn: attestation objects and COSE keys
+ * - definite lengths only (authenticators do not send indefinite ones)
+ * - maps are returned as Map, COSE keys use integer labels
+ * - byte strings are returned as Buffer
+ */
+
+/**
+ * Decode the first CBOR item of a buffer
+ * @param {Buffer} buffer - CBOR data
+ * @param {number} offset - Start of the item
+ * @returns {{ value: any, length: number }} - Decoded item and its encoded length in bytes
+ * @throws {Error} If the data is malformed or uses unsupported features
+ */
+export function decodeFirst(buffer, offset = 0) {
+  const start = offset;
+
+  function readLength(info) {
+    if (info < 24) return info;
+    if (info === 24) return buffer.readUInt8(offset++);
+    if (info === 25) {
+      const value = buffer.readUInt16BE(offset);
+      offset += 2;
+      return value;
+    }
+    if (info === 26) {
+      const value = buffer.readUInt32BE(offset);
+      offset += 4;
+      return value;
+    }
+    if (info === 27) {
+      const value = buffer.readBigUInt64BE(offset);
+      offset += 8;
+      if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new Error("CBOR integer too large");
+      }
+      return Number(value);
+    }
+    throw new Error("Unsupported CBOR length encoding");
+  }
+
+  function readBytes(length) {
+    if (offset + length > buffer.length) {
+      throw new Error("Unexpected end of CBOR data");
+    }
+    const bytes = buffer.subarray(offset, offset + length);
+    offset += length;
+    return bytes;
+  }
+
+  function readItem() {
+    if (offset >= buffer.length) {
+      throw new Error("Unexpected end of CBOR data");
+    }
+
+    const initial = buffer.readUInt8(offset++);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0: // unsigned integer
+        return readLength(info);
+      case 1: // negative integer
+        return -1 - readLength(info);
+      case 2: // byte string
+        return Buffer.from(readBytes(readLength(info)));
+      case 3: // text string
+        return readBytes(readLength(info)).toString("utf8");
+      case 4: {
+        // array
+        const length = readLength(info);
+        const items = [];
+        for (let i = 0; i < length; i++) {
+          items.push(readItem());
+        }
+        return items;
+      }
+      case 5: {
+        // map
+        const length = readLength(info);
+        const map = new Map();
+        for (let i = 0; i < length; i++) {
+          const key = readItem();
+          map.set(key, readItem());
+        }
+        return map;
+      }
+      case 6: // tag - not used by WebAuthn, the tagged item is returned as is
+        readLength(info);
+        return readItem();
+      case 7:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        if (info === 23) return undefined;
+        throw new Error("Unsupported CBOR simple value");
+      default:
+        throw new Error("Invalid CBOR data");
+    }
+  }
+
+  const value = readItem();
+  return { value, length: offset - start };
+}
+
+/**
+ * Decode a buffer holding exactly one CBOR item
+ * @param {Buffer} buffer - CBOR data
+ * @returns {any} - Decoded item
+ * @throws {Error} If the data is malformed or has trailing bytes
+ */
+export function decode(buffer) {
+  const { value, length } = decodeFirst(buffer);
+  if (length !== buffer.length) {
+    throw new Error("Trailing bytes after CBOR item");
+  }
+  return value;
+}
+
+export default {
+  decode,
+  decodeFirst,
+};
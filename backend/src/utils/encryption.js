@@ -0,0 +1,94 @@
+import crypto from "crypto";
+import config from "../config/env.js";
+
+/**
+ * Encryption of secrets at rest (TOTP secrets, ...)
+ *
+ * - AES-256-GCM with a fresh 96 bit IV per value
+ * - the key is derived per context (the tenant schema) from config.encryption.key
+ *   with HKDF, so a value copied into another tenant does not decrypt
+ * - the context is also bound as additional authenticated data
+ * - format: v1.<iv>.<tag>.<ciphertext> (base64url)
+ */
+
+const VERSION = "v1";
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+
+// derived keys per context
+const keys = new Map();
+
+function deriveKey(context) {
+  if (!keys.has(context)) {
+    if (!config.encryption.key) {
+      throw new Error("ENCRYPTION_KEY (or SECRET_KEY) is not configured");
+    }
+
+    const key = crypto.hkdfSync(
+      "sha256",
+      Buffer.from(config.encryption.key),
+      Buffer.from("auth-system"),
+      Buffer.from(context),
+      32
+    );
+    keys.set(context, Buffer.from(key));
+  }
+  return keys.get(context);
+}
+
+/**
+ * Encrypt a secret
+ * @param {string} plaintext - The secret
+ * @param {string} context - Key context, fx. the tenant schema name
+ * @returns {string} - Versioned, self-contained ciphertext string
+ */
+export function encrypt(plaintext, context) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(context), iv);
+  cipher.setAAD(Buffer.from(context));
+
+  const ciphertext = Buffer.concat([
+    cipher.update(String(plaintext), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    VERSION,
+    iv.toString("base64url"),
+    cipher.getAuthTag().toString("base64url"),
+    ciphertext.toString("base64url"),
+  ].join(".");
+}
+
+/**
+ * Decrypt a secret
+ * @param {string} payload - Value returned by encrypt()
+ * @param {string} context - The same context used for encryption
+ * @returns {string} - The secret
+ * @throws {Error} If the payload is malformed, tampered with or from another context
+ */
+export function decrypt(payload, context) {
+  const [version, iv, tag, ciphertext] = String(payload).split(".");
+
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error("Unsupported encrypted value");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    deriveKey(context),
+    Buffer.from(iv, "base64url")
+  );
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64url")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+export default {
+  encrypt,
+  decrypt,
+};
@@ -1,26 +1,472 @@
-import bcrypt from "bcryptjs";
+import bcrypt from "bcrypt";
+import argon2 from "argon2";
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(crypto.scrypt);
+const pbkdf2Async = promisify(crypto.pbkdf2);
+
+/**
+ * Password hashing
+ *
+ * - pluggable registry of hashers (bcrypt, argon2id, scrypt, pbkdf2)
+ * - hashes are self-describing strings (PHC string format):
+ *     $<id>[$v=<version>][$<param>=<value>(,<param>=<value>)*][$<salt>[$<hash>]]
+ *   bcrypt keeps its own modular crypt format ($2b$<cost>$...)
+ * - a policy ({ algorithm, params }) selects the algorithm used for new hashes,
+ *   verify() reports needsRehash when a stored hash does not match the policy
+ */
+
+// same cost factor as client secrets (clientServerService)
+const DEFAULT_POLICY = {
+  algorithm: "bcrypt",
+  params: { cost: 12 },
+};
+
+// $2a$ / $2b$ / $2y$ + 2 digit cost + 53 chars of salt and hash
+const BCRYPT_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+// --- PHC string helpers ---
+
+// PHC uses standard base64 without padding
+const b64encode = (buffer) => buffer.toString("base64").replace(/=+$/, "");
+const b64decode = (value) => Buffer.from(value, "base64");
+
+/**
+ * Parse a PHC formatted string
+ * @param {string} value - e.g. "$scrypt$ln=15,r=8,p=1$<salt>$<hash>"
+ * @returns {Object|null} { id, version, params, salt, hash } or null if malformed
+ */
+export function parsePhc(value) {
+  if (typeof value !== "string" || !value.startsWith("$")) {
+    return null;
+  }
+
+  const fields = value.split("$").slice(1);
+  const id = fields.shift();
+  if (!id || !/^[a-z0-9-]{1,32}$/.test(id)) {
+    return null;
+  }
+
+  let version = null;
+  if (fields[0] && /^v=\d+$/.test(fields[0])) {
+    version = Number(fields.shift().slice(2));
+  }
+
+  const params = {};
+  if (fields[0] && fields[0].includes("=")) {
+    for (const pair of fields.shift().split(",")) {
+      const [key, val] = pair.split("=");
+      if (!key || val === undefined) {
+        return null;
+      }
+      params[key] = /^\d+$/.test(val) ? Number(val) : val;
+    }
+  }
+
+  const [salt, hash] = fields;
+
+  return {
+    id,
+    version,
+    params,
+    salt: salt ? b64decode(salt) : null,
+    hash: hash ? b64decode(hash) : null,
+  };
+}
+
+/**
+ * Serialize the parts of a hash into a PHC formatted string
+ * @param {Object} phc - { id, version, params, salt, hash }
+ * @returns {string} PHC string
+ */
+export function serializePhc({ id, version = null, params = {}, salt, hash }) {
+  const fields = [id];
+
+  if (version !== null && version !== undefined) {
+    fields.push(`v=${version}`);
+  }
+
+  const pairs = Object.entries(params).map(([key, val]) => `${key}=${val}`);
+  if (pairs.length > 0) {
+    fields.push(pairs.join(","));
+  }
+
+  fields.push(b64encode(salt), b64encode(hash));
+
+  return `$${fields.join("$")}`;
+}
+
+// --- hashers ---
+
+/**
+ * hasher interface:
+ * {
+ *   defaults: { ...params },            // used when the policy omits params
+ *   limits: { param: [min, max] },      // accepted params, anything else is refused
+ *   identify(stored): boolean,          // does this stored hash belong to the hasher
+ *   hash(password, params): string,     // self-describing hash string
+ *   verify(password, stored): boolean,  // false for malformed hashes, never throws
+ *   needsRehash(stored, params): boolean // stored params differ from params
+ * }
+ *
+ * limits bound the work a single hash costs - the process is shared by every
+ * tenant, a policy (or an imported row) with a huge cost would stall all of them
+ */
+const hashers = new Map();
+
+// shortest derived key / salt accepted in a stored hash (an empty key compares equal to anything)
+const MIN_STORED_HASH_BYTES = 16;
+const MIN_STORED_SALT_BYTES = 8;
+// scrypt needs 128 * N * r bytes of memory
+const MAX_SCRYPT_MEMORY_BYTES = 256 * 1024 * 1024;
+
+const bcryptHasher = {
+  defaults: { cost: 12 },
+  limits: { cost: [4, 15] },
+  identify: (stored) => BCRYPT_PATTERN.test(stored),
+  hash: (password, { cost }) => bcrypt.hash(password, cost),
+  verify: async (password, stored) => {
+    if (!withinLimits(bcryptHasher, { cost: bcrypt.getRounds(stored) })) {
+      return false;
+    }
+    return bcrypt.compare(password, stored);
+  },
+  needsRehash: (stored, { cost }) => bcrypt.getRounds(stored) !== cost,
+};
+
+const argon2idHasher = {
+  // memoryCost in KiB
+  defaults: { memoryCost: 65536, timeCost: 3, parallelism: 4 },
+  limits: {
+    memoryCost: [8192, 262144],
+    timeCost: [1, 10],
+    parallelism: [1, 8],
+  },
+  identify: (stored) => parsePhc(stored)?.id === "argon2id",
+  hash: (password, params) =>
+    argon2.hash(password, { ...params, type: argon2.argon2id }),
+  verify: async (password, stored) => {
+    const { params } = parsePhc(stored);
+    const limited = withinLimits(argon2idHasher, {
+      memoryCost: params.m,
+      timeCost: params.t,
+      parallelism: params.p,
+    });
+    if (!limited) {
+      return false;
+    }
+    try {
+      return await argon2.verify(stored, password);
+    } catch {
+      // malformed hash
+      return false;
+    }
+  },
+  needsRehash: (stored, params) => argon2.needsRehash(stored, params),
+};
+
+const scryptHasher = {
+  // ln = log2(N)
+  defaults: { ln: 15, r: 8, p: 1 },
+  limits: { ln: [10, 20], r: [1, 32], p: [1, 4] },
+  check: ({ ln, r }) =>
+    128 * 2 ** ln * r <= MAX_SCRYPT_MEMORY_BYTES
+      ? null
+      : `scrypt needs 128 * 2^ln * r bytes, at most ${MAX_SCRYPT_MEMORY_BYTES}`,
+  identify: (stored) => parsePhc(stored)?.id === "scrypt",
+  hash: async (password, { ln, r, p }) => {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = await scrypt(password, salt, KEY_BYTES, { ln, r, p });
+    return serializePhc({ id: "scrypt", params: { ln, r, p }, salt, hash });
+  },
+  verify: async (password, stored) => {
+    const parsed = parseStoredKdfHash(scryptHasher, stored);
+    if (!parsed) {
+      return false;
+    }
+    const derived = await scrypt(password, parsed.salt, parsed.hash.length, parsed.params);
+    return crypto.timingSafeEqual(derived, parsed.hash);
+  },
+  needsRehash: (stored, { ln, r, p }) => {
+    const parsed = parseStoredKdfHash(scryptHasher, stored);
+    return (
+      !parsed || parsed.params.ln !== ln || parsed.params.r !== r || parsed.params.p !== p
+    );
+  },
+};
+
+async function scrypt(password, salt, keylen, { ln, r, p }) {
+  const N = 2 ** ln;
+  // default maxmem (32 MiB) is too low for N >= 2^15
+  return scryptAsync(password, salt, keylen, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r,
+  });
+}
+
+const pbkdf2Hasher = (digest) => {
+  const id = `pbkdf2-${digest}`;
+
+  const hasher = {
+    defaults: { i: 600000 },
+    limits: { i: [1000, 2000000] },
+    identify: (stored) => parsePhc(stored)?.id === id,
+    hash: async (password, { i }) => {
+      const salt = crypto.randomBytes(SALT_BYTES);
+      const hash = await pbkdf2Async(password, salt, i, KEY_BYTES, digest);
+      return serializePhc({ id, params: { i }, salt, hash });
+    },
+    verify: async (password, stored) => {
+      const parsed = parseStoredKdfHash(hasher, stored);
+      if (!parsed) {
+        return false;
+      }
+      const derived = await pbkdf2Async(
+        password,
+        parsed.salt,
+        parsed.params.i,
+        parsed.hash.length,
+        digest
+      );
+      return crypto.timingSafeEqual(derived, parsed.hash);
+    },
+    needsRehash: (stored, { i }) => {
+      const parsed = parseStoredKdfHash(hasher, stored);
+      return !parsed || parsed.params.i !== i;
+    },
+  };
+
+  return hasher;
+};
+
+/**
+ * Errors of params against the limits of a hasher
+ * @param {Object} hasher - Registered hasher
+ * @param {Object} params - Params to check
+ * @returns {string[]} Error messages, empty when the params are accepted
+ */
+function paramErrors(hasher, params) {
+  if (!params || typeof params !== "object" || Array.isArray(params)) {
+    return ["params must be an object"];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(params)) {
+    const range = hasher.limits[key];
+    if (!range) {
+      errors.push(`unknown param ${key}, allowed: ${Object.keys(hasher.limits).join(", ")}`);
+    } else if (!Number.isInteger(value) || value < range[0] || value > range[1]) {
+      errors.push(`${key} must be an integer between ${range[0]} and ${range[1]}`);
+    }
+  }
+
+  const combined = errors.length === 0 && hasher.check?.({ ...hasher.defaults, ...params });
+  if (combined) {
+    errors.push(combined);
+  }
+  return errors;
+}
+
+function withinLimits(hasher, params) {
+  return paramErrors(hasher, params).length === 0;
+}
+
+// scrypt / pbkdf2 hash with every field present and params inside the limits, null otherwise
+function parseStoredKdfHash(hasher, stored) {
+  const parsed = parsePhc(stored);
+  if (
+    !parsed ||
+    !parsed.salt ||
+    !parsed.hash ||
+    parsed.salt.length < MIN_STORED_SALT_BYTES ||
+    parsed.hash.length < MIN_STORED_HASH_BYTES
+  ) {
+    return null;
+  }
+
+  const params = Object.fromEntries(
+    Object.keys(hasher.limits).map((key) => [key, parsed.params[key]])
+  );
+  return withinLimits(hasher, params) ? { ...parsed, params } : null;
+}
+
+/**
+ * Register a hasher under an algorithm id
+ * @param {string} id - Algorithm id (PHC id, e.g. "argon2id")
+ * @param {Object} hasher - Hasher implementation (see interface above)
+ */
+export function registerHasher(id, hasher) {
+  hashers.set(id, hasher);
+}
+
+registerHasher("bcrypt", bcryptHasher);
+registerHasher("argon2id", argon2idHasher);
+registerHasher("scrypt", scryptHasher);
+registerHasher("pbkdf2-sha256", pbkdf2Hasher("sha256"));
+registerHasher("pbkdf2-sha512", pbkdf2Hasher("sha512"));
+
+/**
+ * Resolve a (partial) policy against the defaults
+ * @param {Object} policy - { algorithm, params }
+ * @returns {Object} { algorithm, hasher, params } with the hasher defaults filled in
+ * @throws {Error} If the algorithm is not registered or the params are outside its limits
+ */
+function resolvePolicy(policy) {
+  const { algorithm = DEFAULT_POLICY.algorithm, params = {} } = policy || {};
+  const hasher = hashers.get(algorithm);
+
+  if (!hasher) {
+    throw new Error(`Unsupported password hashing algorithm: ${algorithm}`);
+  }
+
+  const errors = paramErrors(hasher, params);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${algorithm} params: ${errors.join("; ")}`);
+  }
+
+  return {
+    algorithm,
+    hasher,
+    params: { ...hasher.defaults, ...params },
+  };
+}
 
 const hashing = {
+  DEFAULT_POLICY,
+  registerHasher,
+
+  /**
+   * List the registered algorithm ids
+   * @returns {string[]} - Algorithm ids
+   */
+  algorithms: () => [...hashers.keys()],
+
+  /**
+   * Check the params of a policy against the limits of its algorithm
+   * @param {string} algorithm - Algorithm id
+   * @param {Object} params - Params, omitted ones take the hasher defaults
+   * @returns {string[]} Error messages, empty when the params are accepted
+   */
+  validateParams: (algorithm, params) => {
+    const hasher = hashers.get(algorithm);
+    if (!hasher) {
+      return [`Unsupported password hashing algorithm: ${algorithm}`];
+    }
+    return paramErrors(hasher, params);
+  },
+
+  /**
+   * Identify the algorithm of a stored hash
+   * @param {string} stored - The stored password_hash column value
+   * @returns {string|null} - Algorithm id, or null for unknown/plaintext values
+   */
+  identify: (stored) => {
+    if (typeof stored !== "string") {
+      return null;
+    }
+    for (const [id, hasher] of hashers) {
+      if (hasher.identify(stored)) {
+        return id;
+      }
+    }
+    return null;
+  },
+
   /**
    * Hash a password
    * @param {string} password - The plain text password to hash
-   * @returns {string} - The hashed password
+   * @param {Object} policy - { algorithm, params } (defaults to bcrypt)
+   * @returns {Promise<string>} - The self-describing hash string
    */
-  hash: (password) => {
-    // Generate a salt
-    const salt = bcrypt.genSaltSync(10);
-    // Hash the password with the salt
-    return bcrypt.hashSync(password, salt);
+  hash: async (password, policy) => {
+    const { hasher, params } = resolvePolicy(policy);
+    return hasher.hash(password, params);
   },
 
   /**
-   * Compare a password with a hash
+   * Compare a password with a hash of any registered algorithm
    * @param {string} password - The plain text password to compare
    * @param {string} hash - The hash to compare against
-   * @returns {boolean} - Whether the password matches the hash
+   * @returns {Promise<boolean>} - Whether the password matches the hash
+   */
+  compare: async (password, hash) => {
+    const algorithm = hashing.identify(hash);
+    if (!algorithm) {
+      return false;
+    }
+    return hashers.get(algorithm).verify(password, hash);
+  },
+
+  /**
+   * Check if a stored value is a hash of a registered algorithm
+   * - rows written before hashing was introduced hold the plaintext password
+   * @param {string} value - The stored password_hash column value
+   * @returns {boolean} - Whether the value is a known hash
+   */
+  isHashed: (value) => {
+    return hashing.identify(value) !== null;
+  },
+
+  /**
+   * Check if a stored value is a legacy plaintext password
+   * - anything starting with "$" is a hash (modular crypt / PHC), also of an
+   *   algorithm that is not registered - it never counts as plaintext
+   * @param {string} value - The stored password_hash column value
+   * @returns {boolean}
+   */
+  isPlaintext: (value) => {
+    return typeof value === "string" && !value.startsWith("$");
+  },
+
+  /**
+   * Verify a password against a stored value (hash or legacy plaintext)
+   * @param {string} password - The plain text password to verify
+   * @param {string} stored - The stored password_hash column value
+   * @param {Object} policy - Preferred { algorithm, params } for this tenant
+   * @returns {Promise<{ valid: boolean, needsRehash: boolean }>}
+   * - needsRehash is true when the password matched a legacy plaintext row,
+   *   or a hash whose algorithm/params differ from the policy
+   * - only values not starting with "$" are plaintext, unknown and malformed
+   *   hashes never match
    */
-  compare: (password, hash) => {
-    return bcrypt.compareSync(password, hash);
+  verify: async (password, stored, policy) => {
+    if (!password || !stored) {
+      return { valid: false, needsRehash: false };
+    }
+
+    const algorithm = hashing.identify(stored);
+
+    if (!algorithm) {
+      // a hash of an unknown format (fx. imported argon2i, crypt(3)) - fail closed
+      if (!hashing.isPlaintext(stored)) {
+        return { valid: false, needsRehash: false };
+      }
+
+      // legacy plaintext row - constant time comparison
+      const given = crypto.createHash("sha256").update(password).digest();
+      const expected = crypto.createHash("sha256").update(stored).digest();
+      const valid = crypto.timingSafeEqual(given, expected);
+
+      return { valid, needsRehash: valid };
+    }
+
+    const valid = await hashers.get(algorithm).verify(password, stored);
+    if (!valid) {
+      return { valid, needsRehash: false };
+    }
+
+    const preferred = resolvePolicy(policy);
+    const needsRehash =
+      preferred.algorithm !== algorithm ||
+      preferred.hasher.needsRehash(stored, preferred.params);
+
+    return { valid, needsRehash };
   },
 };
 
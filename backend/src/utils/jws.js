@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import {
+  SignJWT,
+  calculateJwkThumbprint,
+  decodeProtectedHeader,
+  jwtVerify,
+} from "jose";
+
+/**
+ * JWS / JWT (RFC 7515, RFC 7519) for asymmetric keys, backed by jose
+ *
+ * - algorithms: RS256 (RSA 2048), ES256 (P-256), EdDSA (Ed25519)
+ * - compact serialization only, the kid header names the signing key
+ * - verify() checks the signature with the key's algorithm only, and the
+ *   registered claims (exp, nbf, iss, aud); the rest is up to the caller,
+ *   see tokenService
+ * - key pairs are generated on the libuv thread pool, an RSA key takes
+ *   long enough to stall every request of the instance otherwise
+ */
+
+export const ALGORITHMS = {
+  RS256: { type: "rsa", options: { modulusLength: 2048 } },
+  ES256: { type: "ec", options: { namedCurve: "P-256" } },
+  EdDSA: { type: "ed25519", options: {} },
+};
+
+const generateKeyPairAsync = promisify(crypto.generateKeyPair);
+
+/**
+ * Generate a key pair for an algorithm
+ * @param {string} alg - RS256, ES256 or EdDSA
+ * @returns {Promise<{ privateKey: crypto.KeyObject, publicKey: crypto.KeyObject }>}
+ */
+export async function generateKeyPair(alg) {
+  const algorithm = getAlgorithm(alg);
+  return generateKeyPairAsync(algorithm.type, algorithm.options);
+}
+
+/**
+ * Public JWK of a key, with kid, alg and use
+ * @param {crypto.KeyObject} publicKey - Public (or private) key
+ * @param {string} alg - Algorithm the key is used with
+ * @returns {Promise<Object>} JWK, kid is the RFC 7638 thumbprint
+ */
+export async function toPublicJwk(publicKey, alg) {
+  const key = publicKey.type === "public" ? publicKey : crypto.createPublicKey(publicKey);
+  const jwk = key.export({ format: "jwk" });
+  return { ...jwk, kid: await calculateJwkThumbprint(jwk, "sha256"), alg, use: "sig" };
+}
+
+/**
+ * Sign a payload
+ * @param {Object} payload - JWT claims (iat, exp, ... set by the caller)
+ * @param {Object} key - { alg, kid, privateKey }
+ * @returns {Promise<string>} Compact JWS
+ */
+export async function sign(payload, { alg, kid, privateKey }) {
+  getAlgorithm(alg);
+  return new SignJWT(payload)
+    .setProtectedHeader({ alg, typ: "JWT", kid })
+    .sign(privateKey);
+}
+
+/**
+ * Read the header of a compact JWS without verifying it (to pick the key)
+ * @param {string} token - Compact JWS
+ * @returns {Object} Protected header
+ * @throws {Error} If the token is malformed
+ */
+export function decodeHeader(token) {
+  return decodeProtectedHeader(String(token));
+}
+
+/**
+ * Verify a token and return its claims
+ * @param {string} token - Compact JWS
+ * @param {Object} key - { alg, publicKey } - the header alg has to match the key's
+ * @param {Object} options - { issuer, audience?, clockTolerance? (seconds) }
+ * @returns {Promise<Object>} Claims
+ * @throws {Error} If the signature, exp, nbf, iss or aud does not verify
+ */
+export async function verify(token, { alg, publicKey }, { issuer, audience, clockTolerance = 0 } = {}) {
+  const { payload } = await jwtVerify(String(token), publicKey, {
+    algorithms: [alg],
+    issuer,
+    ...(audience && { audience }),
+    clockTolerance,
+    requiredClaims: ["exp"],
+  });
+  return payload;
+}
+
+// ---- helper functions ----
+
+function getAlgorithm(alg) {
+  const algorithm = ALGORITHMS[alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported signing algorithm: ${alg}`);
+  }
+  return algorithm;
+}
+
+export default {
+  ALGORITHMS,
+  generateKeyPair,
+  toPublicJwk,
+  sign,
+  decodeHeader,
+  verify,
+};
@@ -0,0 +1,50 @@
+/**
+ * Small in-process LRU cache
+ * - Map keeps insertion order: a hit is moved to the end, the first key is the least recently used
+ * - entries expire after maxAgeMs, changes made by other instances are picked up then
+ */
+
+/**
+ * Create an LRU cache
+ * @param {Object} options - { maxEntries, maxAgeMs }
+ * @returns {Object} { get, set, delete, clear, size }
+ */
+export function createLruCache({ maxEntries = 500, maxAgeMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (Date.now() - entry.storedAt > maxAgeMs) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, storedAt: Date.now() });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    size: () => entries.size,
+  };
+}
+
+export default {
+  createLruCache,
+};
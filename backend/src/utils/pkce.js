@@ -0,0 +1,67 @@
+import crypto from "crypto";
+
+/**
+ * Utility functions for PKCE (RFC 7636)
+ * - only the S256 method is supported, "plain" would leak the verifier
+ *   through the authorization request
+ */
+
+export const CODE_CHALLENGE_METHODS = ["S256"];
+
+// 43-128 chars of [A-Z] / [a-z] / [0-9] / "-" / "." / "_" / "~"
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+// base64url(sha256(verifier)) without padding is always 43 chars
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9\-_]{43}$/;
+
+/**
+ * Check the format of a code verifier
+ * @param {string} verifier - code_verifier sent to the token endpoint
+ * @returns {boolean}
+ */
+export function isValidCodeVerifier(verifier) {
+  return typeof verifier === "string" && CODE_VERIFIER_PATTERN.test(verifier);
+}
+
+/**
+ * Check the format of a S256 code challenge
+ * @param {string} challenge - code_challenge sent to the authorization endpoint
+ * @returns {boolean}
+ */
+export function isValidCodeChallenge(challenge) {
+  return typeof challenge === "string" && CODE_CHALLENGE_PATTERN.test(challenge);
+}
+
+/**
+ * Derive the S256 code challenge of a verifier
+ * @param {string} verifier - code_verifier
+ * @returns {string} base64url(sha256(verifier))
+ */
+export function createCodeChallenge(verifier) {
+  return crypto.createHash("sha256").update(verifier).digest("base64url");
+}
+
+/**
+ * Check a code verifier against the challenge of the authorization request
+ * @param {string} verifier - code_verifier sent to the token endpoint
+ * @param {string} challenge - stored code_challenge
+ * @param {string} method - stored code_challenge_method
+ * @returns {boolean}
+ */
+export function verifyCodeChallenge(verifier, challenge, method = "S256") {
+  if (method !== "S256" || !isValidCodeVerifier(verifier) || !challenge) {
+    return false;
+  }
+
+  const expected = Buffer.from(createCodeChallenge(verifier));
+  const actual = Buffer.from(String(challenge));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+export default {
+  CODE_CHALLENGE_METHODS,
+  isValidCodeVerifier,
+  isValidCodeChallenge,
+  createCodeChallenge,
+  verifyCodeChallenge,
+};
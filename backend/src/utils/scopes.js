@@ -0,0 +1,108 @@
+/**
+ * OAuth scope helpers (RFC 6749 section 3.3)
+ *
+ * - a scope parameter is a space separated list of scope-tokens
+ * - client servers define the user scopes they may request (client_servers.scopes),
+ *   the standard OpenID Connect scopes come with a description
+ * - claims of the userinfo endpoint and the id_token are released per scope,
+ *   "roles" releases the tenant roles and permissions (roleService)
+ */
+
+// scope-token of RFC 6749 section 3.3
+export const SCOPE_TOKEN_PATTERN = /^[\x21\x23-\x5B\x5D-\x7E]+$/;
+
+export const STANDARD_SCOPES = {
+  openid: "Sign you in with your account",
+  profile: "Your name",
+  email: "Your email address and whether it is verified",
+  roles: "Your roles and permissions in the app",
+};
+
+// userinfo / id_token claims and the scope releasing them (sub needs only openid)
+export const CLAIM_SCOPES = {
+  name: "profile",
+  email: "email",
+  email_verified: "email",
+  roles: "roles",
+  permissions: "roles",
+};
+
+/**
+ * Split a scope parameter
+ * @param {string|string[]|null} scope - Space separated scopes (or an array)
+ * @returns {string[]} Unique scope-tokens, in order
+ */
+export function parseScope(scope) {
+  const values = Array.isArray(scope) ? scope : String(scope ?? "").split(" ");
+  return [...new Set(values.map((value) => String(value).trim()).filter(Boolean))];
+}
+
+/**
+ * Join scopes into a scope parameter
+ * @param {string[]} scopes - Scope-tokens
+ * @returns {string|null} null when empty
+ */
+export function formatScope(scopes) {
+  return scopes.length > 0 ? scopes.join(" ") : null;
+}
+
+/**
+ * Whether every scope is one of the granted scopes
+ * @param {string|string[]} scope - Requested scopes
+ * @param {string|string[]} granted - Granted scopes
+ * @returns {boolean}
+ */
+export function isSubset(scope, granted) {
+  const grantedScopes = parseScope(granted);
+  return parseScope(scope).every((value) => grantedScopes.includes(value));
+}
+
+/**
+ * Scopes present in both lists
+ * @param {string|string[]} scope - Scopes
+ * @param {string|string[]} granted - Scopes
+ * @returns {string[]}
+ */
+export function intersect(scope, granted) {
+  const grantedScopes = parseScope(granted);
+  return parseScope(scope).filter((value) => grantedScopes.includes(value));
+}
+
+/**
+ * Scope definitions of a client server, standard scopes with their description
+ * @param {Object} clientServer - Client server row (scopes: [{ name, description? }])
+ * @returns {Array<{ name: string, description: string }>}
+ */
+export function getScopeDefinitions(clientServer) {
+  return (clientServer?.scopes || []).map((definition) => ({
+    name: definition.name,
+    description: definition.description || STANDARD_SCOPES[definition.name] || definition.name,
+  }));
+}
+
+/**
+ * Keep the claims the scopes release
+ * @param {Object} claims - { sub, name, email, email_verified, ... }
+ * @param {string|string[]} scope - Granted scopes
+ * @returns {Object} Claims without the ones of missing scopes
+ */
+export function filterClaims(claims, scope) {
+  const scopes = parseScope(scope);
+  return Object.fromEntries(
+    Object.entries(claims).filter(
+      ([claim]) => !CLAIM_SCOPES[claim] || scopes.includes(CLAIM_SCOPES[claim])
+    )
+  );
+}
+
+export default {
+  SCOPE_TOKEN_PATTERN,
+  STANDARD_SCOPES,
+  CLAIM_SCOPES,
+  parseScope,
+  formatScope,
+  isSubset,
+  intersect,
+  getScopeDefinitions,
+  filterClaims,
+};
@@ -0,0 +1,30 @@
+import crypto from "crypto";
+
+/**
+ * Utility functions for opaque tokens (password reset, ...)
+ * - the token is handed to the user once, only its hash is stored
+ */
+
+/**
+ * Generate a random, url-safe token
+ * @param {number} bytes - Amount of random bytes (default 32 = 256 bits)
+ * @returns {string} base64url encoded token
+ */
+export function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+/**
+ * Hash a token for storage and lookup
+ * - tokens are high entropy, so a fast unsalted hash is enough
+ * @param {string} token - The token handed to the user
+ * @returns {string} sha256 hex digest (64 chars)
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export default {
+  generateToken,
+  hashToken,
+};
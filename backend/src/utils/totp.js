@@ -0,0 +1,178 @@
+import crypto from "crypto";
+
+/**
+ * Time-based one-time passwords (RFC 6238 / RFC 4226)
+ *
+ * - secrets are base32 encoded, as expected by authenticator apps
+ * - defaults match what authenticator apps assume: SHA1, 6 digits, 30 second steps
+ * - verify() returns the matched time step, callers store it to refuse
+ *   the same code a second time (replay)
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export const TOTP_DEFAULTS = {
+  algorithm: "SHA1",
+  digits: 6,
+  period: 30,
+};
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - base32 string
+ * @returns {Buffer} decoded bytes
+ * @throws {Error} If the string contains characters outside the alphabet
+ */
+export function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @param {number} bytes - Secret length (default 20 = 160 bits, RFC 4226 recommendation)
+ * @returns {string} base32 encoded secret
+ */
+export function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Calculate the code for a time step
+ * @param {string} secret - base32 encoded secret
+ * @param {number} step - Time step (unix time / period)
+ * @param {Object} options - { algorithm, digits }
+ * @returns {string} zero padded code
+ */
+export function generateCode(secret, step, options = {}) {
+  const { algorithm, digits } = { ...TOTP_DEFAULTS, ...options };
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac(algorithm.toLowerCase(), base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+/**
+ * Get the time step of a point in time
+ * @param {number} time - Unix time in milliseconds (default now)
+ * @param {number} period - Step length in seconds
+ * @returns {number} time step
+ */
+export function timeStep(time = Date.now(), period = TOTP_DEFAULTS.period) {
+  return Math.floor(time / 1000 / period);
+}
+
+/**
+ * Verify a code against a secret
+ * @param {string} secret - base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options
+ * - window: accepted steps before/after the current one (clock drift, default 1)
+ * - time: unix time in milliseconds (default now)
+ * - afterStep: only accept steps after this one (last used step, replay protection)
+ * @returns {number|null} - The matched time step, or null if the code is invalid
+ */
+export function verify(secret, code, options = {}) {
+  const { window = 1, time = Date.now(), afterStep = null } = options;
+  const { digits, period } = { ...TOTP_DEFAULTS, ...options };
+
+  const given = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${digits}}$`).test(given)) {
+    return null;
+  }
+
+  const current = timeStep(time, period);
+
+  for (let step = current - window; step <= current + window; step++) {
+    if (afterStep !== null && step <= afterStep) {
+      continue;
+    }
+
+    const expected = generateCode(secret, step, options);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually as a QR code)
+ * @param {Object} params - { secret, issuer, accountName, algorithm, digits, period }
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri({ secret, issuer, accountName, ...options }) {
+  const { algorithm, digits, period } = { ...TOTP_DEFAULTS, ...options };
+
+  // %20 instead of URLSearchParams' "+", some apps show the "+" literally
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = Object.entries({ secret, issuer, algorithm, digits, period })
+    .map(([key, val]) => `${key}=${encodeURIComponent(val)}`)
+    .join("&");
+
+  return `otpauth://totp/${label}?${query}`;
+}
+
+export default {
+  TOTP_DEFAULTS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  timeStep,
+  verify,
+  buildOtpauthUri,
+};
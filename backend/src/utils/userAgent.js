@@ -0,0 +1,84 @@
+/**
+ * User-Agent parsing for the session (device) list
+ *
+ * - best effort, only what a "where am I logged in" list needs:
+ *   device type, browser and operating system (major versions)
+ * - order matters: Edge and Opera also claim Chrome, Chrome also claims Safari
+ */
+
+const BROWSERS = [
+  ["Edge", /Edg(?:e|A|iOS)?\/(\d+)/],
+  ["Opera", /(?:OPR|Opera)\/(\d+)/],
+  ["Samsung Internet", /SamsungBrowser\/(\d+)/],
+  ["Firefox", /(?:Firefox|FxiOS)\/(\d+)/],
+  ["Chrome", /(?:Chrome|CriOS)\/(\d+)/],
+  ["Safari", /Version\/(\d+)[\d.]* (?:Mobile\/\S+ )?Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ["iOS", /(?:iPhone|iPad|iPod).*? OS (\d+)/],
+  ["Android", /Android (\d+)/],
+  ["Windows", /Windows NT (\d+\.\d+)/],
+  ["macOS", /Mac OS X (\d+[._]\d+)/],
+  ["Chrome OS", /CrOS/],
+  ["Linux", /Linux/],
+];
+
+const WINDOWS_VERSIONS = {
+  "10.0": "10/11",
+  "6.3": "8.1",
+  "6.2": "8",
+  "6.1": "7",
+};
+
+/**
+ * Parse a User-Agent header
+ * @param {string} userAgent - User-Agent header (may be empty)
+ * @returns {{ deviceType: string, browser: string|null, os: string|null }}
+ * - deviceType: 'desktop' | 'mobile' | 'tablet' | 'bot' | 'unknown'
+ */
+export function parseUserAgent(userAgent) {
+  if (!userAgent) {
+    return { deviceType: "unknown", browser: null, os: null };
+  }
+
+  return {
+    deviceType: getDeviceType(userAgent),
+    browser: match(BROWSERS, userAgent),
+    os: match(OPERATING_SYSTEMS, userAgent),
+  };
+}
+
+function getDeviceType(userAgent) {
+  if (/bot|crawler|spider|curl|wget|postman|insomnia/i.test(userAgent)) {
+    return "bot";
+  }
+  if (/iPad|Tablet/i.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    return "tablet";
+  }
+  if (/Mobi|iPhone|iPod|Android/i.test(userAgent)) {
+    return "mobile";
+  }
+  if (/Windows|Macintosh|X11|CrOS|Linux/.test(userAgent)) {
+    return "desktop";
+  }
+  return "unknown";
+}
+
+function match(candidates, userAgent) {
+  for (const [name, pattern] of candidates) {
+    const found = userAgent.match(pattern);
+    if (!found) continue;
+
+    let version = found[1];
+    if (!version) return name;
+    if (name === "Windows") version = WINDOWS_VERSIONS[version] || version;
+    if (name === "macOS") version = version.replace("_", ".");
+    return `${name} ${version}`;
+  }
+  return null;
+}
+
+export default {
+  parseUserAgent,
+};
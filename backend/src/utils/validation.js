@@ -1,7 +1,17 @@
 // utils/validation.js (Conceptual example with express-validator)
-import { body, validationResult } from "express-validator";
+import { body, param, query, validationResult } from "express-validator";
 import * as rules from "./validationRules.js";
 
+// optional client_id that selects the tenant (body, query for GET links),
+// null counts as not sent
+function clientIdField(location = body) {
+   return location("client_id")
+      .optional({ values: "null" })
+      .isString()
+      .isLength({ min: 1, max: 255 })
+      .withMessage("Invalid client_id");
+}
+
 /*
  * register
  * - validate register details
@@ -44,6 +54,9 @@ const register = [
       .withMessage(rules.ERROR_MESSAGES.PASSWORD.MAX_LENGTH_ERROR)
       .isStrongPassword()
       .withMessage(rules.ERROR_MESSAGES.PASSWORD.WEAK_PASSWORD),
+   // client selection (middleware/schemaDetection.js selectClientTenant)
+   clientIdField(),
+   body("returnUrl").optional(),
 
    (req, res, next) => {
       const errors = validationResult(req);
@@ -69,6 +82,7 @@ const login = [
       .withMessage(rules.ERROR_MESSAGES.USER.INVALID_PASSWORD),
    // Allow returnUrl to pass through without validation
    body("returnUrl").optional(),
+   clientIdField(),
 
    (req, res, next) => {
       const errors = validationResult(req);
@@ -92,9 +106,275 @@ const logout = [
       .withMessage(rules.ERROR_MESSAGES.USER.INVALID_PASSWORD),
 ];
 
+/*
+ * forgotPassword
+ * - is email
+ * - client_id / returnUrl select the tenant (selectClientTenant)
+ */
+const forgotPassword = [
+   body("email")
+      .trim()
+      .isEmail()
+      .withMessage(rules.ERROR_MESSAGES.EMAIL.INVALID_EMAIL)
+      .normalizeEmail(),
+   clientIdField(),
+   body("returnUrl").optional(),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
+/*
+ * resetPassword
+ * - token not empty
+ * - password: same rules as register
+ * - client_id / returnUrl select the tenant (selectClientTenant)
+ */
+const resetPassword = [
+   body("token")
+      .trim()
+      .notEmpty()
+      .withMessage(rules.ERROR_MESSAGES.USER.FIELD_REQUIRED("Token")),
+   body("password")
+      .trim()
+      .notEmpty()
+      .withMessage(rules.ERROR_MESSAGES.USER.FIELD_REQUIRED("Password"))
+      .isLength({ min: rules.PASSWORD_RULES.MIN_LENGTH })
+      .withMessage(rules.ERROR_MESSAGES.PASSWORD.WEAK_PASSWORD)
+      .isLength({ max: rules.PASSWORD_RULES.MAX_LENGTH })
+      .withMessage(rules.ERROR_MESSAGES.PASSWORD.MAX_LENGTH_ERROR)
+      .isStrongPassword()
+      .withMessage(rules.ERROR_MESSAGES.PASSWORD.WEAK_PASSWORD),
+   clientIdField(),
+   body("returnUrl").optional(),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
+/*
+ * verifyEmail
+ * - token not empty (query string of the mailed link)
+ * - client_id / return_url select the tenant (selectClientTenant)
+ */
+const verifyEmail = [
+   query("token")
+      .trim()
+      .notEmpty()
+      .withMessage(rules.ERROR_MESSAGES.USER.FIELD_REQUIRED("Token")),
+   clientIdField(query),
+   query("return_url").optional(),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
+/*
+ * resendVerificationEmail
+ * - is email
+ * - client_id / returnUrl select the tenant (selectClientTenant)
+ */
+const resendVerificationEmail = [
+   body("email")
+      .trim()
+      .isEmail()
+      .withMessage(rules.ERROR_MESSAGES.EMAIL.INVALID_EMAIL)
+      .normalizeEmail(),
+   clientIdField(),
+   body("returnUrl").optional(),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
+/*
+ * mfaCode
+ * - code not empty (authenticator app code or recovery code)
+ */
+const mfaCode = [
+   body("code")
+      .trim()
+      .notEmpty()
+      .withMessage(rules.ERROR_MESSAGES.USER.FIELD_REQUIRED("Code"))
+      .isLength({ max: 32 }),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
+/*
+ * currentPassword
+ * - password not empty (re-authentication before changing a second factor)
+ */
+const currentPassword = [
+   body("password")
+      .notEmpty()
+      .withMessage(rules.ERROR_MESSAGES.USER.FIELD_REQUIRED("Password")),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
+/*
+ * passkeyCredential
+ * - credential from the browser (navigator.credentials.create/get)
+ * - binary fields are base64url strings, verified by utils/webauthn.js
+ * - name optional (label of a new passkey), escape
+ */
+const passkeyCredential = [
+   body("credential")
+      .isObject()
+      .withMessage(rules.ERROR_MESSAGES.USER.FIELD_REQUIRED("Credential")),
+   body("credential.id").isString().notEmpty().isLength({ max: 1024 }),
+   body("credential.type").equals("public-key"),
+   body("credential.response").isObject(),
+   body("name").optional().trim().isLength({ max: 255 }).escape(),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
+/*
+ * passkeyLoginOptions
+ * - email optional (without it the browser offers discoverable passkeys)
+ * - returnUrl passes through (schema detection)
+ */
+const passkeyLoginOptions = [
+   body("email")
+      .optional({ values: "falsy" })
+      .trim()
+      .isEmail()
+      .withMessage(rules.ERROR_MESSAGES.EMAIL.INVALID_EMAIL)
+      .normalizeEmail(),
+   body("returnUrl").optional(),
+   clientIdField(),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
+/*
+ * passkeyId
+ * - id of a stored passkey (uuid)
+ */
+const passkeyId = [
+   param("id").isUUID().withMessage("Invalid passkey id"),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
+/**
+ * sessionId
+ * - id of a device session (uuid)
+ */
+const sessionId = [
+   param("id").isUUID().withMessage("Invalid session id"),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
+/**
+ * consentAnswer
+ * - approve: boolean, answer of the consent page
+ */
+const consentAnswer = [
+   body("approve").isBoolean({ strict: true }).withMessage("approve must be true or false"),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
+/**
+ * clientId
+ * - client_id of a client server (route parameter)
+ */
+const clientId = [
+   param("clientId")
+      .isString()
+      .isLength({ min: 1, max: 255 })
+      .withMessage("Invalid client id"),
+
+   (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+         return res.status(400).json({ errors: errors.array() });
+      }
+      next();
+   },
+];
+
 // --- export ---
 export default {
    register,
    login,
    logout,
+   forgotPassword,
+   resetPassword,
+   verifyEmail,
+   resendVerificationEmail,
+   mfaCode,
+   currentPassword,
+   passkeyCredential,
+   passkeyLoginOptions,
+   passkeyId,
+   sessionId,
+   consentAnswer,
+   clientId,
 };
@@ -0,0 +1,381 @@
+import crypto from "crypto";
+import { decode, decodeFirst } from "./cbor.js";
+
+/**
+ * WebAuthn (passkeys) - server side of the registration and authentication ceremonies
+ *
+ * - supported algorithms: ES256 (COSE -7) and RS256 (COSE -257)
+ * - attestation: "none", and "packed" (self or x5c, the certificate chain is
+ *   not checked against a trust store - we do not restrict authenticator models)
+ * - binary values travel as base64url, the way the browser helpers send them
+ * - verify* functions throw an Error with a short reason, the caller decides
+ *   which error the client sees
+ */
+
+export const COSE_ALGORITHMS = {
+  ES256: -7,
+  RS256: -257,
+};
+
+const FLAGS = {
+  UP: 0x01, // user present
+  UV: 0x04, // user verified (PIN, biometrics)
+  BE: 0x08, // backup eligible (synced passkey)
+  BS: 0x10, // backed up
+  AT: 0x40, // attested credential data included
+  ED: 0x80, // extension data included
+};
+
+export function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString("base64url");
+}
+
+export function fromBase64Url(value) {
+  if (typeof value !== "string" || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new Error("Invalid base64url value");
+  }
+  return Buffer.from(value, "base64url");
+}
+
+/**
+ * Generate a random challenge for a ceremony
+ * @param {number} bytes - Challenge length (default 32)
+ * @returns {string} base64url challenge
+ */
+export function generateChallenge(bytes = 32) {
+  return toBase64Url(crypto.randomBytes(bytes));
+}
+
+/**
+ * Parse authenticator data (WebAuthn section 6.1)
+ * @param {Buffer} authData - Raw authenticator data
+ * @returns {Object} { rpIdHash, flags, signCount, attestedCredential? }
+ * - attestedCredential: { aaguid, credentialId, publicKey } (registration only)
+ */
+export function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw new Error("Authenticator data too short");
+  }
+
+  const flagsByte = authData.readUInt8(32);
+  const result = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: {
+      userPresent: Boolean(flagsByte & FLAGS.UP),
+      userVerified: Boolean(flagsByte & FLAGS.UV),
+      backupEligible: Boolean(flagsByte & FLAGS.BE),
+      backedUp: Boolean(flagsByte & FLAGS.BS),
+      attestedCredentialData: Boolean(flagsByte & FLAGS.AT),
+      extensionData: Boolean(flagsByte & FLAGS.ED),
+    },
+    signCount: authData.readUInt32BE(33),
+  };
+
+  let offset = 37;
+  if (result.flags.attestedCredentialData) {
+    if (authData.length < offset + 18) {
+      throw new Error("Attested credential data too short");
+    }
+    const aaguid = authData.subarray(offset, offset + 16);
+    offset += 16;
+    const idLength = authData.readUInt16BE(offset);
+    offset += 2;
+    const credentialId = authData.subarray(offset, offset + idLength);
+    if (credentialId.length !== idLength) {
+      throw new Error("Attested credential data too short");
+    }
+    offset += idLength;
+
+    // the COSE key is followed by extensions, so its length comes from the CBOR item
+    const { length } = decodeFirst(authData, offset);
+    const publicKey = authData.subarray(offset, offset + length);
+    offset += length;
+
+    result.attestedCredential = { aaguid, credentialId, publicKey };
+  }
+
+  if (!result.flags.extensionData && offset !== authData.length) {
+    throw new Error("Unexpected bytes after authenticator data");
+  }
+
+  return result;
+}
+
+/**
+ * Convert a COSE public key (RFC 9053) to a Node key
+ * @param {Buffer} coseKey - CBOR encoded COSE key
+ * @returns {{ key: crypto.KeyObject, algorithm: number }}
+ * @throws {Error} If the key type or algorithm is not supported
+ */
+export function coseToPublicKey(coseKey) {
+  const map = decode(coseKey);
+  const kty = map.get(1);
+  const algorithm = map.get(3);
+
+  if (algorithm === COSE_ALGORITHMS.ES256 && kty === 2) {
+    // EC2, crv 1 = P-256
+    if (map.get(-1) !== 1) {
+      throw new Error("Unsupported EC curve");
+    }
+    const jwk = {
+      kty: "EC",
+      crv: "P-256",
+      x: toBase64Url(map.get(-2)),
+      y: toBase64Url(map.get(-3)),
+    };
+    return { key: crypto.createPublicKey({ key: jwk, format: "jwk" }), algorithm };
+  }
+
+  if (algorithm === COSE_ALGORITHMS.RS256 && kty === 3) {
+    const jwk = {
+      kty: "RSA",
+      n: toBase64Url(map.get(-1)),
+      e: toBase64Url(map.get(-2)),
+    };
+    return { key: crypto.createPublicKey({ key: jwk, format: "jwk" }), algorithm };
+  }
+
+  throw new Error("Unsupported public key algorithm");
+}
+
+/**
+ * Verify a signature made by an authenticator (or an attestation certificate)
+ * @param {number} algorithm - COSE algorithm
+ * @param {crypto.KeyObject} key - Public key
+ * @param {Buffer} data - Signed data
+ * @param {Buffer} signature - Signature (DER for ES256)
+ * @returns {boolean}
+ */
+export function verifySignature(algorithm, key, data, signature) {
+  if (algorithm === COSE_ALGORITHMS.ES256) {
+    return crypto.verify("sha256", data, { key, dsaEncoding: "der" }, signature);
+  }
+  if (algorithm === COSE_ALGORITHMS.RS256) {
+    return crypto.verify(
+      "sha256",
+      data,
+      { key, padding: crypto.constants.RSA_PKCS1_PADDING },
+      signature
+    );
+  }
+  throw new Error("Unsupported signature algorithm");
+}
+
+/**
+ * Verify the response of navigator.credentials.create()
+ * @param {Object} params
+ * - credential: { id, type, response: { clientDataJSON, attestationObject, transports? } } (base64url)
+ * - expectedChallenge: challenge sent in the options
+ * - expectedOrigins: origins the ceremony may run on
+ * - rpId: relying party ID sent in the options
+ * - requireUserVerification: refuse responses without the UV flag
+ * @returns {Object} { credentialId, publicKey, algorithm, signCount, transports, userVerified, backedUp, attestationFormat }
+ * @throws {Error} If the response does not verify
+ */
+export function verifyRegistration({
+  credential,
+  expectedChallenge,
+  expectedOrigins,
+  rpId,
+  requireUserVerification = false,
+}) {
+  if (credential?.type !== "public-key" || !credential.response) {
+    throw new Error("Invalid credential");
+  }
+
+  const clientDataHash = checkClientData(credential.response.clientDataJSON, {
+    type: "webauthn.create",
+    challenge: expectedChallenge,
+    origins: expectedOrigins,
+  });
+
+  const attestation = decode(fromBase64Url(credential.response.attestationObject));
+  if (!(attestation instanceof Map)) {
+    throw new Error("Invalid attestation object");
+  }
+
+  const fmt = attestation.get("fmt");
+  const attStmt = attestation.get("attStmt");
+  const authDataRaw = attestation.get("authData");
+  if (!Buffer.isBuffer(authDataRaw)) {
+    throw new Error("Invalid attestation object");
+  }
+
+  const authData = parseAuthenticatorData(authDataRaw);
+  checkAuthenticatorData(authData, rpId, requireUserVerification);
+
+  if (!authData.attestedCredential) {
+    throw new Error("No credential in attestation");
+  }
+
+  const { credentialId, publicKey } = authData.attestedCredential;
+  if (toBase64Url(credentialId) !== credential.id) {
+    throw new Error("Credential ID mismatch");
+  }
+
+  const { key, algorithm } = coseToPublicKey(publicKey);
+  verifyAttestationStatement(fmt, attStmt, {
+    signedData: Buffer.concat([authDataRaw, clientDataHash]),
+    credentialKey: key,
+    credentialAlgorithm: algorithm,
+  });
+
+  return {
+    credentialId: credential.id,
+    publicKey: toBase64Url(publicKey),
+    algorithm,
+    signCount: authData.signCount,
+    transports: Array.isArray(credential.response.transports)
+      ? credential.response.transports.filter((t) => typeof t === "string")
+      : [],
+    userVerified: authData.flags.userVerified,
+    backedUp: authData.flags.backedUp,
+    attestationFormat: fmt,
+  };
+}
+
+/**
+ * Verify the response of navigator.credentials.get()
+ * @param {Object} params
+ * - credential: { id, type, response: { clientDataJSON, authenticatorData, signature, userHandle? } } (base64url)
+ * - expectedChallenge, expectedOrigins, rpId, requireUserVerification: as for verifyRegistration
+ * - publicKey: stored COSE key (base64url)
+ * - storedSignCount: counter stored with the credential
+ * @returns {Object} { signCount, userVerified }
+ * @throws {Error} If the response does not verify or the counter went backwards
+ */
+export function verifyAuthentication({
+  credential,
+  expectedChallenge,
+  expectedOrigins,
+  rpId,
+  publicKey,
+  storedSignCount = 0,
+  requireUserVerification = false,
+}) {
+  if (credential?.type !== "public-key" || !credential.response) {
+    throw new Error("Invalid credential");
+  }
+
+  const clientDataHash = checkClientData(credential.response.clientDataJSON, {
+    type: "webauthn.get",
+    challenge: expectedChallenge,
+    origins: expectedOrigins,
+  });
+
+  const authDataRaw = fromBase64Url(credential.response.authenticatorData);
+  const authData = parseAuthenticatorData(authDataRaw);
+  checkAuthenticatorData(authData, rpId, requireUserVerification);
+
+  const { key, algorithm } = coseToPublicKey(fromBase64Url(publicKey));
+  const valid = verifySignature(
+    algorithm,
+    key,
+    Buffer.concat([authDataRaw, clientDataHash]),
+    fromBase64Url(credential.response.signature)
+  );
+  if (!valid) {
+    throw new Error("Invalid signature");
+  }
+
+  // authenticators without a counter always send 0, otherwise it must grow
+  const stored = Number(storedSignCount) || 0;
+  if ((authData.signCount !== 0 || stored !== 0) && authData.signCount <= stored) {
+    throw new Error("Signature counter did not increase, the authenticator may be cloned");
+  }
+
+  return {
+    signCount: authData.signCount,
+    userVerified: authData.flags.userVerified,
+  };
+}
+
+// ---- helper functions ----
+
+// checks type, challenge and origin, returns the hash the authenticator signed
+function checkClientData(clientDataJSON, { type, challenge, origins }) {
+  const raw = fromBase64Url(clientDataJSON);
+
+  let clientData;
+  try {
+    clientData = JSON.parse(raw.toString("utf8"));
+  } catch {
+    throw new Error("Invalid client data");
+  }
+
+  if (clientData.type !== type) {
+    throw new Error("Unexpected ceremony type");
+  }
+
+  const given = Buffer.from(String(clientData.challenge || ""));
+  const expected = Buffer.from(String(challenge || ""));
+  if (
+    expected.length === 0 ||
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    throw new Error("Challenge mismatch");
+  }
+
+  if (!origins.includes(clientData.origin)) {
+    throw new Error("Unexpected origin");
+  }
+
+  return crypto.createHash("sha256").update(raw).digest();
+}
+
+function checkAuthenticatorData(authData, rpId, requireUserVerification) {
+  const expectedHash = crypto.createHash("sha256").update(rpId).digest();
+  if (!crypto.timingSafeEqual(authData.rpIdHash, expectedHash)) {
+    throw new Error("Relying party ID mismatch");
+  }
+  if (!authData.flags.userPresent) {
+    throw new Error("User presence required");
+  }
+  if (requireUserVerification && !authData.flags.userVerified) {
+    throw new Error("User verification required");
+  }
+}
+
+function verifyAttestationStatement(fmt, attStmt, { signedData, credentialKey, credentialAlgorithm }) {
+  if (fmt === "none") {
+    return;
+  }
+
+  if (fmt === "packed") {
+    const algorithm = attStmt?.get("alg");
+    const signature = attStmt?.get("sig");
+    const x5c = attStmt?.get("x5c");
+
+    if (!Buffer.isBuffer(signature)) {
+      throw new Error("Invalid packed attestation");
+    }
+
+    let key = credentialKey;
+    if (Array.isArray(x5c) && x5c.length > 0) {
+      key = new crypto.X509Certificate(x5c[0]).publicKey;
+    } else if (algorithm !== credentialAlgorithm) {
+      // self attestation is signed with the credential key itself
+      throw new Error("Attestation algorithm mismatch");
+    }
+
+    if (!verifySignature(algorithm, key, signedData, signature)) {
+      throw new Error("Invalid attestation signature");
+    }
+    return;
+  }
+
+  throw new Error(`Unsupported attestation format: ${fmt}`);
+}
+
+export default {
+  COSE_ALGORITHMS,
+  toBase64Url,
+  fromBase64Url,
+  generateChallenge,
+  parseAuthenticatorData,
+  coseToPublicKey,
+  verifySignature,
+  verifyRegistration,
+  verifyAuthentication,
+};
@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { getSessionLogin, getSessionSchema } from "../src/utils/authUtils.js";
+
+describe("session helpers", () => {
+   it("return the tenant and user of the session", () => {
+      const req = { session: { schema: "acme", userId: "u1" } };
+
+      expect(getSessionSchema(req)).toBe("acme");
+      expect(getSessionLogin(req)).toEqual({ schema: "acme", userId: "u1" });
+   });
+
+   it("refuse a session without a tenant instead of falling back to a default one", () => {
+      const req = { session: { userId: "u1" } };
+
+      expect(() => getSessionSchema(req)).toThrow(expect.objectContaining({ name: "AuthError", code: "NO_TENANT" }));
+      expect(() => getSessionLogin(req)).toThrow(expect.objectContaining({ code: "NO_TENANT" }));
+      expect(() => getSessionSchema({})).toThrow(expect.objectContaining({ statusCode: 401 }));
+   });
+
+   it("refuse a session without a login", () => {
+      expect(() => getSessionLogin({ session: { schema: "acme" } })).toThrow("Authentication required");
+   });
+});
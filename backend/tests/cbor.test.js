@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import { decode, decodeFirst } from "../src/utils/cbor.js";
+
+const hex = (value) => Buffer.from(value, "hex");
+
+describe("cbor", () => {
+   // RFC 8949 appendix A
+   it.each([
+      ["00", 0],
+      ["17", 23],
+      ["1818", 24],
+      ["1903e8", 1000],
+      ["1a000f4240", 1000000],
+      ["1b000000e8d4a51000", 1000000000000],
+      ["20", -1],
+      ["3863", -100],
+      ["f4", false],
+      ["f5", true],
+      ["f6", null],
+      ["f7", undefined],
+      ["60", ""],
+      ["6449455446", "IETF"],
+      ["62c3bc", "ü"],
+      ["80", []],
+      ["83010203", [1, 2, 3]],
+      ["8301820203820405", [1, [2, 3], [4, 5]]],
+   ])("decodes %s", (input, expected) => {
+      expect(decode(hex(input))).toEqual(expected);
+   });
+
+   it("decodes byte strings as Buffer", () => {
+      expect(decode(hex("4401020304"))).toEqual(Buffer.from([1, 2, 3, 4]));
+      expect(decode(hex("40"))).toEqual(Buffer.alloc(0));
+   });
+
+   it("decodes maps as Map with integer and text keys", () => {
+      const map = decode(hex("a201020304"));
+      expect(map).toBeInstanceOf(Map);
+      expect([...map]).toEqual([
+         [1, 2],
+         [3, 4],
+      ]);
+
+      const nested = decode(hex("a26161016162820203"));
+      expect(nested.get("a")).toBe(1);
+      expect(nested.get("b")).toEqual([2, 3]);
+   });
+
+   it("returns the tagged item", () => {
+      expect(decode(hex("c11a514b67b0"))).toBe(1363896240);
+   });
+
+   it("reports the length of the first item", () => {
+      expect(decodeFirst(hex("83010203ff"))).toEqual({ value: [1, 2, 3], length: 4 });
+      expect(decodeFirst(hex("ff0102"), 1)).toEqual({ value: 1, length: 1 });
+   });
+
+   it.each([
+      ["trailing bytes", "0000", /Trailing bytes/],
+      ["truncated byte string", "4401", /Unexpected end/],
+      ["truncated array", "8301", /Unexpected end/],
+      ["empty input", "", /Unexpected end/],
+      ["indefinite length", "9f01ff", /Unsupported CBOR length/],
+      ["unsupported simple value", "f8ff", /Unsupported CBOR simple value/],
+      ["integer above 2^53", "1bffffffffffffffff", /too large/],
+   ])("rejects %s", (_, input, error) => {
+      expect(() => decode(hex(input))).toThrow(error);
+   });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from "vitest";
+import jws from "../src/utils/jws.js";
+
+const CLIENT = {
+   client_id: "client_acme",
+   assigned_schema_name: "client_acme",
+   client_credentials_scopes: ["orders:read", "orders:write"],
+   access_token_ttl_minutes: 5,
+};
+const SECRET = "s3cret";
+
+// one signing key, nothing revoked
+const keys = {};
+
+vi.mock("../src/services/signingKeyService.js", () => ({
+   SIGNING_ALGORITHMS: ["ES256"],
+   getSigningKey: async () => keys.current,
+   getVerificationKey: async (kid) => (kid === keys.current.kid ? keys.current : null),
+}));
+vi.mock("../src/services/tokenRevocationService.js", () => ({
+   isTokenRevoked: async () => false,
+}));
+vi.mock("../src/middleware/schemaDetection.js", () => ({
+   POOL_CONTEXTS: {},
+   USER_ROLES: {},
+   setPoolContext: vi.fn(),
+}));
+vi.mock("../src/repo/userRepository.js", () => ({ default: {} }));
+// clientServerService imports utils/config.js, which is not part of this tree
+vi.mock("../src/services/clientServerService.js", async () => {
+   const { signApiToken } = await import("../src/services/tokenService.js");
+   return {
+      getClientServerByClientId: async (clientId) => (clientId === CLIENT.client_id ? CLIENT : null),
+      issueClientCredentialsToken: vi.fn(async (clientServer, scope) => {
+         const { token, expiresIn } = await signApiToken(clientServer, { scope });
+         return { access_token: token, token_type: "Bearer", expires_in: expiresIn, scope };
+      }),
+   };
+});
+vi.mock("../src/services/clientSecretService.js", () => ({
+   verifyClientSecret: async (clientId, secret) => secret === SECRET,
+}));
+vi.mock("../src/services/consentService.js", () => ({}));
+vi.mock("../src/services/refreshTokenService.js", () => ({}));
+vi.mock("../src/services/sessionService.js", () => ({}));
+vi.mock("../src/services/roleService.js", () => ({}));
+
+const { exchangeToken } = await import("../src/services/oauthService.js");
+const { issueClientCredentialsToken } = await import("../src/services/clientServerService.js");
+const tokenService = await import("../src/services/tokenService.js");
+
+const tokenRequest = (body, secret = SECRET) => ({
+   body: { grant_type: "client_credentials", client_id: "client_acme", ...body },
+   get: (name) =>
+      name.toLowerCase() === "authorization" && secret !== null
+         ? `Basic ${Buffer.from(`client_acme:${secret}`).toString("base64")}`
+         : undefined,
+});
+
+describe("client_credentials grant", () => {
+   beforeAll(async () => {
+      const { privateKey, publicKey } = await jws.generateKeyPair("ES256");
+      const { kid } = await jws.toPublicJwk(publicKey, "ES256");
+      keys.current = { alg: "ES256", kid, privateKey, publicKey };
+   });
+
+   beforeEach(() => {
+      vi.clearAllMocks();
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   it("issues an API token with the requested scope to an authenticated client", async () => {
+      const response = await exchangeToken(tokenRequest({ scope: "orders:read" }));
+
+      expect(issueClientCredentialsToken).toHaveBeenCalledWith(CLIENT, "orders:read");
+      expect(response).toMatchObject({ token_type: "Bearer", expires_in: 5 * 60, scope: "orders:read" });
+      await expect(tokenService.verifyApiToken(response.access_token)).resolves.toMatchObject({
+         type: "api_token",
+         client_id: "client_acme",
+         aud: "client_acme",
+         schema: "client_acme",
+         scope: "orders:read",
+      });
+   });
+
+   it.each([
+      ["without a secret", null],
+      ["with a wrong secret", "wrong"],
+   ])("refuses a client %s before issuing", async (label, secret) => {
+      await expect(exchangeToken(tokenRequest({}, secret))).rejects.toMatchObject({
+         error: "invalid_client",
+         statusCode: 401,
+      });
+      expect(issueClientCredentialsToken).not.toHaveBeenCalled();
+   });
+
+   it("signs API tokens without a scope claim when none was granted", async () => {
+      const { token } = await tokenService.signApiToken(CLIENT);
+
+      const claims = await tokenService.verifyApiToken(token);
+      expect(claims).not.toHaveProperty("scope");
+      expect(claims).not.toHaveProperty("sub");
+   });
+
+   it("does not accept an API token as user access token", async () => {
+      const { token } = await tokenService.signApiToken(CLIENT, { scope: "orders:read" });
+
+      await expect(tokenService.verifyAccessToken(token)).rejects.toMatchObject({ statusCode: 401 });
+   });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import * as queries from "../src/repo/connection/queries.js";
+
+// in-memory auth_internal.client_servers and client_redirect_uris
+const store = { clients: [], uris: [], lookups: 0 };
+
+const client = (clientId, createdAt, allowedReturnUrls) => ({
+   client_id: clientId,
+   app_name: clientId,
+   assigned_schema_name: clientId,
+   client_mode: "frontend-login-proxy",
+   allowed_return_urls: allowedReturnUrls,
+   created_at: new Date(createdAt),
+});
+
+const likeToRegExp = (like) =>
+   new RegExp(`^${like.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/%/g, ".*")}$`);
+
+vi.mock("../src/repo/connection/pools/auth.js", () => ({ default: async () => ({}) }));
+vi.mock("../src/repo/repositories/clientRedirectUriRepository.js", () => ({
+   getClientRedirectUrisByOrigins: async (pool, origins) => {
+      store.lookups++;
+      return store.uris
+         .filter((uri) => origins.includes(uri.origin))
+         .map((uri) => ({
+            ...store.clients.find((row) => row.client_id === uri.client_id),
+            ...uri,
+         }))
+         .sort(
+            (a, b) =>
+               a.created_at - b.created_at ||
+               a.client_id.localeCompare(b.client_id) ||
+               a.wildcard - b.wildcard ||
+               b.exact_path - a.exact_path ||
+               b.path_prefix.length - a.path_prefix.length
+         );
+   },
+   getOtherClientRedirectUris: async (pool, clientId, origins, likeOrigins) =>
+      store.uris.filter(
+         (uri) =>
+            uri.client_id !== clientId &&
+            (origins.includes(uri.origin) ||
+               likeOrigins.some((like) => likeToRegExp(like).test(uri.origin)))
+      ),
+   replaceClientRedirectUris: async (pool, clientId, uris) => {
+      store.uris = store.uris
+         .filter((uri) => uri.client_id !== clientId)
+         .concat(uris.map((uri) => ({ ...uri, client_id: clientId })));
+   },
+   getClientServersWithoutRedirectUris: async () =>
+      store.clients.filter(
+         (row) => !store.uris.some((uri) => uri.client_id === row.client_id)
+      ),
+}));
+
+let service;
+
+describe("client redirect URIs", () => {
+   beforeEach(async () => {
+      // registered before the table existed, indexed on the first lookup
+      store.clients = [
+         client("client_old", "2024-01-01", ["https://app.com"]),
+         client("client_new", "2025-01-01", ["https://app.com/admin/*"]),
+         client("client_eu", "2025-02-01", ["https://eu.example.com/app/*"]),
+      ];
+      store.uris = [];
+      store.lookups = 0;
+
+      vi.resetModules();
+      service = await import("../src/services/clientRedirectUriService.js");
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   describe("lookup", () => {
+      it("finds the client server of a return URL and caches its origin", async () => {
+         await expect(
+            service.findClientByReturnUrl("https://eu.example.com/app/home")
+         ).resolves.toMatchObject({
+            clientServer: { client_id: "client_eu" },
+            pattern: "https://eu.example.com/app/*",
+         });
+         await service.findClientByReturnUrl("https://eu.example.com/app/other");
+
+         expect(store.lookups).toBe(1);
+      });
+
+      it("leaves an overlapping URL with the client server registered first", async () => {
+         await expect(
+            service.findClientByReturnUrl("https://app.com/admin/users")
+         ).resolves.toMatchObject({ clientServer: { client_id: "client_old" } });
+         expect(queries.getClientRedirectUrisByOrigins).toMatch(
+            /ORDER BY c\.created_at, c\.client_id, r\.wildcard/
+         );
+      });
+
+      it("reads the changed patterns after a client server was updated", async () => {
+         await service.findClientByReturnUrl("https://eu.example.com/app/home");
+
+         await service.syncClientRedirectUris("client_eu", ["https://eu.example.com/portal/*"]);
+
+         await expect(
+            service.findClientByReturnUrl("https://eu.example.com/app/home")
+         ).resolves.toBeNull();
+         await expect(
+            service.findClientByReturnUrl("https://eu.example.com/portal")
+         ).resolves.toMatchObject({ clientServer: { client_id: "client_eu" } });
+         // one query before and one after the change, same origin
+         expect(store.lookups).toBe(2);
+      });
+   });
+
+   describe("conflicts", () => {
+      it.each([
+         ["https://app.com/home"],
+         ["https://app.com/admin/*"],
+         ["https://*.example.com"],
+         ["https://eu.example.com"],
+      ])("refuses %s for a new client server", async (pattern) => {
+         await expect(service.findConflictingRedirectUris(null, [pattern])).resolves.toEqual([
+            pattern,
+         ]);
+      });
+
+      it.each([
+         ["https://app.com.evil.com"],
+         ["http://app.com"],
+         ["https://eu.example.com/application"],
+         ["https://*.eu.example.com"],
+      ])("accepts %s", async (pattern) => {
+         await expect(service.findConflictingRedirectUris(null, [pattern])).resolves.toEqual([]);
+      });
+
+      it("ignores the patterns of the client server being updated", async () => {
+         await expect(
+            service.findConflictingRedirectUris("client_eu", ["https://eu.example.com/app/*"])
+         ).resolves.toEqual([]);
+      });
+
+      it("returns only the overlapping patterns", async () => {
+         await service.syncClientRedirectUris("client_eu", ["https://*.example.com"]);
+
+         await expect(
+            service.findConflictingRedirectUris(null, [
+               "https://new.example.com/callback",
+               "https://new.example.org/callback",
+            ])
+         ).resolves.toEqual(["https://new.example.com/callback"]);
+      });
+   });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import bcrypt from "bcrypt";
+
+const HOUR = 60 * 60 * 1000;
+
+// in-memory auth_internal.client_secrets, client_acme owned by user u1
+const store = { secrets: [] };
+
+const isActive = (row) =>
+   !row.revoked_at && (row.expires_at === null || row.expires_at > new Date());
+const withoutHash = ({ secret_hash, ...row }) => row;
+
+vi.mock("../src/repo/connection/pools/auth.js", () => ({
+   default: async () => ({
+      query: async (sql, [userId, clientId]) => ({
+         rows: userId === "u1" && clientId === "client_acme" ? [{ client_id: clientId }] : [],
+      }),
+   }),
+}));
+vi.mock("../src/repo/repositories/clientSecretRepository.js", () => ({
+   createClientSecret: async (pool, secret) => {
+      const row = { ...secret, created_at: new Date(), last_used_at: null, revoked_at: null };
+      store.secrets.push(row);
+      return withoutHash(row);
+   },
+   getClientSecrets: async (pool, clientId) =>
+      store.secrets.filter((row) => row.client_id === clientId).map(withoutHash),
+   getActiveClientSecrets: async (pool, clientId) =>
+      store.secrets.filter((row) => row.client_id === clientId && isActive(row)),
+   touchClientSecret: async (pool, id) => {
+      store.secrets.find((row) => row.id === id).last_used_at = new Date();
+   },
+   revokeClientSecret: async (pool, id) => {
+      const row = store.secrets.find((secret) => secret.id === id && !secret.revoked_at);
+      row.revoked_at = new Date();
+      return withoutHash(row);
+   },
+   expireClientSecret: async (pool, id, clientId, expiresAt) => {
+      const row = store.secrets.find((secret) => secret.id === id && !secret.revoked_at);
+      row.expires_at = row.expires_at && row.expires_at < expiresAt ? row.expires_at : expiresAt;
+      return withoutHash(row);
+   },
+}));
+
+const clientSecretService = await import("../src/services/clientSecretService.js");
+
+const owner = (query = {}, body = {}) => ({ session: { userId: "u1" }, query, body });
+
+// a secret of client_acme (hashed with a low cost, the service compares any cost)
+async function addSecret(secret, label, expiresAt = null) {
+   const row = await clientSecretService.storeClientSecret(
+      "client_acme",
+      await bcrypt.hash(secret, 4),
+      { label, expiresAt }
+   );
+   return row.id;
+}
+
+describe("client secrets", () => {
+   beforeEach(() => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      store.secrets = [];
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   afterEach(() => {
+      vi.useRealTimers();
+   });
+
+   it("accepts every active secret of the client and records its use", async () => {
+      const oldId = await addSecret("old-secret", "initial");
+      await addSecret("new-secret", "rotation");
+
+      await expect(clientSecretService.verifyClientSecret("client_acme", "old-secret")).resolves.toBe(true);
+      await expect(clientSecretService.verifyClientSecret("client_acme", "new-secret")).resolves.toBe(true);
+      await expect(clientSecretService.verifyClientSecret("client_acme", "other")).resolves.toBe(false);
+      await expect(clientSecretService.verifyClientSecret("client_other", "old-secret")).resolves.toBe(false);
+      await expect(clientSecretService.verifyClientSecret("client_acme", "")).resolves.toBe(false);
+
+      expect(store.secrets.find((row) => row.id === oldId).last_used_at).toBeInstanceOf(Date);
+   });
+
+   it("keeps a secret revoked with a grace period working until it ends", async () => {
+      const oldId = await addSecret("old-secret", "initial");
+      await addSecret("new-secret", "rotation");
+
+      const response = await clientSecretService.revokeUserClientSecret(
+         owner({ grace_hours: "2" }),
+         "client_acme",
+         oldId
+      );
+      expect(response.data.secret.status).toBe("active");
+
+      vi.advanceTimersByTime(HOUR);
+      await expect(clientSecretService.verifyClientSecret("client_acme", "old-secret")).resolves.toBe(true);
+
+      vi.advanceTimersByTime(HOUR + 1000);
+      await expect(clientSecretService.verifyClientSecret("client_acme", "old-secret")).resolves.toBe(false);
+      await expect(clientSecretService.verifyClientSecret("client_acme", "new-secret")).resolves.toBe(true);
+   });
+
+   it("stops a secret revoked without a grace period at once", async () => {
+      const oldId = await addSecret("old-secret", "initial");
+      await addSecret("new-secret", "rotation");
+
+      const response = await clientSecretService.revokeUserClientSecret(owner(), "client_acme", oldId);
+
+      expect(response.data.secret.status).toBe("revoked");
+      await expect(clientSecretService.verifyClientSecret("client_acme", "old-secret")).resolves.toBe(false);
+   });
+
+   it("refuses to revoke the last active secret", async () => {
+      const onlyId = await addSecret("only-secret", "initial");
+
+      await expect(
+         clientSecretService.revokeUserClientSecret(owner(), "client_acme", onlyId)
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(clientSecretService.verifyClientSecret("client_acme", "only-secret")).resolves.toBe(true);
+   });
+
+   it("refuses a grace period the other secrets do not outlive", async () => {
+      const oldId = await addSecret("old-secret", "initial");
+      await addSecret("short-secret", "short", new Date(Date.now() + HOUR));
+
+      await expect(
+         clientSecretService.revokeUserClientSecret(owner({ grace_hours: "2" }), "client_acme", oldId)
+      ).rejects.toMatchObject({ statusCode: 400 });
+   });
+
+   it.each(["-1", "1.5", "abc", String(31 * 24)])("refuses grace_hours=%s", async (graceHours) => {
+      const oldId = await addSecret("old-secret", "initial");
+      await addSecret("new-secret", "rotation");
+
+      await expect(
+         clientSecretService.revokeUserClientSecret(owner({ grace_hours: graceHours }), "client_acme", oldId)
+      ).rejects.toMatchObject({ statusCode: 400 });
+   });
+
+   it("shows a new secret once and caps the active secrets", async () => {
+      await addSecret("old-secret", "initial");
+
+      const response = await clientSecretService.createUserClientSecret(
+         owner({}, { label: "rotation" }),
+         "client_acme"
+      );
+      expect(response.data.secret).not.toHaveProperty("secret_hash");
+      await expect(
+         clientSecretService.verifyClientSecret("client_acme", response.data.client_secret)
+      ).resolves.toBe(true);
+
+      for (let i = 0; i < 3; i++) {
+         await addSecret(`secret-${i}`, `extra ${i}`);
+      }
+      await expect(
+         clientSecretService.createUserClientSecret(owner(), "client_acme")
+      ).rejects.toMatchObject({ statusCode: 400 });
+   });
+
+   it("only lets the owner of the client server manage its secrets", async () => {
+      const oldId = await addSecret("old-secret", "initial");
+      await addSecret("new-secret", "rotation");
+      const stranger = { session: { userId: "u2" }, query: {}, body: {} };
+
+      await expect(
+         clientSecretService.revokeUserClientSecret(stranger, "client_acme", oldId)
+      ).rejects.toMatchObject({ statusCode: 404 });
+      await expect(
+         clientSecretService.getUserClientSecrets(stranger, "client_acme")
+      ).rejects.toMatchObject({ statusCode: 404 });
+   });
+});
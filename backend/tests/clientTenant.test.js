@@ -0,0 +1,190 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const CLIENTS = {
+   client_acme: {
+      client_id: "client_acme",
+      app_name: "Acme",
+      client_mode: "frontend_login_proxy",
+      assigned_schema_name: "client_acme",
+      allowed_return_urls: ["https://acme.com/app/*"],
+   },
+};
+
+// users of the tenant client_acme
+const USERS = {
+   "ada@example.com": {
+      id: "u1",
+      name: "Ada",
+      email: "ada@example.com",
+      role: "user",
+      password_hash: "right",
+      email_verified_at: null,
+   },
+};
+
+const state = { mfaMethods: [] };
+
+vi.mock("../src/repo/connection/pools/auth.js", () => ({ default: vi.fn() }));
+vi.mock("../src/repo/connection/pools/clientServers.js", () => ({ default: vi.fn() }));
+vi.mock("../src/repo/repositories/clientServersRepository.js", () => ({}));
+vi.mock("../src/services/clientRedirectUriService.js", () => ({
+   findClientByReturnUrl: vi.fn(async () => null),
+}));
+vi.mock("../src/services/clientServerService.js", () => ({
+   verifyApiToken: vi.fn(),
+   getClientServerByClientId: vi.fn(async (clientId) => CLIENTS[clientId] ?? null),
+   getClientServerBySchema: vi.fn(async () => CLIENTS.client_acme),
+   getPasswordPolicy: () => ({ algorithm: "bcrypt", params: { cost: 4 } }),
+   getPasswordPolicyForSchema: async () => ({ algorithm: "bcrypt", params: { cost: 4 } }),
+}));
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      getUserByEmail: async (schema, email) =>
+         schema === "client_acme" ? USERS[email] : undefined,
+      invalidatePasswordResetTokens: async () => {},
+      createPasswordResetToken: async () => ({}),
+      invalidateEmailVerificationTokens: async () => {},
+      createEmailVerificationToken: async () => ({}),
+   },
+}));
+vi.mock("../src/utils/hashing.js", () => ({
+   default: {
+      verify: async (password, hash) => ({ valid: password === hash, needsRehash: false }),
+   },
+}));
+vi.mock("../src/services/mailService.js", () => ({ sendMail: vi.fn(async () => {}) }));
+vi.mock("../src/services/mfaService.js", () => ({
+   getEnabledMethods: async () => state.mfaMethods,
+}));
+vi.mock("../src/services/webauthnService.js", () => ({}));
+vi.mock("../src/services/loginProtectionService.js", () => ({
+   assertLoginAllowed: async () => {},
+   clearLoginFailures: async () => {},
+   recordLoginFailure: async () => {},
+   getClientIp: () => "203.0.113.7",
+   getLockoutPolicy: () => ({}),
+}));
+vi.mock("../src/services/sessionService.js", () => ({
+   startLoginSession: async (req, keep) => {
+      req.session = Object.fromEntries(keep.map((key) => [key, req.session[key]]));
+   },
+   recordLoginSession: async () => {},
+}));
+vi.mock("../src/services/oauthService.js", () => ({ hasPendingAuthorization: () => false }));
+vi.mock("../src/services/roleService.js", () => ({}));
+
+const { selectClientTenant } = await import("../src/middleware/schemaDetection.js");
+const { login } = await import("../src/services/auth.js");
+const { forgotPassword } = await import("../src/services/passwordResetService.js");
+const { resendVerificationEmail } = await import("../src/services/emailVerificationService.js");
+const { sendMail } = await import("../src/services/mailService.js");
+
+// browser that used another client before
+const browser = (body) => ({
+   body,
+   query: {},
+   session: { poolContext: "client_tenant", schema: "client_other", poolMetadata: { client_id: "other" } },
+});
+
+// selectClientTenant, then the service - as the route does
+async function call(service, req) {
+   let error;
+   await selectClientTenant(req, {}, (value) => (error = value));
+   if (error) {
+      throw error;
+   }
+   return await service(req);
+}
+
+const mailedLink = () => new URL(sendMail.mock.calls[0][0].text.match(/https?:\/\/\S+/)[0]);
+
+describe("client tenant of a login", () => {
+   beforeEach(() => {
+      vi.clearAllMocks();
+      state.mfaMethods = [];
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+   });
+
+   it("writes the tenant to the session once the login succeeded", async () => {
+      const req = browser({
+         credentials: { email: "ada@example.com", password: "right" },
+         client_id: "client_acme",
+         returnUrl: "https://acme.com/app/home",
+      });
+
+      await call(login, req);
+
+      expect(req.session).toMatchObject({
+         userId: "u1",
+         poolContext: "client_tenant",
+         schema: "client_acme",
+         poolMetadata: { client_id: "client_acme", return_url: "https://acme.com/app/home" },
+      });
+   });
+
+   it("does not touch the session's tenant on a failed login", async () => {
+      const req = browser({
+         credentials: { email: "ada@example.com", password: "wrong" },
+         client_id: "client_acme",
+      });
+
+      await expect(call(login, req)).rejects.toMatchObject({ statusCode: 401 });
+
+      expect(req.session).toEqual(browser().session);
+   });
+
+   it("keeps the tenant with the MFA challenge, not in the session", async () => {
+      state.mfaMethods = ["totp"];
+      const req = browser({
+         credentials: { email: "ada@example.com", password: "right" },
+         client_id: "client_acme",
+      });
+
+      await call(login, req);
+
+      expect(req.session.schema).toBe("client_other");
+      expect(req.session.mfaPending.tenant).toMatchObject({ schema: "client_acme" });
+   });
+});
+
+describe("client tenant of the mailed links", () => {
+   beforeEach(() => {
+      vi.clearAllMocks();
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+   });
+
+   it("looks the account up in the selected client and links back to it", async () => {
+      const req = browser({
+         email: "ada@example.com",
+         client_id: "client_acme",
+         returnUrl: "https://acme.com/app/home",
+      });
+
+      await call(forgotPassword, req);
+
+      const link = mailedLink();
+      expect(link.pathname).toBe("/reset-password");
+      expect(link.searchParams.get("client_id")).toBe("client_acme");
+      expect(link.searchParams.get("return_url")).toBe("https://acme.com/app/home");
+      expect(req.session.schema).toBe("client_other");
+   });
+
+   it("carries the client_id in the verification link", async () => {
+      await call(resendVerificationEmail, browser({ email: "ada@example.com", client_id: "client_acme" }));
+
+      const link = mailedLink();
+      expect(link.pathname).toBe("/verify-email");
+      expect(link.searchParams.get("client_id")).toBe("client_acme");
+      expect(link.searchParams.has("return_url")).toBe(false);
+   });
+
+   it("refuses a reset without a selected client instead of using the session's tenant", async () => {
+      await expect(call(forgotPassword, browser({ email: "ada@example.com" }))).rejects.toMatchObject({
+         statusCode: 400,
+         code: "INVALID_CLIENT",
+      });
+      expect(sendMail).not.toHaveBeenCalled();
+   });
+});
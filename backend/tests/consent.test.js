@@ -0,0 +1,178 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from "vitest";
+import jws from "../src/utils/jws.js";
+
+const CLIENT = {
+   client_id: "client_acme",
+   app_name: "Acme",
+   assigned_schema_name: "client_acme",
+   scopes: [{ name: "openid" }, { name: "email" }, { name: "orders", description: "Your orders" }],
+};
+const ADA = { id: "u1", name: "Ada", email: "ada@example.com", email_verified_at: null };
+
+// in-memory oauth_consents and refresh tokens of the tenant client_acme
+const store = { consents: [], refreshTokens: [] };
+
+const findConsent = (userId, clientId) =>
+   store.consents.find((row) => row.user_id === userId && row.client_id === clientId);
+
+const keys = {};
+
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      getConsent: async (schema, userId, clientId) => findConsent(userId, clientId),
+      // added to the scopes granted before
+      grantConsent: async (schema, { userId, clientId, scopes }) => {
+         let row = findConsent(userId, clientId);
+         if (!row) {
+            row = { user_id: userId, client_id: clientId, scopes: [] };
+            store.consents.push(row);
+         }
+         row.scopes = [...new Set([...row.scopes, ...scopes])];
+         return row;
+      },
+      getUserConsents: async (schema, userId) =>
+         store.consents.filter((row) => row.user_id === userId),
+      deleteConsent: async (schema, userId, clientId) => {
+         const row = findConsent(userId, clientId);
+         store.consents = store.consents.filter((consent) => consent !== row);
+         return row;
+      },
+      revokeUserClientRefreshTokens: async (schema, userId, clientId) => {
+         const revoked = store.refreshTokens.filter(
+            (row) => row.user_id === userId && row.client_id === clientId
+         );
+         store.refreshTokens = store.refreshTokens.filter((row) => !revoked.includes(row));
+         return revoked;
+      },
+      getUser: async (schema, id) => (id === ADA.id ? ADA : undefined),
+   },
+}));
+vi.mock("../src/services/clientServerService.js", () => ({
+   getClientServerByClientId: async (clientId) => (clientId === CLIENT.client_id ? CLIENT : null),
+}));
+vi.mock("../src/services/signingKeyService.js", () => ({
+   SIGNING_ALGORITHMS: ["ES256"],
+   getSigningKey: async () => keys.current,
+   getVerificationKey: async (kid) => (kid === keys.current.kid ? keys.current : null),
+}));
+vi.mock("../src/services/tokenRevocationService.js", () => ({
+   isTokenRevoked: async () => false,
+}));
+vi.mock("../src/middleware/schemaDetection.js", () => ({
+   POOL_CONTEXTS: {},
+   USER_ROLES: {},
+   setPoolContext: vi.fn(),
+}));
+vi.mock("../src/services/refreshTokenService.js", () => ({}));
+vi.mock("../src/services/clientSecretService.js", () => ({}));
+vi.mock("../src/services/sessionService.js", () => ({}));
+vi.mock("../src/services/roleService.js", () => ({}));
+
+const consentService = await import("../src/services/consentService.js");
+const { getUserInfo } = await import("../src/services/oauthService.js");
+const { signAccessToken } = await import("../src/services/tokenService.js");
+
+const loggedIn = (params = {}) => ({
+   params,
+   session: { userId: "u1", schema: "client_acme" },
+});
+
+async function userInfoRequest(scope) {
+   const { token } = await signAccessToken({ user: ADA, clientServer: CLIENT, scope });
+   return {
+      body: {},
+      get: (name) => (name.toLowerCase() === "authorization" ? `Bearer ${token}` : undefined),
+   };
+}
+
+describe("consent", () => {
+   beforeAll(async () => {
+      const { privateKey, publicKey } = await jws.generateKeyPair("ES256");
+      const { kid } = await jws.toPublicJwk(publicKey, "ES256");
+      keys.current = { alg: "ES256", kid, privateKey, publicKey };
+   });
+
+   beforeEach(() => {
+      store.consents = [];
+      store.refreshTokens = [
+         { user_id: "u1", client_id: "client_acme" },
+         { user_id: "u1", client_id: "client_other" },
+      ];
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   it("asks again only for scopes that were not granted yet", async () => {
+      const needsConsent = (scope) =>
+         consentService.needsConsent("client_acme", "u1", "client_acme", scope);
+      await expect(needsConsent("openid")).resolves.toBe(true);
+
+      await consentService.grantConsent("client_acme", "u1", "client_acme", ["openid", "email"]);
+
+      await expect(needsConsent("email openid")).resolves.toBe(false);
+      await expect(needsConsent("openid orders")).resolves.toBe(true);
+      await expect(needsConsent(null)).resolves.toBe(false);
+   });
+
+   it("keeps only granted scopes the client still defines", async () => {
+      await consentService.grantConsent("client_acme", "u1", "client_acme", ["openid", "email", "legacy"]);
+
+      await expect(
+         consentService.getGrantedScopes(CLIENT, "u1", "openid email legacy orders")
+      ).resolves.toEqual(["openid", "email"]);
+   });
+
+   it("lists the connected apps of the user with the scope descriptions", async () => {
+      await consentService.grantConsent("client_acme", "u1", "client_acme", ["orders"]);
+
+      const response = await consentService.listConsents(loggedIn());
+
+      expect(response.data.consents).toEqual([
+         expect.objectContaining({
+            clientId: "client_acme",
+            appName: "Acme",
+            scopes: [{ name: "orders", description: "Your orders" }],
+         }),
+      ]);
+   });
+
+   describe("withdrawal", () => {
+      beforeEach(async () => {
+         await consentService.grantConsent("client_acme", "u1", "client_acme", ["openid", "email"]);
+      });
+
+      it("revokes the client's refresh tokens of the user", async () => {
+         const response = await consentService.withdrawConsent(loggedIn({ clientId: "client_acme" }));
+
+         expect(response.data).toEqual({ clientId: "client_acme", revokedRefreshTokens: 1 });
+         expect(store.refreshTokens).toEqual([{ user_id: "u1", client_id: "client_other" }]);
+         await expect(
+            consentService.getGrantedScopes(CLIENT, "u1", "openid email")
+         ).resolves.toBeNull();
+      });
+
+      it("stops the userinfo endpoint for access tokens issued before", async () => {
+         const req = await userInfoRequest("openid email");
+         await expect(getUserInfo(req)).resolves.toMatchObject({ sub: "u1", email: "ada@example.com" });
+
+         await consentService.withdrawConsent(loggedIn({ clientId: "client_acme" }));
+
+         await expect(getUserInfo(req)).rejects.toMatchObject({
+            error: "invalid_token",
+            statusCode: 401,
+         });
+      });
+
+      it("answers 404 for an app without consent", async () => {
+         await expect(
+            consentService.withdrawConsent(loggedIn({ clientId: "client_other" }))
+         ).rejects.toMatchObject({ statusCode: 404 });
+      });
+
+      it("requires a login", async () => {
+         await expect(
+            consentService.withdrawConsent({ params: { clientId: "client_acme" }, session: {} })
+         ).rejects.toMatchObject({ statusCode: 401 });
+         expect(findConsent("u1", "client_acme")).toBeDefined();
+      });
+   });
+});
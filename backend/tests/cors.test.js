@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import express from "express";
+import request from "supertest";
+
+vi.hoisted(() => {
+   process.env.FRONTEND_URL = "https://auth.example.com";
+   process.env.ALLOWED_CLIENT_ORIGINS = "https://static.example.com";
+});
+
+// client servers register their own origins (POST /api/clientServer/register)
+const clientServers = [
+   {
+      allowed_return_urls: ["https://app.example.com/home/*", "https://*.tenant.example.com"],
+      allowed_origins: ["https://spa.example.com"],
+   },
+];
+
+vi.mock("../src/repo/connection/pools/auth.js", () => ({ default: vi.fn(async () => ({})) }));
+vi.mock("../src/repo/repositories/clientServersRepository.js", () => ({
+   getClientServerOrigins: vi.fn(async () => clientServers),
+}));
+
+const { corsPolicies, invalidateAllowedOrigins } = await import(
+   "../src/services/corsService.js"
+);
+const { getClientServerOrigins } = await import(
+   "../src/repo/repositories/clientServersRepository.js"
+);
+
+const app = express();
+app.use("/api", corsPolicies.api);
+app.use(["/oauth/token", "/oauth/userinfo"], corsPolicies.token);
+app.use("/.well-known", corsPolicies.public);
+app.all("*splat", (req, res) => res.json({ ok: true }));
+
+const allowedOrigin = (res) => res.headers["access-control-allow-origin"];
+
+describe("cors policies", () => {
+   beforeEach(() => {
+      vi.clearAllMocks();
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      invalidateAllowedOrigins();
+   });
+
+   describe("login proxy routes", () => {
+      it.each([
+         "https://app.example.com",
+         "https://spa.example.com",
+         "https://eu.tenant.example.com",
+         "https://auth.example.com",
+      ])("allow %s with credentials", async (origin) => {
+         const res = await request(app).post("/api/auth/login").set("Origin", origin);
+
+         expect(allowedOrigin(res)).toBe(origin);
+         expect(res.headers["access-control-allow-credentials"]).toBe("true");
+      });
+
+      it("answer the preflight of a client server", async () => {
+         const res = await request(app)
+            .options("/api/auth/webauthn/login/options")
+            .set("Origin", "https://app.example.com")
+            .set("Access-Control-Request-Method", "POST");
+
+         expect(res.status).toBe(204);
+         expect(allowedOrigin(res)).toBe("https://app.example.com");
+      });
+
+      it("refuse unknown origins", async () => {
+         const res = await request(app).post("/api/auth/login").set("Origin", "https://evil.example.com");
+         expect(allowedOrigin(res)).toBeUndefined();
+      });
+   });
+
+   describe("other /api routes", () => {
+      it.each([
+         "/api/owner/clients",
+         "/api/admin/signing-keys",
+         "/api/users",
+         "/api/auth/consent",
+         "/api/auth/sessions/revoke-others",
+      ])("%s refuses client server origins", async (path) => {
+         const res = await request(app).post(path).set("Origin", "https://app.example.com");
+
+         expect(allowedOrigin(res)).toBeUndefined();
+         expect(getClientServerOrigins).not.toHaveBeenCalled();
+      });
+
+      it.each(["https://auth.example.com", "https://static.example.com"])(
+         "allows %s",
+         async (origin) => {
+            const res = await request(app).get("/api/owner/clients").set("Origin", origin);
+
+            expect(allowedOrigin(res)).toBe(origin);
+            expect(res.headers["access-control-allow-credentials"]).toBe("true");
+         }
+      );
+   });
+
+   it("does not send credentials to the token endpoints", async () => {
+      const res = await request(app).post("/oauth/token").set("Origin", "https://app.example.com");
+
+      expect(allowedOrigin(res)).toBe("https://app.example.com");
+      expect(res.headers["access-control-allow-credentials"]).toBeUndefined();
+   });
+
+   it("opens discovery to any origin", async () => {
+      const res = await request(app)
+         .get("/.well-known/openid-configuration")
+         .set("Origin", "https://anyone.example.com");
+
+      expect(allowedOrigin(res)).toBe("*");
+   });
+
+   it("reloads the client server origins after an invalidation", async () => {
+      await request(app).post("/api/auth/login").set("Origin", "https://app.example.com");
+      await request(app).post("/api/auth/login").set("Origin", "https://app.example.com");
+      expect(getClientServerOrigins).toHaveBeenCalledTimes(1);
+
+      invalidateAllowedOrigins();
+      await request(app).post("/api/auth/login").set("Origin", "https://app.example.com");
+      expect(getClientServerOrigins).toHaveBeenCalledTimes(2);
+   });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import hashing from "../src/utils/hashing.js";
+
+// low costs keep the suite fast, the limits still accept them
+const POLICIES = {
+   bcrypt: { algorithm: "bcrypt", params: { cost: 4 } },
+   argon2id: {
+      algorithm: "argon2id",
+      params: { memoryCost: 8192, timeCost: 1, parallelism: 1 },
+   },
+   scrypt: { algorithm: "scrypt", params: { ln: 10, r: 8, p: 1 } },
+   "pbkdf2-sha256": { algorithm: "pbkdf2-sha256", params: { i: 1000 } },
+   "pbkdf2-sha512": { algorithm: "pbkdf2-sha512", params: { i: 1000 } },
+};
+
+describe("hashing", () => {
+   it("registers every hasher with a test policy", () => {
+      expect(hashing.algorithms().sort()).toEqual(Object.keys(POLICIES).sort());
+   });
+
+   describe.each(Object.entries(POLICIES))("%s", (algorithm, policy) => {
+      it("verifies the password it hashed and rejects another", async () => {
+         const stored = await hashing.hash("correct horse", policy);
+
+         expect(hashing.identify(stored)).toBe(algorithm);
+         expect(await hashing.verify("correct horse", stored, policy)).toEqual({
+            valid: true,
+            needsRehash: false,
+         });
+         expect((await hashing.verify("wrong horse", stored, policy)).valid).toBe(false);
+      });
+
+      it("flags a hash of another algorithm for rehash", async () => {
+         const other = algorithm === "bcrypt" ? POLICIES.scrypt : POLICIES.bcrypt;
+         const stored = await hashing.hash("correct horse", other);
+
+         expect(await hashing.verify("correct horse", stored, policy)).toEqual({
+            valid: true,
+            needsRehash: true,
+         });
+      });
+   });
+
+   it("flags a hash with other params for rehash", async () => {
+      const stored = await hashing.hash("pw", POLICIES["pbkdf2-sha256"]);
+      const stronger = { algorithm: "pbkdf2-sha256", params: { i: 2000 } };
+
+      expect(await hashing.verify("pw", stored, stronger)).toEqual({
+         valid: true,
+         needsRehash: true,
+      });
+   });
+
+   it("accepts a legacy plaintext row and flags it for rehash", async () => {
+      expect(await hashing.verify("secret", "secret", POLICIES.bcrypt)).toEqual({
+         valid: true,
+         needsRehash: true,
+      });
+      expect((await hashing.verify("other", "secret", POLICIES.bcrypt)).valid).toBe(false);
+   });
+
+   it("fails closed on hashes of an unknown format", async () => {
+      const argon2i = "$argon2i$v=19$m=4096,t=3,p=1$c2FsdHNhbHQ$aGFzaGhhc2hoYXNoaGFzaA";
+
+      expect(hashing.isPlaintext(argon2i)).toBe(false);
+      expect((await hashing.verify(argon2i, argon2i, POLICIES.bcrypt)).valid).toBe(false);
+      expect((await hashing.verify("$1$abc", "$1$abc", POLICIES.bcrypt)).valid).toBe(false);
+   });
+
+   it.each([
+      ["missing salt and hash", "$scrypt$ln=10"],
+      ["missing params", "$scrypt$$c2FsdHNhbHQ$aGFzaGhhc2hoYXNoaGFzaA"],
+      ["empty hash", "$pbkdf2-sha256$i=1000$c2FsdHNhbHQ$"],
+      ["cost above the limits", "$scrypt$ln=30,r=8,p=1$c2FsdHNhbHQ$aGFzaGhhc2hoYXNoaGFzaA"],
+      ["iterations above the limits", "$pbkdf2-sha512$i=1000000000000$c2FsdHNhbHQ$aGFzaGhhc2hoYXNoaGFzaA"],
+      ["malformed argon2id", "$argon2id$v=19$m=8192$"],
+      ["argon2id memory above the limits", "$argon2id$v=19$m=4194304,t=1,p=1$c2FsdHNhbHQ$aGFzaGhhc2hoYXNoaGFzaA"],
+   ])("fails closed on a %s hash", async (_, stored) => {
+      const result = await hashing.verify("pw", stored, POLICIES.scrypt);
+      expect(result.valid).toBe(false);
+   });
+
+   describe("validateParams", () => {
+      it("accepts the defaults and bounded params", () => {
+         for (const algorithm of hashing.algorithms()) {
+            expect(hashing.validateParams(algorithm, {})).toEqual([]);
+            expect(hashing.validateParams(algorithm, POLICIES[algorithm].params)).toEqual([]);
+         }
+      });
+
+      it.each([
+         ["bcrypt", { cost: 31 }],
+         ["scrypt", { ln: 30 }],
+         ["scrypt", { ln: 20, r: 32 }],
+         ["pbkdf2-sha256", { i: 1e12 }],
+         ["argon2id", { memoryCost: 1 }],
+         ["bcrypt", { cost: "12" }],
+         ["bcrypt", { rounds: 12 }],
+         ["bcrypt", null],
+         ["md5", {}],
+      ])("rejects %s %j", (algorithm, params) => {
+         expect(hashing.validateParams(algorithm, params)).not.toEqual([]);
+      });
+
+      it("refuses to hash with params outside the limits", async () => {
+         await expect(
+            hashing.hash("pw", { algorithm: "bcrypt", params: { cost: 31 } })
+         ).rejects.toThrow(/cost/);
+      });
+   });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from "vitest";
+import { createLocalJWKSet, jwtVerify } from "jose";
+import jws from "../src/utils/jws.js";
+import pkce from "../src/utils/pkce.js";
+import config from "../src/config/env.js";
+
+const CLIENT = {
+   client_id: "client_acme",
+   assigned_schema_name: "client_acme",
+   public_client: true,
+};
+const ADA = {
+   id: "u1",
+   name: "Ada",
+   email: "ada@example.com",
+   email_verified_at: new Date("2025-01-01"),
+};
+const VERIFIER = "v".repeat(43);
+const AUTH_TIME = new Date("2025-06-01T10:00:00Z");
+
+// one signing key, its JWKS as served at /oauth/jwks.json
+const keys = {};
+
+// authorization codes issued by /oauth/authorize (code -> grant)
+const codes = new Map();
+
+vi.mock("../src/services/signingKeyService.js", () => ({
+   SIGNING_ALGORITHMS: ["ES256"],
+   getSigningKey: async () => keys.current,
+   getVerificationKey: async (kid) => (kid === keys.current.kid ? keys.current : null),
+}));
+vi.mock("../src/services/tokenRevocationService.js", () => ({
+   isTokenRevoked: async () => false,
+}));
+vi.mock("../src/middleware/schemaDetection.js", () => ({
+   POOL_CONTEXTS: {},
+   USER_ROLES: {},
+   setPoolContext: vi.fn(),
+}));
+vi.mock("../src/repo/userRepository.js", async () => {
+   const { hashToken } = await import("../src/utils/tokens.js");
+   return {
+      default: {
+         consumeAuthorizationCode: async (schema, codeHash) => {
+            for (const [code, grant] of codes) {
+               if (hashToken(code) === codeHash) {
+                  codes.delete(code);
+                  return grant;
+               }
+            }
+            return null;
+         },
+         getUser: async (schema, id) => (id === ADA.id ? ADA : undefined),
+      },
+   };
+});
+vi.mock("../src/services/clientServerService.js", () => ({
+   getClientServerByClientId: async (clientId) => (clientId === CLIENT.client_id ? CLIENT : null),
+}));
+vi.mock("../src/services/clientSecretService.js", () => ({}));
+vi.mock("../src/services/refreshTokenService.js", () => ({
+   issueRefreshToken: async () => ({ refreshToken: "refresh" }),
+}));
+vi.mock("../src/services/consentService.js", () => ({}));
+vi.mock("../src/services/sessionService.js", () => ({}));
+vi.mock("../src/services/roleService.js", () => ({
+   getUserAuthorization: async () => ({ roles: ["billing"], permissions: ["invoices:read"] }),
+}));
+
+const { exchangeToken, getDiscoveryDocument } = await import("../src/services/oauthService.js");
+
+// code exchange of the client, as after /oauth/authorize with these params
+async function exchange({ scope, nonce = null }) {
+   const code = `code-${codes.size}-${Math.random()}`;
+   codes.set(code, {
+      client_id: CLIENT.client_id,
+      user_id: ADA.id,
+      redirect_uri: "https://acme.com/callback",
+      code_challenge: pkce.createCodeChallenge(VERIFIER),
+      code_challenge_method: "S256",
+      scope,
+      nonce,
+      auth_time: AUTH_TIME,
+   });
+
+   return exchangeToken({
+      body: {
+         grant_type: "authorization_code",
+         client_id: CLIENT.client_id,
+         code,
+         redirect_uri: "https://acme.com/callback",
+         code_verifier: VERIFIER,
+      },
+      get: () => undefined,
+   });
+}
+
+// what a client does with the discovery document and the JWKS
+async function verifyAsClient(idToken) {
+   const { payload } = await jwtVerify(idToken, createLocalJWKSet(keys.jwks), {
+      issuer: getDiscoveryDocument().issuer,
+      audience: CLIENT.client_id,
+   });
+   return payload;
+}
+
+describe("OpenID Connect ID token", () => {
+   beforeAll(async () => {
+      const { privateKey, publicKey } = await jws.generateKeyPair("ES256");
+      const jwk = await jws.toPublicJwk(publicKey, "ES256");
+      keys.current = { alg: "ES256", kid: jwk.kid, privateKey, publicKey };
+      keys.jwks = { keys: [jwk] };
+   });
+
+   beforeEach(() => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   it("is issued with the openid scope and verifies with the JWKS", async () => {
+      const response = await exchange({ scope: "openid email", nonce: "n-0S6" });
+
+      const claims = await verifyAsClient(response.id_token);
+
+      expect(claims).toMatchObject({
+         iss: config.oauth.issuer,
+         sub: "u1",
+         aud: "client_acme",
+         nonce: "n-0S6",
+         auth_time: Math.floor(AUTH_TIME.getTime() / 1000),
+         email: "ada@example.com",
+         email_verified: true,
+      });
+      expect(claims.exp - claims.iat).toBe(config.oauth.idTokenTtlMinutes * 60);
+   });
+
+   it("releases only the claims of the granted scopes", async () => {
+      const profile = await verifyAsClient((await exchange({ scope: "openid profile" })).id_token);
+      const roles = await verifyAsClient((await exchange({ scope: "openid roles" })).id_token);
+
+      expect(profile.name).toBe("Ada");
+      expect(profile).not.toHaveProperty("email");
+      expect(profile).not.toHaveProperty("roles");
+      expect(profile).not.toHaveProperty("nonce");
+      expect(roles).toMatchObject({ roles: ["billing"], permissions: ["invoices:read"] });
+      expect(roles).not.toHaveProperty("name");
+   });
+
+   it("is not issued without the openid scope", async () => {
+      const response = await exchange({ scope: "email" });
+
+      expect(response.access_token).toBeTruthy();
+      expect(response).not.toHaveProperty("id_token");
+   });
+
+   it("is described by the discovery document", () => {
+      const document = getDiscoveryDocument();
+
+      expect(document).toMatchObject({
+         issuer: config.oauth.issuer,
+         jwks_uri: `${config.oauth.issuer}/oauth/jwks.json`,
+         userinfo_endpoint: `${config.oauth.issuer}/oauth/userinfo`,
+         response_types_supported: ["code"],
+         subject_types_supported: ["public"],
+         id_token_signing_alg_values_supported: ["ES256"],
+      });
+      expect(document.scopes_supported).toContain("openid");
+      expect(document.claims_supported).toEqual(
+         expect.arrayContaining(["sub", "nonce", "auth_time", "email"])
+      );
+   });
+});
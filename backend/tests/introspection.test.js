@@ -0,0 +1,168 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from "vitest";
+import jws from "../src/utils/jws.js";
+
+const CLIENTS = {
+   client_acme: { client_id: "client_acme", assigned_schema_name: "client_acme" },
+   client_other: { client_id: "client_other", assigned_schema_name: "client_other" },
+   client_public: {
+      client_id: "client_public",
+      assigned_schema_name: "client_public",
+      public_client: true,
+   },
+};
+const SECRETS = { client_acme: "acme-secret", client_other: "other-secret" };
+const ADA = { id: "u1", email: "ada@example.com", name: "Ada" };
+
+// one signing key and the jti revocation list
+const keys = {};
+const revoked = new Set();
+
+vi.mock("../src/services/signingKeyService.js", () => ({
+   SIGNING_ALGORITHMS: ["ES256"],
+   getSigningKey: async () => keys.current,
+   getVerificationKey: async (kid) => (kid === keys.current.kid ? keys.current : null),
+}));
+vi.mock("../src/services/tokenRevocationService.js", () => ({
+   isTokenRevoked: async (jti) => revoked.has(jti),
+   revokeToken: vi.fn(async (claims) => {
+      revoked.add(claims.jti);
+   }),
+}));
+vi.mock("../src/middleware/schemaDetection.js", () => ({
+   POOL_CONTEXTS: {},
+   USER_ROLES: {},
+   setPoolContext: vi.fn(),
+}));
+vi.mock("../src/repo/userRepository.js", () => ({ default: {} }));
+vi.mock("../src/services/clientServerService.js", () => ({
+   getClientServerByClientId: async (clientId) => CLIENTS[clientId] ?? null,
+}));
+vi.mock("../src/services/clientSecretService.js", () => ({
+   verifyClientSecret: async (clientId, secret) => SECRETS[clientId] === secret,
+}));
+vi.mock("../src/services/consentService.js", () => ({
+   getGrantedScopes: async (clientServer, userId, scope) => scope.split(" "),
+}));
+vi.mock("../src/services/refreshTokenService.js", () => ({
+   getActiveRefreshToken: vi.fn(async () => null),
+   revokeRefreshToken: vi.fn(async () => false),
+}));
+vi.mock("../src/services/sessionService.js", () => ({}));
+vi.mock("../src/services/roleService.js", () => ({}));
+
+const tokenService = await import("../src/services/tokenService.js");
+const { introspectToken, revokeToken } = await import("../src/services/oauthService.js");
+const { revokeRefreshToken } = await import("../src/services/refreshTokenService.js");
+
+// request of a client authenticating with HTTP Basic (secret null: client_id alone)
+function clientRequest(clientId, body, secret = SECRETS[clientId]) {
+   const authorization =
+      secret === null
+         ? undefined
+         : `Basic ${Buffer.from(`${clientId}:${secret}`).toString("base64")}`;
+   return {
+      body: secret === null ? { client_id: clientId, ...body } : body,
+      get: (name) => (name.toLowerCase() === "authorization" ? authorization : undefined),
+   };
+}
+
+const accessToken = async (clientId) =>
+   (
+      await tokenService.signAccessToken({
+         user: ADA,
+         clientServer: CLIENTS[clientId],
+         scope: "openid email",
+      })
+   ).token;
+
+describe("token introspection and revocation", () => {
+   beforeAll(async () => {
+      const { privateKey, publicKey } = await jws.generateKeyPair("ES256");
+      const { kid } = await jws.toPublicJwk(publicKey, "ES256");
+      keys.current = { alg: "ES256", kid, privateKey, publicKey };
+   });
+
+   beforeEach(() => {
+      vi.clearAllMocks();
+      revoked.clear();
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   describe("client authentication", () => {
+      it.each([
+         ["without a secret", "client_acme", null],
+         ["with a wrong secret", "client_acme", "wrong"],
+         ["as public client", "client_public", null],
+         ["as unknown client", "client_unknown", "secret"],
+      ])("refuses introspection %s", async (label, clientId, secret) => {
+         await expect(
+            introspectToken(clientRequest(clientId, { token: "x" }, secret))
+         ).rejects.toMatchObject({ error: "invalid_client", statusCode: 401 });
+      });
+
+      it("refuses revocation without the client secret", async () => {
+         const token = await accessToken("client_acme");
+
+         await expect(
+            revokeToken(clientRequest("client_acme", { token }, null))
+         ).rejects.toMatchObject({ error: "invalid_client" });
+         expect(revoked.size).toBe(0);
+      });
+   });
+
+   it("describes an active access token of the client", async () => {
+      const token = await accessToken("client_acme");
+
+      await expect(introspectToken(clientRequest("client_acme", { token }))).resolves.toMatchObject({
+         active: true,
+         token_type: "Bearer",
+         client_id: "client_acme",
+         sub: "u1",
+         scope: "openid email",
+      });
+   });
+
+   it("reports the tokens of another client inactive", async () => {
+      const token = await accessToken("client_other");
+
+      await expect(introspectToken(clientRequest("client_acme", { token }))).resolves.toEqual({
+         active: false,
+      });
+   });
+
+   it("reports an unknown refresh token inactive", async () => {
+      await expect(
+         introspectToken(clientRequest("client_acme", { token: "opaque-refresh-token" }))
+      ).resolves.toEqual({ active: false });
+   });
+
+   it("puts a revoked access token on the revocation list", async () => {
+      const token = await accessToken("client_acme");
+
+      await revokeToken(clientRequest("client_acme", { token }));
+
+      await expect(introspectToken(clientRequest("client_acme", { token }))).resolves.toEqual({
+         active: false,
+      });
+      await expect(tokenService.verifyAccessToken(token)).rejects.toMatchObject({ statusCode: 401 });
+   });
+
+   it("does not revoke the token of another client", async () => {
+      const token = await accessToken("client_other");
+
+      await expect(revokeToken(clientRequest("client_acme", { token }))).resolves.toBeUndefined();
+
+      await expect(introspectToken(clientRequest("client_other", { token }))).resolves.toMatchObject({
+         active: true,
+      });
+   });
+
+   it("revokes refresh tokens only for the authenticated client", async () => {
+      await revokeToken(clientRequest("client_acme", { token: "opaque-refresh-token" }));
+
+      expect(revokeRefreshToken).toHaveBeenCalledWith({
+         clientServer: CLIENTS.client_acme,
+         refreshToken: "opaque-refresh-token",
+      });
+   });
+});
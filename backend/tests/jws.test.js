@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import jws from "../src/utils/jws.js";
+
+const ISSUER = "https://auth.example.com";
+const now = () => Math.floor(Date.now() / 1000);
+
+async function createKey(alg) {
+   const { privateKey, publicKey } = await jws.generateKeyPair(alg);
+   const jwk = await jws.toPublicJwk(publicKey, alg);
+   return { alg, kid: jwk.kid, privateKey, publicKey, jwk };
+}
+
+const claims = (overrides = {}) => ({
+   iss: ISSUER,
+   aud: "client_acme",
+   sub: "u1",
+   iat: now(),
+   exp: now() + 60,
+   ...overrides,
+});
+
+describe("jws", () => {
+   describe.each(["RS256", "ES256", "EdDSA"])("%s", (alg) => {
+      it("signs and verifies a token", async () => {
+         const key = await createKey(alg);
+         const token = await jws.sign(claims(), key);
+
+         expect(jws.decodeHeader(token)).toEqual({ alg, typ: "JWT", kid: key.kid });
+         const payload = await jws.verify(token, key, { issuer: ISSUER, audience: "client_acme" });
+         expect(payload).toMatchObject({ sub: "u1", aud: "client_acme" });
+      });
+
+      it("publishes the key with its thumbprint as kid", async () => {
+         const key = await createKey(alg);
+         expect(key.jwk).toMatchObject({ alg, use: "sig" });
+         expect(key.jwk.kid).toMatch(/^[A-Za-z0-9_-]{43}$/);
+         expect(key.jwk).not.toHaveProperty("d");
+         expect((await jws.toPublicJwk(key.privateKey, alg)).kid).toBe(key.kid);
+      });
+
+      it("rejects a token signed with another key", async () => {
+         const key = await createKey(alg);
+         const other = await createKey(alg);
+         const token = await jws.sign(claims(), other);
+
+         await expect(jws.verify(token, key, { issuer: ISSUER })).rejects.toThrow();
+      });
+   });
+
+   it("generates key pairs asynchronously", () => {
+      expect(jws.generateKeyPair("ES256")).toBeInstanceOf(Promise);
+   });
+
+   it("refuses unsupported algorithms", async () => {
+      await expect(jws.generateKeyPair("HS256")).rejects.toThrow(/Unsupported signing algorithm/);
+      const key = await createKey("ES256");
+      await expect(jws.sign(claims(), { ...key, alg: "none" })).rejects.toThrow(
+         /Unsupported signing algorithm/
+      );
+   });
+
+   it("only accepts the algorithm of the key", async () => {
+      const key = await createKey("ES256");
+      const token = await jws.sign(claims(), key);
+
+      await expect(
+         jws.verify(token, { alg: "RS256", publicKey: key.publicKey }, { issuer: ISSUER })
+      ).rejects.toThrow();
+   });
+
+   it("rejects a tampered payload", async () => {
+      const key = await createKey("EdDSA");
+      const [header, , signature] = (await jws.sign(claims(), key)).split(".");
+      const payload = Buffer.from(JSON.stringify(claims({ sub: "admin" }))).toString("base64url");
+
+      await expect(
+         jws.verify(`${header}.${payload}.${signature}`, key, { issuer: ISSUER })
+      ).rejects.toThrow();
+   });
+
+   it.each([
+      ["an expired token", claims({ exp: now() - 60 }), {}],
+      ["a token that is not valid yet", claims({ nbf: now() + 60 }), {}],
+      ["a token without exp", { iss: ISSUER, sub: "u1" }, {}],
+      ["another issuer", claims({ iss: "https://evil.example.com" }), {}],
+      ["another audience", claims(), { audience: "client_other" }],
+   ])("rejects %s", async (_, payload, options) => {
+      const key = await createKey("ES256");
+      const token = await jws.sign(payload, key);
+
+      await expect(jws.verify(token, key, { issuer: ISSUER, ...options })).rejects.toThrow();
+   });
+
+   it("accepts an expired token within the clock tolerance", async () => {
+      const key = await createKey("ES256");
+      const token = await jws.sign(claims({ exp: now() - 5 }), key);
+
+      await expect(
+         jws.verify(token, key, { issuer: ISSUER, clockTolerance: 30 })
+      ).resolves.toMatchObject({ sub: "u1" });
+   });
+
+   it("throws on a malformed token header", () => {
+      expect(() => jws.decodeHeader("not-a-token")).toThrow();
+   });
+});
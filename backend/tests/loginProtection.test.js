@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+// in-memory login_failures of one tenant
+const store = { failures: [] };
+
+const findFailure = (keyType, keyValue) =>
+   store.failures.find((row) => row.key_type === keyType && row.key_value === keyValue);
+
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      getLoginFailures: async (schema, email, ip) =>
+         store.failures.filter(
+            (row) =>
+               (row.key_type === "email" && row.key_value === email) ||
+               (row.key_type === "ip" && row.key_value === ip)
+         ),
+      // counting starts over once the window passed
+      recordLoginFailure: async (schema, keyType, keyValue, windowMinutes) => {
+         let row = findFailure(keyType, keyValue);
+         if (!row || row.last_failure_at < new Date(Date.now() - windowMinutes * 60_000)) {
+            store.failures = store.failures.filter((failure) => failure !== row);
+            row = { key_type: keyType, key_value: keyValue, failure_count: 0, locked_until: null };
+            store.failures.push(row);
+         }
+         row.failure_count += 1;
+         row.last_failure_at = new Date();
+         return row;
+      },
+      lockLoginKey: async (schema, keyType, keyValue, minutes) => {
+         findFailure(keyType, keyValue).locked_until = new Date(Date.now() + minutes * 60_000);
+      },
+      clearLoginFailures: async (schema, keyType, keyValue) => {
+         store.failures = store.failures.filter((row) => row !== findFailure(keyType, keyValue));
+      },
+   },
+}));
+
+const {
+   getLockoutPolicy,
+   assertLoginAllowed,
+   recordLoginFailure,
+   clearLoginFailures,
+} = await import("../src/services/loginProtectionService.js");
+
+const policy = {
+   maxAttempts: 3,
+   ipMaxAttempts: 5,
+   durationMinutes: 15,
+   backoffBaseSeconds: 1,
+   backoffMaxSeconds: 4,
+};
+const attempt = { email: "Ada@Example.com", ip: "203.0.113.7" };
+
+// a failed attempt, after waiting out the backoff of the previous one
+async function fail(schema = "client_acme", login = attempt) {
+   vi.advanceTimersByTime(policy.backoffMaxSeconds * 1000);
+   await recordLoginFailure(schema, login, policy);
+}
+
+describe("login protection", () => {
+   beforeEach(() => {
+      vi.useFakeTimers();
+      store.failures = [];
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   afterEach(() => {
+      vi.useRealTimers();
+   });
+
+   it("takes the thresholds of the client server over the defaults", () => {
+      expect(
+         getLockoutPolicy({ lockout_max_attempts: 10, lockout_duration_minutes: 60 })
+      ).toMatchObject({ maxAttempts: 10, durationMinutes: 60 });
+      expect(getLockoutPolicy(undefined).maxAttempts).toBeGreaterThan(0);
+   });
+
+   it("doubles the wait after every failure, up to the cap", async () => {
+      const waits = [];
+      for (let failures = 1; failures <= 4; failures++) {
+         store.failures = [
+            {
+               key_type: "ip",
+               key_value: attempt.ip,
+               failure_count: failures,
+               last_failure_at: new Date(),
+               locked_until: null,
+            },
+         ];
+         const error = await assertLoginAllowed("client_acme", attempt, policy).catch((e) => e);
+         expect(error).toMatchObject({ statusCode: 423, code: "LOGIN_THROTTLED" });
+         waits.push(error.retryAfter);
+      }
+
+      expect(waits).toEqual([1, 2, 4, 4]);
+   });
+
+   it("lets the next attempt through once the backoff passed", async () => {
+      await recordLoginFailure("client_acme", attempt, policy);
+      vi.advanceTimersByTime(1000);
+
+      await expect(assertLoginAllowed("client_acme", attempt, policy)).resolves.toBeUndefined();
+   });
+
+   it("locks the email after maxAttempts failures, whatever its case", async () => {
+      for (let i = 0; i < policy.maxAttempts; i++) {
+         await fail();
+      }
+      vi.advanceTimersByTime(policy.backoffMaxSeconds * 1000);
+
+      await expect(
+         assertLoginAllowed("client_acme", { email: "ada@example.com", ip: null }, policy)
+      ).rejects.toMatchObject({ code: "ACCOUNT_LOCKED", retryAfter: 15 * 60 - 4 });
+
+      vi.advanceTimersByTime(15 * 60 * 1000);
+      await expect(
+         assertLoginAllowed("client_acme", { email: "ada@example.com", ip: null }, policy)
+      ).resolves.toBeUndefined();
+   });
+
+   it("locks the IP across emails after ipMaxAttempts failures", async () => {
+      for (let i = 0; i < policy.ipMaxAttempts; i++) {
+         await fail("client_acme", { email: `user${i}@example.com`, ip: attempt.ip });
+      }
+      vi.advanceTimersByTime(policy.backoffMaxSeconds * 1000);
+
+      await expect(
+         assertLoginAllowed("client_acme", { email: "new@example.com", ip: attempt.ip }, policy)
+      ).rejects.toMatchObject({ code: "ACCOUNT_LOCKED" });
+      await expect(
+         assertLoginAllowed("client_acme", { email: "new@example.com", ip: "198.51.100.1" }, policy)
+      ).resolves.toBeUndefined();
+   });
+
+   it("clears the email counter on a completed login, not the IP counter", async () => {
+      await fail();
+      await fail();
+
+      await clearLoginFailures("client_acme", attempt.email);
+
+      expect(findFailure("email", "ada@example.com")).toBeUndefined();
+      expect(findFailure("ip", attempt.ip)).toMatchObject({ failure_count: 2 });
+   });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { randomUUID } from "crypto";
+
+// in-memory sessions table of one tenant, express_sid is UNIQUE as in the DDL
+const store = { sessions: [] };
+
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      createSession: async (schema, userId, { expressSid, expiresAt }) => {
+         if (store.sessions.some((row) => row.express_sid === expressSid)) {
+            const error = new Error("duplicate key value violates unique constraint");
+            error.code = "23505";
+            throw error;
+         }
+         const row = { id: randomUUID(), user_id: userId, express_sid: expressSid, expires_at: expiresAt };
+         store.sessions.push(row);
+         return row;
+      },
+      deleteSessionById: async (schema, id) => {
+         store.sessions = store.sessions.filter((row) => row.id !== id);
+      },
+   },
+}));
+vi.mock("../src/services/loginProtectionService.js", () => ({
+   getClientIp: () => "203.0.113.7",
+}));
+
+const { startLoginSession, recordLoginSession } = await import(
+   "../src/services/sessionService.js"
+);
+
+// express-session double: regenerate() replaces the data and the id
+function browser() {
+   const req = {
+      sessionID: "sid-1",
+      get: () => "Mozilla/5.0 (X11; Linux x86_64) Firefox/126.0",
+      session: {},
+   };
+   let next = 2;
+   const reset = () => {
+      req.session = {
+         cookie: { expires: new Date(Date.now() + 60_000) },
+         regenerate: (callback) => {
+            req.sessionID = `sid-${next++}`;
+            reset();
+            callback();
+         },
+      };
+   };
+   reset();
+   return req;
+}
+
+async function logIn(req, user) {
+   await startLoginSession(req, ["schema", "oauthRequest"]);
+   req.session.userId = user.id;
+   await recordLoginSession(req, user, "client_acme");
+}
+
+describe("login session", () => {
+   beforeEach(() => {
+      store.sessions = [];
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   it("logs in twice in the same browser", async () => {
+      const req = browser();
+
+      await logIn(req, { id: "u1" });
+      await expect(logIn(req, { id: "u1" })).resolves.toBeUndefined();
+
+      expect(store.sessions).toHaveLength(1);
+      expect(store.sessions[0].express_sid).toBe(req.sessionID);
+      expect(req.session.deviceSession.id).toBe(store.sessions[0].id);
+   });
+
+   it("changes the session id on login (session fixation)", async () => {
+      const req = browser();
+      const planted = req.sessionID;
+
+      await logIn(req, { id: "u1" });
+
+      expect(req.sessionID).not.toBe(planted);
+   });
+
+   it("drops the previous login and keeps only the listed values", async () => {
+      const req = browser();
+      await logIn(req, { id: "u1" });
+      req.session.schema = "client_acme";
+      req.session.oauthRequest = { clientId: "client_acme" };
+      req.session.mfaPending = { userId: "u1" };
+
+      await startLoginSession(req, ["schema", "oauthRequest"]);
+
+      expect(req.session.userId).toBeUndefined();
+      expect(req.session.mfaPending).toBeUndefined();
+      expect(req.session.schema).toBe("client_acme");
+      expect(req.session.oauthRequest).toEqual({ clientId: "client_acme" });
+      expect(store.sessions).toHaveLength(0);
+   });
+});
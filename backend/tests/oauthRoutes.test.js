@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import express from "express";
+import request from "supertest";
+import { OAuthError, errorHandler } from "../src/middleware/errorHandler.js";
+
+vi.mock("../src/services/oauthService.js", () => ({
+   authorize: vi.fn(async () => ({ redirectUrl: "https://app.example.com/cb?code=c" })),
+   resumeAuthorization: vi.fn(async () => ({ redirectUrl: "https://app.example.com/cb?code=c" })),
+   exchangeToken: vi.fn(async () => ({ access_token: "a", token_type: "Bearer" })),
+   introspectToken: vi.fn(async () => ({ active: false })),
+   revokeToken: vi.fn(async () => {}),
+   getUserInfo: vi.fn(async () => ({ sub: "u1" })),
+   getDiscoveryDocument: vi.fn(() => ({ issuer: "https://auth.example.com" })),
+}));
+vi.mock("../src/services/signingKeyService.js", () => ({
+   getJwks: vi.fn(async () => ({ keys: [] })),
+}));
+
+const { default: oauthRouter, wellKnownRouter } = await import("../src/routes/oauth.js");
+const oauthService = await import("../src/services/oauthService.js");
+
+const app = express();
+app.use("/oauth", oauthRouter);
+app.use("/.well-known", wellKnownRouter);
+app.use(errorHandler);
+
+describe("oauth routes", () => {
+   beforeEach(() => {
+      vi.clearAllMocks();
+      vi.spyOn(console, "error").mockImplementation(() => {});
+   });
+
+   it("redirects the authorization request", async () => {
+      const res = await request(app).get("/oauth/authorize?client_id=c");
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe("https://app.example.com/cb?code=c");
+   });
+
+   it("passes the form encoded token request and forbids caching", async () => {
+      const res = await request(app)
+         .post("/oauth/token")
+         .type("form")
+         .send({ grant_type: "authorization_code", code: "c" });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ access_token: "a", token_type: "Bearer" });
+      expect(res.headers["cache-control"]).toBe("no-store");
+      expect(oauthService.exchangeToken.mock.calls[0][0].body).toEqual({
+         grant_type: "authorization_code",
+         code: "c",
+      });
+   });
+
+   it("answers OAuth errors in the RFC 6749 format", async () => {
+      oauthService.exchangeToken.mockRejectedValueOnce(
+         new OAuthError("invalid_client", "Client authentication failed", 401)
+      );
+
+      const res = await request(app).post("/oauth/token").type("form").send({});
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual({
+         error: "invalid_client",
+         error_description: "Client authentication failed",
+      });
+   });
+
+   it("revokes with an empty body", async () => {
+      const res = await request(app).post("/oauth/revoke").type("form").send({ token: "t" });
+      expect(res.status).toBe(200);
+      expect(res.text).toBe("");
+   });
+
+   it.each(["get", "post"])("serves userinfo over %s", async (method) => {
+      const res = await request(app)[method]("/oauth/userinfo");
+      expect(res.body).toEqual({ sub: "u1" });
+      expect(res.headers["cache-control"]).toBe("no-store");
+   });
+
+   it("serves the key set and the discovery document cacheable", async () => {
+      const jwks = await request(app).get("/oauth/jwks.json");
+      expect(jwks.body).toEqual({ keys: [] });
+      expect(jwks.headers["cache-control"]).toBe("public, max-age=300");
+
+      const discovery = await request(app).get("/.well-known/openid-configuration");
+      expect(discovery.body).toEqual({ issuer: "https://auth.example.com" });
+      expect(discovery.headers["cache-control"]).toBe("public, max-age=300");
+   });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const CLIENTS = {
+   client_confidential: {
+      client_id: "client_confidential",
+      assigned_schema_name: "client_acme",
+      public_client: false,
+   },
+   client_public: {
+      client_id: "client_public",
+      assigned_schema_name: "client_acme",
+      public_client: true,
+   },
+};
+const SECRET = "s3cret";
+
+vi.mock("../src/middleware/schemaDetection.js", () => ({
+   POOL_CONTEXTS: {},
+   USER_ROLES: {},
+   setPoolContext: vi.fn(),
+}));
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      consumeAuthorizationCode: vi.fn(),
+      getUser: vi.fn(async (schema, id) => ({ id, email: "ada@example.com" })),
+   },
+}));
+vi.mock("../src/services/clientServerService.js", () => ({
+   getClientServerByClientId: vi.fn(async (clientId) => CLIENTS[clientId] ?? null),
+   issueClientCredentialsToken: vi.fn(async () => ({ access_token: "api-token" })),
+}));
+vi.mock("../src/services/clientSecretService.js", () => ({
+   verifyClientSecret: vi.fn(async (clientId, secret) => secret === SECRET),
+}));
+vi.mock("../src/services/refreshTokenService.js", () => ({
+   getActiveRefreshToken: vi.fn(),
+   issueRefreshToken: vi.fn(async () => ({ refreshToken: "new-refresh" })),
+   revokeRefreshToken: vi.fn(),
+   rotateRefreshToken: vi.fn(async () => ({
+      grant: { user_id: "u1", auth_time: null },
+      scope: "profile",
+      refreshToken: "rotated-refresh",
+   })),
+}));
+vi.mock("../src/services/tokenService.js", () => ({
+   signAccessToken: vi.fn(async () => ({ token: "access", expiresIn: 900 })),
+   signIdToken: vi.fn(async () => "id-token"),
+   verifyAccessToken: vi.fn(),
+   verifyBearerToken: vi.fn(),
+}));
+vi.mock("../src/services/consentService.js", () => ({}));
+vi.mock("../src/services/sessionService.js", () => ({}));
+vi.mock("../src/services/tokenRevocationService.js", () => ({}));
+vi.mock("../src/services/signingKeyService.js", () => ({ SIGNING_ALGORITHMS: [] }));
+vi.mock("../src/services/roleService.js", () => ({
+   getUserAuthorization: vi.fn(async () => ({ roles: [], permissions: [] })),
+}));
+
+const { exchangeToken } = await import("../src/services/oauthService.js");
+const { rotateRefreshToken } = await import("../src/services/refreshTokenService.js");
+
+function tokenRequest(body, authorization = null) {
+   return {
+      body,
+      get: (name) => (name.toLowerCase() === "authorization" ? authorization : undefined),
+   };
+}
+
+const basic = (clientId, secret) =>
+   `Basic ${Buffer.from(`${clientId}:${secret}`).toString("base64")}`;
+
+describe("token endpoint client authentication", () => {
+   beforeEach(() => {
+      vi.clearAllMocks();
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   describe("confidential client", () => {
+      it("refuses a request without a client secret", async () => {
+         await expect(
+            exchangeToken(
+               tokenRequest({
+                  grant_type: "refresh_token",
+                  client_id: "client_confidential",
+                  refresh_token: "stolen",
+               })
+            )
+         ).rejects.toMatchObject({ error: "invalid_client", statusCode: 401 });
+         expect(rotateRefreshToken).not.toHaveBeenCalled();
+      });
+
+      it("refuses a wrong client secret", async () => {
+         await expect(
+            exchangeToken(
+               tokenRequest(
+                  { grant_type: "refresh_token", refresh_token: "r" },
+                  basic("client_confidential", "wrong")
+               )
+            )
+         ).rejects.toMatchObject({ error: "invalid_client" });
+         expect(rotateRefreshToken).not.toHaveBeenCalled();
+      });
+
+      it("refreshes with the client secret", async () => {
+         const result = await exchangeToken(
+            tokenRequest(
+               { grant_type: "refresh_token", refresh_token: "r" },
+               basic("client_confidential", SECRET)
+            )
+         );
+
+         expect(result).toMatchObject({ access_token: "access", refresh_token: "rotated-refresh" });
+         expect(rotateRefreshToken).toHaveBeenCalledWith(
+            expect.objectContaining({ refreshToken: "r", clientServer: CLIENTS.client_confidential })
+         );
+      });
+   });
+
+   describe("public client", () => {
+      it("refreshes with client_id alone", async () => {
+         const result = await exchangeToken(
+            tokenRequest({ grant_type: "refresh_token", client_id: "client_public", refresh_token: "r" })
+         );
+         expect(result.refresh_token).toBe("rotated-refresh");
+      });
+
+      it("still needs a secret for client_credentials", async () => {
+         await expect(
+            exchangeToken(tokenRequest({ grant_type: "client_credentials", client_id: "client_public" }))
+         ).rejects.toMatchObject({ error: "invalid_client" });
+      });
+
+      it("is refused a wrong secret when it sends one", async () => {
+         await expect(
+            exchangeToken(
+               tokenRequest({
+                  grant_type: "refresh_token",
+                  client_id: "client_public",
+                  client_secret: "wrong",
+                  refresh_token: "r",
+               })
+            )
+         ).rejects.toMatchObject({ error: "invalid_client" });
+      });
+   });
+
+   it("refuses an unknown client", async () => {
+      await expect(
+         exchangeToken(tokenRequest({ grant_type: "refresh_token", client_id: "client_unknown" }))
+      ).rejects.toMatchObject({ error: "invalid_client" });
+   });
+});
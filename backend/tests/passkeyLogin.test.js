@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// in-memory login_failures of one tenant
+const store = { failures: [] };
+
+const findFailure = (keyType, keyValue) =>
+   store.failures.find((row) => row.key_type === keyType && row.key_value === keyValue);
+
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      getLoginFailures: async (schema, email, ip) =>
+         store.failures.filter(
+            (row) =>
+               (row.key_type === "email" && row.key_value === email) ||
+               (row.key_type === "ip" && row.key_value === ip)
+         ),
+      recordLoginFailure: async (schema, keyType, keyValue) => {
+         let row = findFailure(keyType, keyValue);
+         if (!row) {
+            row = { key_type: keyType, key_value: keyValue, failure_count: 0, locked_until: null };
+            store.failures.push(row);
+         }
+         row.failure_count += 1;
+         row.last_failure_at = new Date();
+         return row;
+      },
+      lockLoginKey: async (schema, keyType, keyValue, minutes) => {
+         findFailure(keyType, keyValue).locked_until = new Date(Date.now() + minutes * 60_000);
+      },
+      clearLoginFailures: async () => {},
+   },
+}));
+
+const ADA = { id: "u1", name: "Ada", email: "ada@example.com", role: "user" };
+const tenant = { poolContext: "client_tenant", schema: "client_acme", metadata: {} };
+
+vi.mock("../src/services/webauthnService.js", async () => {
+   const { AuthError } = await import("../src/middleware/errorHandler.js");
+   return {
+      getPendingAuthentication: vi.fn(async (req) => ({
+         tenant,
+         user: req.body.credential.id === "ada-key" ? ADA : null,
+      })),
+      verifyAuthentication: vi.fn(async () => {
+         throw new AuthError("Invalid passkey");
+      }),
+   };
+});
+vi.mock("../src/services/clientServerService.js", () => ({
+   getClientServerBySchema: async () => ({ assigned_schema_name: "client_acme" }),
+   getPasswordPolicy: () => ({}),
+}));
+vi.mock("../src/services/mfaService.js", () => ({}));
+vi.mock("../src/services/sessionService.js", () => ({}));
+vi.mock("../src/services/oauthService.js", () => ({}));
+vi.mock("../src/services/roleService.js", () => ({}));
+vi.mock("../src/middleware/schemaDetection.js", () => ({}));
+
+const { loginWithPasskey } = await import("../src/services/auth.js");
+const { verifyAuthentication } = await import("../src/services/webauthnService.js");
+
+const passkeyLogin = (credentialId) => ({
+   ip: "203.0.113.7",
+   body: { credential: { id: credentialId } },
+   session: {},
+});
+
+describe("passkey login lockout", () => {
+   beforeEach(() => {
+      store.failures = [];
+      vi.clearAllMocks();
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   it("refuses a locked account before the assertion is verified", async () => {
+      store.failures.push({
+         key_type: "email",
+         key_value: "ada@example.com",
+         failure_count: 5,
+         last_failure_at: new Date(),
+         locked_until: new Date(Date.now() + 60_000),
+      });
+
+      await expect(loginWithPasskey(passkeyLogin("ada-key"))).rejects.toMatchObject({
+         statusCode: 423,
+         code: "ACCOUNT_LOCKED",
+      });
+      expect(verifyAuthentication).not.toHaveBeenCalled();
+   });
+
+   it("refuses a locked IP for unknown credentials too", async () => {
+      store.failures.push({
+         key_type: "ip",
+         key_value: "203.0.113.7",
+         failure_count: 20,
+         last_failure_at: new Date(),
+         locked_until: new Date(Date.now() + 60_000),
+      });
+
+      await expect(loginWithPasskey(passkeyLogin("unknown-key"))).rejects.toMatchObject({
+         code: "ACCOUNT_LOCKED",
+      });
+      expect(verifyAuthentication).not.toHaveBeenCalled();
+   });
+
+   it("counts a rejected assertion as a failed login of the passkey's owner", async () => {
+      await expect(loginWithPasskey(passkeyLogin("ada-key"))).rejects.toMatchObject({
+         statusCode: 401,
+      });
+
+      expect(findFailure("email", "ada@example.com")).toMatchObject({ failure_count: 1 });
+      expect(findFailure("ip", "203.0.113.7")).toMatchObject({ failure_count: 1 });
+
+      // the next attempt waits for the backoff
+      await expect(loginWithPasskey(passkeyLogin("ada-key"))).rejects.toMatchObject({
+         code: "LOGIN_THROTTLED",
+      });
+   });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const ADA = { id: "u1", name: "Ada", email: "ada@example.com", password_hash: "old" };
+
+// in-memory password_reset_tokens of one tenant
+const store = { tokens: [], passwordHash: null };
+
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      getUserByEmail: async (schema, email) => (email === ADA.email ? ADA : undefined),
+      getUser: async (schema, id) => (id === ADA.id ? ADA : undefined),
+      createPasswordResetToken: async (schema, token) => {
+         store.tokens.push({ ...token, used_at: null });
+      },
+      // single use: only an unused, unexpired token
+      consumePasswordResetToken: async (schema, tokenHash) => {
+         const row = store.tokens.find(
+            (token) =>
+               token.token_hash === tokenHash && !token.used_at && token.expires_at > new Date()
+         );
+         if (row) {
+            row.used_at = new Date();
+         }
+         return row;
+      },
+      invalidatePasswordResetTokens: async (schema, userId) => {
+         for (const token of store.tokens) {
+            if (token.user_id === userId && !token.used_at) {
+               token.used_at = new Date();
+            }
+         }
+      },
+      updateUserPassword: async (schema, id, passwordHash) => {
+         store.passwordHash = passwordHash;
+      },
+   },
+}));
+vi.mock("../src/services/clientServerService.js", () => ({
+   getPasswordPolicyForSchema: async () => ({ algorithm: "bcrypt", params: { cost: 4 } }),
+}));
+vi.mock("../src/services/mailService.js", () => ({ sendMail: vi.fn(async () => {}) }));
+vi.mock("../src/services/sessionService.js", () => ({ revokeUserSessions: vi.fn(async () => {}) }));
+vi.mock("../src/services/refreshTokenService.js", () => ({
+   revokeUserRefreshTokens: vi.fn(async () => {}),
+}));
+
+const { forgotPassword, resetPassword } = await import("../src/services/passwordResetService.js");
+const { sendMail } = await import("../src/services/mailService.js");
+const { revokeUserSessions } = await import("../src/services/sessionService.js");
+const { revokeUserRefreshTokens } = await import("../src/services/refreshTokenService.js");
+
+const selectedTenant = {
+   poolContext: "client_tenant",
+   schema: "client_acme",
+   metadata: { client_id: "client_acme" },
+};
+const request = (body) => ({ body, selectedTenant, session: {} });
+
+// token of the newest mailed reset link
+async function requestReset() {
+   await forgotPassword(request({ email: ADA.email }));
+   const link = sendMail.mock.calls.at(-1)[0].text.match(/https?:\/\/\S+/)[0];
+   return new URL(link).searchParams.get("token");
+}
+
+describe("password reset", () => {
+   beforeEach(() => {
+      vi.clearAllMocks();
+      store.tokens = [];
+      store.passwordHash = null;
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   it("stores only the hash of the mailed token", async () => {
+      const token = await requestReset();
+
+      expect(store.tokens).toHaveLength(1);
+      expect(store.tokens[0].token_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(store.tokens[0].token_hash).not.toBe(token);
+   });
+
+   it("answers the same for an unknown email without mailing", async () => {
+      const known = await forgotPassword(request({ email: ADA.email }));
+      const unknown = await forgotPassword(request({ email: "eve@example.com" }));
+
+      expect(unknown).toEqual(known);
+      expect(sendMail).toHaveBeenCalledTimes(1);
+   });
+
+   it("resets the password once and ends every session of the user", async () => {
+      const token = await requestReset();
+
+      await resetPassword(request({ token, password: "new password" }));
+
+      expect(store.passwordHash).toMatch(/^\$2b\$04\$/);
+      expect(revokeUserSessions).toHaveBeenCalledWith(expect.anything(), "client_acme", "u1");
+      expect(revokeUserRefreshTokens).toHaveBeenCalledWith("client_acme", "u1");
+
+      await expect(
+         resetPassword(request({ token, password: "another password" }))
+      ).rejects.toMatchObject({ statusCode: 400 });
+   });
+
+   it("refuses an expired token", async () => {
+      const token = await requestReset();
+      store.tokens[0].expires_at = new Date(Date.now() - 1000);
+
+      await expect(resetPassword(request({ token, password: "new password" }))).rejects.toMatchObject({
+         statusCode: 400,
+      });
+      expect(store.passwordHash).toBeNull();
+   });
+
+   it("invalidates the previous link when a new one is requested", async () => {
+      const first = await requestReset();
+      const second = await requestReset();
+
+      await expect(
+         resetPassword(request({ token: first, password: "new password" }))
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+         resetPassword(request({ token: second, password: "new password" }))
+      ).resolves.toMatchObject({ message: "Password has been reset" });
+   });
+});
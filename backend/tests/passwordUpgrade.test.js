@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import bcrypt from "bcrypt";
+
+// one user of the tenant client_acme, password "secret"
+const store = { user: null };
+
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      getUserByEmail: async (schema, email) =>
+         email === store.user.email ? { ...store.user } : undefined,
+      updateUserPassword: vi.fn(async (schema, id, passwordHash) => {
+         store.user.password_hash = passwordHash;
+      }),
+   },
+}));
+vi.mock("../src/services/clientServerService.js", () => ({
+   getClientServerBySchema: async () => ({ assigned_schema_name: "client_acme" }),
+   getPasswordPolicy: () => ({ algorithm: "bcrypt", params: { cost: 4 } }),
+}));
+vi.mock("../src/services/emailVerificationService.js", () => ({
+   isEmailVerificationRequired: () => false,
+}));
+vi.mock("../src/services/mfaService.js", () => ({ getEnabledMethods: async () => [] }));
+vi.mock("../src/services/webauthnService.js", () => ({}));
+vi.mock("../src/services/loginProtectionService.js", () => ({
+   assertLoginAllowed: async () => {},
+   clearLoginFailures: async () => {},
+   recordLoginFailure: async () => {},
+   getClientIp: () => "203.0.113.7",
+   getLockoutPolicy: () => ({}),
+}));
+vi.mock("../src/services/sessionService.js", () => ({
+   startLoginSession: async () => {},
+   recordLoginSession: async () => {},
+}));
+vi.mock("../src/services/oauthService.js", () => ({ hasPendingAuthorization: () => false }));
+vi.mock("../src/services/roleService.js", () => ({}));
+vi.mock("../src/middleware/schemaDetection.js", () => ({ setSessionTenant: vi.fn() }));
+
+const { login } = await import("../src/services/auth.js");
+const { default: repo } = await import("../src/repo/userRepository.js");
+
+const loginRequest = (password) => ({
+   body: { credentials: { email: "ada@example.com", password } },
+   selectedTenant: { poolContext: "client_tenant", schema: "client_acme", metadata: {} },
+   session: {},
+});
+
+describe("password upgrade on login", () => {
+   beforeEach(() => {
+      vi.clearAllMocks();
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   it("replaces a legacy plaintext password with a bcrypt hash", async () => {
+      store.user = { id: "u1", email: "ada@example.com", role: "user", password_hash: "secret" };
+
+      const response = await login(loginRequest("secret"));
+
+      expect(response.data).not.toHaveProperty("password_hash");
+      expect(repo.updateUserPassword).toHaveBeenCalledTimes(1);
+      expect(store.user.password_hash).toMatch(/^\$2b\$04\$/);
+      await expect(bcrypt.compare("secret", store.user.password_hash)).resolves.toBe(true);
+
+      // the upgraded row logs in without another rehash
+      await login(loginRequest("secret"));
+      expect(repo.updateUserPassword).toHaveBeenCalledTimes(1);
+   });
+
+   it("rehashes a bcrypt hash of another cost", async () => {
+      store.user = {
+         id: "u1",
+         email: "ada@example.com",
+         role: "user",
+         password_hash: await bcrypt.hash("secret", 5),
+      };
+
+      await login(loginRequest("secret"));
+
+      expect(store.user.password_hash).toMatch(/^\$2b\$04\$/);
+   });
+
+   it("leaves the row alone when the password is wrong", async () => {
+      store.user = { id: "u1", email: "ada@example.com", role: "user", password_hash: "secret" };
+
+      await expect(login(loginRequest("Secret"))).rejects.toMatchObject({ statusCode: 401 });
+
+      expect(repo.updateUserPassword).not.toHaveBeenCalled();
+      expect(store.user.password_hash).toBe("secret");
+   });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import pkce, {
+   createCodeChallenge,
+   isValidCodeChallenge,
+   isValidCodeVerifier,
+   verifyCodeChallenge,
+} from "../src/utils/pkce.js";
+
+// RFC 7636 appendix B
+const VERIFIER = "dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk";
+const CHALLENGE = "E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM";
+
+describe("pkce", () => {
+   it("derives the S256 challenge of RFC 7636 appendix B", () => {
+      expect(createCodeChallenge(VERIFIER)).toBe(CHALLENGE);
+      expect(isValidCodeChallenge(CHALLENGE)).toBe(true);
+   });
+
+   it("verifies the matching verifier", () => {
+      expect(verifyCodeChallenge(VERIFIER, CHALLENGE, "S256")).toBe(true);
+      expect(verifyCodeChallenge(VERIFIER, CHALLENGE)).toBe(true);
+   });
+
+   it("rejects another verifier, method or challenge", () => {
+      const other = `${VERIFIER.slice(0, -1)}Y`;
+
+      expect(verifyCodeChallenge(other, CHALLENGE)).toBe(false);
+      expect(verifyCodeChallenge(VERIFIER, CHALLENGE, "plain")).toBe(false);
+      // plain would compare the verifier itself
+      expect(verifyCodeChallenge(VERIFIER, VERIFIER, "plain")).toBe(false);
+      expect(verifyCodeChallenge(VERIFIER, `${CHALLENGE}A`)).toBe(false);
+      expect(verifyCodeChallenge(VERIFIER, "")).toBe(false);
+      expect(verifyCodeChallenge(VERIFIER, null)).toBe(false);
+   });
+
+   it.each([
+      ["42 characters", "a".repeat(42), false],
+      ["43 characters", "a".repeat(43), true],
+      ["128 characters", "a".repeat(128), true],
+      ["129 characters", "a".repeat(129), false],
+      ["unreserved characters", `${"a".repeat(40)}-._~`, true],
+      ["reserved characters", `${"a".repeat(42)}+`, false],
+      ["a non-string", 12345, false],
+   ])("checks the verifier format: %s", (_, verifier, valid) => {
+      expect(isValidCodeVerifier(verifier)).toBe(valid);
+   });
+
+   it("refuses a verifier of invalid format even when it hashes to the challenge", () => {
+      const short = "a".repeat(42);
+      expect(verifyCodeChallenge(short, createCodeChallenge(short))).toBe(false);
+   });
+
+   it("checks the challenge format", () => {
+      expect(isValidCodeChallenge(CHALLENGE.slice(1))).toBe(false);
+      expect(isValidCodeChallenge(`${CHALLENGE.slice(1)}=`)).toBe(false);
+      expect(isValidCodeChallenge(undefined)).toBe(false);
+   });
+
+   it("only supports S256", () => {
+      expect(pkce.CODE_CHALLENGE_METHODS).toEqual(["S256"]);
+   });
+});
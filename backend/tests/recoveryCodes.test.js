@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.hoisted(() => {
+   process.env.ENCRYPTION_KEY = "recovery-code-test-key";
+});
+
+// in-memory second factors of one tenant
+const store = { user: null, totp: null, recoveryCodes: [] };
+
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      getUser: async (schema, id) => (store.user?.id === id ? store.user : null),
+      getUserTotp: async () => store.totp,
+      countRemainingRecoveryCodes: async () =>
+         store.recoveryCodes.filter((code) => !code.used_at).length,
+      replaceRecoveryCodes: async (schema, userId, hashes) => {
+         store.recoveryCodes = hashes.map((code_hash) => ({ code_hash, used_at: null }));
+      },
+      consumeRecoveryCode: async (schema, userId, codeHash) => {
+         const code = store.recoveryCodes.find(
+            (candidate) => candidate.code_hash === codeHash && !candidate.used_at
+         );
+         if (!code) {
+            return undefined;
+         }
+         code.used_at = new Date();
+         return code;
+      },
+   },
+}));
+vi.mock("../src/services/clientServerService.js", () => ({
+   getClientServerBySchema: async () => ({}),
+   getPasswordPolicy: () => ({ algorithm: "bcrypt", params: { cost: 4 } }),
+}));
+
+const hashing = (await import("../src/utils/hashing.js")).default;
+const { encrypt } = await import("../src/utils/encryption.js");
+const { hashToken } = await import("../src/utils/tokens.js");
+const { regenerateRecoveryCodes, verifyLoginCode, getEnabledMethods } = await import(
+   "../src/services/mfaService.js"
+);
+
+const SCHEMA = "acme";
+const request = (password = "correct horse") => ({
+   session: { schema: SCHEMA, userId: "u1" },
+   body: { password },
+});
+
+async function issueCodes() {
+   const { data } = await regenerateRecoveryCodes(request());
+   return data.recoveryCodes;
+}
+
+describe("recovery codes", () => {
+   beforeEach(async () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      store.user = {
+         id: "u1",
+         email: "ada@example.com",
+         password_hash: await hashing.hash("correct horse", {
+            algorithm: "bcrypt",
+            params: { cost: 4 },
+         }),
+      };
+      store.totp = {
+         secret_encrypted: encrypt("JBSWY3DPEHPK3PXP", SCHEMA),
+         enabled_at: new Date(),
+         last_used_step: null,
+      };
+      store.recoveryCodes = [];
+   });
+
+   it("issues ten distinct 80 bit codes and stores only their hashes", async () => {
+      const codes = await issueCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      for (const code of codes) {
+         expect(code).toMatch(/^[A-Z2-7]{4}(-[A-Z2-7]{4}){3}$/);
+      }
+      expect(store.recoveryCodes.map((code) => code.code_hash)).toEqual(
+         codes.map((code) => hashToken(code.replace(/-/g, "")))
+      );
+   });
+
+   it("accepts a code once, in any case and with or without dashes", async () => {
+      const [code] = await issueCodes();
+      const typed = code.toLowerCase().replace(/-/g, " ");
+
+      expect(await verifyLoginCode(SCHEMA, "u1", typed)).toEqual({
+         valid: true,
+         method: "recovery_code",
+         remainingRecoveryCodes: 9,
+      });
+      expect(await verifyLoginCode(SCHEMA, "u1", code)).toEqual({
+         valid: false,
+         method: null,
+      });
+   });
+
+   it("rejects unknown codes and codes of the wrong length", async () => {
+      await issueCodes();
+
+      expect((await verifyLoginCode(SCHEMA, "u1", "AAAA-AAAA-AAAA-AAAA")).valid).toBe(false);
+      expect((await verifyLoginCode(SCHEMA, "u1", "AAAA-AAAA")).valid).toBe(false);
+      expect((await verifyLoginCode(SCHEMA, "u1", "")).valid).toBe(false);
+   });
+
+   it("invalidates the previous set on regeneration", async () => {
+      const [oldCode] = await issueCodes();
+      const [newCode] = await issueCodes();
+
+      expect((await verifyLoginCode(SCHEMA, "u1", oldCode)).valid).toBe(false);
+      expect((await verifyLoginCode(SCHEMA, "u1", newCode)).valid).toBe(true);
+   });
+
+   it("requires the current password to regenerate", async () => {
+      await expect(regenerateRecoveryCodes(request("wrong horse"))).rejects.toThrow(
+         "Invalid password"
+      );
+      await expect(regenerateRecoveryCodes(request(""))).rejects.toThrow(
+         "Password is required"
+      );
+      expect(store.recoveryCodes).toEqual([]);
+   });
+
+   it("stops offering recovery codes once all are used", async () => {
+      const codes = await issueCodes();
+      expect(await getEnabledMethods(SCHEMA, "u1")).toEqual(["totp", "recovery_code"]);
+
+      for (const code of codes) {
+         await verifyLoginCode(SCHEMA, "u1", code);
+      }
+      expect(await getEnabledMethods(SCHEMA, "u1")).toEqual(["totp"]);
+   });
+
+   it("are not accepted without TOTP enabled", async () => {
+      const [code] = await issueCodes();
+      store.totp = null;
+
+      expect(await verifyLoginCode(SCHEMA, "u1", code)).toEqual({ valid: false, method: null });
+   });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { randomUUID } from "crypto";
+
+// in-memory oauth_refresh_tokens of one tenant
+const store = { tokens: [] };
+
+const isActive = (token) =>
+   !token.used_at && !token.revoked_at && token.expires_at.getTime() > Date.now();
+
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      createRefreshToken: async (
+         schema,
+         { tokenHash, familyId, clientId, userId, scope, authTime, expiresAt }
+      ) => {
+         const row = {
+            id: randomUUID(),
+            token_hash: tokenHash,
+            family_id: familyId || randomUUID(),
+            client_id: clientId,
+            user_id: userId,
+            scope,
+            auth_time: authTime,
+            expires_at: expiresAt,
+            used_at: null,
+            revoked_at: null,
+            created_at: new Date(),
+         };
+         store.tokens.push(row);
+         return row;
+      },
+      getRefreshTokenByHash: async (schema, tokenHash) =>
+         store.tokens.find((token) => token.token_hash === tokenHash),
+      consumeRefreshToken: async (schema, tokenHash) => {
+         const token = store.tokens.find(
+            (candidate) => candidate.token_hash === tokenHash && isActive(candidate)
+         );
+         if (!token) {
+            return undefined;
+         }
+         token.used_at = new Date();
+         return token;
+      },
+      revokeRefreshTokenFamily: async (schema, familyId) => {
+         const revoked = store.tokens.filter(
+            (token) => token.family_id === familyId && !token.revoked_at
+         );
+         revoked.forEach((token) => (token.revoked_at = new Date()));
+         return revoked.map(({ id }) => ({ id }));
+      },
+   },
+}));
+
+const { issueRefreshToken, rotateRefreshToken, getActiveRefreshToken } = await import(
+   "../src/services/refreshTokenService.js"
+);
+
+const clientServer = {
+   client_id: "client_acme",
+   assigned_schema_name: "client_acme",
+   refresh_token_ttl_days: 30,
+};
+
+const rotate = (refreshToken, options = {}) =>
+   rotateRefreshToken({ clientServer, refreshToken, ...options });
+
+describe("refreshTokenService", () => {
+   let first;
+
+   beforeEach(async () => {
+      store.tokens = [];
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      ({ refreshToken: first } = await issueRefreshToken({
+         clientServer,
+         userId: "u1",
+         scope: "openid profile",
+      }));
+   });
+
+   it("rotates a token within its family", async () => {
+      const rotated = await rotate(first);
+
+      expect(rotated.grant).toMatchObject({ user_id: "u1", scope: "openid profile" });
+      expect(rotated.refreshToken).not.toBe(first);
+      expect(new Set(store.tokens.map((token) => token.family_id)).size).toBe(1);
+      expect(await getActiveRefreshToken({ clientServer, refreshToken: first })).toBeNull();
+      expect(
+         await getActiveRefreshToken({ clientServer, refreshToken: rotated.refreshToken })
+      ).not.toBeNull();
+   });
+
+   it("only stores the hash of the token", () => {
+      expect(store.tokens[0].token_hash).not.toBe(first);
+      expect(JSON.stringify(store.tokens)).not.toContain(first);
+   });
+
+   describe("reuse detection", () => {
+      it("revokes the whole family when a consumed token is presented again", async () => {
+         const { refreshToken: second } = await rotate(first);
+
+         await expect(rotate(first)).rejects.toMatchObject({ error: "invalid_grant" });
+
+         expect(store.tokens.every((token) => token.revoked_at)).toBe(true);
+         await expect(rotate(second)).rejects.toMatchObject({ error: "invalid_grant" });
+      });
+
+      it("leaves other families alone", async () => {
+         const { refreshToken: other } = await issueRefreshToken({ clientServer, userId: "u2" });
+         await rotate(first);
+
+         await expect(rotate(first)).rejects.toMatchObject({ error: "invalid_grant" });
+         await expect(rotate(other)).resolves.toMatchObject({ grant: { user_id: "u2" } });
+      });
+
+      it("does not revoke the family for an expired token", async () => {
+         const { refreshToken: second } = await rotate(first);
+         store.tokens[0].expires_at = new Date(Date.now() - 1000);
+
+         await expect(rotate(first)).rejects.toMatchObject({ error: "invalid_grant" });
+         await expect(rotate(second)).resolves.toBeDefined();
+      });
+   });
+
+   it("rejects the token of another client without consuming it", async () => {
+      const other = { ...clientServer, client_id: "client_other" };
+
+      await expect(
+         rotateRefreshToken({ clientServer: other, refreshToken: first })
+      ).rejects.toMatchObject({ error: "invalid_grant" });
+      await expect(rotate(first)).resolves.toBeDefined();
+   });
+
+   it("rejects a wider scope without consuming the token", async () => {
+      await expect(rotate(first, { scope: "openid profile email" })).rejects.toMatchObject({
+         error: "invalid_scope",
+      });
+
+      const rotated = await rotate(first, { scope: "openid" });
+      expect(rotated.scope).toBe("openid");
+      expect(rotated.grant.scope).toBe("openid profile");
+   });
+
+   it("rejects unknown and missing tokens", async () => {
+      await expect(rotate("unknown")).rejects.toMatchObject({ error: "invalid_grant" });
+      await expect(rotate(undefined)).rejects.toMatchObject({ error: "invalid_request" });
+   });
+});
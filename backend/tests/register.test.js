@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import * as queries from "../src/repo/connection/queries.js";
+
+// tenant pool double - answers the queries of a registration
+const pool = {
+   query: vi.fn(async (sql, params) => {
+      if (sql === queries.createUser) {
+         const [id, name, role, email, password_hash] = params;
+         return { rows: [{ id, name, role, email, password_hash }] };
+      }
+      if (sql === queries.createEmailVerificationToken) {
+         const [id, user_id, token_hash, email, expires_at] = params;
+         if (!user_id) {
+            throw new Error('null value in column "user_id" violates not-null constraint');
+         }
+         return { rows: [{ id, user_id, token_hash, email, expires_at }] };
+      }
+      return { rows: [] };
+   }),
+   connect: async () => ({ query: pool.query, release: () => {} }),
+};
+
+vi.mock("../src/repo/connection/pools/clientServers.js", () => ({
+   getPoolForSchema: async () => pool,
+}));
+vi.mock("../src/services/clientServerService.js", () => ({
+   getClientServerBySchema: async () => ({
+      password_hash_algorithm: "bcrypt",
+      password_hash_params: { cost: 4 },
+      require_email_verification: true,
+   }),
+   getPasswordPolicy: (clientServer) => ({
+      algorithm: clientServer.password_hash_algorithm,
+      params: clientServer.password_hash_params,
+   }),
+}));
+vi.mock("../src/services/mailService.js", () => ({ sendMail: vi.fn(async () => {}) }));
+// collaborators of the other auth flows
+vi.mock("../src/services/mfaService.js", () => ({}));
+vi.mock("../src/services/webauthnService.js", () => ({}));
+vi.mock("../src/services/loginProtectionService.js", () => ({}));
+vi.mock("../src/services/sessionService.js", () => ({}));
+vi.mock("../src/services/oauthService.js", () => ({}));
+vi.mock("../src/services/roleService.js", () => ({}));
+vi.mock("../src/middleware/schemaDetection.js", () => ({ setSessionTenant: vi.fn() }));
+
+const { register } = await import("../src/services/auth.js");
+const { sendMail } = await import("../src/services/mailService.js");
+
+const registration = () => ({
+   body: { name: "Ada", email: "ada@example.com", password: "correct horse" },
+   // selectClientTenant
+   schema: "acme",
+   selectedTenant: {
+      poolContext: "client_tenant",
+      schema: "acme",
+      metadata: { client_id: "client_acme", return_url: "https://app.example.com/" },
+   },
+   // tenant an earlier request left in the session
+   session: { schema: "other" },
+});
+
+describe("register", () => {
+   beforeEach(() => {
+      vi.clearAllMocks();
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   it("stores the verification token for the created user", async () => {
+      const result = await register(registration());
+
+      const [, [userId]] = pool.query.mock.calls.find(([sql]) => sql === queries.createUser);
+      const [, tokenParams] = pool.query.mock.calls.find(
+         ([sql]) => sql === queries.createEmailVerificationToken
+      );
+
+      expect(result.data).toEqual({ userId, emailVerificationRequired: true });
+      expect(userId).toEqual(expect.any(String));
+      expect(tokenParams[1]).toBe(userId);
+      expect(tokenParams[3]).toBe("ada@example.com");
+      expect(sendMail).toHaveBeenCalledWith(
+         expect.objectContaining({ to: "ada@example.com" })
+      );
+   });
+
+   it("mails a verification link that selects the client", async () => {
+      await register(registration());
+
+      const [{ text }] = sendMail.mock.calls[0];
+      const link = new URL(text.match(/https?:\/\/\S+verify-email\S*/)[0]);
+      expect(link.searchParams.get("client_id")).toBe("client_acme");
+      expect(link.searchParams.get("return_url")).toBe("https://app.example.com/");
+   });
+
+   it("invalidates the previous links of the created user", async () => {
+      await register(registration());
+
+      const [, [userId]] = pool.query.mock.calls.find(([sql]) => sql === queries.createUser);
+      expect(pool.query).toHaveBeenCalledWith(
+         queries.invalidateEmailVerificationTokensByUserId,
+         [userId]
+      );
+   });
+
+   it("refuses a request that selected no client, whatever the session holds", async () => {
+      const request = registration();
+      delete request.schema;
+      delete request.selectedTenant;
+
+      await expect(register(request)).rejects.toMatchObject({
+         statusCode: 400,
+         code: "INVALID_CLIENT",
+      });
+      expect(pool.query).not.toHaveBeenCalledWith(queries.createUser, expect.anything());
+   });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from "vitest";
+import jws from "../src/utils/jws.js";
+import * as queries from "../src/repo/connection/queries.js";
+import * as roleRepo from "../src/repo/repositories/roleRepository.js";
+
+const ADA = { id: "u1", name: "Ada", email: "ada@example.com", role: "user" };
+const AUTHORIZATION = { roles: ["billing"], permissions: ["invoices:read", "invoices:write"] };
+
+const keys = {};
+
+vi.mock("../src/services/signingKeyService.js", () => ({
+   getSigningKey: async () => keys.current,
+   getVerificationKey: async (kid) => (kid === keys.current.kid ? keys.current : null),
+}));
+vi.mock("../src/services/tokenRevocationService.js", () => ({
+   isTokenRevoked: async () => false,
+}));
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      getUser: async (schema, userId) => (userId === ADA.id ? ADA : undefined),
+      getUserAuthorization: async () => ({ ...AUTHORIZATION, extra: "column" }),
+   },
+}));
+// collaborators of the login flows
+vi.mock("../src/services/clientServerService.js", () => ({}));
+vi.mock("../src/services/emailVerificationService.js", () => ({}));
+vi.mock("../src/services/mfaService.js", () => ({}));
+vi.mock("../src/services/webauthnService.js", () => ({}));
+vi.mock("../src/services/loginProtectionService.js", () => ({}));
+vi.mock("../src/services/sessionService.js", () => ({}));
+vi.mock("../src/services/oauthService.js", () => ({}));
+vi.mock("../src/middleware/schemaDetection.js", () => ({}));
+
+const tokenService = await import("../src/services/tokenService.js");
+const { getCurrentUser } = await import("../src/services/auth.js");
+
+const clientServer = { client_id: "client_acme", assigned_schema_name: "client_acme" };
+
+// pool double recording the statements of its connections
+function recordingPool({ failOn = null } = {}) {
+   const statements = [];
+   const client = {
+      query: vi.fn(async (sql, params) => {
+         statements.push(sql);
+         if (sql === failOn) {
+            throw new Error("insert failed");
+         }
+         return { rows: sql === queries.createRole ? [{ id: params[0], name: params[1] }] : [] };
+      }),
+      release: vi.fn(),
+   };
+   return { statements, client, pool: { connect: async () => client, query: client.query } };
+}
+
+describe("role repository", () => {
+   it("creates the role and its permissions in one transaction", async () => {
+      const { statements, client, pool } = recordingPool();
+
+      const role = await roleRepo.createRole(pool, {
+         id: "r1",
+         name: "billing",
+         description: null,
+         permissionNames: ["invoices:read"],
+      });
+
+      expect(role).toEqual({ id: "r1", name: "billing" });
+      expect(statements).toEqual([
+         "BEGIN",
+         queries.createRole,
+         queries.deleteRolePermissions,
+         queries.addRolePermissions,
+         "COMMIT",
+      ]);
+      expect(client.query).toHaveBeenCalledWith(queries.addRolePermissions, ["r1", ["invoices:read"]]);
+      expect(client.release).toHaveBeenCalled();
+   });
+
+   it("rolls the role back when its permissions fail", async () => {
+      const { statements, client, pool } = recordingPool({ failOn: queries.addRolePermissions });
+
+      await expect(
+         roleRepo.createRole(pool, { id: "r1", name: "billing", permissionNames: ["x"] })
+      ).rejects.toThrow("insert failed");
+
+      expect(statements.at(-1)).toBe("ROLLBACK");
+      expect(statements).not.toContain("COMMIT");
+      expect(client.release).toHaveBeenCalled();
+   });
+
+   it("keeps the permissions of an updated role without a new list", async () => {
+      const { statements, pool } = recordingPool();
+
+      await roleRepo.updateRole(pool, { id: "r1", name: "billing", description: null });
+
+      expect(statements).toEqual(["BEGIN", queries.updateRole, "COMMIT"]);
+   });
+
+   it("loads a single role by id", async () => {
+      const pool = { query: vi.fn(async () => ({ rows: [{ id: "r1", permissions: [] }] })) };
+
+      await expect(roleRepo.getRole(pool, "r1")).resolves.toEqual({ id: "r1", permissions: [] });
+      expect(pool.query).toHaveBeenCalledWith(queries.getRole, ["r1"]);
+   });
+});
+
+describe("role claims", () => {
+   beforeAll(async () => {
+      const { privateKey, publicKey } = await jws.generateKeyPair("ES256");
+      const { kid } = await jws.toPublicJwk(publicKey, "ES256");
+      keys.current = { alg: "ES256", kid, privateKey, publicKey };
+   });
+
+   beforeEach(() => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+   });
+
+   it("always puts the roles into access tokens", async () => {
+      const { token } = await tokenService.signAccessToken({
+         user: ADA,
+         clientServer,
+         scope: "openid",
+         authorization: AUTHORIZATION,
+      });
+
+      await expect(tokenService.verifyAccessToken(token)).resolves.toMatchObject(AUTHORIZATION);
+   });
+
+   it("gives access tokens of users without roles empty lists", async () => {
+      const { token } = await tokenService.signAccessToken({ user: ADA, clientServer });
+
+      await expect(tokenService.verifyAccessToken(token)).resolves.toMatchObject({
+         roles: [],
+         permissions: [],
+      });
+   });
+
+   it("releases the roles in the id_token only with the roles scope", async () => {
+      const withRoles = await tokenService.signIdToken({
+         user: ADA,
+         clientServer,
+         scope: "openid roles",
+         authorization: AUTHORIZATION,
+      });
+      const withoutRoles = await tokenService.signIdToken({
+         user: ADA,
+         clientServer,
+         scope: "openid email",
+         authorization: AUTHORIZATION,
+      });
+
+      await expect(tokenService.verifyIdToken(withRoles)).resolves.toMatchObject(AUTHORIZATION);
+      const claims = await tokenService.verifyIdToken(withoutRoles);
+      expect(claims).not.toHaveProperty("roles");
+      expect(claims).not.toHaveProperty("permissions");
+      expect(claims.email).toBe("ada@example.com");
+   });
+
+   it("returns the roles of the logged-in user at /me", async () => {
+      const response = await getCurrentUser({
+         session: { userId: "u1", schema: "client_acme" },
+      });
+
+      expect(response.data).toMatchObject({ id: "u1", ...AUTHORIZATION });
+      expect(response.data).not.toHaveProperty("extra");
+   });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const CLIENTS = {
+   client_acme: {
+      client_id: "client_acme",
+      app_name: "Acme",
+      assigned_schema_name: "client_acme",
+      allowed_return_urls: ["https://acme.com/app/*"],
+   },
+};
+
+vi.mock("../src/repo/connection/pools/auth.js", () => ({ default: vi.fn() }));
+vi.mock("../src/repo/connection/pools/clientServers.js", () => ({ default: vi.fn() }));
+vi.mock("../src/repo/repositories/clientServersRepository.js", () => ({}));
+vi.mock("../src/services/clientServerService.js", () => ({
+   verifyApiToken: vi.fn(),
+   getClientServerByClientId: vi.fn(async (clientId) => CLIENTS[clientId] ?? null),
+}));
+vi.mock("../src/services/clientRedirectUriService.js", () => ({
+   findClientByReturnUrl: vi.fn(async (returnUrl) =>
+      returnUrl.startsWith("https://acme.com/app/")
+         ? { clientServer: CLIENTS.client_acme, pattern: "https://acme.com/app/*" }
+         : null
+   ),
+}));
+
+const { selectClientTenant } = await import("../src/middleware/schemaDetection.js");
+
+// a session that logged in to another tenant before
+const loginRequest = (body = {}) => ({
+   body: { credentials: { email: "ada@example.com", password: "pw" }, ...body },
+   query: {},
+   session: { poolContext: "client_tenant", schema: "client_other" },
+});
+
+async function select(req) {
+   const next = vi.fn();
+   await selectClientTenant(req, {}, next);
+   return next.mock.calls[0][0];
+}
+
+describe("selectClientTenant", () => {
+   beforeEach(() => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+   });
+
+   it("selects the tenant of the client_id", async () => {
+      const req = loginRequest({ client_id: "client_acme" });
+
+      expect(await select(req)).toBeUndefined();
+      expect(req.schema).toBe("client_acme");
+      expect(req.selectedTenant).toMatchObject({
+         poolContext: "client_tenant",
+         schema: "client_acme",
+         metadata: { client_id: "client_acme", return_url: null },
+      });
+   });
+
+   it("leaves the session's tenant alone until the login succeeded", async () => {
+      const req = loginRequest({ client_id: "client_acme", returnUrl: "https://acme.com/app/home" });
+
+      await select(req);
+
+      expect(req.session).toEqual({ poolContext: "client_tenant", schema: "client_other" });
+   });
+
+   it("selects the client of a GET link (?client_id=)", async () => {
+      const req = { body: {}, query: { token: "t", client_id: "client_acme" }, session: {} };
+
+      expect(await select(req)).toBeUndefined();
+      expect(req.schema).toBe("client_acme");
+   });
+
+   it("selects the tenant of a registered returnUrl", async () => {
+      const req = loginRequest({ returnUrl: "https://acme.com/app/home" });
+
+      expect(await select(req)).toBeUndefined();
+      expect(req.schema).toBe("client_acme");
+   });
+
+   it("refuses a request without client_id and returnUrl instead of reusing the session's tenant", async () => {
+      const req = loginRequest();
+
+      expect(await select(req)).toMatchObject({ statusCode: 400, code: "INVALID_CLIENT" });
+      expect(req.schema).toBeUndefined();
+   });
+
+   it("refuses an unknown client_id", async () => {
+      const req = loginRequest({ client_id: "client_unknown" });
+
+      expect(await select(req)).toMatchObject({ statusCode: 400, code: "UNKNOWN_CLIENT" });
+      expect(req.session.schema).toBe("client_other");
+   });
+
+   it("refuses a returnUrl the client does not allow", async () => {
+      const req = loginRequest({ client_id: "client_acme", returnUrl: "https://evil.com/" });
+
+      expect(await select(req)).toMatchObject({ code: "RETURN_URL_NOT_ALLOWED" });
+      expect(req.schema).toBeUndefined();
+   });
+
+   it("refuses an unregistered returnUrl", async () => {
+      const req = loginRequest({ returnUrl: "https://evil.com/" });
+
+      expect(await select(req)).toMatchObject({ code: "RETURN_URL_NOT_ALLOWED" });
+   });
+
+   it("takes the tenant of the API token", async () => {
+      const req = loginRequest();
+      req.clientContext = { ...CLIENTS.client_acme, schema: "client_acme" };
+
+      expect(await select(req)).toBeUndefined();
+      expect(req.schema).toBe("client_acme");
+      expect(req.selectedTenant.poolContext).toBe("api_client");
+   });
+});
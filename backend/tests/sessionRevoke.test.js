@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const USER_ID = "7f1d2c3b-4a5e-4f60-8a71-92b3c4d5e6f7";
+const OTHER_USER_ID = "0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d";
+
+// in-memory sessions table of one tenant
+const store = { sessions: [] };
+
+const session = (id, userId, expressSid) => ({ id, user_id: userId, express_sid: expressSid });
+
+const remove = (predicate) => {
+   const removed = store.sessions.filter(predicate);
+   store.sessions = store.sessions.filter((row) => !predicate(row));
+   return removed;
+};
+
+vi.mock("../src/repo/userRepository.js", () => ({
+   default: {
+      deleteUserSession: async (schema, userId, id) =>
+         remove((row) => row.id === id && row.user_id === userId)[0],
+      deleteOtherUserSessions: async (schema, userId, currentId) =>
+         remove((row) => row.user_id === userId && row.id !== currentId),
+      deleteSessionByUserId: async (schema, userId) => remove((row) => row.user_id === userId),
+      deleteSessionById: async (schema, id) => remove((row) => row.id === id)[0],
+      deleteAllSessions: async () => remove(() => true),
+   },
+}));
+vi.mock("../src/services/loginProtectionService.js", () => ({ getClientIp: () => null }));
+
+// owner service collaborators
+vi.mock("../src/repo/connection/pools/auth.js", () => ({
+   default: async () => ({
+      query: async () => ({ rows: [{ client_id: "client_acme", assigned_schema_name: "client_acme" }] }),
+   }),
+}));
+vi.mock("../src/repo/connection/pools/clientServers.js", () => ({ default: vi.fn() }));
+vi.mock("../src/repo/repositories/clientServersRepository.js", () => ({}));
+vi.mock("../src/repo/repositories/userRepository.js", () => ({}));
+vi.mock("../src/middleware/schemaDetection.js", () => ({
+   getUserRole: () => "owner",
+   isSystemAdmin: () => false,
+   isClientOwner: () => true,
+}));
+vi.mock("../src/services/clientServerService.js", () => ({}));
+vi.mock("../src/services/mfaService.js", () => ({}));
+vi.mock("../src/services/roleService.js", () => ({ default: {} }));
+
+const sessionService = await import("../src/services/sessionService.js");
+const ownerService = await import("../src/services/ownerService.js");
+
+// request of the browser with express_sid "sid-current"
+function request({ userId = USER_ID, deviceId = "s-current", params = {} } = {}) {
+   const req = {
+      sessionID: "sid-current",
+      params,
+      sessionStore: { destroy: vi.fn((sid, callback) => callback()) },
+      session: {
+         userId,
+         schema: "client_acme",
+         deviceSession: { id: deviceId, schema: "client_acme" },
+         destroy: vi.fn((callback) => callback()),
+      },
+   };
+   return req;
+}
+
+const destroyedSids = (req) => req.sessionStore.destroy.mock.calls.map(([sid]) => sid);
+
+describe("session revocation", () => {
+   beforeEach(() => {
+      store.sessions = [
+         session("s-current", USER_ID, "sid-current"),
+         session("s-laptop", USER_ID, "sid-laptop"),
+         session("s-phone", USER_ID, "sid-phone"),
+         session("s-other", OTHER_USER_ID, "sid-other"),
+      ];
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      vi.spyOn(console, "error").mockImplementation(() => {});
+   });
+
+   it("destroys the stored express session of a revoked device", async () => {
+      const req = request({ params: { id: "s-laptop" } });
+
+      const response = await sessionService.revokeSession(req);
+
+      expect(response.data).toEqual({ current: false });
+      expect(destroyedSids(req)).toEqual(["sid-laptop"]);
+      expect(req.session.userId).toBe(USER_ID);
+   });
+
+   it("logs out when the current device is revoked", async () => {
+      const req = request({ params: { id: "s-current" } });
+
+      await expect(sessionService.revokeSession(req)).resolves.toMatchObject({
+         data: { current: true },
+      });
+      expect(req.session.destroy).toHaveBeenCalled();
+   });
+
+   it("does not revoke the session of another user", async () => {
+      const req = request({ params: { id: "s-other" } });
+
+      await expect(sessionService.revokeSession(req)).rejects.toMatchObject({ statusCode: 404 });
+      expect(store.sessions.map((row) => row.id)).toContain("s-other");
+      expect(req.sessionStore.destroy).not.toHaveBeenCalled();
+   });
+
+   it("signs out every other device of the user", async () => {
+      const req = request();
+
+      const response = await sessionService.revokeOtherSessions(req);
+
+      expect(response.data).toEqual({ revoked: 2 });
+      expect(destroyedSids(req).sort()).toEqual(["sid-laptop", "sid-phone"]);
+      expect(store.sessions.map((row) => row.id).sort()).toEqual(["s-current", "s-other"]);
+   });
+
+   it("only logs the current request out when the whole tenant is revoked", async () => {
+      const req = request();
+
+      await expect(sessionService.revokeTenantSessions(req, "client_acme")).resolves.toBe(4);
+
+      expect(destroyedSids(req).sort()).toEqual(["sid-laptop", "sid-other", "sid-phone"]);
+      expect(req.session.userId).toBeUndefined();
+      expect(req.session.deviceSession).toBeUndefined();
+   });
+
+   describe("owner routes", () => {
+      it("signs out every session of a user", async () => {
+         const req = request();
+
+         await expect(ownerService.revokeClientSessions(req, "client_acme", OTHER_USER_ID)).resolves.toBe(1);
+         expect(destroyedSids(req)).toEqual(["sid-other"]);
+      });
+
+      it.each(["not-a-uuid", "1 OR 1=1", ["a", "b"]])("refuses the userId %s with a 400", async (userId) => {
+         await expect(
+            ownerService.getClientSessions(request(), "client_acme", userId)
+         ).rejects.toMatchObject({ statusCode: 400 });
+         await expect(
+            ownerService.revokeClientSessions(request(), "client_acme", userId)
+         ).rejects.toMatchObject({ statusCode: 400 });
+         expect(store.sessions).toHaveLength(4);
+      });
+
+      it("answers 404 for an unknown or malformed session id", async () => {
+         await expect(
+            ownerService.revokeClientSession(request(), "client_acme", "not-a-uuid")
+         ).rejects.toMatchObject({ statusCode: 404 });
+         await expect(
+            ownerService.revokeClientSession(request(), "client_acme", OTHER_USER_ID)
+         ).rejects.toMatchObject({ statusCode: 404 });
+      });
+   });
+});
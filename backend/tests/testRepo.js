@@ -38,8 +38,8 @@ async function testSessionCreation(userId) {
       `\nTesting session creation for user ID: ${userId} in schema: ${TEST_SCHEMA}`
    );
    try {
-      // paramsArray for createSession now only needs [user_id]
-      const result = await clientDB.createSession(TEST_SCHEMA, [userId]);
+      // device details are optional
+      const result = await clientDB.createSession(TEST_SCHEMA, userId);
       console.log("Session created successfully:", result);
       if (!result || !result.id || !result.session_id) {
          console.error(
@@ -0,0 +1,61 @@
+import { describe, it, expect, vi, beforeAll } from "vitest";
+import jws from "../src/utils/jws.js";
+
+// one signing key, nothing revoked
+const keys = {};
+
+vi.mock("../src/services/signingKeyService.js", () => ({
+   getSigningKey: async () => keys.current,
+   getVerificationKey: async (kid) => (kid === keys.current.kid ? keys.current : null),
+}));
+vi.mock("../src/services/tokenRevocationService.js", () => ({
+   isTokenRevoked: async () => false,
+}));
+
+const tokenService = await import("../src/services/tokenService.js");
+
+const clientServer = { client_id: "client_acme", assigned_schema_name: "client_acme" };
+const user = { id: "u1", email: "ada@example.com", name: "Ada" };
+
+describe("token types", () => {
+   const tokens = {};
+
+   beforeAll(async () => {
+      const { privateKey, publicKey } = await jws.generateKeyPair("ES256");
+      const { kid } = await jws.toPublicJwk(publicKey, "ES256");
+      keys.current = { alg: "ES256", kid, privateKey, publicKey };
+
+      tokens.api = (await tokenService.signApiToken(clientServer)).token;
+      tokens.access = (
+         await tokenService.signAccessToken({ user, clientServer, scope: "openid" })
+      ).token;
+      tokens.id = await tokenService.signIdToken({ user, clientServer, scope: "openid" });
+   });
+
+   it("verifies an ID token as ID token", async () => {
+      await expect(
+         tokenService.verifyIdToken(tokens.id, { clientId: "client_acme" })
+      ).resolves.toMatchObject({ sub: "u1", aud: "client_acme" });
+   });
+
+   it.each(["api", "access"])("refuses an %s token as ID token", async (type) => {
+      await expect(
+         tokenService.verifyIdToken(tokens[type], { clientId: "client_acme" })
+      ).rejects.toMatchObject({ statusCode: 401, message: "Invalid token type" });
+   });
+
+   it("refuses an ID token as access token and as bearer token", async () => {
+      await expect(tokenService.verifyAccessToken(tokens.id)).rejects.toMatchObject({
+         statusCode: 401,
+      });
+      await expect(tokenService.verifyBearerToken(tokens.id)).rejects.toMatchObject({
+         statusCode: 401,
+      });
+   });
+
+   it("refuses an access token as API token", async () => {
+      await expect(tokenService.verifyApiToken(tokens.access)).rejects.toMatchObject({
+         message: "Invalid token type",
+      });
+   });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from "vitest";
+import totp, {
+   base32Decode,
+   base32Encode,
+   generateCode,
+   timeStep,
+   verify,
+} from "../src/utils/totp.js";
+
+// RFC 6238 appendix B - the seed is the ASCII string repeated to the key length of the hash
+const SEEDS = {
+   SHA1: base32Encode(Buffer.from("12345678901234567890")),
+   SHA256: base32Encode(Buffer.from("12345678901234567890123456789012")),
+   SHA512: base32Encode(
+      Buffer.from("1234567890123456789012345678901234567890123456789012345678901234")
+   ),
+};
+
+const RFC_6238_VECTORS = [
+   [59, "94287082", "46119246", "90693936"],
+   [1111111109, "07081804", "68084774", "25091201"],
+   [1111111111, "14050471", "67062674", "99943326"],
+   [1234567890, "89005924", "91819424", "93441116"],
+   [2000000000, "69279037", "90698825", "38618901"],
+   [20000000000, "65353130", "77737706", "47863826"],
+];
+
+describe("totp", () => {
+   describe.each(RFC_6238_VECTORS)("RFC 6238 at T=%i", (seconds, sha1, sha256, sha512) => {
+      it.each([
+         ["SHA1", sha1],
+         ["SHA256", sha256],
+         ["SHA512", sha512],
+      ])("%s", (algorithm, expected) => {
+         const step = timeStep(seconds * 1000);
+         expect(generateCode(SEEDS[algorithm], step, { algorithm, digits: 8 })).toBe(expected);
+      });
+   });
+
+   it("round-trips base32 and ignores case, padding and spaces", () => {
+      const bytes = Buffer.from("hello totp");
+      const encoded = base32Encode(bytes);
+
+      expect(base32Decode(encoded)).toEqual(bytes);
+      expect(base32Decode(`${encoded.toLowerCase()}====`)).toEqual(bytes);
+      expect(base32Decode(encoded.replace(/(.{4})/g, "$1 "))).toEqual(bytes);
+      expect(() => base32Decode("ABC1")).toThrow();
+   });
+
+   it("generates 160 bit secrets", () => {
+      expect(base32Decode(totp.generateSecret())).toHaveLength(20);
+   });
+
+   describe("verify", () => {
+      const secret = SEEDS.SHA1;
+      const time = 1111111111 * 1000;
+      const current = timeStep(time);
+
+      it("returns the matched step within the window", () => {
+         expect(verify(secret, generateCode(secret, current), { time })).toBe(current);
+         expect(verify(secret, generateCode(secret, current - 1), { time })).toBe(current - 1);
+         expect(verify(secret, generateCode(secret, current + 1), { time })).toBe(current + 1);
+      });
+
+      it("rejects steps outside the window", () => {
+         expect(verify(secret, generateCode(secret, current - 2), { time })).toBeNull();
+         expect(verify(secret, generateCode(secret, current - 1), { time, window: 0 })).toBeNull();
+      });
+
+      it("accepts spaces and rejects malformed codes", () => {
+         const code = generateCode(secret, current);
+
+         expect(verify(secret, `${code.slice(0, 3)} ${code.slice(3)}`, { time })).toBe(current);
+         expect(verify(secret, code.slice(1), { time })).toBeNull();
+         expect(verify(secret, "abcdef", { time })).toBeNull();
+         expect(verify(secret, null, { time })).toBeNull();
+      });
+
+      it("refuses a replayed code with afterStep", () => {
+         const code = generateCode(secret, current);
+         const used = verify(secret, code, { time });
+
+         expect(verify(secret, code, { time, afterStep: used })).toBeNull();
+         // an earlier step of the window is not accepted after a later one either
+         const earlier = generateCode(secret, current - 1);
+         expect(verify(secret, earlier, { time, afterStep: used })).toBeNull();
+         // the next step still is
+         const next = generateCode(secret, current + 1);
+         expect(verify(secret, next, { time, afterStep: used })).toBe(current + 1);
+      });
+   });
+
+   it("builds an otpauth URI with an encoded label", () => {
+      const uri = totp.buildOtpauthUri({
+         secret: "JBSWY3DPEHPK3PXP",
+         issuer: "Acme Corp",
+         accountName: "ada@example.com",
+      });
+
+      expect(uri).toBe(
+         "otpauth://totp/Acme%20Corp%3Aada%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Acme%20Corp&algorithm=SHA1&digits=6&period=30"
+      );
+   });
+});
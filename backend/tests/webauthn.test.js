@@ -0,0 +1,346 @@
+import crypto from "crypto";
+import { describe, it, expect, beforeEach } from "vitest";
+import webauthn, {
+   COSE_ALGORITHMS,
+   parseAuthenticatorData,
+   coseToPublicKey,
+   verifyRegistration,
+   verifyAuthentication,
+} from "../src/utils/webauthn.js";
+import { decode } from "../src/utils/cbor.js";
+
+const RP_ID = "auth.example.com";
+const ORIGIN = "https://auth.example.com";
+const FLAGS = { UP: 0x01, UV: 0x04, AT: 0x40 };
+
+// ---- software authenticator ----
+
+// CBOR encoder for the items an authenticator sends (ints, byte / text strings, arrays, maps)
+function cbor(value) {
+   const head = (major, length) => {
+      if (length < 24) return Buffer.from([(major << 5) | length]);
+      if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+      const buffer = Buffer.alloc(3);
+      buffer.writeUInt8((major << 5) | 25);
+      buffer.writeUInt16BE(length, 1);
+      return buffer;
+   };
+
+   if (Number.isInteger(value)) {
+      return value >= 0 ? head(0, value) : head(1, -1 - value);
+   }
+   if (Buffer.isBuffer(value)) {
+      return Buffer.concat([head(2, value.length), value]);
+   }
+   if (typeof value === "string") {
+      const bytes = Buffer.from(value);
+      return Buffer.concat([head(3, bytes.length), bytes]);
+   }
+   if (Array.isArray(value)) {
+      return Buffer.concat([head(4, value.length), ...value.map(cbor)]);
+   }
+   if (value instanceof Map) {
+      const entries = [...value].flatMap(([key, item]) => [cbor(key), cbor(item)]);
+      return Buffer.concat([head(5, value.size), ...entries]);
+   }
+   throw new Error(`cannot encode ${value}`);
+}
+
+function createAuthenticator(algorithm = "ES256") {
+   const { publicKey, privateKey } =
+      algorithm === "ES256"
+         ? crypto.generateKeyPairSync("ec", { namedCurve: "P-256" })
+         : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+   const jwk = publicKey.export({ format: "jwk" });
+   const b64 = (value) => Buffer.from(value, "base64url");
+
+   const coseKey =
+      algorithm === "ES256"
+         ? cbor(new Map([[1, 2], [3, -7], [-1, 1], [-2, b64(jwk.x)], [-3, b64(jwk.y)]]))
+         : cbor(new Map([[1, 3], [3, -257], [-1, b64(jwk.n)], [-2, b64(jwk.e)]]));
+
+   const credentialId = crypto.randomBytes(16);
+   let signCount = 0;
+
+   const sign = (data) =>
+      algorithm === "ES256"
+         ? crypto.sign("sha256", data, { key: privateKey, dsaEncoding: "der" })
+         : crypto.sign("sha256", data, privateKey);
+
+   const authData = ({ flags = FLAGS.UP | FLAGS.UV, rpId = RP_ID, attested = false } = {}) => {
+      const header = Buffer.alloc(37);
+      crypto.createHash("sha256").update(rpId).digest().copy(header);
+      header.writeUInt8(flags | (attested ? FLAGS.AT : 0), 32);
+      header.writeUInt32BE(signCount, 33);
+      if (!attested) {
+         return header;
+      }
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      return Buffer.concat([header, Buffer.alloc(16), idLength, credentialId, coseKey]);
+   };
+
+   const clientData = (type, challenge, origin = ORIGIN) =>
+      Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+   return {
+      id: credentialId.toString("base64url"),
+      coseKey,
+
+      create({ challenge, fmt = "none", origin, flags, selfAttest = fmt === "packed" }) {
+         const rawAuthData = authData({ flags, attested: true });
+         const rawClientData = clientData("webauthn.create", challenge, origin);
+         const attStmt = new Map();
+         if (selfAttest) {
+            const clientDataHash = crypto.createHash("sha256").update(rawClientData).digest();
+            attStmt.set("alg", COSE_ALGORITHMS[algorithm]);
+            attStmt.set("sig", sign(Buffer.concat([rawAuthData, clientDataHash])));
+         }
+         const attestationObject = cbor(
+            new Map([
+               ["fmt", fmt],
+               ["attStmt", attStmt],
+               ["authData", rawAuthData],
+            ])
+         );
+
+         return {
+            id: credentialId.toString("base64url"),
+            type: "public-key",
+            response: {
+               clientDataJSON: rawClientData.toString("base64url"),
+               attestationObject: attestationObject.toString("base64url"),
+               transports: ["internal", 7],
+            },
+         };
+      },
+
+      get({ challenge, origin, rpId, flags, counter = signCount + 1 }) {
+         signCount = counter;
+         const rawAuthData = authData({ flags, rpId });
+         const rawClientData = clientData("webauthn.get", challenge, origin);
+         const clientDataHash = crypto.createHash("sha256").update(rawClientData).digest();
+
+         return {
+            id: credentialId.toString("base64url"),
+            type: "public-key",
+            response: {
+               clientDataJSON: rawClientData.toString("base64url"),
+               authenticatorData: rawAuthData.toString("base64url"),
+               signature: sign(Buffer.concat([rawAuthData, clientDataHash])).toString("base64url"),
+            },
+         };
+      },
+   };
+}
+
+const ceremony = (challenge) => ({
+   expectedChallenge: challenge,
+   expectedOrigins: [ORIGIN],
+   rpId: RP_ID,
+});
+
+// ---- tests ----
+
+describe("webauthn", () => {
+   describe("parseAuthenticatorData", () => {
+      it("reads the flags, counter and attested credential", () => {
+         const authenticator = createAuthenticator();
+         const credential = authenticator.create({ challenge: "c" });
+         const attestation = decode(webauthn.fromBase64Url(credential.response.attestationObject));
+         const authData = parseAuthenticatorData(attestation.get("authData"));
+
+         expect(authData.flags).toMatchObject({
+            userPresent: true,
+            userVerified: true,
+            attestedCredentialData: true,
+         });
+         expect(authData.signCount).toBe(0);
+         expect(webauthn.toBase64Url(authData.attestedCredential.credentialId)).toBe(authenticator.id);
+         expect(authData.attestedCredential.publicKey).toEqual(authenticator.coseKey);
+      });
+
+      it("rejects short and over-long data", () => {
+         expect(() => parseAuthenticatorData(Buffer.alloc(36))).toThrow(/too short/);
+         expect(() => parseAuthenticatorData(Buffer.alloc(38))).toThrow(/Unexpected bytes/);
+
+         const truncated = Buffer.alloc(37 + 18);
+         truncated.writeUInt8(FLAGS.UP | FLAGS.AT, 32);
+         truncated.writeUInt16BE(64, 37 + 16);
+         expect(() => parseAuthenticatorData(truncated)).toThrow(/too short/);
+      });
+   });
+
+   describe("coseToPublicKey", () => {
+      it.each(["ES256", "RS256"])("converts %s keys", (algorithm) => {
+         const { coseKey } = createAuthenticator(algorithm);
+         const { key, algorithm: cose } = coseToPublicKey(coseKey);
+
+         expect(cose).toBe(COSE_ALGORITHMS[algorithm]);
+         expect(key.asymmetricKeyType).toBe(algorithm === "ES256" ? "ec" : "rsa");
+      });
+
+      it("rejects other algorithms and curves", () => {
+         expect(() => coseToPublicKey(cbor(new Map([[1, 1], [3, -8]])))).toThrow(/Unsupported/);
+         // EC2 on P-384
+         const p384 = new Map([[1, 2], [3, -7], [-1, 2], [-2, Buffer.alloc(48)], [-3, Buffer.alloc(48)]]);
+         expect(() => coseToPublicKey(cbor(p384))).toThrow(/curve/);
+      });
+   });
+
+   describe.each(["ES256", "RS256"])("%s ceremonies", (algorithm) => {
+      let authenticator;
+      let registered;
+
+      beforeEach(() => {
+         authenticator = createAuthenticator(algorithm);
+         registered = verifyRegistration({
+            credential: authenticator.create({ challenge: "reg-challenge" }),
+            ...ceremony("reg-challenge"),
+         });
+      });
+
+      it("registers a credential with none attestation", () => {
+         expect(registered).toEqual({
+            credentialId: authenticator.id,
+            publicKey: authenticator.coseKey.toString("base64url"),
+            algorithm: COSE_ALGORITHMS[algorithm],
+            signCount: 0,
+            transports: ["internal"],
+            userVerified: true,
+            backedUp: false,
+            attestationFormat: "none",
+         });
+      });
+
+      it("registers a credential with packed self attestation", () => {
+         const result = verifyRegistration({
+            credential: authenticator.create({ challenge: "c2", fmt: "packed" }),
+            ...ceremony("c2"),
+         });
+         expect(result.attestationFormat).toBe("packed");
+      });
+
+      it("verifies an assertion and returns the new counter", () => {
+         const result = verifyAuthentication({
+            credential: authenticator.get({ challenge: "login-challenge" }),
+            ...ceremony("login-challenge"),
+            publicKey: registered.publicKey,
+            storedSignCount: 0,
+         });
+         expect(result).toEqual({ signCount: 1, userVerified: true });
+      });
+
+      it("rejects an assertion signed by another key", () => {
+         const other = createAuthenticator(algorithm);
+         expect(() =>
+            verifyAuthentication({
+               credential: other.get({ challenge: "c" }),
+               ...ceremony("c"),
+               publicKey: registered.publicKey,
+            })
+         ).toThrow("Invalid signature");
+      });
+   });
+
+   describe("verifyRegistration checks", () => {
+      const authenticator = createAuthenticator();
+
+      it.each([
+         ["challenge", { challenge: "other" }, "Challenge mismatch"],
+         ["origin", { challenge: "c", origin: "https://evil.example" }, "Unexpected origin"],
+         ["user presence", { challenge: "c", flags: FLAGS.UV }, "User presence required"],
+         [
+            "attestation format",
+            { challenge: "c", fmt: "tpm", selfAttest: false },
+            "Unsupported attestation format: tpm",
+         ],
+      ])("rejects a wrong %s", (_, options, error) => {
+         expect(() =>
+            verifyRegistration({ credential: authenticator.create(options), ...ceremony("c") })
+         ).toThrow(error);
+      });
+
+      it("requires user verification when asked to", () => {
+         const credential = authenticator.create({ challenge: "c", flags: FLAGS.UP });
+         expect(() =>
+            verifyRegistration({ credential, ...ceremony("c"), requireUserVerification: true })
+         ).toThrow("User verification required");
+      });
+
+      it("rejects a mismatching credential ID and a forged packed signature", () => {
+         const credential = authenticator.create({ challenge: "c" });
+         expect(() =>
+            verifyRegistration({ credential: { ...credential, id: "AAAA" }, ...ceremony("c") })
+         ).toThrow("Credential ID mismatch");
+
+         const packed = authenticator.create({ challenge: "c", fmt: "packed" });
+         const tampered = {
+            ...packed,
+            response: {
+               ...packed.response,
+               clientDataJSON: Buffer.from(
+                  JSON.stringify({ type: "webauthn.create", challenge: "c", origin: ORIGIN, extra: 1 })
+               ).toString("base64url"),
+            },
+         };
+         expect(() => verifyRegistration({ credential: tampered, ...ceremony("c") })).toThrow(
+            "Invalid attestation signature"
+         );
+      });
+
+      it("rejects a get response and malformed input", () => {
+         const assertion = authenticator.get({ challenge: "c" });
+         expect(() =>
+            verifyRegistration({
+               credential: { ...assertion, response: { ...assertion.response, attestationObject: "" } },
+               ...ceremony("c"),
+            })
+         ).toThrow("Unexpected ceremony type");
+         expect(() => verifyRegistration({ credential: { type: "password" }, ...ceremony("c") })).toThrow(
+            "Invalid credential"
+         );
+      });
+   });
+
+   describe("verifyAuthentication checks", () => {
+      let authenticator;
+      let publicKey;
+
+      beforeEach(() => {
+         authenticator = createAuthenticator();
+         publicKey = authenticator.coseKey.toString("base64url");
+      });
+
+      it("rejects a wrong relying party ID", () => {
+         expect(() =>
+            verifyAuthentication({
+               credential: authenticator.get({ challenge: "c", rpId: "evil.example" }),
+               ...ceremony("c"),
+               publicKey,
+            })
+         ).toThrow("Relying party ID mismatch");
+      });
+
+      it("rejects a counter that did not increase (cloned authenticator)", () => {
+         const credential = authenticator.get({ challenge: "c", counter: 5 });
+         expect(() =>
+            verifyAuthentication({ credential, ...ceremony("c"), publicKey, storedSignCount: 5 })
+         ).toThrow(/counter did not increase/);
+      });
+
+      it("accepts authenticators without a counter", () => {
+         const credential = authenticator.get({ challenge: "c", counter: 0 });
+         expect(
+            verifyAuthentication({ credential, ...ceremony("c"), publicKey, storedSignCount: 0 })
+         ).toEqual({ signCount: 0, userVerified: true });
+      });
+
+      it("rejects a create response", () => {
+         const credential = authenticator.create({ challenge: "c" });
+         expect(() => verifyAuthentication({ credential, ...ceremony("c"), publicKey })).toThrow(
+            "Unexpected ceremony type"
+         );
+      });
+   });
+});
@@ -0,0 +1,20 @@
+-- allowed_return_urls of the client servers, one row per pattern, looked up by origin
+-- In schema: auth_internal
+CREATE SCHEMA IF NOT EXISTS auth_internal;
+
+SET search_path TO auth_internal, public;
+
+CREATE TABLE IF NOT EXISTS client_redirect_uris (
+    client_id VARCHAR(255) NOT NULL REFERENCES client_servers(client_id) ON DELETE CASCADE,
+    pattern TEXT NOT NULL, -- the allowed_return_urls entry
+    origin TEXT NOT NULL, -- scheme://host[:port], scheme://*.host[:port] for wildcard patterns
+    path_prefix TEXT NOT NULL, -- path of the pattern
+    exact_path BOOLEAN NOT NULL, -- only path_prefix itself matches (no /* and not an origin)
+    wildcard BOOLEAN NOT NULL DEFAULT FALSE,
+    PRIMARY KEY (client_id, pattern)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_redirect_uris_origin ON client_redirect_uris(origin, path_prefix text_pattern_ops);
+
+-- rows of client servers registered before this table are added by
+-- clientRedirectUriService (patterns are parsed by shared/urlMatching.js)
@@ -0,0 +1,26 @@
+-- secrets of the client servers, several may be active at once (rotation)
+-- In schema: auth_internal
+CREATE SCHEMA IF NOT EXISTS auth_internal;
+
+SET search_path TO auth_internal, public;
+
+-- Note: UUID generation is handled in JavaScript, not PostgreSQL
+
+CREATE TABLE IF NOT EXISTS client_secrets (
+    id UUID PRIMARY KEY,
+    client_id VARCHAR(255) NOT NULL REFERENCES client_servers(client_id) ON DELETE CASCADE,
+    secret_hash VARCHAR(255) NOT NULL, -- bcrypt hash, the secret is shown once
+    label VARCHAR(100) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ, -- NULL = no expiry, also the end of a grace period
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_secrets_client_id ON client_secrets(client_id);
+
+-- secrets of client servers registered before this table (client_servers.client_secret_hash)
+INSERT INTO client_secrets (id, client_id, secret_hash, label, created_at)
+SELECT md5(c.client_id)::uuid, c.client_id, c.client_secret_hash, 'initial', COALESCE(c.created_at, NOW())
+FROM client_servers c
+WHERE NOT EXISTS (SELECT 1 FROM client_secrets s WHERE s.client_id = c.client_id);
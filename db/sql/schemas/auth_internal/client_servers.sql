@@ -8,6 +8,30 @@ CREATE TABLE client_servers (
     allowed_return_urls TEXT[] NOT NULL, -- Array of allowed URLs for redirection
     user_id UUID NOT NULL, -- Links to user who owns this client
     client_mode VARCHAR(50) DEFAULT 'frontend-login-proxy', -- 'frontend-login-proxy' or 'api-auth-server'
+    password_hash_algorithm VARCHAR(50) NOT NULL DEFAULT 'bcrypt', -- preferred algorithm for tenant user passwords
+    password_hash_params JSONB NOT NULL DEFAULT '{}'::jsonb, -- algorithm params, e.g. { "cost": 12 }
+    require_email_verification BOOLEAN NOT NULL DEFAULT FALSE, -- block login until the user verified their email
+    lockout_max_attempts INTEGER, -- failed logins per email before a lockout (NULL = server default)
+    lockout_ip_max_attempts INTEGER, -- failed logins per IP before a lockout (NULL = server default)
+    lockout_duration_minutes INTEGER, -- lockout length (NULL = server default)
+    access_token_ttl_minutes INTEGER, -- lifetime of access / API tokens (NULL = server default)
+    refresh_token_ttl_days INTEGER, -- lifetime of refresh tokens (NULL = server default)
+    client_credentials_scopes TEXT[] NOT NULL DEFAULT '{}', -- scopes the client may request for itself (client_credentials grant)
+    scopes JSONB NOT NULL DEFAULT '[{"name": "openid"}, {"name": "profile"}, {"name": "email"}]'::jsonb, -- user scopes the client may request, [{ name, description? }]
+    allowed_origins TEXT[] NOT NULL DEFAULT '{}', -- CORS origins besides the ones of allowed_return_urls
+    public_client BOOLEAN NOT NULL DEFAULT FALSE, -- may use the token endpoint without a client secret (PKCE only), fx. SPAs and native apps
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
-);
\ No newline at end of file
+);
+
+-- client servers left in public.client_servers by early versions (schema detection used to read both)
+DO $$
+BEGIN
+    IF to_regclass('public.client_servers') IS NOT NULL THEN
+        INSERT INTO auth_internal.client_servers
+            (client_id, client_secret_hash, app_name, assigned_schema_name, allowed_return_urls, user_id, client_mode, created_at, updated_at)
+        SELECT client_id, client_secret_hash, app_name, assigned_schema_name, allowed_return_urls, user_id, client_mode, created_at, updated_at
+        FROM public.client_servers
+        ON CONFLICT DO NOTHING;
+    END IF;
+END $$;
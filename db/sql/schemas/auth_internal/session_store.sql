@@ -0,0 +1,15 @@
+-- express-session store (shared by all backend instances)
+-- In schema: auth_internal
+CREATE SCHEMA IF NOT EXISTS auth_internal;
+
+SET search_path TO auth_internal, public;
+
+CREATE TABLE IF NOT EXISTS session_store (
+    sid VARCHAR(255) PRIMARY KEY, -- express-session id (req.sessionID)
+    sess JSONB NOT NULL, -- serialized req.session, including the cookie
+    expires_at TIMESTAMPTZ NOT NULL, -- cookie expiry, or now + default TTL
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_store_expires_at ON session_store(expires_at);
@@ -0,0 +1,19 @@
+-- keys signing the JWTs issued by the auth-system (API tokens, access tokens, id_tokens)
+-- In schema: auth_internal
+CREATE SCHEMA IF NOT EXISTS auth_internal;
+
+SET search_path TO auth_internal, public;
+
+CREATE TABLE IF NOT EXISTS signing_keys (
+    kid VARCHAR(64) PRIMARY KEY, -- RFC 7638 thumbprint of the public key, JWT kid header
+    alg VARCHAR(10) NOT NULL, -- 'RS256', 'ES256' or 'EdDSA'
+    public_jwk JSONB NOT NULL, -- published at /oauth/jwks.json
+    private_key_encrypted TEXT NOT NULL, -- PKCS#8 PEM, encrypted (utils/encryption.js)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    rotated_at TIMESTAMPTZ, -- stopped signing (NULL = the active key)
+    verify_until TIMESTAMPTZ, -- end of the overlap window, tokens of the key stop verifying
+    rotation_reason VARCHAR(50) -- 'scheduled', 'manual' or 'emergency'
+);
+
+-- only one key signs at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_signing_keys_active ON signing_keys((rotated_at IS NULL)) WHERE rotated_at IS NULL;
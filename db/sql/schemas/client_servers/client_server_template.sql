@@ -22,6 +22,7 @@ CREATE TABLE IF NOT EXISTS users (
     role            VARCHAR(100) NOT NULL DEFAULT 'user',
     email           VARCHAR(255) UNIQUE NOT NULL,
     password_hash   VARCHAR(255) NOT NULL,
+    email_verified_at TIMESTAMPTZ, -- NULL until the user opened the verification link
     created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
     updated_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
 );
@@ -31,12 +32,168 @@ CREATE TABLE IF NOT EXISTS sessions (
     id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id         UUID REFERENCES users(id) ON DELETE CASCADE,
     session_id      UUID UNIQUE NOT NULL DEFAULT uuid_generate_v4(),
+    express_sid     VARCHAR(255) UNIQUE, -- express-session id (auth_internal.session_store.sid)
     ip_address      INET,
     user_agent      TEXT,
+    device_type     VARCHAR(20), -- 'desktop' | 'mobile' | 'tablet' | 'bot' | 'unknown' (parsed from user_agent)
+    browser         VARCHAR(100),
+    os              VARCHAR(100),
     created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     expires_at      TIMESTAMPTZ
 );
 
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+-- Password reset tokens (single-use, time-limited)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash      VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the token, the token itself is only mailed
+    requested_ip    INET,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at      TIMESTAMPTZ NOT NULL,
+    used_at         TIMESTAMPTZ
+);
+
+-- Email verification tokens (single-use, time-limited)
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash      VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the token, the token itself is only mailed
+    email           VARCHAR(255) NOT NULL, -- address the link was sent to
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at      TIMESTAMPTZ NOT NULL,
+    used_at         TIMESTAMPTZ
+);
+
+-- TOTP second factor (one row per user with MFA enrolled)
+CREATE TABLE IF NOT EXISTS user_totp (
+    user_id                     UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted            TEXT, -- active secret, AES-256-GCM with the tenant key (utils/encryption.js)
+    enabled_at                  TIMESTAMPTZ,
+    pending_secret_encrypted    TEXT, -- enrollment waiting for the first code
+    pending_created_at          TIMESTAMPTZ,
+    last_used_step              BIGINT, -- last accepted time step, a code is accepted only once
+    updated_at                  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- MFA recovery codes (single-use, replaced as a set on regeneration)
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash       VARCHAR(64) NOT NULL, -- sha256 of the normalized code, the code is only shown once
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    used_at         TIMESTAMPTZ
+);
+
+-- Passkeys (WebAuthn)
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credential_id   TEXT NOT NULL UNIQUE, -- base64url, as sent by the authenticator
+    public_key      TEXT NOT NULL, -- COSE key, base64url
+    algorithm       INTEGER NOT NULL, -- COSE algorithm: -7 (ES256) or -257 (RS256)
+    sign_count      BIGINT NOT NULL DEFAULT 0, -- last signature counter, a lower value means a cloned authenticator
+    transports      TEXT[] NOT NULL DEFAULT '{}', -- hints for the browser, fx. {internal,hybrid}
+    name            VARCHAR(255), -- label chosen by the user
+    rp_id           VARCHAR(255) NOT NULL, -- relying party ID the credential is scoped to
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at    TIMESTAMPTZ
+);
+
+-- Failed logins per email and per IP (brute-force protection)
+CREATE TABLE IF NOT EXISTS login_failures (
+    key_type            VARCHAR(10) NOT NULL, -- 'email' or 'ip'
+    key_value           VARCHAR(255) NOT NULL, -- lowercased email or client IP
+    failure_count       INTEGER NOT NULL DEFAULT 0, -- failures in the current window
+    first_failure_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_failure_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_until        TIMESTAMPTZ, -- no login for this key before then
+    PRIMARY KEY (key_type, key_value)
+);
+
+-- OAuth authorization codes (authorization code flow with PKCE, single-use, short-lived)
+CREATE TABLE IF NOT EXISTS oauth_authorization_codes (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code_hash       VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the code, the code itself only travels in the redirect
+    client_id       VARCHAR(255) NOT NULL, -- auth_internal.client_servers.client_id
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    redirect_uri    TEXT NOT NULL, -- has to be repeated exactly at the token endpoint
+    code_challenge  VARCHAR(128) NOT NULL, -- PKCE, base64url(sha256(code_verifier))
+    code_challenge_method VARCHAR(10) NOT NULL DEFAULT 'S256',
+    scope           TEXT,
+    nonce           TEXT, -- OpenID Connect, repeated in the id_token
+    auth_time       TIMESTAMPTZ, -- when the user logged in (id_token auth_time)
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at      TIMESTAMPTZ NOT NULL,
+    used_at         TIMESTAMPTZ
+);
+
+-- OAuth refresh tokens (opaque, rotated on every use, families for reuse detection)
+CREATE TABLE IF NOT EXISTS oauth_refresh_tokens (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token_hash      VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the opaque token
+    family_id       UUID NOT NULL, -- every token rotated from the same grant
+    client_id       VARCHAR(255) NOT NULL, -- auth_internal.client_servers.client_id
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scope           TEXT,
+    auth_time       TIMESTAMPTZ, -- login the family started with (id_token auth_time)
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at      TIMESTAMPTZ NOT NULL,
+    used_at         TIMESTAMPTZ, -- rotated, using it again revokes the family
+    revoked_at      TIMESTAMPTZ
+);
+
+-- OAuth consents (scopes a user granted a client server, per user + client)
+CREATE TABLE IF NOT EXISTS oauth_consents (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    client_id       VARCHAR(255) NOT NULL, -- auth_internal.client_servers.client_id
+    scopes          TEXT[] NOT NULL DEFAULT '{}', -- granted on the consent page, remembered for later authorizations
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, client_id)
+);
+
+-- Roles and permissions (RBAC), defined per client server by its owner
+CREATE TABLE IF NOT EXISTS roles (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name            VARCHAR(100) UNIQUE NOT NULL, -- defined by the owner, emitted in the roles claim
+    description     TEXT,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name            VARCHAR(100) UNIQUE NOT NULL, -- fx. orders:read, emitted in the permissions claim
+    description     TEXT,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id         UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission_id   UUID NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+    PRIMARY KEY (role_id, permission_id)
+);
+
+-- Roles of a user (a user can have several)
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role_id         UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, role_id)
+);
+
 -- Indexes for faster lookups
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-CREATE INDEX IF NOT EXISTS idx_sessions_session_id ON sessions(session_id); 
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_sessions_session_id ON sessions(session_id);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user_id ON webauthn_credentials(user_id);
+CREATE INDEX IF NOT EXISTS idx_oauth_authorization_codes_user_id ON oauth_authorization_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_oauth_refresh_tokens_family_id ON oauth_refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_oauth_refresh_tokens_user_id ON oauth_refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_roles_role_id ON user_roles(role_id);
@@ -1,4 +1,5 @@
-import { fetchGet, fetchPost } from "../util/fetch";
+import { fetchDelete, fetchGet, fetchPost } from "../util/fetch";
+import { createPasskey, getPasskey } from "../util/webauthn";
 import { authStore } from "../stores/authStore";
 
 const BACKEND_URL =
@@ -9,9 +10,11 @@ const BACKEND_URL_AUTH = `${BACKEND_URL}/auth`;
 /**
  * Register a new user
  * @param {Object} credentials - User credentials with username and password
+ * @param {string|null} returnUrl - Client return url (carried by the verification link)
+ * @param {string|null} clientId - Client server the user registers with (selects the tenant)
  * @returns {Promise<Object>} Registration result with success status
  */
-const register = async (credentials) => {
+const register = async (credentials, returnUrl = null, clientId = null) => {
    try {
       // Input validation
       if (!credentials.name || !credentials.email || !credentials.password) {
@@ -22,10 +25,11 @@ const register = async (credentials) => {
       }
 
       // fetchPost now returns an object like { success: boolean, data: ..., errors: ..., message: ... }
-      const response = await fetchPost(
-         `${BACKEND_URL_AUTH}/register`,
-         credentials
-      );
+      const response = await fetchPost(`${BACKEND_URL_AUTH}/register`, {
+         ...credentials,
+         returnUrl,
+         client_id: clientId,
+      });
 
       if (!response.success) {
          return response;
@@ -57,6 +61,8 @@ const register = async (credentials) => {
 /**
  * Login a user with credentials
  * @param {Object} credentials - User credentials with email and password (name removed)
+ * @param {string|null} returnUrl - Client return url
+ * @param {string|null} clientId - Client server the user logs in to (selects the tenant)
  * @returns {Promise<Object>} Login result with success status
  * - invalid input (credentials):
  *    {
@@ -78,7 +84,7 @@ const register = async (credentials) => {
  *       success: false,
  *    }
  */
-const login = async (credentials, returnUrl = null) => {
+const login = async (credentials, returnUrl = null, clientId = null) => {
    try {
       // validation
       if (!credentials.email || !credentials.password) {
@@ -94,13 +100,15 @@ const login = async (credentials, returnUrl = null) => {
        *   {
        *     body: {
        *       credentials: { email, password },
-       *       returnUrl: ...
+       *       returnUrl: ...,
+       *       client_id: ... // selects the tenant
        *     }
        *   }
        */
       const response = await fetchPost(`${BACKEND_URL_AUTH}/login`, {
          credentials,
          returnUrl,
+         client_id: clientId,
       });
 
       if (!response.success) {
@@ -145,11 +153,480 @@ const logout = async () => {
    }
 };
 
+/**
+ * Request a password reset link by mail
+ * @param {string} email - Account email
+ * @param {string|null} returnUrl - Client return url
+ * @param {string|null} clientId - Client server of the account (selects the tenant)
+ * @returns {Promise<Object>} Result with success status
+ * - the backend answers the same way whether or not the email exists
+ */
+const forgotPassword = async (email, returnUrl = null, clientId = null) => {
+   try {
+      if (!email) {
+         return {
+            message: "Email is required",
+            success: false,
+         };
+      }
+
+      return await fetchPost(`${BACKEND_URL_AUTH}/password/forgot`, {
+         email,
+         returnUrl,
+         client_id: clientId,
+      });
+   } catch (error) {
+      console.error("Forgot password error:", error);
+      return {
+         message: error.message || "Password reset request failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Set a new password with the token from the reset link
+ * @param {string} token - Reset token from the mailed link
+ * @param {string} password - New password
+ * @param {string|null} returnUrl - Client return url
+ * @param {string|null} clientId - Client server of the account (selects the tenant)
+ * @returns {Promise<Object>} Result with success status
+ */
+const resetPassword = async (token, password, returnUrl = null, clientId = null) => {
+   try {
+      if (!token || !password) {
+         return {
+            message: "Token and password are required",
+            success: false,
+         };
+      }
+
+      return await fetchPost(`${BACKEND_URL_AUTH}/password/reset`, {
+         token,
+         password,
+         returnUrl,
+         client_id: clientId,
+      });
+   } catch (error) {
+      console.error("Reset password error:", error);
+      return {
+         message: error.message || "Password reset failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Verify an email address with the token from the verification link
+ * @param {string} token - Verification token from the mailed link
+ * @param {string|null} returnUrl - Client return url
+ * @param {string|null} clientId - Client server of the account (selects the tenant)
+ * @returns {Promise<Object>} Result with success status
+ */
+const verifyEmail = async (token, returnUrl = null, clientId = null) => {
+   try {
+      if (!token) {
+         return {
+            message: "Token is required",
+            success: false,
+         };
+      }
+
+      const params = new URLSearchParams({ token });
+      if (clientId) {
+         params.set("client_id", clientId);
+      }
+      if (returnUrl) {
+         params.set("return_url", returnUrl);
+      }
+
+      const response = await fetchGet(
+         `${BACKEND_URL_AUTH}/verify-email?${params.toString()}`
+      );
+
+      return {
+         ...response,
+         success: true,
+      };
+   } catch (error) {
+      console.error("Verify email error:", error);
+      return {
+         message: "Email verification failed. The link may have expired.",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Request a new verification link by mail
+ * @param {string} email - Account email
+ * @param {string|null} returnUrl - Client return url
+ * @param {string|null} clientId - Client server of the account (selects the tenant)
+ * @returns {Promise<Object>} Result with success status
+ * - the backend answers the same way whether or not the email exists
+ */
+const resendVerificationEmail = async (email, returnUrl = null, clientId = null) => {
+   try {
+      if (!email) {
+         return {
+            message: "Email is required",
+            success: false,
+         };
+      }
+
+      return await fetchPost(`${BACKEND_URL_AUTH}/verify-email/resend`, {
+         email,
+         returnUrl,
+         client_id: clientId,
+      });
+   } catch (error) {
+      console.error("Resend verification email error:", error);
+      return {
+         message: error.message || "Sending the verification email failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Second login step - send the authenticator code
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Object>} Same result as login
+ */
+const verifyMfa = async (code) => {
+   try {
+      if (!code) {
+         return {
+            message: "Code is required",
+            success: false,
+         };
+      }
+
+      return await fetchPost(`${BACKEND_URL_AUTH}/mfa/verify`, { code });
+   } catch (error) {
+      console.error("Verify MFA error:", error);
+      return {
+         message: error.message || "Code verification failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Get the second factors of the current user
+ * @returns {Promise<Object>} Result with data: { totp: { enabled, enabledAt, pendingEnrollment } }
+ */
+const getMfaStatus = async () => {
+   try {
+      const response = await fetchGet(`${BACKEND_URL_AUTH}/mfa`);
+      return {
+         ...response,
+         success: true,
+      };
+   } catch (error) {
+      console.error("Get MFA status error:", error);
+      return {
+         message: error.message || "Loading two-factor status failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Start TOTP enrollment, or replace the secret when TOTP is enabled
+ * @param {string|null} password - Current password (only for re-enrollment)
+ * @returns {Promise<Object>} Result with data: { secret, otpauthUri, qrPayload }
+ */
+const enrollTotp = async (password = null) => {
+   try {
+      if (password) {
+         return await fetchPost(`${BACKEND_URL_AUTH}/mfa/totp/reenroll`, {
+            password,
+         });
+      }
+      return await fetchPost(`${BACKEND_URL_AUTH}/mfa/totp/enroll`, {});
+   } catch (error) {
+      console.error("Enroll TOTP error:", error);
+      return {
+         message: error.message || "Two-factor enrollment failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Enable TOTP with the first code from the authenticator app
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Object>} Result with success status
+ */
+const confirmTotp = async (code) => {
+   try {
+      return await fetchPost(`${BACKEND_URL_AUTH}/mfa/totp/confirm`, { code });
+   } catch (error) {
+      console.error("Confirm TOTP error:", error);
+      return {
+         message: error.message || "Two-factor confirmation failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Disable TOTP
+ * @param {string} password - Current password
+ * @returns {Promise<Object>} Result with success status
+ */
+const disableTotp = async (password) => {
+   try {
+      return await fetchPost(`${BACKEND_URL_AUTH}/mfa/totp/disable`, {
+         password,
+      });
+   } catch (error) {
+      console.error("Disable TOTP error:", error);
+      return {
+         message: error.message || "Disabling two-factor authentication failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Replace the MFA recovery codes, the old set stops working
+ * @param {string} password - Current password
+ * @returns {Promise<Object>} Result with success status and data.recoveryCodes
+ */
+const regenerateRecoveryCodes = async (password) => {
+   try {
+      return await fetchPost(`${BACKEND_URL_AUTH}/mfa/recovery-codes/regenerate`, {
+         password,
+      });
+   } catch (error) {
+      console.error("Regenerate recovery codes error:", error);
+      return {
+         message: error.message || "Regenerating recovery codes failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Register a passkey for the current user
+ * - options from the backend, the browser creates the key, the backend stores it
+ * @param {string|null} name - Label for the passkey (fx. "laptop")
+ * @returns {Promise<Object>} Result with success status and the stored passkey
+ */
+const registerPasskey = async (name = null) => {
+   try {
+      const options = await fetchPost(
+         `${BACKEND_URL_AUTH}/webauthn/register/options`,
+         {}
+      );
+      if (!options.success) {
+         return options;
+      }
+
+      const credential = await createPasskey(options.data.publicKey);
+      return await fetchPost(`${BACKEND_URL_AUTH}/webauthn/register/verify`, {
+         credential,
+         name,
+      });
+   } catch (error) {
+      // NotAllowedError: the user cancelled or the ceremony timed out
+      console.error("Register passkey error:", error);
+      return {
+         message:
+            error.name === "NotAllowedError"
+               ? "Passkey registration was cancelled"
+               : error.message || "Passkey registration failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Login with a passkey
+ * @param {string|null} email - Limits the browser to the passkeys of this user (optional)
+ * @param {string|null} returnUrl - Client return url
+ * @param {string|null} clientId - Client server the user logs in to (selects the tenant)
+ * @returns {Promise<Object>} Same result as login
+ */
+const loginWithPasskey = async (email = null, returnUrl = null, clientId = null) => {
+   try {
+      const options = await fetchPost(
+         `${BACKEND_URL_AUTH}/webauthn/login/options`,
+         { email, returnUrl, client_id: clientId }
+      );
+      if (!options.success) {
+         return options;
+      }
+
+      const credential = await getPasskey(options.data.publicKey);
+      return await fetchPost(`${BACKEND_URL_AUTH}/webauthn/login/verify`, {
+         credential,
+         returnUrl,
+      });
+   } catch (error) {
+      console.error("Passkey login error:", error);
+      return {
+         message:
+            error.name === "NotAllowedError"
+               ? "Passkey login was cancelled"
+               : error.message || "Passkey login failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Get the passkeys of the current user
+ * @returns {Promise<Object>} Result with data: { credentials }
+ */
+const getPasskeys = async () => {
+   try {
+      const response = await fetchGet(`${BACKEND_URL_AUTH}/webauthn/credentials`);
+      return {
+         ...response,
+         success: true,
+      };
+   } catch (error) {
+      console.error("Get passkeys error:", error);
+      return {
+         message: error.message || "Loading passkeys failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Remove a passkey of the current user
+ * @param {string} id - Passkey id
+ * @returns {Promise<Object>} Result with success status
+ */
+const deletePasskey = async (id) => {
+   return await fetchDelete(`${BACKEND_URL_AUTH}/webauthn/credentials/${id}`);
+};
+
+/**
+ * Get the active sessions (devices) of the current user
+ * @returns {Promise<Object>} Result with data: { sessions }
+ */
+const getSessions = async () => {
+   try {
+      const response = await fetchGet(`${BACKEND_URL_AUTH}/sessions`);
+      return {
+         ...response,
+         success: true,
+      };
+   } catch (error) {
+      console.error("Get sessions error:", error);
+      return {
+         message: error.message || "Loading sessions failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Sign out one device of the current user
+ * @param {string} id - Session id
+ * @returns {Promise<Object>} Result with data: { current } - true when this device was signed out
+ */
+const revokeSession = async (id) => {
+   return await fetchDelete(`${BACKEND_URL_AUTH}/sessions/${id}`);
+};
+
+/**
+ * Sign out on every other device
+ * @returns {Promise<Object>} Result with data: { revoked }
+ */
+const revokeOtherSessions = async () => {
+   return await fetchPost(`${BACKEND_URL_AUTH}/sessions/revoke-others`, {});
+};
+
+/**
+ * Get the pending OAuth authorization request waiting for consent
+ * @returns {Promise<Object>} Result with data: { clientId, appName, scopes }
+ */
+const getConsentRequest = async () => {
+   try {
+      const response = await fetchGet(`${BACKEND_URL_AUTH}/consent`);
+      return {
+         ...response,
+         success: true,
+      };
+   } catch (error) {
+      console.error("Get consent request error:", error);
+      return {
+         message: error.message || "Loading the consent request failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Approve or deny the pending OAuth authorization request
+ * @param {boolean} approve - true to allow the app access
+ * @returns {Promise<Object>} Result with data: { redirectUrl } - back to the app
+ */
+const submitConsent = async (approve) => {
+   return await fetchPost(`${BACKEND_URL_AUTH}/consent`, { approve });
+};
+
+/**
+ * Get the apps the current user granted access
+ * @returns {Promise<Object>} Result with data: { consents }
+ */
+const getConsents = async () => {
+   try {
+      const response = await fetchGet(`${BACKEND_URL_AUTH}/consents`);
+      return {
+         ...response,
+         success: true,
+      };
+   } catch (error) {
+      console.error("Get consents error:", error);
+      return {
+         message: error.message || "Loading connected apps failed",
+         success: false,
+      };
+   }
+};
+
+/**
+ * Withdraw the access of an app
+ * @param {string} clientId - client_id of the app
+ * @returns {Promise<Object>} Result with data: { clientId, revokedRefreshTokens }
+ */
+const withdrawConsent = async (clientId) => {
+   return await fetchDelete(`${BACKEND_URL_AUTH}/consents/${encodeURIComponent(clientId)}`);
+};
+
 // --- export ---
 const authApi = {
    register,
    login,
    logout,
+   forgotPassword,
+   resetPassword,
+   verifyEmail,
+   resendVerificationEmail,
+   verifyMfa,
+   getMfaStatus,
+   enrollTotp,
+   confirmTotp,
+   disableTotp,
+   regenerateRecoveryCodes,
+   registerPasskey,
+   loginWithPasskey,
+   getPasskeys,
+   deletePasskey,
+   getSessions,
+   revokeSession,
+   revokeOtherSessions,
+   getConsentRequest,
+   submitConsent,
+   getConsents,
+   withdrawConsent,
 };
 
 export default authApi;
@@ -14,6 +14,8 @@ const BACKEND_URL_AUTH = `${BACKEND_URL}/auth`;
  * - checkAuth
  * - checkSession
  * - login
+ * - verifyMfa
+ * - loginWithPasskey
  * - register
  * - logout
  */
@@ -81,9 +83,11 @@ function createAuthStore() {
     * login
     * @description Authenticates user via API and updates store state
     * @param {Object} credentials - User credentials
+    * @param {string|null} returnUrl - Client return url
+    * @param {string|null} clientId - Client server (selects the tenant)
     * @returns {Promise<Object>} API response
     */
-   async function login(credentials, returnUrl = null) {
+   async function login(credentials, returnUrl = null, clientId = null) {
       update((state) => ({ ...state, loading: true }));
       try {
          /**
@@ -92,7 +96,7 @@ function createAuthStore() {
           * - response.message = error message if login fails
           *
           */
-         const response = await authApi.login(credentials, returnUrl);
+         const response = await authApi.login(credentials, returnUrl, clientId);
          if (response.success && response.data && response.data.userId) {
             set({ isAuthenticated: true, user: response.data, loading: false });
          } else {
@@ -110,16 +114,72 @@ function createAuthStore() {
       }
    }
 
+   /**
+    * verifyMfa
+    * @description Second login step, after login answered data.mfaRequired
+    * @param {string} code - Code from the authenticator app
+    * @returns {Promise<Object>} API response (same as login)
+    */
+   async function verifyMfa(code) {
+      update((state) => ({ ...state, loading: true }));
+      try {
+         const response = await authApi.verifyMfa(code);
+         if (response.success && response.data && response.data.userId) {
+            set({ isAuthenticated: true, user: response.data, loading: false });
+         } else {
+            set({ isAuthenticated: false, user: null, loading: false });
+         }
+         return response;
+      } catch (error) {
+         console.error("authStore verifyMfa error:", error);
+         set({ isAuthenticated: false, user: null, loading: false });
+         return {
+            message: error.message || "Code verification failed in store",
+            success: false,
+         };
+      }
+   }
+
+   /**
+    * loginWithPasskey
+    * @description Passwordless login, may answer data.mfaRequired like login
+    * @param {string|null} email - Optional, limits the browser to this user's passkeys
+    * @param {string|null} returnUrl - Client return url
+    * @param {string|null} clientId - Client server (selects the tenant)
+    * @returns {Promise<Object>} API response (same as login)
+    */
+   async function loginWithPasskey(email = null, returnUrl = null, clientId = null) {
+      update((state) => ({ ...state, loading: true }));
+      try {
+         const response = await authApi.loginWithPasskey(email, returnUrl, clientId);
+         if (response.success && response.data && response.data.userId) {
+            set({ isAuthenticated: true, user: response.data, loading: false });
+         } else {
+            set({ isAuthenticated: false, user: null, loading: false });
+         }
+         return response;
+      } catch (error) {
+         console.error("authStore loginWithPasskey error:", error);
+         set({ isAuthenticated: false, user: null, loading: false });
+         return {
+            message: error.message || "Passkey login failed in store",
+            success: false,
+         };
+      }
+   }
+
    /**
     * register
     * @description Registers a new user via API
     * @param {Object} credentials - User credentials
+    * @param {string|null} returnUrl - Client return url
+    * @param {string|null} clientId - Client server (selects the tenant)
     * @returns {Promise<Object>} API response
     */
-   async function register(credentials) {
+   async function register(credentials, returnUrl = null, clientId = null) {
       update((state) => ({ ...state, loading: true }));
       try {
-         const response = await authApi.register(credentials);
+         const response = await authApi.register(credentials, returnUrl, clientId);
          update((state) => ({ ...state, loading: false }));
          return response;
       } catch (error) {
@@ -161,6 +221,8 @@ function createAuthStore() {
       checkAuth,
       checkSession,
       login,
+      verifyMfa,
+      loginWithPasskey,
       register,
       logout,
    };
@@ -0,0 +1,62 @@
+/**
+ * Client selection of the hosted login pages
+ *
+ * - /login?client_id=...&return_url=... names the client server the user
+ *   logs in to (or registers with), the backend refuses unknown clients and
+ *   return URLs the client does not allow
+ * - kept in sessionStorage next to auth_return_url, so it survives the
+ *   register -> login -> MFA steps
+ * - a link with a return_url but without client_id belongs to another
+ *   client: the stored client_id is dropped
+ */
+
+const CLIENT_ID_KEY = "auth_client_id";
+
+/**
+ * client_id of the current login
+ * @returns {string|null}
+ */
+export function getClientId() {
+   const params = new URLSearchParams(window.location.search);
+
+   if (params.get("client_id")) {
+      sessionStorage.setItem(CLIENT_ID_KEY, params.get("client_id"));
+   } else if (params.has("return_url")) {
+      sessionStorage.removeItem(CLIENT_ID_KEY);
+   }
+
+   return sessionStorage.getItem(CLIENT_ID_KEY);
+}
+
+/**
+ * Forget the client_id (after the login redirected to the client)
+ */
+export function clearClientId() {
+   sessionStorage.removeItem(CLIENT_ID_KEY);
+}
+
+/**
+ * Link between the hosted pages (login <-> register) keeping the client
+ * @param {string} path - fx. "/login"
+ * @param {string|null} returnUrl - Client return url
+ * @param {string|null} clientId - Client server
+ * @returns {string}
+ */
+export function loginPageUrl(path, returnUrl = null, clientId = null) {
+   const params = new URLSearchParams();
+   if (clientId) {
+      params.set("client_id", clientId);
+   }
+   if (returnUrl) {
+      params.set("return_url", returnUrl);
+   }
+
+   const query = params.toString();
+   return query ? `${path}?${query}` : path;
+}
+
+export default {
+   getClientId,
+   clearClientId,
+   loginPageUrl,
+};
@@ -84,27 +84,45 @@ export async function fetchPost(url, body) {
    }
 }
 
+export async function fetchDelete(url) {
+   try {
+      const response = await fetch(url, {
+         method: "DELETE",
+         credentials: "include",
+      });
+
+      const responseData = await parseResponse(response);
+      return { ...responseData, success: response.ok };
+   } catch (error) {
+      console.error("fetchDelete error:", error);
+      return {
+         success: false,
+         message: error.message || "Network error or failed to parse response.",
+      };
+   }
+}
+
 /**
  *
  * @param {*} response
  * @returns
  *
- * - if JSON, return JSON
+ * - if JSON, return JSON (also for error responses, so callers get message / code)
+ * - if error without JSON, return { message }
  * - if not JSON, return text
- * - if error, throw error
  */
 async function parseResponse(response) {
    const contentType = response.headers.get("content-type");
 
-   if (!response.ok) {
-      throw new Error("API error: " + response.status);
-   }
-
    // if JSON
    if (contentType && contentType.includes("application/json")) {
       return await response.json();
    }
 
+   if (!response.ok) {
+      return { message: "API error: " + response.status };
+   }
+
    // else convert
    const json = JSON.parse(await response.text());
 
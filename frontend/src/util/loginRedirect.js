@@ -1,4 +1,6 @@
 import { navigate } from "svelte-routing";
+import { isAllowedReturnUrl } from "../../../shared/urlMatching.js";
+import { clearClientId } from "./clientSelection.js";
 
 /**
  * Redirect to the appropriate page after login
@@ -6,10 +8,14 @@ import { navigate } from "svelte-routing";
  * - use: Login.svelte (only)
  *
  * logical flow:
+ * - if the login was started by /oauth/authorize (data.oauth.resumeUrl)
+ *    - redirect to resumeUrl, the backend sends the browser on to the client
+ *      with an authorization code
  * - if return_url is in window.location.href
  *    - retrieve return_url from window.location.href
  *    - retrieve allowedUrls from authStore
- *    - validate return_url is in allowedUrls
+ *    - validate return_url matches one of allowedUrls (shared/urlMatching.js:
+ *      scheme, host and port exactly, path per pattern)
  *    - redirect
  *       - to return_url if it is in allowedUrls
  *       - to home if it is not in allowedUrls
@@ -38,7 +44,10 @@ import { navigate } from "svelte-routing";
  *            allowed_return_urls: string[], // All allowed base URLs for the client
  *            user_role: string,
  *            // ... other metadata
- *         } | null
+ *         } | null,
+ *         oauth: {
+ *            resumeUrl: string, // backend endpoint that finishes the authorization request
+ *         } // Optional
  *      },
  *      errors: ... // Optional
  *   }
@@ -52,6 +61,16 @@ export const loginRedirect = (response) => {
       JSON.stringify(response, null, 2)
    );
 
+   // OAuth authorization request - the backend issues the code and redirects
+   const resumeUrl = response?.data?.oauth?.resumeUrl;
+   if (resumeUrl) {
+      console.log("🔄 [LOGIN REDIRECT] ✅ Resuming OAuth authorization:", resumeUrl);
+      sessionStorage.removeItem("auth_return_url");
+      clearClientId();
+      window.location.href = resumeUrl;
+      return;
+   }
+
    // Check for return URL in sessionStorage first, then current URL
    let returnUrl = sessionStorage.getItem("auth_return_url");
    const currentUrl = window.location.href;
@@ -115,7 +134,7 @@ function handleRedirectToReturnUrl(response, returnUrl) {
       );
 
       // Fallback: If we have a return URL and it's from localhost:5173 (Trading-Sim), allow it
-      if (returnUrl && returnUrl.startsWith("http://localhost:5173/home")) {
+      if (isAllowedReturnUrl(returnUrl, ["http://localhost:5173/home/*"])) {
          console.log(
             "🔄 [LOGIN REDIRECT] ✅ Using fallback validation for Trading-Sim URL"
          );
@@ -126,18 +145,15 @@ function handleRedirectToReturnUrl(response, returnUrl) {
    console.log("🔄 [LOGIN REDIRECT] Return URL to use:", returnUrl);
 
    if (allowedUrls && returnUrl) {
-      const isAllowed = allowedUrls.some((allowedUrl) => {
-         const matches = returnUrl.startsWith(allowedUrl);
-         console.log(
-            "🔄 [LOGIN REDIRECT] Checking if",
-            returnUrl,
-            "starts with",
-            allowedUrl,
-            ":",
-            matches
-         );
-         return matches;
-      });
+      const isAllowed = isAllowedReturnUrl(returnUrl, allowedUrls);
+      console.log(
+         "🔄 [LOGIN REDIRECT] Checking",
+         returnUrl,
+         "against",
+         allowedUrls,
+         ":",
+         isAllowed
+      );
 
       if (isAllowed) {
          console.log(
@@ -146,11 +162,13 @@ function handleRedirectToReturnUrl(response, returnUrl) {
          );
          // Clear the stored return_url after successful redirect
          sessionStorage.removeItem("auth_return_url");
+         clearClientId();
          window.location.href = returnUrl; // Use direct redirect instead of navigate
          return;
       } else {
-         console.log(
-            "🔄 [LOGIN REDIRECT] ❌ Return URL not allowed, falling back to home"
+         console.warn(
+            "🔄 [LOGIN REDIRECT] ⚠️ Return URL rejected, falling back to home:",
+            returnUrl
          );
       }
    } else {
@@ -0,0 +1,90 @@
+/**
+ * Browser side of the passkey (WebAuthn) ceremonies
+ *
+ * - the backend sends binary values as base64url, the browser API wants ArrayBuffers
+ * - the results are converted back to base64url JSON for the backend
+ */
+
+export function isPasskeySupported() {
+   return (
+      typeof window !== "undefined" &&
+      window.PublicKeyCredential !== undefined &&
+      typeof navigator.credentials?.create === "function"
+   );
+}
+
+function toBuffer(base64url) {
+   const base64 = base64url.replace(/-/g, "+").replace(/_/g, "/");
+   const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+   return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0)).buffer;
+}
+
+function toBase64Url(buffer) {
+   const bytes = new Uint8Array(buffer);
+   let binary = "";
+   for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+   }
+   return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function toDescriptors(credentials = []) {
+   return credentials.map((credential) => ({
+      ...credential,
+      id: toBuffer(credential.id),
+   }));
+}
+
+/**
+ * Create a passkey (registration ceremony)
+ * @param {Object} publicKey - Options from /webauthn/register/options
+ * @returns {Promise<Object>} Credential for /webauthn/register/verify
+ */
+export async function createPasskey(publicKey) {
+   const credential = await navigator.credentials.create({
+      publicKey: {
+         ...publicKey,
+         challenge: toBuffer(publicKey.challenge),
+         user: { ...publicKey.user, id: toBuffer(publicKey.user.id) },
+         excludeCredentials: toDescriptors(publicKey.excludeCredentials),
+      },
+   });
+
+   return {
+      id: credential.id,
+      type: credential.type,
+      response: {
+         clientDataJSON: toBase64Url(credential.response.clientDataJSON),
+         attestationObject: toBase64Url(credential.response.attestationObject),
+         transports: credential.response.getTransports?.() || [],
+      },
+   };
+}
+
+/**
+ * Use a passkey (authentication ceremony)
+ * @param {Object} publicKey - Options from /webauthn/login/options
+ * @returns {Promise<Object>} Credential for /webauthn/login/verify
+ */
+export async function getPasskey(publicKey) {
+   const credential = await navigator.credentials.get({
+      publicKey: {
+         ...publicKey,
+         challenge: toBuffer(publicKey.challenge),
+         allowCredentials: toDescriptors(publicKey.allowCredentials),
+      },
+   });
+
+   return {
+      id: credential.id,
+      type: credential.type,
+      response: {
+         clientDataJSON: toBase64Url(credential.response.clientDataJSON),
+         authenticatorData: toBase64Url(credential.response.authenticatorData),
+         signature: toBase64Url(credential.response.signature),
+         userHandle: credential.response.userHandle
+            ? toBase64Url(credential.response.userHandle)
+            : null,
+      },
+   };
+}
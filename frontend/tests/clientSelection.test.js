@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { getClientId, clearClientId, loginPageUrl } from "../src/util/clientSelection.js";
+
+const visit = (search) => window.history.replaceState(null, "", `/login${search}`);
+
+describe("clientSelection", () => {
+   beforeEach(() => {
+      sessionStorage.clear();
+      visit("");
+   });
+
+   it("keeps the client_id of the link for the next steps", () => {
+      visit("?client_id=client_acme&return_url=https%3A%2F%2Fapp.com%2F");
+      expect(getClientId()).toBe("client_acme");
+
+      visit("");
+      expect(getClientId()).toBe("client_acme");
+   });
+
+   it("drops the stored client_id for a return_url of another client", () => {
+      visit("?client_id=client_acme");
+      getClientId();
+
+      visit("?return_url=https%3A%2F%2Fother.com%2F");
+      expect(getClientId()).toBeNull();
+   });
+
+   it("forgets the client_id after the login", () => {
+      visit("?client_id=client_acme");
+      getClientId();
+      clearClientId();
+
+      visit("");
+      expect(getClientId()).toBeNull();
+   });
+
+   it("builds links between the login pages", () => {
+      expect(loginPageUrl("/register")).toBe("/register");
+      expect(loginPageUrl("/register", "https://app.com/home", "client_acme")).toBe(
+         "/register?client_id=client_acme&return_url=https%3A%2F%2Fapp.com%2Fhome"
+      );
+   });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("svelte-routing", () => ({ navigate: vi.fn() }));
+
+const { navigate } = await import("svelte-routing");
+const { loginRedirect } = await import("../src/util/loginRedirect.js");
+
+const response = (allowed_return_urls) => ({
+   success: true,
+   data: { poolMetadata: { client_id: "client_acme", allowed_return_urls } },
+});
+
+describe("loginRedirect", () => {
+   let location;
+
+   beforeEach(() => {
+      vi.clearAllMocks();
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      sessionStorage.clear();
+
+      // window.location.href is not assignable in jsdom
+      location = { href: "http://localhost:3000/login" };
+      vi.stubGlobal("location", location);
+   });
+
+   it("resumes a pending OAuth authorization", () => {
+      sessionStorage.setItem("auth_return_url", "https://app.com/home");
+
+      loginRedirect({ data: { oauth: { resumeUrl: "/oauth/authorize/resume" } } });
+
+      expect(location.href).toBe("/oauth/authorize/resume");
+      expect(sessionStorage.getItem("auth_return_url")).toBeNull();
+   });
+
+   it("redirects to an allowed return URL", () => {
+      sessionStorage.setItem("auth_return_url", "https://app.com/app/dashboard");
+      sessionStorage.setItem("auth_client_id", "client_acme");
+
+      loginRedirect(response(["https://app.com/app/*"]));
+
+      expect(location.href).toBe("https://app.com/app/dashboard");
+      expect(sessionStorage.getItem("auth_return_url")).toBeNull();
+      expect(sessionStorage.getItem("auth_client_id")).toBeNull();
+      expect(navigate).not.toHaveBeenCalled();
+   });
+
+   it("reads the return URL from the page URL", () => {
+      location.href = "http://localhost:3000/login?return_url=https%3A%2F%2Fapp.com%2Fhome";
+
+      loginRedirect(response(["https://app.com"]));
+
+      expect(location.href).toBe("https://app.com/home");
+   });
+
+   it.each([
+      ["another origin", "https://app.com.evil.com/home"],
+      ["a path outside the pattern", "https://app.com/admin"],
+      ["a javascript: URL", "javascript:alert(1)"],
+   ])("goes home for %s", (_, returnUrl) => {
+      sessionStorage.setItem("auth_return_url", returnUrl);
+
+      loginRedirect(response(["https://app.com/app/*"]));
+
+      expect(location.href).toBe("http://localhost:3000/login");
+      expect(navigate).toHaveBeenCalledWith("/home", { replace: true });
+   });
+
+   it("goes home without a return URL", () => {
+      loginRedirect(response(["https://app.com"]));
+      expect(navigate).toHaveBeenCalledWith("/home", { replace: true });
+   });
+});
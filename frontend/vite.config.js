@@ -40,6 +40,10 @@ export default defineConfig({
    server: {
       port: FRONTEND_PORT,
       host: FRONTEND_HOST,
+      // shared/ holds modules used by backend and frontend (fx. urlMatching.js)
+      fs: {
+         allow: [__dirname, resolve(__dirname, "../shared")],
+      },
       // proxy calls to backend on /api
       proxy: {
          "/api": {
@@ -1,6 +1,9 @@
 import { defineConfig } from "vitest/config";
+import { svelte } from "@sveltejs/vite-plugin-svelte";
 
 export default defineConfig({
+  // resolves packages that only export Svelte sources (svelte-routing)
+  plugins: [svelte()],
   test: {
     globals: true,
     environment: "jsdom",
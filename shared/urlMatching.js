@@ -0,0 +1,237 @@
+/**
+ * Return URL matching - shared by backend and frontend
+ *
+ * - use: backend (schemaDetection, clientServerAuth, webauthnService,
+ *   clientServerService), frontend (loginRedirect, CreateClientModal)
+ * - no dependencies, plain ESM
+ *
+ * allowed_return_urls patterns:
+ * - https://app.example.com          any path on exactly this origin
+ * - https://app.example.com/callback exactly this path
+ * - https://app.example.com/app/*    the path /app and everything below it
+ * - https://*.example.com            one label in front of example.com
+ *                                    (a.example.com, not a.b.example.com, not example.com)
+ *
+ * scheme, host and port always have to match exactly: a bare prefix compare
+ * would let http://localhost:5173 match http://localhost:5173.evil.com.
+ * Query and fragment of a return URL are ignored.
+ *
+ * only http(s) URLs are accepted - javascript:, data: and protocol-relative
+ * (//evil.com) URLs never match
+ */
+
+const HTTP_URL = /^https?:\/\//i;
+// backslashes and whitespace are read differently by browsers and URL parsers
+const AMBIGUOUS_CHARACTERS = /[\\\s\u0000-\u001f\u007f]/;
+const WILDCARD_HOST = /^\*\.(.+)$/;
+const WILDCARD_PLACEHOLDER = "wildcard-label";
+
+/**
+ * Parse a return URL
+ * @param {string} url - Absolute http(s) URL
+ * @returns {URL|null} null for anything that can not be a return URL
+ */
+export function parseReturnUrl(url) {
+   if (typeof url !== "string" || !HTTP_URL.test(url) || AMBIGUOUS_CHARACTERS.test(url)) {
+      return null;
+   }
+
+   try {
+      const parsed = new URL(url);
+      // credentials in a return URL are only good for phishing
+      if (parsed.username || parsed.password) {
+         return null;
+      }
+      return parsed;
+   } catch {
+      return null;
+   }
+}
+
+/**
+ * Parse an allowed_return_urls pattern
+ * @param {string} pattern - See the module comment
+ * @returns {Object} { pattern: { protocol, host, wildcard, port, path, prefix } } or { error }
+ */
+export function parseUrlPattern(pattern) {
+   if (typeof pattern !== "string" || !pattern.trim()) {
+      return { error: "Return URL must be a non-empty string" };
+   }
+   if (pattern === "*") {
+      return { error: 'The "*" pattern is not allowed, list the URLs of your app' };
+   }
+
+   let value = pattern.trim();
+   let prefix = false;
+   if (value.endsWith("/*")) {
+      prefix = true;
+      value = value.slice(0, -1);
+   }
+
+   // *.example.com is parsed with a placeholder label
+   const authority = value.replace(/^https?:\/\//i, "").split(/[/?#]/)[0];
+   const host = authority.replace(/:\d*$/, "");
+   const wildcard = WILDCARD_HOST.exec(host);
+   if (wildcard) {
+      if (wildcard[1].split(".").filter(Boolean).length < 2) {
+         return { error: `Wildcard must be followed by at least two labels: ${pattern}` };
+      }
+      value = value.replace("*.", `${WILDCARD_PLACEHOLDER}.`);
+   }
+
+   const url = parseReturnUrl(value);
+   if (!url) {
+      return { error: `Return URL must be an absolute http(s) URL: ${pattern}` };
+   }
+   if (url.search || url.hash) {
+      return { error: `Return URL must not contain a query or fragment: ${pattern}` };
+   }
+   if (url.hostname.includes("*")) {
+      return { error: `Only a leading "*." wildcard label is supported: ${pattern}` };
+   }
+   if (wildcard && isIpAddress(wildcard[1])) {
+      return { error: `Wildcards are not supported for IP addresses: ${pattern}` };
+   }
+
+   return {
+      pattern: {
+         protocol: url.protocol,
+         host: wildcard ? url.hostname.slice(WILDCARD_PLACEHOLDER.length + 1) : url.hostname,
+         wildcard: Boolean(wildcard),
+         port: url.port,
+         path: url.pathname,
+         prefix: prefix || url.pathname === "/",
+      },
+   };
+}
+
+/**
+ * Validate allowed_return_urls
+ * @param {string[]} patterns - Patterns of a client server
+ * @returns {string[]} Error messages, empty when every pattern is valid
+ */
+export function validateUrlPatterns(patterns) {
+   if (!Array.isArray(patterns) || patterns.length === 0) {
+      return ["At least one return URL is required"];
+   }
+   return patterns.map((pattern) => parseUrlPattern(pattern).error).filter(Boolean);
+}
+
+/**
+ * Whether a return URL matches a pattern
+ * @param {string} url - Return URL
+ * @param {string} pattern - allowed_return_urls entry
+ * @returns {boolean}
+ */
+export function matchesUrlPattern(url, pattern) {
+   const parsedUrl = parseReturnUrl(url);
+   const { pattern: parsed } = parseUrlPattern(pattern);
+   if (!parsedUrl || !parsed) {
+      return false;
+   }
+
+   if (parsedUrl.protocol !== parsed.protocol || parsedUrl.port !== parsed.port) {
+      return false;
+   }
+
+   if (parsed.wildcard) {
+      const label = parsedUrl.hostname.slice(0, -(parsed.host.length + 1));
+      if (
+         !parsedUrl.hostname.endsWith(`.${parsed.host}`) ||
+         !label ||
+         label.includes(".")
+      ) {
+         return false;
+      }
+   } else if (parsedUrl.hostname !== parsed.host) {
+      return false;
+   }
+
+   if (!parsed.prefix) {
+      return parsedUrl.pathname === parsed.path;
+   }
+   return isBelowPrefix(parsedUrl.pathname, parsed.path);
+}
+
+/**
+ * Whether some return URL matches both patterns
+ * @param {string} a - allowed_return_urls entry
+ * @param {string} b - allowed_return_urls entry
+ * @returns {boolean} false if either pattern is invalid
+ */
+export function urlPatternsOverlap(a, b) {
+   const { pattern: first } = parseUrlPattern(a);
+   const { pattern: second } = parseUrlPattern(b);
+   if (!first || !second) {
+      return false;
+   }
+
+   if (first.protocol !== second.protocol || first.port !== second.port) {
+      return false;
+   }
+   if (!hostsOverlap(first, second)) {
+      return false;
+   }
+
+   if (!first.prefix && !second.prefix) {
+      return first.path === second.path;
+   }
+   return (
+      (first.prefix && isBelowPrefix(second.path, first.path)) ||
+      (second.prefix && isBelowPrefix(first.path, second.path))
+   );
+}
+
+/**
+ * First pattern a return URL matches
+ * @param {string} url - Return URL
+ * @param {string[]} patterns - allowed_return_urls of a client server
+ * @returns {string|null} The matching pattern, null if none does
+ */
+export function findMatchingUrlPattern(url, patterns) {
+   return (patterns || []).find((pattern) => matchesUrlPattern(url, pattern)) || null;
+}
+
+/**
+ * Whether a return URL matches one of the patterns
+ * @param {string} url - Return URL
+ * @param {string[]} patterns - allowed_return_urls of a client server
+ * @returns {boolean}
+ */
+export function isAllowedReturnUrl(url, patterns) {
+   return findMatchingUrlPattern(url, patterns) !== null;
+}
+
+// ---- helper functions ----
+
+// /app/* covers /app and /app/..., not /application
+function isBelowPrefix(pathname, prefix) {
+   const base = prefix.endsWith("/") ? prefix : `${prefix}/`;
+   return pathname.startsWith(base) || `${pathname}/` === base;
+}
+
+// *.example.com shares a.example.com, not a.b.example.com or example.com
+function hostsOverlap(first, second) {
+   if (first.wildcard === second.wildcard) {
+      return first.host === second.host;
+   }
+
+   const wildcard = first.wildcard ? first : second;
+   const host = first.wildcard ? second.host : first.host;
+   const label = host.slice(0, -(wildcard.host.length + 1));
+   return host.endsWith(`.${wildcard.host}`) && Boolean(label) && !label.includes(".");
+}
+
+function isIpAddress(host) {
+   return /^\d+(\.\d+){3}$/.test(host) || host.startsWith("[");
+}
+
+export default {
+   parseReturnUrl,
+   parseUrlPattern,
+   validateUrlPatterns,
+   matchesUrlPattern,
+   urlPatternsOverlap,
+   findMatchingUrlPattern,
+   isAllowedReturnUrl,
+};